@@ -0,0 +1,154 @@
+// backend/__tests__/csvParser.test.js
+const { Readable } = require('stream');
+const {
+  parseCsvRecords,
+  isHeaderRow,
+  headerKey,
+  createCsvReader
+} = require('../services/csvParser');
+const { readLines } = require('../services/streamReader');
+
+const linesOf = (text) => readLines(Readable.from([Buffer.from(text)]));
+
+const collect = async (iterable) => {
+  const items = [];
+  for await (const item of iterable) items.push(item);
+  return items;
+};
+
+const parse = (text, options) => collect(parseCsvRecords(linesOf(text), options));
+
+describe('parseCsvRecords', () => {
+  test('keeps delimiters inside quoted fields', async () => {
+    const [record] = await parse('"Sharma Plumbing, Bandra",plumber,Mumbai\n');
+
+    expect(record.fields).toEqual(['Sharma Plumbing, Bandra', 'plumber', 'Mumbai']);
+  });
+
+  test('reads doubled quotes as one quote', async () => {
+    const [record] = await parse('"The ""Best"" Electricians",electrician\n');
+
+    expect(record.fields).toEqual(['The "Best" Electricians', 'electrician']);
+  });
+
+  test('keeps a quote inside an unquoted field as text', async () => {
+    const [record] = await parse('Raj 5" pipes,plumber\n');
+
+    expect(record.fields).toEqual(['Raj 5" pipes', 'plumber']);
+  });
+
+  test('joins a quoted field across CRLF line breaks', async () => {
+    const records = await parse('Business,Notes\r\nSharma Plumbing,"Came on time.\r\nFair price."\r\nKumar Services,Quick\r\n');
+
+    expect(records).toEqual([
+      { fields: ['Business', 'Notes'], line: 1 },
+      { fields: ['Sharma Plumbing', 'Came on time.\nFair price.'], line: 2 },
+      { fields: ['Kumar Services', 'Quick'], line: 4 }
+    ]);
+  });
+
+  test('detects semicolon and tab delimiters from the first record', async () => {
+    const [semicolon] = await parse('Sharma Plumbing;plumber;Mumbai\n');
+    const [tab] = await parse('Sharma Plumbing\tplumber\tMumbai\n');
+
+    expect(semicolon.fields).toEqual(['Sharma Plumbing', 'plumber', 'Mumbai']);
+    expect(tab.fields).toEqual(['Sharma Plumbing', 'plumber', 'Mumbai']);
+  });
+
+  test('strips a byte order mark and skips blank lines', async () => {
+    const records = await parse('\uFEFFBusiness,City\n\n   \nSharma Plumbing,Mumbai\n');
+
+    expect(records.map(record => record.fields)).toEqual([['Business', 'City'], ['Sharma Plumbing', 'Mumbai']]);
+    expect(records[1].line).toBe(4);
+  });
+
+  test('fails on a quoted field that is never closed', async () => {
+    await expect(parse('Business,Notes\nSharma Plumbing,"never closed\n')).rejects.toThrow('CSV quoted field starting on line 2 is never closed');
+  });
+});
+
+describe('header detection', () => {
+  test('a row naming known columns is a header', () => {
+    expect(isHeaderRow(['Business Name', 'Service', 'City', 'Phone'])).toBe(true);
+  });
+
+  test('a row holding a phone number or email is data', () => {
+    expect(isHeaderRow(['Plumber', 'Mumbai', '98765 43210'])).toBe(false);
+    expect(isHeaderRow(['Name', 'raj@example.com'])).toBe(false);
+  });
+
+  test('a row naming no known column is data', () => {
+    expect(isHeaderRow(['Sharma Plumbing', 'Bandra'])).toBe(false);
+  });
+
+  test('columns are mapped from the header names', async () => {
+    const reader = createCsvReader();
+    const rows = await collect(reader.rows(linesOf('Phone,Company,Trade,Town\n98765 43210,Sharma Plumbing,plumber,Mumbai\n')));
+
+    expect(reader.info).toMatchObject({ hasHeader: true, mappingSource: 'detected' });
+    expect(rows).toEqual([expect.objectContaining({
+      businessName: 'Sharma Plumbing',
+      profession: 'plumber',
+      city: 'Mumbai',
+      contact: '98765 43210',
+      line: 2
+    })]);
+  });
+
+  test('a file without a header is read as Business, Profession, City, Contact, Message', async () => {
+    const reader = createCsvReader();
+    const [row] = await collect(reader.rows(linesOf('Sharma Plumbing,plumber,Mumbai,98765 43210,Great work\n')));
+
+    expect(reader.info).toMatchObject({ hasHeader: false, mappingSource: 'default' });
+    expect(row).toMatchObject({ businessName: 'Sharma Plumbing', city: 'Mumbai', message: 'Great work', line: 1 });
+  });
+
+  test('rows that fail validation are listed instead of yielded', async () => {
+    const reader = createCsvReader();
+    const rows = await collect(reader.rows(linesOf('Business,Phone\n,98765 43210\nKumar Services,123\n')));
+
+    expect(rows).toEqual([]);
+    expect(reader.rowErrors).toEqual([
+      { line: 2, errors: ['Missing business name'] },
+      { line: 3, errors: ['Invalid phone number "123"'] }
+    ]);
+  });
+});
+
+describe('saved mappings', () => {
+  const text = 'Vendor,Notes,Where\nSharma Plumbing,plumber,Mumbai\n';
+  const saved = { businessName: 0, profession: 1, city: 2 };
+
+  test('a mapping saved for the header is applied', async () => {
+    const findSavedMapping = jest.fn().mockResolvedValue(saved);
+    const reader = createCsvReader({ findSavedMapping });
+    const [row] = await collect(reader.rows(linesOf(text)));
+
+    expect(findSavedMapping).toHaveBeenCalledWith(headerKey(['Vendor', 'Notes', 'Where']));
+    expect(reader.info).toMatchObject({ mappingSource: 'saved', mapping: saved });
+    expect(row).toMatchObject({ businessName: 'Sharma Plumbing', profession: 'plumber', city: 'Mumbai', message: '' });
+  });
+
+  test('the header key ignores case and punctuation', () => {
+    expect(headerKey(['Vendor', 'E-mail'])).toBe(headerKey(['vendor', 'e mail']));
+    expect(headerKey(['Vendor', 'Email'])).not.toBe(headerKey(['Email', 'Vendor']));
+  });
+
+  test('a mapping given with the request wins over the saved one', async () => {
+    const findSavedMapping = jest.fn().mockResolvedValue(saved);
+    const reader = createCsvReader({ findSavedMapping, columnMapping: { businessName: 0, message: 1 } });
+    const [row] = await collect(reader.rows(linesOf(text)));
+
+    expect(findSavedMapping).not.toHaveBeenCalled();
+    expect(reader.info.mappingSource).toBe('request');
+    expect(row).toMatchObject({ businessName: 'Sharma Plumbing', message: 'plumber', city: '' });
+  });
+
+  test('without a saved mapping the header names are used', async () => {
+    const reader = createCsvReader({ findSavedMapping: jest.fn().mockResolvedValue(null) });
+    const [row] = await collect(reader.rows(linesOf(text)));
+
+    expect(reader.info.mappingSource).toBe('detected');
+    expect(row).toMatchObject({ businessName: 'Sharma Plumbing', message: 'plumber', city: '' });
+  });
+});
@@ -0,0 +1,102 @@
+// backend/__tests__/duplicateDetector.test.js
+const {
+  normalizeBusinessName,
+  normalizeContact,
+  nameSimilarity,
+  findDuplicate
+} = require('../services/duplicateDetector');
+const { editDistance } = require('../utils/editDistance');
+
+describe('editDistance', () => {
+  test('is zero for equal strings, including two empty ones', () => {
+    expect(editDistance('plumber', 'plumber')).toBe(0);
+    expect(editDistance('', '')).toBe(0);
+  });
+
+  test('is the other string\'s length when one is empty', () => {
+    expect(editDistance('', 'raj')).toBe(3);
+    expect(editDistance('raj', '')).toBe(3);
+  });
+
+  test('counts insertions, deletions and substitutions as one edit each', () => {
+    expect(editDistance('plumbng', 'plumbing')).toBe(1);
+    expect(editDistance('plumbing', 'plumbng')).toBe(1);
+    expect(editDistance('sharma', 'varma')).toBe(2);
+  });
+
+  test('counts a swap of neighbouring letters as two edits', () => {
+    expect(editDistance('elcetrician', 'electrician')).toBe(2);
+  });
+
+  test('is symmetric', () => {
+    expect(editDistance('kitten', 'sitting')).toBe(editDistance('sitting', 'kitten'));
+  });
+});
+
+describe('business names', () => {
+  test('case, punctuation and generic words are ignored', () => {
+    expect(normalizeBusinessName('Raj Plumbing Services')).toBe(normalizeBusinessName('raj plumbing'));
+    expect(normalizeBusinessName('Kumar & Sons')).toBe(normalizeBusinessName('Kumar and Sons Co.'));
+  });
+
+  test('similarity is 1 for the same name and 0 when either is missing', () => {
+    expect(nameSimilarity('sharma plumbing', 'sharma plumbing')).toBe(1);
+    expect(nameSimilarity('', 'sharma plumbing')).toBe(0);
+  });
+
+  test('a name exactly at the threshold matches and one edit further does not', () => {
+    const existing = [{ referralId: 'r1', businessName: 'ABCDEFGHIJKLMNOPQRST' }];
+
+    expect(nameSimilarity('abcdefghijklmnopqrst', 'abcdefghijklmnopqxyz')).toBeCloseTo(0.85);
+    expect(findDuplicate({ businessName: 'abcdefghijklmnopqxyz' }, existing)).toBe(existing[0]);
+    expect(findDuplicate({ businessName: 'abcdefghijklmnopwxyz' }, existing)).toBeNull();
+  });
+
+  test('a typo in a name without a number matches', () => {
+    const existing = [{ referralId: 'r1', businessName: 'Sharma Plumbing' }];
+
+    expect(findDuplicate({ businessName: 'Sharma Plumbng' }, existing)).toBe(existing[0]);
+    expect(findDuplicate({ businessName: 'Sharma Painting' }, existing)).toBeNull();
+  });
+
+  test('the closest of several similar names wins', () => {
+    const existing = [
+      { referralId: 'r1', businessName: 'Sharma Plumbers' },
+      { referralId: 'r2', businessName: 'Sharma Plumbing' }
+    ];
+
+    expect(findDuplicate({ businessName: 'Sharma Plumbing' }, existing)).toBe(existing[1]);
+  });
+});
+
+describe('phone numbers', () => {
+  test('formatting is ignored and numbers under 7 digits are not compared', () => {
+    expect(normalizeContact('+91 98765-43210')).toBe('919876543210');
+    expect(normalizeContact('12345')).toBe('');
+  });
+
+  test('the same number matches whatever the names', () => {
+    const existing = [{ referralId: 'r1', businessName: 'Sharma Plumbing', contactE164: '+919876543210' }];
+
+    expect(findDuplicate({ businessName: 'Raj', contact: '98765 43210' }, existing)).toBe(existing[0]);
+  });
+
+  test('different numbers are different businesses however alike the names', () => {
+    const existing = [{ referralId: 'r1', businessName: 'Sharma Plumbing', contactE164: '+919876543210' }];
+
+    expect(findDuplicate({ businessName: 'Sharma Plumbing', contactE164: '+919876500000' }, existing)).toBeNull();
+  });
+
+  test('a shared email or handle matches', () => {
+    const existing = [{
+      referralId: 'r1',
+      businessName: 'Sharma Plumbing',
+      contactChannels: [{ type: 'email', value: 'raj@example.com' }]
+    }];
+
+    expect(findDuplicate({
+      businessName: 'Raj',
+      contactChannels: [{ type: 'email', value: 'Raj@Example.com' }]
+    }, existing)).toBe(existing[0]);
+  });
+});
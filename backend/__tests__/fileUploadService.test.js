@@ -0,0 +1,27 @@
+// backend/__tests__/fileUploadService.test.js
+const { isValidFileType } = require('../services/fileUploadService');
+
+const upload = (originalname, mimetype) => ({ originalname, mimetype });
+
+describe('isValidFileType', () => {
+  test('an allowed extension with its own type is accepted', () => {
+    expect(isValidFileType(upload('chat.txt', 'text/plain'))).toBe(true);
+    expect(isValidFileType(upload('Referrals.XLSX', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'))).toBe(true);
+  });
+
+  test('an allowed extension is accepted when the browser sends no type or a generic one', () => {
+    expect(isValidFileType(upload('notes.md', ''))).toBe(true);
+    expect(isValidFileType(upload('notes.md', undefined))).toBe(true);
+    expect(isValidFileType(upload('chat.txt', 'application/octet-stream'))).toBe(true);
+  });
+
+  test('a generic type does not let other extensions through', () => {
+    expect(isValidFileType(upload('setup.exe', 'application/octet-stream'))).toBe(false);
+    expect(isValidFileType(upload('chat', ''))).toBe(false);
+  });
+
+  test('a type that is not allowed is rejected whatever the extension', () => {
+    expect(isValidFileType(upload('chat.txt', 'application/x-msdownload'))).toBe(false);
+    expect(isValidFileType(upload('photo.jpg', 'image/jpeg'))).toBe(false);
+  });
+});
@@ -0,0 +1,181 @@
+// backend/__tests__/importLedger.test.js
+process.env.IMPORT_LEDGER_TABLE_NAME = 'ledger';
+
+const mockDocumentClient = {
+  batchGet: jest.fn(),
+  batchWrite: jest.fn()
+};
+
+jest.mock('aws-sdk', () => ({
+  DynamoDB: { DocumentClient: jest.fn(() => mockDocumentClient) }
+}));
+
+const {
+  fingerprintMessage,
+  findImportedMessages,
+  recordImportedMessages,
+  createLedger
+} = require('../services/importLedger');
+
+const respond = (result) => ({ promise: () => Promise.resolve(result) });
+
+const messageAt = (index, type = 'text') => ({
+  timestamp: new Date(2024, 2, 25, 9, 0, index),
+  sender: 'Ravi',
+  message: `Message ${index}`,
+  type
+});
+
+const messages = (count) => Array.from({ length: count }, (_, index) => messageAt(index));
+
+const keyOf = (message) => `msg#${fingerprintMessage(message)}`;
+
+// Ledger keys of every item written so far
+const written = () => mockDocumentClient.batchWrite.mock.calls
+  .flatMap(([params]) => params.RequestItems.ledger)
+  .map(request => request.PutRequest.Item.fingerprint);
+
+// Answer lookups as if the given messages were imported before
+const importedBefore = (previous) => {
+  const keys = new Set(previous.map(keyOf));
+
+  mockDocumentClient.batchGet.mockImplementation(params => respond({
+    Responses: { ledger: params.RequestItems.ledger.Keys.filter(key => keys.has(key.fingerprint)) }
+  }));
+};
+
+const collect = async (iterable) => {
+  const items = [];
+  for await (const item of iterable) items.push(item);
+  return items;
+};
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  importedBefore([]);
+  mockDocumentClient.batchWrite.mockImplementation(() => respond({}));
+});
+
+describe('createLedger', () => {
+  test('messages a past import recorded are flagged and counted', async () => {
+    const chat = messages(3);
+    importedBefore([chat[1]]);
+
+    const ledger = createLedger('user-1', { sourceFile: 'chat.txt' });
+    const marked = await collect(ledger.mark(chat));
+
+    expect(marked.map(message => message.alreadyImported)).toEqual([false, true, false]);
+    expect(ledger.counts).toEqual({ new: 2, alreadyImported: 1 });
+
+    await ledger.flush();
+    expect(written()).toEqual([keyOf(chat[0]), keyOf(chat[2])]);
+  });
+
+  test('nothing is written without a sourceFile', async () => {
+    const ledger = createLedger('user-1');
+
+    await collect(ledger.mark(messages(1500)));
+    await ledger.flush();
+
+    expect(ledger.counts.new).toBe(1500);
+    expect(mockDocumentClient.batchWrite).not.toHaveBeenCalled();
+  });
+
+  test('beforeFlush is awaited before fingerprints are written', async () => {
+    const order = [];
+    const beforeFlush = jest.fn(async () => {
+      await new Promise(resolve => setImmediate(resolve));
+      order.push('beforeFlush');
+    });
+    mockDocumentClient.batchWrite.mockImplementation(() => {
+      order.push('write');
+      return respond({});
+    });
+
+    const ledger = createLedger('user-1', { sourceFile: 'chat.txt', beforeFlush });
+    await collect(ledger.mark(messages(1100)));
+
+    expect(beforeFlush).toHaveBeenCalledTimes(1);
+    expect(order[0]).toBe('beforeFlush');
+    expect(order.filter(step => step === 'write')).toHaveLength(40);
+  });
+
+  test('the latest text message is not written until flush()', async () => {
+    const chat = messages(1100);
+    const ledger = createLedger('user-1', { sourceFile: 'chat.txt' });
+    let latest = null;
+    let writtenWhileHeld = null;
+
+    for await (const message of ledger.mark(chat)) {
+      if (mockDocumentClient.batchWrite.mock.calls.length > 0 && !writtenWhileHeld) {
+        writtenWhileHeld = written();
+        expect(writtenWhileHeld).not.toContain(keyOf(latest));
+      }
+      latest = message;
+    }
+
+    expect(writtenWhileHeld).toHaveLength(1000);
+    expect(written()).not.toContain(keyOf(chat[1099]));
+
+    await ledger.flush();
+    expect(written()).toHaveLength(1100);
+    expect(written()).toContain(keyOf(chat[1099]));
+  });
+
+  test('media after a text message does not release it', async () => {
+    const chat = [...messages(1000), messageAt(1000), messageAt(1001, 'media'), messageAt(1002, 'media')];
+    const ledger = createLedger('user-1', { sourceFile: 'chat.txt' });
+
+    await collect(ledger.mark(chat));
+
+    expect(written()).toHaveLength(1000);
+    expect(written()).not.toContain(keyOf(chat[1000]));
+  });
+});
+
+describe('unprocessed batches', () => {
+  const fingerprints = messages(3).map(fingerprintMessage);
+
+  test('keys DynamoDB leaves unprocessed are looked up again', async () => {
+    const [first, second, third] = fingerprints.map(fingerprint => ({ userId: 'user-1', fingerprint: `msg#${fingerprint}` }));
+
+    mockDocumentClient.batchGet
+      .mockReturnValueOnce(respond({ Responses: { ledger: [first] }, UnprocessedKeys: { ledger: { Keys: [second, third] } } }))
+      .mockReturnValueOnce(respond({ Responses: { ledger: [third] }, UnprocessedKeys: {} }));
+
+    const imported = await findImportedMessages('user-1', fingerprints);
+
+    expect([...imported]).toEqual([fingerprints[0], fingerprints[2]]);
+    expect(mockDocumentClient.batchGet.mock.calls[1][0].RequestItems.ledger.Keys).toEqual([second, third]);
+  });
+
+  test('items DynamoDB leaves unprocessed are written again', async () => {
+    mockDocumentClient.batchWrite.mockImplementationOnce(params => respond({
+      UnprocessedItems: { ledger: params.RequestItems.ledger.slice(1) }
+    }));
+
+    await recordImportedMessages('user-1', fingerprints, 'chat.txt');
+
+    expect(mockDocumentClient.batchWrite).toHaveBeenCalledTimes(2);
+    expect(written()).toEqual([...fingerprints, ...fingerprints.slice(1)].map(fingerprint => `msg#${fingerprint}`));
+  });
+
+  test('a lookup that stays unprocessed gives up after the retry limit', async () => {
+    mockDocumentClient.batchGet.mockImplementation(params => respond({
+      Responses: { ledger: [] },
+      UnprocessedKeys: { ledger: { Keys: params.RequestItems.ledger.Keys } }
+    }));
+
+    await expect(findImportedMessages('user-1', fingerprints)).rejects.toThrow('Import ledger lookup did not complete');
+    expect(mockDocumentClient.batchGet).toHaveBeenCalledTimes(6);
+  });
+
+  test('a write that stays unprocessed gives up after the retry limit', async () => {
+    mockDocumentClient.batchWrite.mockImplementation(params => respond({
+      UnprocessedItems: { ledger: params.RequestItems.ledger }
+    }));
+
+    await expect(recordImportedMessages('user-1', fingerprints, 'chat.txt')).rejects.toThrow('Import ledger update did not complete');
+    expect(mockDocumentClient.batchWrite).toHaveBeenCalledTimes(6);
+  });
+});
@@ -0,0 +1,47 @@
+// backend/__tests__/languagePacks.test.js
+const fs = require('fs');
+const path = require('path');
+const { detectLanguage, packsFor, isSupportedLanguage } = require('../services/languagePacks');
+const { extractReferralsFromText } = require('../services/referralExtractor');
+
+const extractFixture = (name, options) => extractReferralsFromText(
+  fs.readFileSync(path.join(__dirname, 'fixtures', 'chats', name), 'utf-8'),
+  options
+);
+
+describe('detectLanguage', () => {
+  test.each([
+    ['¿Alguien conoce un buen fontanero en Madrid?', 'es'],
+    ['Alguém conhece um bom eletricista em Campinas?', 'pt'],
+    ['क्या कोई अच्छा प्लंबर जानता है?', 'hi'],
+    ['Anyone know a good plumber?', 'en']
+  ])('%s is read as %s', (text, language) => {
+    expect(detectLanguage(text)).toBe(language);
+  });
+
+  test('text with no words to go on is English, and empty text has no language', () => {
+    expect(detectLanguage('98765 43210')).toBe('en');
+    expect(detectLanguage('  ')).toBeNull();
+  });
+
+  test('a message is read with its own pack and then English', () => {
+    expect(packsFor('es').map(pack => pack.id)).toEqual(['es', 'en']);
+    expect(packsFor('en').map(pack => pack.id)).toEqual(['en']);
+    expect(packsFor('fr').map(pack => pack.id)).toEqual(['en']);
+    expect(isSupportedLanguage('fr')).toBe(false);
+  });
+});
+
+describe('referrals in other languages', () => {
+  test.each([
+    ['thread-es.txt', 'ES', { language: 'es', businessName: 'Pérez y Hijos', professionCategory: 'plumber', city: 'Madrid', contactE164: '+34612345678' }],
+    ['thread-pt.txt', 'BR', { language: 'pt', businessName: 'Silva Elétrica', professionCategory: 'electrician', city: 'Campinas', contactE164: '+5511987654321' }],
+    ['thread-hi.txt', 'IN', { language: 'hi', professionCategory: 'plumber', contactE164: '+919876543210' }]
+  ])('%s is read with its own pack', (fixture, defaultCountry, expected) => {
+    const candidates = extractFixture(fixture, { defaultCountry });
+
+    expect(candidates).toHaveLength(1);
+    expect(candidates[0]).toMatchObject({ ...expected, sentiment: 'positive' });
+    expect(candidates[0].answeredQuestion).toMatchObject({ line: 1 });
+  });
+});
@@ -0,0 +1,151 @@
+// backend/__tests__/pageCursor.test.js
+process.env.PAGE_CURSOR_SECRET = 'test-cursor-secret';
+process.env.SENDER_HASH_SECRET = 'test-sender-secret';
+process.env.DYNAMO_TABLE_NAME = 'referrals';
+
+const mockDocumentClient = {
+  query: jest.fn()
+};
+
+jest.mock('aws-sdk', () => {
+  const AWS = jest.requireActual('aws-sdk');
+  return { ...AWS, DynamoDB: { ...AWS.DynamoDB, DocumentClient: jest.fn(() => mockDocumentClient) } };
+});
+
+// Signed in as whoever the X-Test-User header names
+jest.mock('../middleware/auth', () => ({
+  authenticate: (req, res, next) => {
+    req.user = { userId: req.get('X-Test-User') || 'user-1' };
+    next();
+  },
+  requireRole: () => (req, res, next) => next(),
+  rateLimitByUser: () => (req, res, next) => next()
+}));
+
+const crypto = require('crypto');
+const request = require('supertest');
+const app = require('../server');
+const { INVALID_CURSOR, encodeCursor, decodeCursor } = require('../services/pageCursor');
+
+const respond = (result) => ({ promise: () => Promise.resolve(result) });
+
+const KEY = { referralId: 'ref-50', userId: 'user-1', createdAt: '2024-03-25T09:00:00.000Z' };
+
+const referral = (index) => ({ referralId: `ref-${index}`, userId: 'user-1', businessName: `Business ${index}` });
+
+const referrals = (from, count) => Array.from({ length: count }, (_, index) => referral(from + index));
+
+const getReferrals = (query, userId = 'user-1') => request(app)
+  .get('/api/referrals')
+  .query(query)
+  .set('X-Test-User', userId);
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  console.error.mockRestore();
+});
+
+describe('cursors', () => {
+  test('a cursor decodes to the key it was made from', () => {
+    expect(decodeCursor(encodeCursor(KEY, 'user-1'), 'user-1')).toEqual(KEY);
+  });
+
+  test('there is no cursor after the last page', () => {
+    expect(encodeCursor(undefined, 'user-1')).toBeNull();
+  });
+
+  test('a cursor only works for the user it was issued to', () => {
+    expect(() => decodeCursor(encodeCursor(KEY, 'user-1'), 'user-2')).toThrow(INVALID_CURSOR);
+  });
+
+  test('an edited key is rejected', () => {
+    const [, signature] = encodeCursor(KEY, 'user-1').split('.');
+    const edited = Buffer.from(JSON.stringify({ ...KEY, referralId: 'ref-1' })).toString('base64url');
+
+    expect(() => decodeCursor(`${edited}.${signature}`, 'user-1')).toThrow(INVALID_CURSOR);
+  });
+});
+
+describe('GET /api/referrals', () => {
+  test('the cursor of a full page leads to the next one', async () => {
+    mockDocumentClient.query
+      .mockReturnValueOnce(respond({ Items: referrals(1, 2), ScannedCount: 2, LastEvaluatedKey: KEY }))
+      .mockReturnValueOnce(respond({ Items: referrals(3, 1), ScannedCount: 1 }));
+
+    const first = await getReferrals({ limit: 2 });
+    const second = await getReferrals({ limit: 2, cursor: first.body.cursor });
+
+    expect(first.status).toBe(200);
+    expect(first.body.items.map(item => item.referralId)).toEqual(['ref-1', 'ref-2']);
+    expect(second.body.items.map(item => item.referralId)).toEqual(['ref-3']);
+    expect(second.body.cursor).toBeNull();
+    expect(mockDocumentClient.query.mock.calls[1][0]).toMatchObject({ ExclusiveStartKey: KEY, Limit: 2 });
+  });
+
+  test.each([
+    ['edited', (cursor) => `${Buffer.from(JSON.stringify({ referralId: 'ref-1' })).toString('base64url')}.${cursor.split('.')[1]}`],
+    ['signed with a forged signature', (cursor) => `${cursor.split('.')[0]}.${'A'.repeat(43)}`],
+    ['not base64url', (cursor) => `${cursor.split('.')[0]}+/=.${cursor.split('.')[1]}`],
+    ['missing its signature', (cursor) => cursor.split('.')[0]],
+    ['too long', () => `${'A'.repeat(2000)}.${'A'.repeat(43)}`]
+  ])('a cursor that is %s is rejected with a 400', async (name, tamper) => {
+    const response = await getReferrals({ cursor: tamper(encodeCursor(KEY, 'user-1')) });
+
+    expect(response.status).toBe(400);
+    expect(response.body).toEqual({ success: false, error: INVALID_CURSOR });
+    expect(mockDocumentClient.query).not.toHaveBeenCalled();
+  });
+
+  test("another user's cursor is rejected with a 400", async () => {
+    const response = await getReferrals({ cursor: encodeCursor(KEY, 'user-1') }, 'user-2');
+
+    expect(response.status).toBe(400);
+    expect(response.body.error).toBe(INVALID_CURSOR);
+    expect(mockDocumentClient.query).not.toHaveBeenCalled();
+  });
+
+  test('a signed cursor that is not a key is rejected with a 400', async () => {
+    const payload = Buffer.from('not json').toString('base64url');
+    const signature = crypto.createHmac('sha256', 'test-cursor-secret:user-1').update(payload).digest('base64url');
+
+    const response = await getReferrals({ cursor: `${payload}.${signature}` });
+
+    expect(response.status).toBe(400);
+    expect(response.body.error).toBe(INVALID_CURSOR);
+  });
+
+  test('a filtered page keeps reading until it is full', async () => {
+    const reads = [referrals(1, 1), [], [], [], [], [], referrals(2, 2)];
+    reads.forEach((items, index) => mockDocumentClient.query.mockReturnValueOnce(respond({
+      Items: items,
+      ScannedCount: 3,
+      LastEvaluatedKey: { ...KEY, referralId: `ref-read-${index}` }
+    })));
+
+    const response = await getReferrals({ limit: 3, city: 'Mumbai' });
+
+    expect(response.body.items.map(item => item.referralId)).toEqual(['ref-1', 'ref-2', 'ref-3']);
+    expect(response.body.scannedCount).toBe(21);
+    expect(mockDocumentClient.query).toHaveBeenCalledTimes(7);
+    expect(mockDocumentClient.query.mock.calls.map(([params]) => params.Limit)).toEqual([3, 2, 2, 2, 2, 2, 2]);
+    expect(decodeCursor(response.body.cursor, 'user-1').referralId).toBe('ref-read-6');
+  });
+
+  test('a page the filters leave empty is the last page', async () => {
+    Array.from({ length: 7 }).forEach((_, index) => mockDocumentClient.query.mockReturnValueOnce(respond({
+      Items: [],
+      ScannedCount: 50,
+      LastEvaluatedKey: index < 6 ? { ...KEY, referralId: `ref-read-${index}` } : undefined
+    })));
+
+    const response = await getReferrals({ city: 'Nowhere' });
+
+    expect(response.status).toBe(200);
+    expect(response.body).toMatchObject({ items: [], count: 0, cursor: null });
+    expect(mockDocumentClient.query).toHaveBeenCalledTimes(7);
+  });
+});
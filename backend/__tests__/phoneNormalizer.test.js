@@ -0,0 +1,88 @@
+// backend/__tests__/phoneNormalizer.test.js
+const {
+  toCountryCode,
+  normalizePhoneNumber,
+  detectChatCountry,
+  resolveDefaultCountry
+} = require('../services/phoneNormalizer');
+
+describe('normalizePhoneNumber', () => {
+  test('a local number takes the default country', () => {
+    expect(normalizePhoneNumber('98765 43210', 'IN')).toEqual({
+      raw: '98765 43210',
+      e164: '+919876543210',
+      country: 'IN'
+    });
+    expect(normalizePhoneNumber(' 98765 43210 ', 'in').e164).toBe('+919876543210');
+  });
+
+  test('a local number is not normalized without a known country', () => {
+    expect(normalizePhoneNumber('98765 43210')).toBeNull();
+    expect(normalizePhoneNumber('98765 43210', 'XX')).toBeNull();
+  });
+
+  test('a number with a "+" keeps its own country whatever the default', () => {
+    expect(normalizePhoneNumber('+91 98765 43210', 'US')).toMatchObject({ e164: '+919876543210', country: 'IN' });
+    expect(normalizePhoneNumber('+14155552671', 'IN')).toMatchObject({ e164: '+14155552671', country: 'US' });
+  });
+
+  test('a number dialled with "00" is read as international', () => {
+    expect(normalizePhoneNumber('0091 98765 43210', 'IN').e164).toBe('+919876543210');
+    expect(normalizePhoneNumber('0091 98765 43210', 'GB')).toMatchObject({ e164: '+919876543210', country: 'IN' });
+  });
+
+  test('an extension is kept in the raw text but not in the E.164 number', () => {
+    expect(normalizePhoneNumber('+91 98765 43210 ext. 12', 'IN')).toEqual({
+      raw: '+91 98765 43210 ext. 12',
+      e164: '+919876543210',
+      country: 'IN'
+    });
+    expect(normalizePhoneNumber('(415) 555-2671 x99', 'US').e164).toBe('+14155552671');
+  });
+
+  test('text that is not a valid number gives null', () => {
+    expect(normalizePhoneNumber('12345', 'IN')).toBeNull();
+    expect(normalizePhoneNumber('+91 12345', 'IN')).toBeNull();
+    expect(normalizePhoneNumber('call me', 'IN')).toBeNull();
+    expect(normalizePhoneNumber('   ', 'IN')).toBeNull();
+    expect(normalizePhoneNumber(null, 'IN')).toBeNull();
+  });
+
+  test('a stored E.164 number normalizes back to itself under any default', () => {
+    const { e164 } = normalizePhoneNumber('98765 43210', 'IN');
+
+    ['IN', 'US', 'GB', undefined].forEach((country) => {
+      expect(normalizePhoneNumber(e164, country).e164).toBe(e164);
+    });
+  });
+});
+
+describe('default country', () => {
+  const indianChat = [
+    { sender: '+91 98765 43210', message: 'Anyone know a plumber?' },
+    { sender: 'Priya', message: 'Call +44 20 7946 0958 or +91 99887 76655' }
+  ];
+
+  test('country codes are validated and uppercased', () => {
+    expect(toCountryCode(' gb ')).toBe('GB');
+    expect(toCountryCode('XX')).toBeNull();
+    expect(toCountryCode('GBR')).toBeNull();
+    expect(toCountryCode(undefined)).toBeNull();
+  });
+
+  test('the chat country is the most common country among its numbers', () => {
+    expect(detectChatCountry(indianChat)).toBe('IN');
+    expect(detectChatCountry([{ sender: 'Priya', message: 'no numbers here' }])).toBeNull();
+  });
+
+  test('the request wins over the profile, and the profile over the chat', () => {
+    expect(resolveDefaultCountry({ requested: 'us', profileCountry: 'GB', messages: indianChat })).toBe('US');
+    expect(resolveDefaultCountry({ requested: 'XX', profileCountry: 'gb', messages: indianChat })).toBe('GB');
+    expect(resolveDefaultCountry({ messages: indianChat })).toBe('IN');
+  });
+
+  test('no country is guessed when nothing gives one', () => {
+    expect(resolveDefaultCountry()).toBeNull();
+    expect(resolveDefaultCountry({ messages: [] })).toBeNull();
+  });
+});
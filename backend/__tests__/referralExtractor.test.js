@@ -0,0 +1,214 @@
+// backend/__tests__/referralExtractor.test.js
+const fs = require('fs');
+const path = require('path');
+const {
+  extractReferrals,
+  extractReferralsFromText,
+  extractReferralsFromMessages,
+  extractFromMessage,
+  isRequestMessage
+} = require('../services/referralExtractor');
+const { parseWhatsAppText } = require('../whatsapp_processing');
+const { parseVCards } = require('../services/vcardParser');
+
+const readChat = (name) => fs.readFileSync(path.join(__dirname, 'fixtures', 'chats', name), 'utf-8');
+
+const extract = (message) => extractFromMessage({ message, sender: 'Ravi', line: 1 }, { defaultCountry: 'IN' });
+
+const messageAt = (message, line) => ({
+  sender: 'Ravi',
+  message,
+  type: 'text',
+  line,
+  timestamp: new Date(2024, 2, 25, 21, line)
+});
+
+// The contact card a "with media" export stores next to the chat
+const VIJAY_CARD = {
+  name: '00000012-Vijay.vcf',
+  type: 'contact',
+  fileKey: 'user-1/chat/attachments/00000012-Vijay.vcf',
+  cards: parseVCards(fs.readFileSync(path.join(__dirname, 'fixtures', 'cards', 'vijay.vcf'), 'utf-8'))
+};
+
+const collect = async (iterable) => {
+  const items = [];
+  for await (const item of iterable) items.push(item);
+  return items;
+};
+
+describe('confidence scoring', () => {
+  test('a recommendation with a name, trade and number scores full confidence', () => {
+    expect(extract('Call Sharma Plumbing 98765 43210, highly recommend them')).toMatchObject({
+      businessName: 'Sharma Plumbing',
+      professionCategory: 'plumber',
+      contactE164: '+919876543210',
+      confidence: 1
+    });
+  });
+
+  test('a warning to avoid a business scores like a recommendation', () => {
+    expect(extract('Avoid Kumar Services, they overcharged me')).toMatchObject({
+      businessName: 'Kumar Services',
+      confidence: 0.45,
+      sentiment: 'negative'
+    });
+  });
+
+  test('stronger phrasing scores higher', () => {
+    expect(extract('Try Sharma Plumbing').confidence).toBe(0.4);
+    expect(extract('Call Sharma Plumbing').confidence).toBe(0.45);
+    expect(extract('Sharma Plumbing fixed my sink').confidence).toBe(0.5);
+  });
+
+  test('a message with no name or number is not a candidate', () => {
+    expect(extract('Sharma Plumbing')).toBeNull();
+    expect(extract('Thanks everyone!')).toBeNull();
+  });
+
+  test('a question handing out a number loses confidence but stays a candidate', () => {
+    expect(extract('Anyone know a good plumber? Sharma Plumbing 98765 43210').confidence).toBe(0.45);
+  });
+});
+
+describe('confidence threshold', () => {
+  const messages = [messageAt('Try Sharma Plumbing', 1), messageAt('Call Raj', 2)];
+
+  test('candidates scoring exactly the minimum are kept and lower ones dropped', () => {
+    const candidates = extractReferrals(messages, { defaultCountry: 'IN' });
+
+    expect(candidates.map(candidate => candidate.businessName)).toEqual(['Sharma Plumbing']);
+  });
+
+  test('the minimum can be raised or lowered', () => {
+    expect(extractReferrals(messages, { defaultCountry: 'IN', minConfidence: 0.41 })).toEqual([]);
+    expect(extractReferrals(messages, { defaultCountry: 'IN', minConfidence: 0.3 })).toHaveLength(2);
+  });
+});
+
+describe('isRequestMessage', () => {
+  test('asking for a recommendation is a request, question mark or not', () => {
+    expect(isRequestMessage('Anyone know a good plumber in Bandra?')).toBe(true);
+    expect(isRequestMessage('Looking for an electrician near Andheri')).toBe(true);
+  });
+
+  test('a bare question naming a trade is a request', () => {
+    expect(isRequestMessage('Plumber in Bandra?')).toBe(true);
+  });
+
+  test('a question about anything else is not a request', () => {
+    expect(isRequestMessage('Did you see the game?')).toBe(false);
+    expect(isRequestMessage('ok?')).toBe(false);
+  });
+
+  test('a recommendation is not a request', () => {
+    expect(isRequestMessage('Call Sharma Plumbing 98765 43210')).toBe(false);
+  });
+
+  test('requests are not candidates', () => {
+    expect(extractReferrals([messageAt('Anyone know a good plumber in Bandra?', 1)], { defaultCountry: 'IN' })).toEqual([]);
+  });
+});
+
+describe('streamed extraction', () => {
+  test('messages read one at a time yield the same candidates as the whole text', async () => {
+    const text = readChat('thread-en.txt');
+    const streamed = await collect(extractReferralsFromMessages(parseWhatsAppText(text), { defaultCountry: 'IN' }));
+
+    expect(streamed).toHaveLength(2);
+    expect(streamed).toEqual(extractReferralsFromText(text, { defaultCountry: 'IN' }));
+  });
+});
+
+describe('attachments', () => {
+  test('a photo sent right after a referral is attached to it', () => {
+    const [sharma] = extractReferralsFromText(readChat('photo-after-referral.txt'), {
+      defaultCountry: 'IN',
+      attachments: [{ name: '00000013-PHOTO.jpg', type: 'image', fileKey: 'user-1/chat/attachments/00000013-PHOTO.jpg' }]
+    });
+
+    expect(sharma.businessName).toBe('Sharma Plumbing');
+    expect(sharma.attachments.map(attachment => attachment.name)).toEqual(['00000013-PHOTO.jpg']);
+  });
+});
+
+describe('contact cards', () => {
+  const extractWithCard = (name) => extractReferralsFromText(readChat(name), { defaultCountry: 'IN', attachments: [VIJAY_CARD] });
+
+  test('a card shared after a describing message becomes a candidate', () => {
+    const candidates = extractWithCard('card-after-message.txt');
+
+    expect(candidates).toHaveLength(1);
+    expect(candidates[0]).toMatchObject({
+      businessName: 'Vijay Electricals',
+      name: 'Vijay Kumar',
+      email: 'vijay@example.com',
+      contactE164: '+919876511111',
+      professionCategory: 'electrician',
+      message: 'This guy is great'
+    });
+    expect(candidates[0].attachments.map(attachment => attachment.name)).toEqual(['00000012-Vijay.vcf']);
+    expect(candidates[0].answeredQuestion).toMatchObject({ line: 1 });
+  });
+
+  test('a card is filled in by the message its sender writes right after it', () => {
+    const [vijay] = extractWithCard('card-before-message.txt');
+
+    expect(vijay).toMatchObject({
+      businessName: 'Vijay Electricals',
+      city: 'Pune',
+      locationSource: 'message',
+      message: 'Best electrician in Pune',
+      sentiment: 'positive'
+    });
+  });
+
+  test('the card keeps every number and email as contact channels', () => {
+    const [vijay] = extractWithCard('card-after-message.txt');
+
+    expect(vijay.contactChannels.map(channel => channel.type).sort()).toEqual(['email', 'phone']);
+  });
+});
+
+describe('context', () => {
+  const contextLines = (candidate) => candidate.context.map(entry => entry.line);
+
+  test('a referral keeps the messages just before it and the one after', () => {
+    const [sharma, kumar] = extractReferralsFromText(readChat('thread-en.txt'), { defaultCountry: 'IN' });
+
+    expect(contextLines(sharma)).toEqual([1, 3]);
+    expect(sharma.context[0]).toEqual({
+      sender: 'Asha',
+      timestamp: new Date(2024, 2, 25, 9, 0).toISOString(),
+      message: 'Anyone know a good plumber in Bandra?',
+      line: 1
+    });
+    expect(contextLines(kumar)).toEqual([2, 3]);
+  });
+
+  test('only the last two messages before a referral are kept, each shortened', () => {
+    const long = `Anyone free this weekend? ${'la '.repeat(100)}`;
+    const [candidate] = extractReferrals([
+      messageAt('Morning all', 1),
+      messageAt(long, 2),
+      messageAt('Has anyone been to the new cafe?', 3),
+      messageAt('Call Sharma Plumbing 98765 43210', 4)
+    ], { defaultCountry: 'IN' });
+
+    expect(contextLines(candidate)).toEqual([2, 3]);
+    expect(candidate.context[0].message).toHaveLength(201);
+    expect(candidate.context[0].message.endsWith('…')).toBe(true);
+  });
+});
+
+describe('messages imported before', () => {
+  test('they count as context and questions but yield no candidates', () => {
+    const messages = parseWhatsAppText(readChat('thread-en.txt'))
+      .map(message => ({ ...message, alreadyImported: message.line === 2 }));
+    const candidates = extractReferrals(messages, { defaultCountry: 'IN', threadWindowMinutes: 360 });
+
+    expect(candidates.map(candidate => candidate.businessName)).toEqual(['Kumar Services']);
+    expect(candidates[0].context.map(entry => entry.line)).toEqual([2, 3]);
+    expect(candidates[0].answeredQuestion).toMatchObject({ line: 1 });
+  });
+});
@@ -0,0 +1,207 @@
+// backend/__tests__/referralStats.test.js
+process.env.DYNAMO_TABLE_NAME = 'referrals';
+process.env.REFERRAL_STATS_TABLE_NAME = 'stats';
+
+const mockDocumentClient = {
+  get: jest.fn(),
+  put: jest.fn(),
+  query: jest.fn(),
+  transactWrite: jest.fn()
+};
+
+jest.mock('aws-sdk', () => ({
+  DynamoDB: { DocumentClient: jest.fn(() => mockDocumentClient) }
+}));
+
+const { counterUpdate, getReferralStats } = require('../services/referralStats');
+const dynamodbService = require('../services/dynamodbService');
+
+const respond = (result) => ({ promise: () => Promise.resolve(result) });
+const fail = (error) => ({ promise: () => Promise.reject(error) });
+
+const REFERRAL_ID = '6f1c2a9e-3b4d-4c5e-8f6a-7b8c9d0e1f2a';
+
+const REFERRAL = {
+  referralId: REFERRAL_ID,
+  userId: 'user-1',
+  businessName: 'Sharma Plumbing',
+  profession: 'plumber',
+  professionCategory: 'plumber',
+  city: 'Mumbai',
+  status: 'active',
+  verified: false,
+  updatedAt: '2024-03-25T09:00:00.000Z'
+};
+
+const cancelled = (reasons) => Object.assign(
+  new Error(`Transaction cancelled, please refer cancellation reasons for specific reasons [${reasons}]`),
+  { code: 'TransactionCanceledException' }
+);
+
+// Counter names and amounts an update adds
+const added = (update) => Object.fromEntries(Object.keys(update.Update.ExpressionAttributeNames)
+  .filter(name => name.startsWith('#counter'))
+  .map(name => [
+    update.Update.ExpressionAttributeNames[name],
+    update.Update.ExpressionAttributeValues[name.replace('#counter', ':amount')]
+  ]));
+
+// The stats item as stored, answered to every get on the stats table
+const storedStats = (item) => {
+  mockDocumentClient.get.mockImplementation(({ TableName }) => respond(
+    TableName === 'stats' ? { Item: item } : { Item: REFERRAL }
+  ));
+};
+
+async function* listOf(referrals) {
+  yield* referrals;
+}
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  mockDocumentClient.put.mockReturnValue(respond({}));
+  mockDocumentClient.transactWrite.mockReturnValue(respond({}));
+  storedStats({ userId: 'user-1', countedAt: '2024-03-25T09:00:00.000Z', settled: true });
+});
+
+afterEach(() => {
+  console.error.mockRestore();
+});
+
+describe('counterUpdate', () => {
+  test('cities are counted single-spaced and capitalised', async () => {
+    const update = await counterUpdate('user-1', [
+      { before: null, after: { ...REFERRAL, city: '  new   delhi ' } },
+      { before: null, after: { ...REFERRAL, city: 'NEW DELHI' } }
+    ]);
+
+    expect(added(update)).toMatchObject({ 'city:New Delhi': 2 });
+  });
+
+  test('cities past the cap are counted as other cities', async () => {
+    const cities = Object.fromEntries(Array.from({ length: 500 }, (_, index) => [`city:City ${index}`, 1]));
+    storedStats({ userId: 'user-1', countedAt: '2024-03-25T09:00:00.000Z', ...cities });
+
+    const update = await counterUpdate('user-1', [
+      { before: null, after: { ...REFERRAL, city: 'City 7' } },
+      { before: null, after: { ...REFERRAL, city: 'Pune' } }
+    ]);
+
+    expect(added(update)).toEqual({
+      'count:total': 2,
+      'profession:plumber': 2,
+      'status:active': 2,
+      'city:City 7': 1,
+      'count:otherCities': 1
+    });
+  });
+
+  test('a new city gets a counter while there is room', async () => {
+    const update = await counterUpdate('user-1', [{ before: null, after: { ...REFERRAL, city: 'Pune' } }]);
+
+    expect(added(update)['city:Pune']).toBe(1);
+    expect(added(update)['count:otherCities']).toBeUndefined();
+  });
+
+  test('a referral is only verified when verified is true', async () => {
+    const update = await counterUpdate('user-1', [
+      { before: null, after: { ...REFERRAL, verified: 'false' } },
+      { before: null, after: { ...REFERRAL, verified: true } }
+    ]);
+
+    expect(added(update)['count:verified']).toBe(1);
+  });
+
+  test('no update is written when no counter moves', async () => {
+    expect(await counterUpdate('user-1', [{ before: REFERRAL, after: { ...REFERRAL, businessName: 'Sharma & Sons' } }]))
+      .toBeNull();
+  });
+});
+
+describe('getReferralStats', () => {
+  test('stats that were never counted are counted from the referrals', async () => {
+    storedStats(undefined);
+
+    const stats = await getReferralStats('user-1', () => listOf([REFERRAL, { ...REFERRAL, city: 'mumbai ', verified: true }]));
+
+    expect(stats).toMatchObject({ total: 2, active: 2, verified: 1, byCity: { Mumbai: 2 } });
+    expect(mockDocumentClient.put.mock.calls[0][0].Item.settled).toBe(false);
+  });
+
+  test('a first count is redone once the index has caught up', async () => {
+    storedStats({ userId: 'user-1', version: 3, 'count:total': 1, countedAt: '2024-03-25T09:00:00.000Z', updatedAt: '2024-03-25T09:00:00.000Z', settled: false });
+    const listReferrals = jest.fn(() => listOf([REFERRAL, REFERRAL]));
+
+    const stats = await getReferralStats('user-1', listReferrals);
+
+    expect(stats.total).toBe(2);
+    expect(mockDocumentClient.put.mock.calls[0][0]).toMatchObject({
+      Item: { settled: true, version: 4 },
+      ExpressionAttributeValues: { ':version': 3 }
+    });
+  });
+
+  test('a first count is kept while writes it could have missed are recent', async () => {
+    const now = new Date().toISOString();
+    storedStats({ userId: 'user-1', 'count:total': 1, countedAt: now, updatedAt: now, settled: false });
+    const listReferrals = jest.fn();
+
+    expect((await getReferralStats('user-1', listReferrals)).total).toBe(1);
+    expect(listReferrals).not.toHaveBeenCalled();
+  });
+
+  test('a settled count is read as stored', async () => {
+    storedStats({ userId: 'user-1', 'count:total': 7, 'count:otherCities': 2, countedAt: '2024-03-25T09:00:00.000Z', settled: true });
+    const listReferrals = jest.fn();
+
+    expect(await getReferralStats('user-1', listReferrals)).toMatchObject({ total: 7, otherCities: 2 });
+    expect(listReferrals).not.toHaveBeenCalled();
+  });
+});
+
+describe('writes with counters', () => {
+  test('a transaction that conflicted with another is tried again', async () => {
+    mockDocumentClient.transactWrite
+      .mockReturnValueOnce(fail(cancelled('None, TransactionConflict')))
+      .mockReturnValueOnce(respond({}));
+
+    const result = await dynamodbService.updateReferral(REFERRAL_ID, { status: 'inactive' }, 'user-1');
+
+    expect(result.data.status).toBe('inactive');
+    expect(mockDocumentClient.transactWrite).toHaveBeenCalledTimes(2);
+  });
+
+  test('a transaction that keeps conflicting gives up', async () => {
+    mockDocumentClient.transactWrite.mockReturnValue(fail(cancelled('None, TransactionConflict')));
+
+    await expect(dynamodbService.updateReferral(REFERRAL_ID, { status: 'inactive' }, 'user-1'))
+      .rejects.toThrow('Failed to update referral');
+    expect(mockDocumentClient.transactWrite).toHaveBeenCalledTimes(4);
+  });
+
+  test('a failed condition is not tried again', async () => {
+    mockDocumentClient.transactWrite.mockReturnValue(fail(cancelled('ConditionalCheckFailed, None')));
+
+    await expect(dynamodbService.updateReferral(REFERRAL_ID, { status: 'inactive' }, 'user-1'))
+      .rejects.toThrow('Referral was changed by another request; try again');
+    expect(mockDocumentClient.transactWrite).toHaveBeenCalledTimes(1);
+  });
+
+  test('an unknown status is rejected', async () => {
+    await expect(dynamodbService.updateReferral(REFERRAL_ID, { status: 'archived' }, 'user-1'))
+      .rejects.toThrow('Invalid referral status');
+    expect(mockDocumentClient.transactWrite).not.toHaveBeenCalled();
+  });
+
+  test.each([
+    ['false', false],
+    ['true', true],
+    [true, true],
+    [0, false]
+  ])('verified %p is stored as %p', async (verified, expected) => {
+    const result = await dynamodbService.updateReferral(REFERRAL_ID, { verified }, 'user-1');
+
+    expect(result.data.verified).toBe(expected);
+  });
+});
@@ -0,0 +1,55 @@
+// backend/__tests__/replyThreading.test.js
+const fs = require('fs');
+const path = require('path');
+const { extractReferralsFromText } = require('../services/referralExtractor');
+
+const extractFixture = (name, options = {}) => extractReferralsFromText(
+  fs.readFileSync(path.join(__dirname, 'fixtures', 'chats', name), 'utf-8'),
+  { defaultCountry: 'IN', ...options }
+);
+
+describe('replies to questions', () => {
+  test('a reply inherits the profession and place of the question it answers', () => {
+    const [sharma] = extractFixture('thread-en.txt');
+
+    expect(sharma).toMatchObject({
+      businessName: 'Sharma Plumbing',
+      professionCategory: 'plumber',
+      contactE164: '+919876543210',
+      city: 'Mumbai',
+      locationSource: 'question',
+      sentiment: 'positive'
+    });
+    expect(sharma.answeredQuestion).toMatchObject({ sender: 'Asha', line: 1 });
+  });
+
+  test('the question itself is not a referral', () => {
+    const candidates = extractFixture('thread-en.txt');
+
+    expect(candidates.map(candidate => candidate.businessName)).toEqual(['Sharma Plumbing', 'Kumar Services']);
+  });
+
+  test('a reply sent hours after the question answers nothing', () => {
+    const [, kumar] = extractFixture('thread-en.txt');
+
+    expect(kumar.businessName).toBe('Kumar Services');
+    expect(kumar.answeredQuestion).toBeNull();
+    expect(kumar.professionCategory).toBeNull();
+  });
+
+  test('how long after a question a reply still answers it can be widened', () => {
+    const [, kumar] = extractFixture('thread-en.txt', { threadWindowMinutes: 360 });
+
+    expect(kumar.answeredQuestion).toMatchObject({ line: 1 });
+    expect(kumar.professionCategory).toBe('plumber');
+  });
+
+  test('a reply quoting a question answers it however long ago it was asked', () => {
+    const [vijay] = extractFixture('quoted-reply.txt');
+
+    expect(vijay.businessName).toBe('Vijay Electricals');
+    expect(vijay.answeredQuestion).toMatchObject({ line: 1 });
+    expect(vijay.professionCategory).toBe('electrician');
+    expect(vijay.message).not.toContain('>');
+  });
+});
@@ -0,0 +1,58 @@
+// backend/__tests__/senderBlocklist.test.js
+process.env.SENDER_BLOCKLIST_TABLE_NAME = 'blocklist';
+
+const mockDocumentClient = {
+  query: jest.fn(),
+  put: jest.fn()
+};
+
+jest.mock('aws-sdk', () => ({
+  DynamoDB: { DocumentClient: jest.fn(() => mockDocumentClient) }
+}));
+
+const { blockSender } = require('../services/senderBlocklist');
+
+const respond = (result) => ({ promise: () => Promise.resolve(result) });
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  mockDocumentClient.query.mockReturnValue(respond({ Items: [] }));
+  mockDocumentClient.put.mockReturnValue(respond({}));
+});
+
+afterEach(() => {
+  console.error.mockRestore();
+});
+
+describe('blockSender', () => {
+  test('a sender is stored as entered under its blocklist key', async () => {
+    const result = await blockSender('user-1', ' ~Ravi Kumar ');
+
+    expect(result).toMatchObject({ success: true, senderKey: 'name:ravi kumar', sender: '~Ravi Kumar' });
+    expect(mockDocumentClient.put.mock.calls[0][0].Item).toMatchObject({ userId: 'user-1', senderKey: 'name:ravi kumar' });
+  });
+
+  test('blocking the same sender again changes nothing', async () => {
+    mockDocumentClient.query.mockReturnValue(respond({
+      Items: [{ userId: 'user-1', senderKey: 'name:ravi kumar', sender: 'Ravi Kumar', createdAt: '2024-03-25T09:00:00.000Z' }]
+    }));
+
+    const result = await blockSender('user-1', 'RAVI KUMAR');
+
+    expect(result).toMatchObject({ sender: 'Ravi Kumar', createdAt: '2024-03-25T09:00:00.000Z' });
+    expect(mockDocumentClient.put).not.toHaveBeenCalled();
+  });
+
+  test.each([
+    ['nothing', ''],
+    ['spaces', '   '],
+    ['a bare "~"', ' ~ '],
+    ['only direction marks', '\u200e\u202a\u202c'],
+    ['a name that is too long', 'x'.repeat(101)],
+    ['something that is not text', 42]
+  ])('%s is rejected as an invalid sender', async (label, sender) => {
+    await expect(blockSender('user-1', sender)).rejects.toThrow('Invalid sender');
+    expect(mockDocumentClient.put).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,123 @@
+// backend/__tests__/senderPrivacy.test.js
+const {
+  SENDER_MODES,
+  pseudonymizeSender,
+  applySenderMode,
+  toSenderKey,
+  blockedCandidateCheck
+} = require('../services/senderPrivacy');
+const { parseChatText } = require('../services/chatFormats');
+
+const SECRET = 'test-sender-secret';
+
+const candidate = {
+  sender: 'Ravi',
+  businessName: 'Sharma Plumbing',
+  answeredQuestion: { sender: 'Asha', line: 1 },
+  context: [{ sender: 'Asha', line: 1 }, { sender: 'Meera', line: 3 }]
+};
+
+let savedSecret;
+
+beforeEach(() => {
+  savedSecret = process.env.SENDER_HASH_SECRET;
+  process.env.SENDER_HASH_SECRET = SECRET;
+});
+
+afterEach(() => {
+  if (savedSecret === undefined) {
+    delete process.env.SENDER_HASH_SECRET;
+  } else {
+    process.env.SENDER_HASH_SECRET = savedSecret;
+  }
+});
+
+describe('pseudonyms', () => {
+  test('a sender gets the same alias in every import of a user', () => {
+    const alias = pseudonymizeSender('Ravi', 'user-1');
+
+    expect(alias).toMatch(/^Member [0-9a-f]{8}$/);
+    expect(pseudonymizeSender(' ravi ', 'user-1')).toBe(alias);
+    expect(pseudonymizeSender('Asha', 'user-1')).not.toBe(alias);
+  });
+
+  test('the same sender gets a different alias for another user or secret', () => {
+    const alias = pseudonymizeSender('Ravi', 'user-1');
+
+    expect(pseudonymizeSender('Ravi', 'user-2')).not.toBe(alias);
+
+    process.env.SENDER_HASH_SECRET = 'another-secret';
+    expect(pseudonymizeSender('Ravi', 'user-1')).not.toBe(alias);
+  });
+
+  test('an alias is not pseudonymized again', () => {
+    const alias = pseudonymizeSender('Ravi', 'user-1');
+
+    expect(pseudonymizeSender(alias, 'user-1')).toBe(alias);
+  });
+
+  test('every sender a candidate records is replaced', () => {
+    const hidden = applySenderMode(candidate, 'user-1', SENDER_MODES.PSEUDONYMIZE);
+
+    expect(hidden.sender).toBe(pseudonymizeSender('Ravi', 'user-1'));
+    expect(hidden.answeredQuestion.sender).toBe(pseudonymizeSender('Asha', 'user-1'));
+    expect(hidden.context.map(entry => entry.sender)).toEqual(['Asha', 'Meera'].map(name => pseudonymizeSender(name, 'user-1')));
+    expect(hidden.senderKey).toMatch(/^hidden:[0-9a-f]{64}$/);
+    expect(hidden.businessName).toBe('Sharma Plumbing');
+  });
+
+  test('dropping senders removes them all and keeps only a hashed key', () => {
+    const dropped = applySenderMode(candidate, 'user-1', SENDER_MODES.DROP);
+
+    expect(dropped.sender).toBeNull();
+    expect(dropped.answeredQuestion.sender).toBeNull();
+    expect(dropped.context.map(entry => entry.sender)).toEqual([null, null]);
+    expect(dropped.senderKey).toMatch(/^hidden:/);
+  });
+
+  test('without SENDER_HASH_SECRET senders are not hidden', () => {
+    delete process.env.SENDER_HASH_SECRET;
+
+    expect(() => pseudonymizeSender('Ravi', 'user-1')).toThrow('Sender pseudonymization is not configured');
+    expect(() => applySenderMode(candidate, 'user-1', SENDER_MODES.DROP)).toThrow('Sender pseudonymization is not configured');
+    expect(applySenderMode(candidate, 'user-1', SENDER_MODES.KEEP)).toMatchObject({ sender: 'Ravi', senderKey: 'name:ravi' });
+  });
+});
+
+describe('blocked senders', () => {
+  test('names match whatever their case, spacing and "~" marker', () => {
+    expect(toSenderKey(' ~ Ravi  Kumar')).toBe('name:ravi kumar');
+    expect(toSenderKey('RAVI KUMAR')).toBe('name:ravi kumar');
+  });
+
+  test('numbers match with or without their country code', () => {
+    expect(toSenderKey('\u202a+91 98765 43210\u202c')).toBe(toSenderKey('98765 43210'));
+  });
+
+  test('a sender of only markers has no key', () => {
+    expect(toSenderKey('~')).toBeNull();
+    expect(toSenderKey('\u200e\u202a\u202c')).toBeNull();
+    expect(toSenderKey(null)).toBeNull();
+  });
+
+  test('their messages are dropped when a chat is parsed', () => {
+    const chat = [
+      '25/03/2024, 09:00 - Asha: Anyone know a good plumber?',
+      '25/03/2024, 09:05 - Ravi: Call Sharma Plumbing 98765 43210',
+      '25/03/2024, 09:06 - \u202a+91 99887 76655\u202c: Try Kumar Services'
+    ].join('\n');
+    const blockedSenders = new Set([toSenderKey('ravi'), toSenderKey('99887 76655')]);
+
+    expect(parseChatText(chat, { blockedSenders }).map(message => message.sender)).toEqual(['Asha']);
+  });
+
+  test('previewed candidates are matched on their hidden key or the sender they show', () => {
+    const isBlocked = blockedCandidateCheck(new Set([toSenderKey('Ravi')]), 'user-1');
+
+    expect(isBlocked(applySenderMode(candidate, 'user-1', SENDER_MODES.PSEUDONYMIZE))).toBe(true);
+    expect(isBlocked(applySenderMode(candidate, 'user-1', SENDER_MODES.DROP))).toBe(true);
+    expect(isBlocked({ ...candidate, senderKey: null })).toBe(true);
+    expect(isBlocked(applySenderMode({ ...candidate, sender: 'Asha' }, 'user-1', SENDER_MODES.DROP))).toBe(false);
+    expect(isBlocked(applySenderMode(candidate, 'user-2', SENDER_MODES.DROP))).toBe(false);
+  });
+});
@@ -0,0 +1,67 @@
+// backend/__tests__/signalParser.test.js
+const fs = require('fs');
+const path = require('path');
+const { isSignalExport, parseSignalLines, parseSignalText } = require('../services/signalParser');
+
+const EXPORT = fs.readFileSync(path.join(__dirname, 'fixtures', 'chats', 'signal.md'), 'utf-8');
+
+const collect = async (iterable) => {
+  const items = [];
+  for await (const item of iterable) items.push(item);
+  return items;
+};
+
+describe('parseSignalText', () => {
+  const messages = parseSignalText(EXPORT);
+
+  test('the export is recognised, and a WhatsApp chat is not', () => {
+    expect(isSignalExport(EXPORT.split('\n'))).toBe(true);
+    expect(isSignalExport(['[2024-03-25 09:05] Ravi: <attached: 00000013-PHOTO.jpg>'])).toBe(false);
+    expect(isSignalExport(['25/03/2024, 09:00 - Asha: Anyone know a good plumber?'])).toBe(false);
+  });
+
+  test('a plain message keeps its sender, text and time', () => {
+    expect(messages[0]).toMatchObject({
+      timestamp: new Date(2024, 2, 25, 9, 1),
+      sender: 'Asha',
+      message: 'Anyone know a good plumber in Bandra?',
+      type: 'text',
+      line: 1
+    });
+  });
+
+  test('lines without a header continue the message before them', () => {
+    expect(messages[1]).toMatchObject({
+      timestamp: new Date(2024, 2, 25, 9, 5, 30),
+      message: 'Call Sharma Plumbing 98765 43210\nVery reliable, fixed our leak in an hour',
+      line: 2,
+      endLine: 3
+    });
+  });
+
+  test('a message with a blank sender has no sender', () => {
+    expect(messages[2]).toMatchObject({ sender: null, message: 'no sender on this line', line: 4 });
+  });
+
+  test('attachment links name the file and are dropped from the text', () => {
+    expect(messages[3]).toMatchObject({ type: 'media', message: '', attachment: 'invoice.jpg' });
+    expect(messages[4]).toMatchObject({ type: 'text', message: 'Here\'s their card', attachment: 'sharma.vcf' });
+  });
+
+  test('reading line by line gives the same messages', async () => {
+    expect(await collect(parseSignalLines(EXPORT.split('\n')))).toEqual(messages);
+  });
+});
+
+describe('malformed exports', () => {
+  test('a header with an impossible date continues the message before it', () => {
+    const messages = parseSignalText('[2024-03-25 09:01] Asha: hello\n[2024-02-30 09:02] Ravi: hi');
+
+    expect(messages).toHaveLength(1);
+    expect(messages[0].message).toBe('hello\n[2024-02-30 09:02] Ravi: hi');
+  });
+
+  test('text before the first header is dropped', () => {
+    expect(parseSignalText('Exported from Signal\n[2024-03-25 09:01] Asha: hello').map(message => message.line)).toEqual([2]);
+  });
+});
@@ -0,0 +1,86 @@
+// backend/__tests__/slackParser.test.js
+const fs = require('fs');
+const path = require('path');
+const { isSlackExport, combineSlackExport, parseSlackExport } = require('../services/slackParser');
+const { parseChatText } = require('../services/chatFormats');
+
+const readFixture = (name) => fs.readFileSync(path.join(__dirname, 'fixtures', 'chats', name), 'utf-8');
+
+const DAY = readFixture('slack-general.json');
+const USERS = JSON.parse(readFixture('slack-users.json'));
+
+describe('parseSlackExport', () => {
+  const messages = parseSlackExport(JSON.parse(DAY));
+
+  test('a day file is recognised', () => {
+    expect(isSlackExport(DAY)).toBe(true);
+    expect(isSlackExport(readFixture('telegram.json'))).toBe(false);
+  });
+
+  test('a plain message keeps its text and time', () => {
+    expect(messages[1]).toMatchObject({
+      timestamp: new Date('2024-03-25T09:01:00Z'),
+      message: 'Anyone know a good plumber in Bandra?',
+      type: 'text',
+      line: 2
+    });
+  });
+
+  test('markup is turned into plain text and line breaks are kept', () => {
+    expect(messages[2].message).toBe('Call Sharma Plumbing +91 98765 43210 & ask for Raj\nVery reliable, fixed our leak in an hour');
+    expect(messages[3].message).toBe('Thanks @U222! Their site is sharmaplumbing.example');
+    expect(messages[2].edited).toBe(true);
+  });
+
+  test('a thread reply quotes the message that started the thread', () => {
+    expect(messages[2].quoted).toBe('Anyone know a good plumber in Bandra?');
+    expect(messages[1].quoted).toBeNull();
+  });
+
+  test('without users.json authors are named by user ID, and bots and joins by nobody', () => {
+    expect(messages.map(message => message.sender)).toEqual([null, 'U111', 'U222', 'U333', null, 'U111']);
+    expect(messages[0].type).toBe('system');
+  });
+
+  test('a message with only a file is media', () => {
+    expect(messages[5]).toMatchObject({ type: 'media', message: '', attachment: 'invoice.jpg' });
+  });
+});
+
+describe('combineSlackExport', () => {
+  const combined = combineSlackExport([{ channel: 'general', messages: JSON.parse(DAY) }], USERS);
+  const messages = parseSlackExport(combined);
+
+  test('authors are named from users.json, preferring their real name', () => {
+    expect(messages.map(message => message.sender)).toEqual([null, 'Asha Rao', 'Ravi', 'meera.k', null, 'Asha Rao']);
+  });
+
+  test('mentions are named from users.json', () => {
+    expect(messages[3].message).toBe('Thanks @Ravi! Their site is sharmaplumbing.example');
+  });
+
+  test('channels are read one after another, not interleaved by time', () => {
+    const day = (channel, ts, text) => ({ channel, messages: [{ type: 'message', ts, user: 'U111', text }] });
+    const channels = parseSlackExport(combineSlackExport([
+      day('plumbing', '1711357200.000100', 'plumbing first'),
+      day('electricians', '1711357500.000100', 'electricians later'),
+      day('plumbing', '1711357800.000100', 'plumbing last')
+    ], USERS));
+
+    expect(channels.map(message => message.message)).toEqual(['electricians later', 'plumbing first', 'plumbing last']);
+  });
+
+  test('a day file that is not a list of messages is rejected', () => {
+    expect(() => combineSlackExport([{ channel: 'general', messages: {} }], USERS)).toThrow('Chat export is not a Slack channel export');
+  });
+});
+
+describe('malformed exports', () => {
+  test('JSON that does not parse is reported as such', () => {
+    expect(() => parseChatText(DAY.slice(0, 200), { format: 'slack' })).toThrow('Chat export is not valid JSON');
+  });
+
+  test('JSON that is not a list of messages is not a Slack export', () => {
+    expect(() => parseSlackExport({ messages: [] })).toThrow('Chat export is not a Slack channel export');
+  });
+});
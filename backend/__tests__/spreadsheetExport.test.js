@@ -0,0 +1,99 @@
+// backend/__tests__/spreadsheetExport.test.js
+const { PassThrough } = require('stream');
+const ExcelJS = require('exceljs');
+const { writeReferralWorkbook } = require('../services/spreadsheetExport');
+const { openSpreadsheet } = require('../services/spreadsheetReader');
+
+const collect = async (iterable) => {
+  const items = [];
+  for await (const item of iterable) items.push(item);
+  return items;
+};
+
+const exportWorkbook = async (referrals) => {
+  const output = new PassThrough();
+  const chunks = collect(output);
+  const count = await writeReferralWorkbook(referrals, output);
+
+  return { count, file: Buffer.concat(await chunks) };
+};
+
+const SHARMA = {
+  businessName: 'Sharma Plumbing',
+  profession: 'plumber',
+  professionCategory: 'plumber',
+  contact: '98765 43210',
+  contactE164: '+919876543210',
+  email: 'sharma@example.com',
+  contactChannels: [
+    { type: 'website', value: 'sharmaplumbing.in', url: 'https://sharmaplumbing.in' },
+    { type: 'instagram', value: 'sharmaplumbing', url: 'https://instagram.com/sharmaplumbing' }
+  ],
+  neighborhood: 'Andheri',
+  city: 'Mumbai',
+  country: 'IN',
+  status: 'warning',
+  recommendationScore: 4.5,
+  mentionCount: 3,
+  createdAt: '2024-03-25T00:00:00.000Z',
+  message: 'Fixed our geyser the same day'
+};
+
+const HEADERS = [
+  'Business', 'Profession', 'Category', 'Phone', 'Email', 'Website', 'Instagram', 'Facebook',
+  'Area', 'City', 'State', 'Country', 'Status', 'Score', 'Mentions', 'Added', 'Notes'
+];
+
+describe('writeReferralWorkbook', () => {
+  test('referrals are written under the import headers', async () => {
+    const { count, file } = await exportWorkbook([SHARMA, { businessName: 'Kumar Services' }]);
+    const spreadsheet = await openSpreadsheet(file, 'referrals.xlsx');
+    const rows = await collect(spreadsheet.readRows());
+    spreadsheet.close();
+
+    expect(count).toBe(2);
+    expect(spreadsheet.sheets).toEqual([{ name: 'Referrals', hidden: false }]);
+    expect(rows.map(row => row.fields)).toEqual([
+      HEADERS,
+      [
+        'Sharma Plumbing', 'plumber', 'Plumber', '+919876543210', 'sharma@example.com', 'sharmaplumbing.in',
+        'sharmaplumbing', '', 'Andheri', 'Mumbai', '', 'IN', 'warning', '4.5', '3', '2024-03-25',
+        'Fixed our geyser the same day'
+      ],
+      ['Kumar Services', '', '', '', '', '', '', '', '', '', '', '', '', '', '1', '', '']
+    ]);
+  });
+
+  test('cells keep their types, links and formats', async () => {
+    const { file } = await exportWorkbook([SHARMA]);
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(file);
+    const sheet = workbook.getWorksheet('Referrals');
+    const cell = (header) => sheet.getRow(2).getCell(HEADERS.indexOf(header) + 1);
+
+    expect(sheet.views[0]).toMatchObject({ state: 'frozen', ySplit: 1 });
+    expect(sheet.getRow(1).font.bold).toBe(true);
+    expect(cell('Email').value).toEqual({ text: 'sharma@example.com', hyperlink: 'mailto:sharma@example.com' });
+    expect(cell('Website').value).toEqual({ text: 'sharmaplumbing.in', hyperlink: 'https://sharmaplumbing.in' });
+    expect(cell('Score').value).toBe(4.5);
+    expect(cell('Score').numFmt).toBe('0.00');
+    expect(cell('Added').value).toEqual(new Date('2024-03-25T00:00:00.000Z'));
+    expect(cell('Added').numFmt).toBe('yyyy-mm-dd');
+    expect(cell('Business').font.color.argb).toBe('FFFF3B30');
+  });
+
+  test('referrals can come from an async iterable', async () => {
+    async function* referrals() {
+      yield SHARMA;
+      yield { ...SHARMA, businessName: 'Sharma Electricals' };
+    }
+
+    const { count, file } = await exportWorkbook(referrals());
+    const spreadsheet = await openSpreadsheet(file, 'referrals.xlsx');
+
+    expect(count).toBe(2);
+    expect((await collect(spreadsheet.readRows())).map(row => row.fields[0]))
+      .toEqual(['Business', 'Sharma Plumbing', 'Sharma Electricals']);
+    spreadsheet.close();
+  });
+});
@@ -0,0 +1,205 @@
+// backend/__tests__/spreadsheetReader.test.js
+const { Readable } = require('stream');
+const ExcelJS = require('exceljs');
+const JSZip = require('jszip');
+const { isSpreadsheetFile, openSpreadsheet, openXlsxStream } = require('../services/spreadsheetReader');
+
+const collect = async (iterable) => {
+  const items = [];
+  for await (const item of iterable) items.push(item);
+  return items;
+};
+
+const buildXlsx = async (sheets) => {
+  const workbook = new ExcelJS.Workbook();
+
+  sheets.forEach(({ name, state, rows = [], formats = {} }) => {
+    const sheet = workbook.addWorksheet(name, { state });
+    rows.forEach(row => sheet.addRow(row));
+    Object.entries(formats).forEach(([address, numFmt]) => { sheet.getCell(address).numFmt = numFmt; });
+  });
+
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+};
+
+const ODS_NAMESPACES = [
+  'xmlns:office="urn:oasis:names:tc:opendocument:xmlns:office:1.0"',
+  'xmlns:table="urn:oasis:names:tc:opendocument:xmlns:table:1.0"',
+  'xmlns:text="urn:oasis:names:tc:opendocument:xmlns:text:1.0"'
+].join(' ');
+
+const buildOds = async (tables, mimetype = 'application/vnd.oasis.opendocument.spreadsheet') => {
+  const zip = new JSZip();
+  zip.file('mimetype', mimetype, { compression: 'STORE' });
+  zip.file('content.xml', `<?xml version="1.0" encoding="UTF-8"?>
+<office:document-content ${ODS_NAMESPACES}><office:body><office:spreadsheet>${tables}</office:spreadsheet></office:body></office:document-content>`);
+
+  return zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+};
+
+const REFERRALS = {
+  name: 'Referrals',
+  rows: [
+    ['Business', 'Phone', 'City'],
+    ['Sharma Plumbing', '+91 98765 43210', 'Mumbai'],
+    [],
+    [null, 'Kumar Services', null, 'unlabelled']
+  ]
+};
+
+describe('xlsx sheets', () => {
+  test('sheets are listed in workbook order and hidden ones are marked', async () => {
+    const spreadsheet = await openSpreadsheet(await buildXlsx([
+      { name: 'Archive', state: 'hidden', rows: [['old']] },
+      { name: 'Internal', state: 'veryHidden', rows: [['secret']] },
+      REFERRALS,
+      { name: 'Notes', rows: [['notes']] }
+    ]), 'referrals.xlsx');
+
+    expect(spreadsheet.format).toBe('xlsx');
+    expect(spreadsheet.sheets).toEqual([
+      { name: 'Archive', hidden: true },
+      { name: 'Internal', hidden: true },
+      { name: 'Referrals', hidden: false },
+      { name: 'Notes', hidden: false }
+    ]);
+    expect(spreadsheet.defaultSheet).toBe('Referrals');
+    spreadsheet.close();
+  });
+
+  test('the first visible sheet is read unless another is named', async () => {
+    const spreadsheet = await openSpreadsheet(await buildXlsx([
+      { name: 'Archive', state: 'hidden', rows: [['old']] },
+      REFERRALS,
+      { name: 'Notes', rows: [['notes']] }
+    ]), 'referrals.xlsx');
+
+    expect((await collect(spreadsheet.readRows()))[0].fields).toEqual(['Business', 'Phone', 'City']);
+    expect(await collect(spreadsheet.readRows('Notes'))).toEqual([{ fields: ['notes'], line: 1 }]);
+    expect(await collect(spreadsheet.readRows('Archive'))).toEqual([{ fields: ['old'], line: 1 }]);
+    expect(() => spreadsheet.readRows('Missing')).toThrow('Spreadsheet has no sheet named "Missing"');
+    spreadsheet.close();
+  });
+
+  test('blank rows are skipped, blank leading cells kept, and lines are row numbers', async () => {
+    const spreadsheet = await openSpreadsheet(await buildXlsx([REFERRALS]), 'referrals.xlsx');
+
+    expect(await collect(spreadsheet.readRows())).toEqual([
+      { fields: ['Business', 'Phone', 'City'], line: 1 },
+      { fields: ['Sharma Plumbing', '+91 98765 43210', 'Mumbai'], line: 2 },
+      { fields: ['', 'Kumar Services', '', 'unlabelled'], line: 4 }
+    ]);
+    spreadsheet.close();
+  });
+});
+
+describe('xlsx cells', () => {
+  test('numbers, dates, formulas and booleans are read as text', async () => {
+    const spreadsheet = await openSpreadsheet(await buildXlsx([{
+      name: 'Cells',
+      rows: [[
+        9876543210,
+        1234.5,
+        new Date(Date.UTC(2024, 2, 25)),
+        new Date(Date.UTC(2024, 2, 25, 14, 30)),
+        { formula: 'B1*2', result: 2469 },
+        true,
+        { richText: [{ text: 'Sharma ' }, { font: { bold: true }, text: 'Plumbing' }] },
+        { error: '#N/A' }
+      ]],
+      formats: { C1: 'dd/mm/yyyy', D1: 'dd/mm/yyyy hh:mm' }
+    }]), 'cells.xlsx');
+
+    const [row] = await collect(spreadsheet.readRows());
+
+    expect(row.fields).toEqual(['9876543210', '1234.5', '2024-03-25', '2024-03-25 14:30', '2469', 'TRUE', 'Sharma Plumbing', '']);
+    spreadsheet.close();
+  });
+});
+
+describe('openXlsxStream', () => {
+  test('a stream is opened for each pass and read like a file', async () => {
+    const file = await buildXlsx([{ name: 'Notes', rows: [['notes']] }, REFERRALS]);
+    const openStream = jest.fn(async () => Readable.from([file.subarray(0, 1000), file.subarray(1000)]));
+
+    const spreadsheet = await openXlsxStream(openStream);
+
+    expect(spreadsheet.sheets.map(sheet => sheet.name)).toEqual(['Notes', 'Referrals']);
+    expect(await collect(spreadsheet.readRows('Referrals'))).toHaveLength(3);
+    expect(openStream).toHaveBeenCalledTimes(2);
+  });
+
+  test('a stream that is not a workbook is rejected', async () => {
+    await expect(openXlsxStream(async () => Readable.from([Buffer.from('not a workbook')])))
+      .rejects.toThrow(/^Spreadsheet/);
+  });
+});
+
+describe('ods', () => {
+  test('sheets are listed and read with repeated cells and rows expanded', async () => {
+    const spreadsheet = await openSpreadsheet(await buildOds(`
+      <table:table table:name="Referrals">
+        <table:table-row>
+          <table:table-cell><text:p>Sharma Plumbing</text:p></table:table-cell>
+          <table:table-cell table:number-columns-repeated="2"/>
+          <table:table-cell office:value-type="float" office:value="9876543210"><text:p>9876543210</text:p></table:table-cell>
+        </table:table-row>
+        <table:table-row table:number-rows-repeated="3"><table:table-cell table:number-columns-repeated="1024"/></table:table-row>
+        <table:table-row table:number-rows-repeated="2">
+          <table:table-cell office:value-type="date" office:date-value="2024-03-25"><text:p>25/03/2024</text:p></table:table-cell>
+          <table:table-cell>
+            <office:annotation><text:p>a comment</text:p></office:annotation>
+            <text:p>Line one</text:p><text:p>Line<text:s text:c="2"/>two</text:p>
+          </table:table-cell>
+        </table:table-row>
+        <table:table-row table:number-rows-repeated="1048570"><table:table-cell table:number-columns-repeated="1024"/></table:table-row>
+      </table:table>
+      <table:table table:name="Notes"><table:table-row><table:table-cell><text:p>notes</text:p></table:table-cell></table:table-row></table:table>
+    `), 'referrals.ods');
+
+    expect(spreadsheet.sheets).toEqual([{ name: 'Referrals', hidden: false }, { name: 'Notes', hidden: false }]);
+    expect(await collect(spreadsheet.readRows())).toEqual([
+      { fields: ['Sharma Plumbing', '', '', '9876543210'], line: 1 },
+      { fields: ['25/03/2024', 'Line one\nLine  two'], line: 5 },
+      { fields: ['25/03/2024', 'Line one\nLine  two'], line: 6 }
+    ]);
+    spreadsheet.close();
+  });
+
+  test('rows past the row limit are rejected', async () => {
+    const spreadsheet = await openSpreadsheet(await buildOds(`
+      <table:table table:name="Referrals">
+        <table:table-row table:number-rows-repeated="100000"><table:table-cell/></table:table-row>
+        <table:table-row><table:table-cell><text:p>Sharma Plumbing</text:p></table:table-cell></table:table-row>
+      </table:table>
+    `), 'referrals.ods');
+
+    await expect(collect(spreadsheet.readRows())).rejects.toThrow('Spreadsheet sheet has more than 100000 rows');
+    spreadsheet.close();
+  });
+
+  test('a zip without the spreadsheet mimetype is not an .ods document', async () => {
+    await expect(openSpreadsheet(await buildOds('', 'application/vnd.oasis.opendocument.text'), 'notes.ods'))
+      .rejects.toThrow('Spreadsheet is not a valid .ods document');
+  });
+});
+
+describe('files that are not workbooks', () => {
+  test('only .xlsx and .ods files are spreadsheets', async () => {
+    expect(isSpreadsheetFile('Referrals.XLSX')).toBe(true);
+    expect(isSpreadsheetFile('referrals.xls')).toBe(false);
+    await expect(openSpreadsheet(Buffer.from('x'), 'referrals.xls')).rejects.toThrow('Spreadsheet must be an .xlsx or .ods file');
+  });
+
+  test('a file that is not a zip is rejected', async () => {
+    await expect(openSpreadsheet(Buffer.from('Business,Phone\n'), 'referrals.xlsx')).rejects.toThrow('Spreadsheet is not a valid .xlsx file');
+  });
+
+  test('a zip without a workbook is rejected', async () => {
+    const zip = new JSZip();
+    zip.file('_chat.txt', 'hello');
+
+    await expect(openSpreadsheet(await zip.generateAsync({ type: 'nodebuffer' }), 'referrals.xlsx'))
+      .rejects.toThrow('Spreadsheet is not a valid .xlsx workbook');
+  });
+});
@@ -0,0 +1,77 @@
+// backend/__tests__/telegramParser.test.js
+const fs = require('fs');
+const path = require('path');
+const { isTelegramExport, parseTelegramExport } = require('../services/telegramParser');
+const { parseChatText } = require('../services/chatFormats');
+
+const EXPORT = fs.readFileSync(path.join(__dirname, 'fixtures', 'chats', 'telegram.json'), 'utf-8');
+
+describe('parseTelegramExport', () => {
+  const messages = parseTelegramExport(JSON.parse(EXPORT));
+
+  test('the export is recognised', () => {
+    expect(isTelegramExport(EXPORT)).toBe(true);
+    expect(isTelegramExport('[{"ts": "1711357260.000200"}]')).toBe(false);
+  });
+
+  test('a plain message keeps its sender, text and Unix time', () => {
+    expect(messages[1]).toMatchObject({
+      timestamp: new Date('2024-03-25T09:01:00Z'),
+      sender: 'Asha',
+      message: 'Anyone know a good plumber in Bandra?',
+      type: 'text',
+      edited: false,
+      line: 2
+    });
+  });
+
+  test('formatted text is flattened and keeps its line breaks', () => {
+    expect(messages[2].message).toBe('Call Sharma Plumbing +91 98765 43210\nVery reliable, fixed our leak in an hour');
+    expect(messages[2].edited).toBe(true);
+  });
+
+  test('a reply quotes the message it replies to', () => {
+    expect(messages[2].quoted).toBe('Anyone know a good plumber in Bandra?');
+    expect(messages[1].quoted).toBeNull();
+  });
+
+  test('service messages and messages from deleted accounts have no sender', () => {
+    expect(messages[0]).toMatchObject({ type: 'system', sender: null });
+    expect(messages[3]).toMatchObject({ type: 'text', sender: null, message: 'Deleted account says thanks' });
+  });
+
+  test('a shared contact carries a card', () => {
+    expect(messages[4]).toMatchObject({ type: 'media', sender: 'Meera', attachment: 'contact_1.vcf' });
+    expect(messages[4].cards).toEqual([expect.objectContaining({
+      name: 'Vijay Kumar',
+      phones: [{ value: '+91 98765 11111', types: [] }]
+    })]);
+  });
+
+  test('attached files are named, unless the export left them out', () => {
+    expect(messages[5]).toMatchObject({ type: 'media', attachment: 'photo_1@25-03-2024_09-09-00.jpg' });
+    expect(messages[6]).toMatchObject({ type: 'media', attachment: null });
+  });
+});
+
+describe('malformed exports', () => {
+  test('JSON that does not parse is reported as such', () => {
+    expect(() => parseChatText(EXPORT.slice(0, 200), { format: 'telegram' })).toThrow('Chat export is not valid JSON');
+  });
+
+  test('JSON without a messages list is not a Telegram export', () => {
+    expect(() => parseTelegramExport({ name: 'Bandra Neighbours' })).toThrow('Chat export is not a Telegram JSON export');
+    expect(() => parseTelegramExport(null)).toThrow('Chat export is not a Telegram JSON export');
+  });
+
+  test('messages without a readable date are dropped', () => {
+    const messages = parseTelegramExport({
+      messages: [
+        { id: 1, type: 'message', date: 'yesterday', from: 'Asha', text: 'hi' },
+        { id: 2, type: 'message', date_unixtime: '1711357260', from: 'Ravi', text: 'hello' }
+      ]
+    });
+
+    expect(messages.map(message => message.sender)).toEqual(['Ravi']);
+  });
+});
@@ -0,0 +1,181 @@
+// backend/__tests__/whatsapp_processing.test.js
+const {
+  parseWhatsAppText,
+  parseWhatsAppLines,
+  detectDialect,
+  classifyMessage
+} = require('../whatsapp_processing');
+
+const fromLines = async function* (lines) {
+  yield* lines;
+};
+
+const collect = async (iterable) => {
+  const items = [];
+  for await (const item of iterable) items.push(item);
+  return items;
+};
+
+describe('detectDialect', () => {
+  test('detects an Android 24h export with day-first dates', () => {
+    expect(detectDialect([
+      '25/03/2024, 21:41 - Asha: Anyone know a plumber?',
+      '25/03/2024, 21:45 - Ravi: Try Sharma Plumbing'
+    ])).toEqual({ platform: 'android', clock: '24h', dateOrder: 'DMY' });
+  });
+
+  test('detects an Android 12h export with month-first dates', () => {
+    expect(detectDialect([
+      '3/25/24, 9:41 PM - Asha: Anyone know a plumber?',
+      '3/25/24, 9:45 PM - Ravi: Try Sharma Plumbing'
+    ])).toEqual({ platform: 'android', clock: '12h', dateOrder: 'MDY' });
+  });
+
+  test('detects an iOS bracketed export', () => {
+    expect(detectDialect([
+      '[25/03/2024, 9:41:05 PM] Asha: Anyone know a plumber?',
+      '[25/03/2024, 9:45:10 PM] Ravi: Try Sharma Plumbing'
+    ])).toEqual({ platform: 'ios', clock: '12h', dateOrder: 'DMY' });
+  });
+
+  test('detects year-first dates', () => {
+    expect(detectDialect(['2024-03-25, 21:41 - Asha: Hello']).dateOrder).toBe('YMD');
+  });
+
+  test('resolves ambiguous dates by keeping the chat chronological', () => {
+    expect(detectDialect([
+      '01/02/24, 10:00 - Asha: first',
+      '01/03/24, 10:00 - Asha: second',
+      '02/01/24, 10:00 - Asha: third'
+    ]).dateOrder).toBe('MDY');
+  });
+
+  test('returns null for text that is not a WhatsApp export', () => {
+    expect(detectDialect(['hello', 'world'])).toBeNull();
+  });
+});
+
+describe('parseWhatsAppText', () => {
+  test('parses 24h Android messages', () => {
+    const [message] = parseWhatsAppText('25/03/2024, 21:41 - Asha: Anyone know a plumber?');
+
+    expect(message).toMatchObject({
+      sender: 'Asha',
+      message: 'Anyone know a plumber?',
+      type: 'text',
+      line: 1
+    });
+    expect(message.timestamp).toEqual(new Date(2024, 2, 25, 21, 41, 0));
+  });
+
+  test('converts 12h times, including 12 AM and 12 PM', () => {
+    const messages = parseWhatsAppText([
+      '3/25/24, 12:05 AM - Asha: midnight',
+      '3/25/24, 12:05 PM - Asha: noon',
+      '3/25/24, 9:41 PM - Asha: evening'
+    ].join('\n'));
+
+    expect(messages.map(message => message.timestamp.getHours())).toEqual([0, 12, 21]);
+  });
+
+  test('parses iOS bracketed headers with seconds and strips direction marks', () => {
+    const [message] = parseWhatsAppText('\u200e[25/03/2024, 9:41:05 PM] Ravi: Try Sharma Plumbing\r');
+
+    expect(message.sender).toBe('Ravi');
+    expect(message.message).toBe('Try Sharma Plumbing');
+    expect(message.timestamp).toEqual(new Date(2024, 2, 25, 21, 41, 5));
+  });
+
+  test('joins continuation lines into a multiline message', () => {
+    const [first, second] = parseWhatsAppText([
+      '25/03/2024, 21:41 - Ravi: Sharma Plumbing',
+      'Call 98765 43210',
+      'Ask for Vijay',
+      '25/03/2024, 21:45 - Asha: Thanks!'
+    ].join('\n'));
+
+    expect(first.message).toBe('Sharma Plumbing\nCall 98765 43210\nAsk for Vijay');
+    expect(first.line).toBe(1);
+    expect(first.endLine).toBe(3);
+    expect(second.line).toBe(4);
+  });
+
+  test('treats a header with an impossible date as a continuation', () => {
+    const messages = parseWhatsAppText([
+      '25/03/2024, 21:41 - Ravi: Sharma Plumbing',
+      '31/02/2024, 10:00 - not a real date'
+    ].join('\n'));
+
+    expect(messages).toHaveLength(1);
+    expect(messages[0].message).toContain('31/02/2024');
+  });
+
+  test('tags system, media, deleted and edited messages', () => {
+    const messages = parseWhatsAppText([
+      '25/03/2024, 21:40 - Messages and calls are end-to-end encrypted.',
+      '25/03/2024, 21:41 - Ravi: <Media omitted>',
+      '25/03/2024, 21:42 - Ravi: This message was deleted',
+      '25/03/2024, 21:43 - Ravi: Sharma Plumbing <This message was edited>'
+    ].join('\n'));
+
+    expect(messages.map(message => message.type)).toEqual(['system', 'media', 'deleted', 'text']);
+    expect(messages[3]).toMatchObject({ message: 'Sharma Plumbing', edited: true });
+  });
+
+  test('drops everything but text with skipSystem', () => {
+    const messages = parseWhatsAppText([
+      '25/03/2024, 21:40 - Asha created group "Neighbours"',
+      '25/03/2024, 21:41 - Ravi: Sharma Plumbing'
+    ].join('\n'), { skipSystem: true });
+
+    expect(messages).toHaveLength(1);
+    expect(messages[0].sender).toBe('Ravi');
+  });
+
+  test('finds the file name of an attached contact card', () => {
+    const [message] = parseWhatsAppText('[25/03/2024, 9:41:05 PM] Ravi: <attached: 00000012-Vijay.vcf>');
+
+    expect(message.type).toBe('media');
+    expect(message.attachment).toBe('00000012-Vijay.vcf');
+  });
+
+  test('honours a forced date order', () => {
+    const [message] = parseWhatsAppText('01/02/24, 10:00 - Asha: hi', { dateOrder: 'MDY' });
+
+    expect(message.timestamp).toEqual(new Date(2024, 0, 2, 10, 0, 0));
+  });
+
+  test('rejects content that is not a string', () => {
+    expect(() => parseWhatsAppText(null)).toThrow('Chat content must be a string');
+  });
+});
+
+describe('parseWhatsAppLines', () => {
+  test('yields the same messages as parseWhatsAppText for short exports', async () => {
+    const lines = [
+      '25/03/2024, 21:41 - Ravi: Sharma Plumbing',
+      'Call 98765 43210',
+      '25/03/2024, 21:45 - Asha: Thanks!'
+    ];
+
+    expect(await collect(parseWhatsAppLines(fromLines(lines)))).toEqual(parseWhatsAppText(lines.join('\n')));
+  });
+
+  test('streams exports longer than the dialect sample', async () => {
+    const lines = Array.from({ length: 1500 }, (_, index) => `25/03/2024, 21:41 - Ravi: message ${index}`);
+    const messages = await collect(parseWhatsAppLines(fromLines(lines)));
+
+    expect(messages).toHaveLength(1500);
+    expect(messages[1499]).toMatchObject({ message: 'message 1499', line: 1500 });
+  });
+});
+
+describe('classifyMessage', () => {
+  test('treats iOS group notices with a sender as system messages', () => {
+    expect(classifyMessage('Asha', 'Asha changed the subject to "Neighbours"')).toBe('system');
+  });
+
+  test('treats messages without a sender as system messages', () => {
+    expect(classifyMessage(null, 'Ravi left')).toBe('system');
+  });
+});
@@ -0,0 +1,114 @@
+// backend/__tests__/zipArchive.test.js
+const JSZip = require('jszip');
+const { isSafeEntryName, openArchive, openChatArchive } = require('../services/zipArchive');
+
+const buildZip = async (files) => {
+  const zip = new JSZip();
+  Object.entries(files).forEach(([name, content]) => zip.file(name, content));
+  return zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+};
+
+const readStream = async (stream) => {
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(chunk);
+  return Buffer.concat(chunks).toString('utf-8');
+};
+
+const CHAT = '25/03/2024, 09:05 - Ravi: Call Sharma Plumbing 98765 43210\n';
+
+describe('entry names', () => {
+  test.each([
+    '../evil.txt',
+    'chat/../../evil.txt',
+    '/etc/passwd',
+    'C:/Windows/evil.txt',
+    'C:evil.txt',
+    'chat\\evil.txt'
+  ])('%s is rejected', async (name) => {
+    expect(isSafeEntryName(name)).toBe(false);
+    await expect(openArchive(await buildZip({ [name]: 'x' }))).rejects.toThrow('Archive contains an unsafe file path');
+  });
+
+  test('names inside the archive are accepted', () => {
+    expect(isSafeEntryName('_chat.txt')).toBe(true);
+    expect(isSafeEntryName('media/00000013-PHOTO.jpg')).toBe(true);
+    expect(isSafeEntryName('notes..txt')).toBe(true);
+  });
+});
+
+describe('zip bomb limits', () => {
+  test('an entry that expands too far is rejected', async () => {
+    const zip = await buildZip({ '_chat.txt': Buffer.alloc(1024 * 1024) });
+
+    await expect(openArchive(zip)).rejects.toThrow('Archive compression ratio is too high');
+  });
+
+  test('an archive with too many files is rejected', async () => {
+    const files = {};
+    for (let i = 0; i <= 5000; i++) files[`${i}.txt`] = 'x';
+
+    await expect(openArchive(await buildZip(files))).rejects.toThrow('Archive contains too many files');
+  });
+
+  test('something that is not a zip is rejected', async () => {
+    await expect(openArchive(Buffer.from('not a zip'))).rejects.toThrow('Archive is not a valid zip file');
+  });
+});
+
+describe('openChatArchive', () => {
+  test('the iOS _chat.txt is picked over an Android chat file', async () => {
+    const archive = await openChatArchive(await buildZip({
+      'WhatsApp Chat with Asha.txt': 'android',
+      '_chat.txt': CHAT,
+      'notes.txt': 'notes'
+    }));
+
+    expect(archive.chatEntry.fileName).toBe('_chat.txt');
+    expect(await readStream(await archive.openChatStream())).toBe(CHAT);
+    archive.close();
+  });
+
+  test('an Android export is found by its "WhatsApp Chat with" name', async () => {
+    const archive = await openChatArchive(await buildZip({
+      'WhatsApp Chat with Asha.txt': CHAT,
+      'notes.txt': 'notes'
+    }));
+
+    expect(archive.chatEntry.fileName).toBe('WhatsApp Chat with Asha.txt');
+    archive.close();
+  });
+
+  test('the only text file is taken as the chat', async () => {
+    const archive = await openChatArchive(await buildZip({ 'Asha.txt': CHAT }));
+
+    expect(archive.chatEntry.fileName).toBe('Asha.txt');
+    archive.close();
+  });
+
+  test('an archive without a chat is rejected', async () => {
+    await expect(openChatArchive(await buildZip({ '00000013-PHOTO.jpg': 'x' })))
+      .rejects.toThrow('Archive does not contain a WhatsApp chat export');
+    await expect(openChatArchive(await buildZip({ 'a.txt': CHAT, 'b.txt': CHAT })))
+      .rejects.toThrow('Archive does not contain a WhatsApp chat export');
+  });
+
+  test('a chat larger than the upload limit is rejected', async () => {
+    await expect(openChatArchive(await buildZip({ '_chat.txt': CHAT }), { maxChatBytes: 10 }))
+      .rejects.toThrow('Archive chat export is larger than the upload limit');
+  });
+
+  test('contact cards and photos are kept as attachments', async () => {
+    const archive = await openChatArchive(await buildZip({
+      '_chat.txt': CHAT,
+      '00000012-Vijay.vcf': 'BEGIN:VCARD\nEND:VCARD\n',
+      '00000013-PHOTO.jpg': 'jpeg',
+      '00000014-AUDIO.opus': 'audio'
+    }));
+
+    expect(archive.attachments.map(({ name, type }) => ({ name, type }))).toEqual([
+      { name: '00000012-Vijay.vcf', type: 'contact' },
+      { name: '00000013-PHOTO.jpg', type: 'image' }
+    ]);
+    archive.close();
+  });
+});
@@ -6,6 +6,46 @@ import csv
 UPLOAD_FOLDER = "uploads"
 OUTPUT_FOLDER = "data"
 
+EMAIL_PATTERN = r"[\w.%+-]+@[\w-]+(?:\.[\w-]+)*\.[a-zA-Z]{2,}"
+SOCIAL_URL_PATTERNS = {
+    "instagram": r"(?:https?://)?(?:www\.)?(?:instagram\.com|instagr\.am)/([\w.]{1,30})",
+    "facebook": r"(?:https?://)?(?:www\.|m\.)?(?:facebook\.com|fb\.com|fb\.me)/([\w.-]{2,50})",
+}
+HANDLE_PATTERNS = {
+    "instagram": r"\b(?:insta(?:gram)?|ig)\b(?:\s+(?:page|handle|id|account))?(?:\s*[:-]\s*@?|\s*@)([\w.]{2,30})",
+    "facebook": r"\b(?:fb|facebook)\b(?:\s+(?:page|handle|id|account))?(?:\s*[:-]\s*@?|\s*@)([\w.-]{2,50})",
+}
+URL_PATTERN = r"(?:https?://|www\.)[^\s<>\"']+|\b[a-z0-9-]+(?:\.[a-z0-9-]+)*\.(?:com|net|org|in|co|io|biz|info|shop|store)(?:\.[a-z]{2})?\b(?:/[^\s<>\"']*)?"
+
+def extract_contact_channels(message):
+    """Extracts emails, websites and Instagram/Facebook handles from a message."""
+    channels = []
+    rest = message
+
+    def take(pattern, channel_type, group=0):
+        nonlocal rest
+        for match in re.finditer(pattern, rest, re.IGNORECASE):
+            value = match.group(group).rstrip(".,!?;:)").lstrip("@").lower()
+            channels.append({"type": channel_type, "value": value})
+        rest = re.sub(pattern, " ", rest, flags=re.IGNORECASE)
+
+    take(EMAIL_PATTERN, "email")
+    for channel_type, pattern in SOCIAL_URL_PATTERNS.items():
+        take(pattern, channel_type, 1)
+    for channel_type, pattern in HANDLE_PATTERNS.items():
+        take(pattern, channel_type, 1)
+    take(URL_PATTERN, "website")
+
+    for channel in channels:
+        if channel["type"] == "website":
+            channel["value"] = re.sub(r"^(?:https?://)?(?:www\.)?", "", channel["value"]).rstrip("/")
+
+    unique = []
+    for channel in channels:
+        if channel not in unique:
+            unique.append(channel)
+    return unique
+
 def extract_service_referrals(file_path):
     """Extracts service referrals from a WhatsApp chat file."""
     referrals = []
@@ -21,6 +61,8 @@ def extract_service_referrals(file_path):
 
             if any(keyword in message.lower() for keyword in keywords):
                 phone_numbers = re.findall(r"\b\d{3}[-.\s]?\d{3}[-.\s]?\d{4}\b", message)
+                channels = [{"type": "phone", "value": number} for number in phone_numbers]
+                channels += extract_contact_channels(message)
                 business_match = re.search(r"([A-Z][a-z]+(?:\s[A-Z][a-z]+)*)", message)
                 business_name = business_match.group(0) if business_match else "Unknown Business"
 
@@ -28,6 +70,7 @@ def extract_service_referrals(file_path):
                     "sender": sender,
                     "business_name": business_name,
                     "contact": phone_numbers[0] if phone_numbers else "No Contact Found",
+                    "contact_channels": channels,
                     "message": message
                 })
 
@@ -41,9 +84,11 @@ def save_to_json(referrals, output_file):
 def save_to_csv(referrals, output_file):
     """Saves referrals to CSV."""
     with open(output_file, "w", newline="", encoding="utf-8") as csv_file:
-        writer = csv.DictWriter(csv_file, fieldnames=["sender", "business_name", "contact", "message"])
+        writer = csv.DictWriter(csv_file, fieldnames=["sender", "business_name", "contact", "contact_channels", "message"])
         writer.writeheader()
-        writer.writerows(referrals)
+        for referral in referrals:
+            channels = "; ".join(f"{channel['type']}:{channel['value']}" for channel in referral["contact_channels"])
+            writer.writerow({**referral, "contact_channels": channels})
 
 def process_uploaded_files():
     """Automatically processes new chat files in the upload folder."""
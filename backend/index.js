@@ -1,7 +1,8 @@
 const express = require('express');
 const bodyParser = require('body-parser');
 const { registerUser, loginUser } = require('./auth');
-const { parseWhatsAppChat } = require('./whatsapp_processing');
+const { parseChatFile } = require('./services/chatFormats');
+const { extractReferrals } = require('./services/referralExtractor');
 
 const app = express();
 app.use(bodyParser.json());
@@ -27,13 +28,14 @@ app.post('/login', async (req, res) => {
   }
 });
 
-// Route for processing WhatsApp chat messages
+// Route for processing chat exports (WhatsApp, Telegram, Signal or Slack)
 app.post('/upload-chat', async (req, res) => {
   const { filePath } = req.body;
   try {
-    const chatMessages = parseWhatsAppChat(filePath);
-    // Process the chat data and store referrals in PostgreSQL (simplified)
-    res.status(200).json({ message: 'Chat processed successfully' });
+    const chatMessages = parseChatFile(filePath);
+    const referrals = extractReferrals(chatMessages);
+    // Store referrals in PostgreSQL (simplified)
+    res.status(200).json({ message: 'Chat processed successfully', referrals });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
@@ -1,6 +1,7 @@
 // Import AWS SDK and other necessary modules
 const AWS = require('aws-sdk');
-const { parseWhatsAppChat } = require('./whatsapp_processing');  // This is the parsing logic you already have
+const { parseChatFile } = require('./services/chatFormats');  // Detects WhatsApp, Telegram, Signal or Slack exports
+const { extractReferrals } = require('./services/referralExtractor');
 
 // DynamoDB setup
 const dynamoDb = new AWS.DynamoDB.DocumentClient();
@@ -11,11 +12,11 @@ exports.handler = async (event) => {
   const { filePath } = JSON.parse(event.body); // Assuming the file path comes in the body
   
   try {
-    // Parse WhatsApp chat file (this is a simplified example, adapt it as per your needs)
-    const chatMessages = await parseWhatsAppChat(filePath);
+    // Parse the chat export (this is a simplified example, adapt it as per your needs)
+    const chatMessages = await parseChatFile(filePath);
 
-    // Example: Process chat and extract referrals
-    const referrals = chatMessages.filter(msg => msg.includes('referral'));  // Adjust based on your referral format
+    // Extract referral candidates with the shared extraction engine
+    const referrals = extractReferrals(chatMessages);
     
     // Store referrals in DynamoDB
     const putPromises = referrals.map(referral => {
@@ -37,7 +38,7 @@ exports.handler = async (event) => {
     // Return response
     return {
       statusCode: 200,
-      body: JSON.stringify({ message: 'Chat processed successfully' }),
+      body: JSON.stringify({ message: 'Chat processed successfully', referralCount: referrals.length }),
     };
 
   } catch (error) {
@@ -115,6 +115,8 @@ const authenticate = async (req, res, next) => {
       userId: decoded.sub,
       email: decoded.email || decoded.username,
       groups: decoded['cognito:groups'] || [],
+      // Profile country (ID tokens only), used as the default for phone numbers
+      country: decoded['custom:country'] || null,
       tokenExp: decoded.exp
     };
 
@@ -14,6 +14,10 @@ const { authenticate, requireRole, rateLimitByUser } = require('./middleware/aut
 const authService = require('./services/authService');
 const fileUploadService = require('./services/fileUploadService');
 const dynamodbService = require('./services/dynamodbService');
+const importService = require('./services/importService');
+const senderBlocklist = require('./services/senderBlocklist');
+const { XLSX_CONTENT_TYPE, writeReferralWorkbook } = require('./services/spreadsheetExport');
+const { PROFESSION_TAXONOMY, OTHER_CATEGORY } = require('./services/professionTaxonomy');
 
 const app = express();
 
@@ -75,7 +79,8 @@ const corsOptions = {
 
 app.use(cors(corsOptions));
 
-// Body parser with size limits
+// Body parser with size limits (import commits carry a list of reviewed candidates)
+app.use('/api/imports', express.json({ limit: '512kb' }));
 app.use(express.json({ limit: '10kb' }));
 app.use(express.urlencoded({ extended: true, limit: '10kb' }));
 app.use((req, res, next) => {
@@ -414,6 +419,180 @@ app.delete('/api/files/:fileKey', authenticate, async (req, res) => {
   }
 });
 
+// ============================================
+// IMPORT ROUTES (Protected)
+// ============================================
+
+// Multipart previews send a CSV column mapping as a JSON string
+const readColumnMapping = (value) => {
+  if (typeof value !== 'string' || !value) return value || null;
+
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    throw new Error('CSV column mapping must be valid JSON');
+  }
+};
+
+// Start importing referrals from an uploaded file
+app.post('/api/imports',
+  authenticate,
+  rateLimitByUser(10, 60000), // 10 imports per minute per user
+  async (req, res) => {
+    try {
+      const { fileKey, defaultCountry, defaultLocation, format, senderMode, columnMapping, sheet } = req.body;
+
+      if (!fileKey) {
+        return res.status(400).json({
+          success: false,
+          error: 'File key is required'
+        });
+      }
+
+      const result = await importService.createImportJob(fileKey, req.user.userId, {
+        defaultCountry,
+        defaultLocation,
+        format,
+        senderMode,
+        columnMapping,
+        sheet,
+        profileCountry: req.user.country
+      });
+      
+      res.status(202).json(result);
+    } catch (error) {
+      console.error('Create import error:', error);
+      res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+);
+
+// Preview the referrals found in an uploaded file or inline file, without saving
+app.post('/api/imports/preview',
+  authenticate,
+  rateLimitByUser(10, 60000),
+  fileUploadService.upload.single('file'),
+  async (req, res) => {
+    try {
+      const source = req.file
+        ? { filePath: req.file.path, fileName: req.file.originalname }
+        : { fileKey: req.body.fileKey };
+
+      const result = await importService.previewImport(source, req.user.userId, {
+        defaultCountry: req.body.defaultCountry,
+        defaultLocation: req.body.defaultLocation,
+        format: req.body.format,
+        senderMode: req.body.senderMode,
+        columnMapping: readColumnMapping(req.body.columnMapping),
+        sheet: req.body.sheet,
+        profileCountry: req.user.country
+      });
+      
+      res.status(200).json(result);
+    } catch (error) {
+      console.error('Preview import error:', error);
+      res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    } finally {
+      await fileUploadService.removeTempFile(req.file);
+    }
+  }
+);
+
+// Save the candidates selected from a preview
+app.post('/api/imports/commit', authenticate, async (req, res) => {
+  try {
+    const { fileKey, candidates, defaultCountry, defaultLocation, senderMode, columnMapping, csvHeaderKey, csvHeaders, sheet } = req.body;
+    const result = await importService.commitImport(fileKey, candidates, req.user.userId, {
+      defaultCountry,
+      defaultLocation,
+      senderMode,
+      columnMapping,
+      csvHeaderKey,
+      csvHeaders,
+      sheet,
+      profileCountry: req.user.country
+    });
+    
+    res.status(201).json(result);
+  } catch (error) {
+    console.error('Commit import error:', error);
+    res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Get import status, counts and errors
+app.get('/api/imports/:id', authenticate, async (req, res) => {
+  try {
+    const result = await importService.getImportJob(req.params.id, req.user.userId);
+    
+    res.status(200).json(result);
+  } catch (error) {
+    console.error('Get import error:', error);
+    res.status(404).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// ============================================
+// SENDER BLOCKLIST ROUTES (Protected)
+// ============================================
+
+// List the senders whose messages imports skip
+app.get('/api/blocked-senders', authenticate, async (req, res) => {
+  try {
+    const result = await senderBlocklist.listBlockedSenders(req.user.userId);
+    
+    res.status(200).json(result);
+  } catch (error) {
+    console.error('List blocked senders error:', error);
+    res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Block a sender from all future imports
+app.post('/api/blocked-senders', authenticate, async (req, res) => {
+  try {
+    const result = await senderBlocklist.blockSender(req.user.userId, req.body.sender);
+    
+    res.status(201).json(result);
+  } catch (error) {
+    console.error('Block sender error:', error);
+    res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Unblock a sender
+app.delete('/api/blocked-senders/:senderKey', authenticate, async (req, res) => {
+  try {
+    const result = await senderBlocklist.unblockSender(req.user.userId, req.params.senderKey);
+    
+    res.status(200).json(result);
+  } catch (error) {
+    console.error('Unblock sender error:', error);
+    res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
 // ============================================
 // REFERRAL ROUTES (Protected)
 // ============================================
@@ -421,7 +600,9 @@ app.delete('/api/files/:fileKey', authenticate, async (req, res) => {
 // Create referral
 app.post('/api/referrals', authenticate, async (req, res) => {
   try {
-    const result = await dynamodbService.insertReferral(req.body, req.user.userId);
+    const result = await dynamodbService.insertReferral(req.body, req.user.userId, {
+      defaultCountry: req.user.country
+    });
     
     res.status(201).json(result);
   } catch (error) {
@@ -433,6 +614,19 @@ app.post('/api/referrals', authenticate, async (req, res) => {
   }
 });
 
+// List canonical profession categories for filters
+app.get('/api/professions', authenticate, (req, res) => {
+  const categories = [...PROFESSION_TAXONOMY, OTHER_CATEGORY].map(category => ({
+    id: category.id,
+    label: category.label
+  }));
+
+  res.status(200).json({
+    success: true,
+    categories
+  });
+});
+
 // Get referral statistics
 app.get('/api/referrals/stats', authenticate, async (req, res) => {
   try {
@@ -448,6 +642,41 @@ app.get('/api/referrals/stats', authenticate, async (req, res) => {
   }
 });
 
+// Export referrals matching the filters as an .xlsx workbook
+app.get('/api/referrals/export',
+  authenticate,
+  rateLimitByUser(5, 60000), // 5 exports per minute per user
+  async (req, res) => {
+    try {
+      const filters = {
+        city: req.query.city,
+        profession: req.query.profession,
+        businessName: req.query.businessName,
+        status: req.query.status
+      };
+      const date = new Date().toISOString().slice(0, 10);
+
+      res.setHeader('Content-Type', XLSX_CONTENT_TYPE);
+      res.setHeader('Content-Disposition', `attachment; filename="referrals-${date}.xlsx"`);
+
+      await writeReferralWorkbook(dynamodbService.listAllReferrals(filters, req.user.userId), res);
+    } catch (error) {
+      console.error('Export referrals error:', error);
+
+      // Once the workbook has started streaming the response can only be cut short
+      if (res.headersSent) {
+        return res.destroy();
+      }
+
+      res.removeHeader('Content-Disposition');
+      res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+);
+
 // Get referral by ID
 app.get('/api/referrals/:id', authenticate, async (req, res) => {
   try {
@@ -463,7 +692,7 @@ app.get('/api/referrals/:id', authenticate, async (req, res) => {
   }
 });
 
-// Query referrals with filters
+// Query referrals with filters, one page at a time (pass the previous page's cursor)
 app.get('/api/referrals', authenticate, async (req, res) => {
   try {
     const filters = {
@@ -475,7 +704,7 @@ app.get('/api/referrals', authenticate, async (req, res) => {
     
     const limit = parseInt(req.query.limit) || 50;
     
-    const result = await dynamodbService.queryReferrals(filters, req.user.userId, limit);
+    const result = await dynamodbService.queryReferrals(filters, req.user.userId, limit, req.query.cursor || null);
     
     res.status(200).json(result);
   } catch (error) {
@@ -552,9 +781,21 @@ app.use((err, req, res, next) => {
 
 const PORT = process.env.PORT || 5000;
 
-app.listen(PORT, () => {
-  console.log(`Server running securely on port ${PORT}`);
-  console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
-});
+// Secrets the API can't serve requests without; refuse to start rather than fail them one by one
+const REQUIRED_SECRETS = ['PAGE_CURSOR_SECRET', 'SENDER_HASH_SECRET'];
+const missingSecrets = REQUIRED_SECRETS.filter(name => !process.env[name]);
+
+// Only when run directly, so tests can load the app without a listening server
+if (require.main === module) {
+  if (missingSecrets.length > 0) {
+    console.error(`FATAL: ${missingSecrets.join(', ')} must be set; see .env.example. Server not started.`);
+    process.exit(1);
+  }
+
+  app.listen(PORT, () => {
+    console.log(`Server running securely on port ${PORT}`);
+    console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
+  });
+}
 
 module.exports = app;
\ No newline at end of file
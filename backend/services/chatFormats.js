@@ -0,0 +1,210 @@
+// backend/services/chatFormats.js
+const fs = require('fs');
+const path = require('path');
+const { parseWhatsAppText, parseWhatsAppLines, detectDialect } = require('../whatsapp_processing');
+const { isTelegramExport, parseTelegramExport } = require('./telegramParser');
+const { isSlackExport, parseSlackExport } = require('./slackParser');
+const { isSignalExport, parseSignalText, parseSignalLines } = require('./signalParser');
+const { isBlockedSender } = require('./senderPrivacy');
+
+// Lines read before a streamed export's format is picked
+const FORMAT_SAMPLE_LINES = 200;
+
+// Used when nothing else recognises the file, as before other formats were supported
+const DEFAULT_FORMAT = 'whatsapp';
+
+/**
+ * Parse JSON export text, with an error the user can act on
+ */
+const parseJson = (content) => {
+  try {
+    return JSON.parse(content);
+  } catch (error) {
+    throw new Error('Chat export is not valid JSON');
+  }
+};
+
+/**
+ * Read streamed lines back into one string; JSON can't be parsed a line at a time.
+ * The stream reader's size limit bounds how much is held.
+ */
+const joinLines = async (lines) => {
+  const parts = [];
+
+  for await (const line of lines) {
+    parts.push(line);
+  }
+
+  return parts.join('\n');
+};
+
+/**
+ * Wrap a parser for a JSON export as an adapter's text and line parsers
+ */
+const jsonParsers = (convert) => ({
+  parseText: (content) => convert(parseJson(content)),
+  parseLines: async function* (lines) {
+    yield* convert(parseJson(await joinLines(lines)));
+  }
+});
+
+/**
+ * Supported chat exports, tried in this order. Each adapter has:
+ * - id, label: stored and displayed names
+ * - extensions: file extensions it is tried first for
+ * - detect(sample): whether a file's first lines are in this format
+ * - parseText(content, options) and parseLines(lines, options): the messages, in the
+ *   model the extractor reads ({ timestamp, sender, message, type, attachment, edited,
+ *   line, endLine }, plus quoted reply text and shared contact cards where the
+ *   platform records them)
+ */
+const CHAT_FORMATS = [
+  {
+    id: 'telegram',
+    label: 'Telegram',
+    extensions: ['.json'],
+    detect: (sample) => isTelegramExport(sample.join('\n')),
+    ...jsonParsers(parseTelegramExport)
+  },
+  {
+    id: 'slack',
+    label: 'Slack',
+    extensions: ['.json'],
+    detect: (sample) => isSlackExport(sample.join('\n')),
+    ...jsonParsers(parseSlackExport)
+  },
+  {
+    id: 'signal',
+    label: 'Signal',
+    extensions: ['.txt', '.md'],
+    detect: isSignalExport,
+    parseText: parseSignalText,
+    parseLines: parseSignalLines
+  },
+  {
+    id: 'whatsapp',
+    label: 'WhatsApp',
+    extensions: ['.txt'],
+    detect: (sample) => Boolean(detectDialect(sample)),
+    parseText: parseWhatsAppText,
+    parseLines: parseWhatsAppLines
+  }
+];
+
+/**
+ * Look up a chat format by ID
+ */
+const getChatFormat = (id) => {
+  return CHAT_FORMATS.find(format => format.id === id) || null;
+};
+
+/**
+ * Pick the format of a chat export from its file name and first lines
+ *
+ * Formats registered for the file's extension are tried first, then the rest, so
+ * a renamed file still parses. Falls back to WhatsApp.
+ */
+const detectChatFormat = (sample, fileName = '') => {
+  const ext = path.extname(fileName || '').toLowerCase();
+  const ordered = [
+    ...CHAT_FORMATS.filter(format => format.extensions.includes(ext)),
+    ...CHAT_FORMATS.filter(format => !format.extensions.includes(ext))
+  ];
+
+  return ordered.find(format => format.detect(sample)) || getChatFormat(DEFAULT_FORMAT);
+};
+
+/**
+ * Use options.format when given, otherwise detect the format
+ */
+const resolveFormat = (sample, options) => {
+  if (!options.format) {
+    return detectChatFormat(sample, options.fileName);
+  }
+
+  const format = getChatFormat(options.format);
+
+  if (!format) {
+    throw new Error(`Chat export format "${options.format}" is not supported`);
+  }
+
+  return format;
+};
+
+/**
+ * Whether a parsed message survives the skipSystem and blockedSenders options
+ */
+const keepMessage = (message, options) => {
+  if (options.skipSystem && message.type !== 'text') return false;
+  return !isBlockedSender(message.sender, options.blockedSenders);
+};
+
+/**
+ * Parse chat export text in any supported format
+ *
+ * Options:
+ * - format: skip detection and use this format ID
+ * - fileName: the export's name, whose extension guides detection
+ * - skipSystem: drop system, media and deleted messages
+ * - blockedSenders: a Set of senderPrivacy.toSenderKey keys whose messages are dropped
+ *   here, so nothing downstream ever sees them
+ * - plus the WhatsApp parser's dialect options
+ */
+const parseChatText = (content, options = {}) => {
+  if (typeof content !== 'string') {
+    throw new Error('Chat content must be a string');
+  }
+
+  const sample = content.split('\n', FORMAT_SAMPLE_LINES);
+  const messages = resolveFormat(sample, options).parseText(content, options);
+
+  return messages.filter(message => keepMessage(message, options));
+};
+
+/**
+ * Parse a chat export in any supported format from an async iterable of lines
+ *
+ * The format is picked from the first lines, then every line is passed on to its
+ * parser. Takes the same options as parseChatText.
+ */
+async function* parseChatLines(lines, options = {}) {
+  const iterator = lines[Symbol.asyncIterator]();
+  const sample = [];
+
+  while (sample.length < FORMAT_SAMPLE_LINES) {
+    const next = await iterator.next();
+    if (next.done) break;
+    sample.push(next.value);
+  }
+
+  const format = resolveFormat(sample, options);
+
+  async function* replay() {
+    yield* sample;
+
+    for (let next = await iterator.next(); !next.done; next = await iterator.next()) {
+      yield next.value;
+    }
+  }
+
+  for await (const message of format.parseLines(replay(), options)) {
+    if (keepMessage(message, options)) yield message;
+  }
+}
+
+/**
+ * Parse a chat export file from disk in any supported format
+ */
+const parseChatFile = (filePath, options = {}) => {
+  const content = fs.readFileSync(filePath, 'utf-8');
+  return parseChatText(content, { fileName: filePath, ...options });
+};
+
+module.exports = {
+  CHAT_FORMATS,
+  getChatFormat,
+  detectChatFormat,
+  parseChatText,
+  parseChatLines,
+  parseChatFile
+};
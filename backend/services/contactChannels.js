@@ -0,0 +1,203 @@
+// backend/services/contactChannels.js
+
+// Ways a recommended business can be reached besides the contact string
+const CHANNEL_TYPES = {
+  PHONE: 'phone',
+  EMAIL: 'email',
+  WEBSITE: 'website',
+  INSTAGRAM: 'instagram',
+  FACEBOOK: 'facebook'
+};
+
+const EMAIL_PATTERN = /[a-z0-9._%+-]+@[a-z0-9-]+(?:\.[a-z0-9-]+)*\.[a-z]{2,}/gi;
+
+// Profile links, read before other links so they aren't listed as plain websites
+const INSTAGRAM_URL_PATTERN = /(?:https?:\/\/)?(?:www\.)?(?:instagram\.com|instagr\.am)\/([a-z0-9._]{1,30})/gi;
+const FACEBOOK_URL_PATTERN = /(?:https?:\/\/)?(?:www\.|m\.)?(?:facebook\.com|fb\.com|fb\.me)\/([a-z0-9.-]{2,50})/gi;
+
+// Links with a scheme or "www.", or bare domains on common endings ("bestcakes.in")
+const URL_PATTERN = new RegExp(
+  '(?:https?:\\/\\/|www\\.)[^\\s<>"\']+'
+    + '|\\b[a-z0-9](?:[a-z0-9-]*[a-z0-9])?(?:\\.[a-z0-9-]+)*'
+    + '\\.(?:com|net|org|in|co|io|biz|info|shop|store|online|site|app|me|us|uk|ca|au|es|mx|br|pt|ar|cl)(?:\\.[a-z]{2})?\\b'
+    + '(?:\\/[^\\s<>"\']*)?',
+  'gi'
+);
+
+// Links that aren't a business's own site: chat invites and click-to-chat numbers
+const IGNORED_HOSTS = ['wa.me', 'chat.whatsapp.com', 't.me', 'api.whatsapp.com'];
+
+// Handles named with their platform: "insta @bestcakes", "IG: bestcakes", "@bestcakes on insta"
+const HANDLE_PATTERNS = [
+  { type: CHANNEL_TYPES.INSTAGRAM, pattern: /\b(?:insta(?:gram)?|ig)\b(?:\s+(?:page|handle|id|account))?(?:\s*[:-]\s*@?|\s*@)([a-z0-9._]{2,30})/gi },
+  { type: CHANNEL_TYPES.INSTAGRAM, pattern: /@([a-z0-9._]{2,30})\s+(?:on|at)\s+(?:insta(?:gram)?|ig)\b/gi },
+  { type: CHANNEL_TYPES.FACEBOOK, pattern: /\b(?:fb|facebook)\b(?:\s+(?:page|handle|id|account))?(?:\s*[:-]\s*@?|\s*@)([a-z0-9.-]{2,50})/gi },
+  { type: CHANNEL_TYPES.FACEBOOK, pattern: /@([a-z0-9.-]{2,50})\s+(?:on|at)\s+(?:fb|facebook)\b/gi }
+];
+
+const VALUE_PATTERNS = {
+  [CHANNEL_TYPES.EMAIL]: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
+  [CHANNEL_TYPES.WEBSITE]: /^[a-z0-9.-]+\.[a-z]{2,}(?:\/\S*)?$/,
+  [CHANNEL_TYPES.INSTAGRAM]: /^[a-z0-9._]{1,30}$/,
+  [CHANNEL_TYPES.FACEBOOK]: /^[a-z0-9.-]{2,50}$/
+};
+
+// Fewest digits for a phone channel, as for the contact string
+const MIN_PHONE_DIGITS = 7;
+
+// Trailing digits phone channels are compared on, so a number matches with or without its country code
+const SAME_NUMBER_DIGITS = 9;
+
+/**
+ * Drop sentence punctuation caught on the end of a link or handle
+ */
+const trimTrailing = (value) => value.replace(/[.,!?;:)\]]+$/, '');
+
+/**
+ * Reduce a link to host and path, without scheme, "www." or a trailing slash
+ */
+const normalizeWebsite = (url) => {
+  const [host, ...path] = trimTrailing(url)
+    .replace(/^https?:\/\//i, '')
+    .replace(/^www\./i, '')
+    .split('/');
+  const rest = path.join('/').replace(/\/+$/, '');
+
+  return rest ? `${host.toLowerCase()}/${rest}` : host.toLowerCase();
+};
+
+/**
+ * Link that opens a channel on the phone: tel:, mailto: or a web address
+ */
+const toChannelUrl = (type, value) => {
+  switch (type) {
+    case CHANNEL_TYPES.PHONE:
+      return `tel:${value.replace(/[^\d+]/g, '')}`;
+    case CHANNEL_TYPES.EMAIL:
+      return `mailto:${value}`;
+    case CHANNEL_TYPES.WEBSITE:
+      return `https://${value}`;
+    case CHANNEL_TYPES.INSTAGRAM:
+      return `https://instagram.com/${value}`;
+    case CHANNEL_TYPES.FACEBOOK:
+      return `https://facebook.com/${value}`;
+    default:
+      return null;
+  }
+};
+
+/**
+ * Validate a channel and put its value in canonical form, or return null
+ *
+ * Phone values keep their formatting; everything else is lowercased, with
+ * handles losing their "@" and links their scheme.
+ */
+const normalizeChannel = (channel) => {
+  if (!channel || typeof channel.value !== 'string' || !Object.values(CHANNEL_TYPES).includes(channel.type)) {
+    return null;
+  }
+
+  const { type } = channel;
+  let value = channel.value.trim();
+
+  if (type === CHANNEL_TYPES.PHONE) {
+    if (value.replace(/\D/g, '').length < MIN_PHONE_DIGITS) return null;
+  } else if (type === CHANNEL_TYPES.WEBSITE) {
+    value = normalizeWebsite(value);
+  } else {
+    value = trimTrailing(value.replace(/^@/, '')).toLowerCase();
+  }
+
+  if (VALUE_PATTERNS[type] && !VALUE_PATTERNS[type].test(value)) return null;
+
+  return { type, value, url: toChannelUrl(type, value) };
+};
+
+/**
+ * Key two channels share when they reach the same place
+ *
+ * Values are compared as normalizeChannel leaves them, phones by their last digits
+ * so "+91 98765 43210" and "098765 43210" are the same number.
+ */
+const channelKey = (channel) => {
+  const normalized = normalizeChannel(channel) || channel;
+  const value = normalized.type === CHANNEL_TYPES.PHONE
+    ? normalized.value.replace(/\D/g, '').slice(-SAME_NUMBER_DIGITS)
+    : normalized.value;
+
+  return `${normalized.type}:${value}`;
+};
+
+/**
+ * Join channel lists, keeping the first of any that repeat
+ */
+const mergeChannels = (...lists) => {
+  const seen = new Set();
+
+  return lists.flat().filter(channel => {
+    if (!channel) return false;
+
+    const key = channelKey(channel);
+    if (seen.has(key)) return false;
+
+    seen.add(key);
+    return true;
+  });
+};
+
+/**
+ * Find the emails, websites and Instagram or Facebook handles in a message
+ *
+ * Phone numbers are left to the phone extractor. Each match is blanked out once
+ * read, so an email's domain isn't listed again as a website and a profile link
+ * isn't listed twice.
+ */
+const extractContactChannels = (text) => {
+  if (typeof text !== 'string' || !text.trim()) return [];
+
+  const channels = [];
+  let rest = text;
+
+  const take = (pattern, type, group = 0) => {
+    rest = rest.replace(pattern, (...match) => {
+      channels.push(normalizeChannel({ type, value: match[group] }));
+      return ' ';
+    });
+  };
+
+  take(EMAIL_PATTERN, CHANNEL_TYPES.EMAIL);
+  take(INSTAGRAM_URL_PATTERN, CHANNEL_TYPES.INSTAGRAM, 1);
+  take(FACEBOOK_URL_PATTERN, CHANNEL_TYPES.FACEBOOK, 1);
+  HANDLE_PATTERNS.forEach(({ type, pattern }) => take(pattern, type, 1));
+
+  rest.replace(URL_PATTERN, (url) => {
+    const website = normalizeChannel({ type: CHANNEL_TYPES.WEBSITE, value: url });
+
+    if (website && !IGNORED_HOSTS.includes(website.value.split('/')[0])) {
+      channels.push(website);
+    }
+
+    return ' ';
+  });
+
+  return mergeChannels(channels);
+};
+
+/**
+ * A name for a business known only by its handle or site ("bestcakes")
+ */
+const nameFromChannels = (channels) => {
+  const named = channels.find(channel => channel.type === CHANNEL_TYPES.INSTAGRAM || channel.type === CHANNEL_TYPES.FACEBOOK)
+    || channels.find(channel => channel.type === CHANNEL_TYPES.WEBSITE);
+
+  return named ? named.value.split('/')[0] : null;
+};
+
+module.exports = {
+  CHANNEL_TYPES,
+  normalizeChannel,
+  channelKey,
+  mergeChannels,
+  extractContactChannels,
+  nameFromChannels
+};
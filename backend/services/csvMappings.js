@@ -0,0 +1,79 @@
+// backend/services/csvMappings.js
+require('dotenv').config();
+const AWS = require('aws-sdk');
+const { validateColumnMapping } = require('./csvParser');
+
+// Initialize DynamoDB with IAM role (no hardcoded credentials)
+const dynamodb = new AWS.DynamoDB.DocumentClient({
+  region: process.env.AWS_REGION
+});
+
+const CSV_MAPPINGS_TABLE_NAME = process.env.CSV_MAPPINGS_TABLE_NAME;
+
+const isHeaderKey = (value) => typeof value === 'string' && /^[0-9a-f]{64}$/.test(value);
+
+/**
+ * Column mapping the user last saved for a CSV header, or null
+ *
+ * A stored mapping that no longer validates is ignored rather than failing the import.
+ */
+const getCsvMapping = async (userId, headerKey) => {
+  try {
+    if (!isHeaderKey(headerKey)) return null;
+
+    const result = await dynamodb.get({
+      TableName: CSV_MAPPINGS_TABLE_NAME,
+      Key: { userId, headerKey }
+    }).promise();
+
+    if (!result.Item) return null;
+
+    try {
+      return validateColumnMapping(result.Item.mapping);
+    } catch (error) {
+      return null;
+    }
+  } catch (error) {
+    console.error('Get CSV mapping error:', error);
+    throw new Error('Failed to load CSV column mapping');
+  }
+};
+
+/**
+ * Save the column mapping used for a CSV header, so the next file with that header reads the same way
+ */
+const saveCsvMapping = async (userId, headerKey, mapping, headers = null) => {
+  try {
+    if (!isHeaderKey(headerKey)) {
+      throw new Error('Invalid CSV header key');
+    }
+
+    const item = {
+      userId,
+      headerKey,
+      mapping: validateColumnMapping(mapping),
+      headers: Array.isArray(headers) ? headers.slice(0, 100).map(String) : null,
+      updatedAt: new Date().toISOString()
+    };
+
+    await dynamodb.put({
+      TableName: CSV_MAPPINGS_TABLE_NAME,
+      Item: item
+    }).promise();
+
+    return { success: true, headerKey, mapping: item.mapping };
+  } catch (error) {
+    console.error('Save CSV mapping error:', error);
+
+    if (error.message.startsWith('CSV') || error.message === 'Invalid CSV header key') {
+      throw error;
+    }
+
+    throw new Error('Failed to save CSV column mapping');
+  }
+};
+
+module.exports = {
+  getCsvMapping,
+  saveCsvMapping
+};
@@ -0,0 +1,389 @@
+// backend/services/csvParser.js
+const crypto = require('crypto');
+const { CHANNEL_TYPES, normalizeChannel, mergeChannels } = require('./contactChannels');
+
+// Delimiters tried on the first record; spreadsheet exports outside the US often use ';'
+const DELIMITERS = [',', ';', '\t'];
+
+// Longest record accepted; past this an unclosed quote has swallowed the rest of the file
+const MAX_RECORD_LENGTH = 64 * 1024;
+
+// Widest row a column mapping can point into
+const MAX_COLUMNS = 100;
+
+// Row errors kept for the import result; the rest are only counted
+const MAX_ROW_ERRORS = 100;
+
+// Rows kept to show beside the header while the user maps columns
+const SAMPLE_ROWS = 3;
+
+// Fewest digits in a phone number, as for extracted contacts
+const MIN_PHONE_DIGITS = 7;
+
+// Referral fields a column can map to, with the header names that map to them on their own
+const CSV_FIELDS = [
+  { key: 'businessName', aliases: ['business', 'business name', 'name', 'company', 'company name', 'vendor', 'provider', 'service provider', 'shop'] },
+  { key: 'profession', aliases: ['profession', 'service', 'services', 'category', 'trade', 'type', 'occupation'] },
+  { key: 'city', aliases: ['city', 'town', 'location', 'place'] },
+  { key: 'neighborhood', aliases: ['neighborhood', 'neighbourhood', 'area', 'locality', 'suburb'] },
+  { key: 'state', aliases: ['state', 'province', 'region'] },
+  { key: 'country', aliases: ['country'] },
+  { key: 'contact', aliases: ['contact', 'phone', 'phone number', 'mobile', 'mobile number', 'number', 'tel', 'telephone', 'whatsapp', 'contact number'] },
+  { key: 'email', aliases: ['email', 'e mail', 'email address', 'mail'] },
+  { key: 'website', aliases: ['website', 'web', 'site', 'url'] },
+  { key: 'instagram', aliases: ['instagram', 'insta', 'ig'] },
+  { key: 'facebook', aliases: ['facebook', 'fb'] },
+  { key: 'message', aliases: ['message', 'notes', 'note', 'comments', 'comment', 'description', 'review', 'details', 'remarks'] }
+];
+
+const FIELD_KEYS = CSV_FIELDS.map(field => field.key);
+
+// Columns of a file without a header row: Business, Profession, City, Contact, Message
+const DEFAULT_COLUMN_MAPPING = { businessName: 0, profession: 1, city: 2, contact: 3, message: 4 };
+
+// Fewest columns a row read in the default order needs: Business, Profession and City
+const MIN_DEFAULT_COLUMNS = 3;
+
+// Fields read as contact channels rather than stored as they are
+const CHANNEL_FIELDS = {
+  website: CHANNEL_TYPES.WEBSITE,
+  instagram: CHANNEL_TYPES.INSTAGRAM,
+  facebook: CHANNEL_TYPES.FACEBOOK
+};
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Lowercase a header cell and reduce punctuation to single spaces ("E-mail" -> "e mail")
+ */
+const normalizeHeader = (cell) => {
+  return String(cell || '').toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+};
+
+/**
+ * Field a header cell names, or null
+ */
+const fieldForHeader = (cell) => {
+  const name = normalizeHeader(cell);
+  const field = CSV_FIELDS.find(candidate => candidate.key.toLowerCase() === name.replace(/ /g, '')
+    || candidate.aliases.includes(name));
+
+  return field ? field.key : null;
+};
+
+/**
+ * Count a character in a line, ignoring any inside quoted fields
+ */
+const countOutsideQuotes = (line, character) => {
+  let count = 0;
+  let inQuotes = false;
+
+  for (const ch of line) {
+    if (ch === '"') inQuotes = !inQuotes;
+    else if (ch === character && !inQuotes) count++;
+  }
+
+  return count;
+};
+
+/**
+ * The delimiter that splits a line into the most fields, comma on a tie
+ */
+const detectDelimiter = (line) => {
+  let best = DELIMITERS[0];
+  let bestCount = 0;
+
+  DELIMITERS.forEach(delimiter => {
+    const count = countOutsideQuotes(line, delimiter);
+
+    if (count > bestCount) {
+      best = delimiter;
+      bestCount = count;
+    }
+  });
+
+  return best;
+};
+
+/**
+ * Read CSV records from a file's lines, following RFC 4180
+ *
+ * Quoted fields may hold delimiters, doubled quotes and line breaks, so one record
+ * can span several lines. The delimiter (comma, semicolon or tab) is taken from
+ * the first record unless options.delimiter is given. Blank lines are skipped.
+ * Yields { fields, line } with line the number of the record's first line.
+ */
+async function* parseCsvRecords(lines, options = {}) {
+  let delimiter = options.delimiter || null;
+  let lineNumber = 0;
+  let startLine = 0;
+  let fields = [];
+  let field = '';
+  let quoted = false;
+  let inQuotes = false;
+  let length = 0;
+
+  for await (const rawLine of lines) {
+    lineNumber++;
+
+    let line = rawLine.endsWith('\r') ? rawLine.slice(0, -1) : rawLine;
+    if (lineNumber === 1) line = line.replace(/^\uFEFF/, '');
+
+    if (inQuotes) {
+      field += '\n';
+    } else {
+      if (!line.trim()) continue;
+
+      startLine = lineNumber;
+      length = 0;
+      delimiter = delimiter || detectDelimiter(line);
+    }
+
+    length += line.length;
+    if (length > MAX_RECORD_LENGTH) {
+      throw new Error(`CSV record on line ${startLine} is too long; check for a quote that isn't closed`);
+    }
+
+    for (let i = 0; i < line.length; i++) {
+      const ch = line[i];
+
+      if (inQuotes) {
+        if (ch !== '"') {
+          field += ch;
+        } else if (line[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else {
+          inQuotes = false;
+        }
+      } else if (ch === delimiter) {
+        fields.push(quoted ? field : field.trim());
+        field = '';
+        quoted = false;
+      } else if (ch === '"' && !quoted && !field.trim()) {
+        // A quote opens a quoted field only at its start; elsewhere it is kept as text
+        field = '';
+        quoted = true;
+        inQuotes = true;
+      } else {
+        field += ch;
+      }
+    }
+
+    if (!inQuotes) {
+      fields.push(quoted ? field : field.trim());
+      yield { fields, line: startLine };
+
+      fields = [];
+      field = '';
+      quoted = false;
+    }
+  }
+
+  if (inQuotes) {
+    throw new Error(`CSV quoted field starting on line ${startLine} is never closed`);
+  }
+}
+
+/**
+ * Whether a record is a header row: it names a known column and holds no phone number or email
+ */
+const isHeaderRow = (fields) => {
+  const looksLikeData = fields.some(cell => cell.replace(/\D/g, '').length >= MIN_PHONE_DIGITS || cell.includes('@'));
+
+  return !looksLikeData && fields.some(cell => fieldForHeader(cell));
+};
+
+/**
+ * Map the columns a header row names to referral fields, the first column winning a repeat
+ */
+const detectColumnMapping = (header) => {
+  const mapping = {};
+
+  header.forEach((cell, index) => {
+    const key = fieldForHeader(cell);
+    if (key && mapping[key] === undefined) mapping[key] = index;
+  });
+
+  return mapping;
+};
+
+/**
+ * Stable key for a header row, so a mapping saved for one export fits the next
+ */
+const headerKey = (header) => {
+  const normalized = header.map(normalizeHeader).join('\u0000');
+  return crypto.createHash('sha256').update(normalized).digest('hex');
+};
+
+/**
+ * Check a column mapping ({ field: columnIndex }) and return a clean copy
+ */
+const validateColumnMapping = (mapping) => {
+  if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping)) {
+    throw new Error('CSV column mapping must be an object of field names to column numbers');
+  }
+
+  const clean = {};
+
+  Object.entries(mapping).forEach(([key, index]) => {
+    if (!FIELD_KEYS.includes(key)) {
+      throw new Error(`CSV column mapping has an unknown field: ${key}`);
+    }
+    if (index === null || index === undefined) return;
+    if (!Number.isInteger(index) || index < 0 || index >= MAX_COLUMNS) {
+      throw new Error(`CSV column mapping for ${key} must be a column number from 0 to ${MAX_COLUMNS - 1}`);
+    }
+
+    clean[key] = index;
+  });
+
+  if (clean.businessName === undefined) {
+    throw new Error('CSV column mapping needs a business name column');
+  }
+
+  return clean;
+};
+
+/**
+ * Read one record into referral fields with the given mapping
+ *
+ * Website, Instagram and Facebook columns become contact channels. Returns
+ * { referral, errors }, where errors lists what makes the row unusable.
+ */
+const readCsvRow = (fields, mapping) => {
+  const valueOf = (key) => (mapping[key] === undefined ? '' : (fields[mapping[key]] || '').trim());
+  const referral = {};
+  const channels = [];
+  const errors = [];
+
+  FIELD_KEYS.filter(key => !CHANNEL_FIELDS[key]).forEach(key => {
+    referral[key] = valueOf(key);
+  });
+
+  Object.entries(CHANNEL_FIELDS).forEach(([key, type]) => {
+    const value = valueOf(key);
+    if (!value) return;
+
+    const channel = normalizeChannel({ type, value });
+    if (channel) channels.push(channel);
+    else errors.push(`Invalid ${key} "${value}"`);
+  });
+
+  if (!referral.businessName) {
+    errors.push('Missing business name');
+  }
+  if (referral.contact && referral.contact.replace(/\D/g, '').length < MIN_PHONE_DIGITS) {
+    errors.push(`Invalid phone number "${referral.contact}"`);
+  }
+  if (referral.email && !EMAIL_PATTERN.test(referral.email)) {
+    errors.push(`Invalid email "${referral.email}"`);
+  }
+
+  return {
+    referral: { ...referral, contactChannels: mergeChannels(channels) },
+    errors
+  };
+};
+
+/**
+ * Read a CSV referral list, or a spreadsheet's rows, one mapped row at a time
+ *
+ * The first record is taken as a header when it names known columns. Columns map
+ * to fields from options.columnMapping, else the mapping options.findSavedMapping
+ * resolves for the header's key, else the names in the header itself, else the
+ * order Business, Profession, City, Contact, Message.
+ *
+ * info describes the header and the mapping used once rows() has started; rows that
+ * fail validation aren't yielded but listed in rowErrors as { line, errors }.
+ * Rows are yielded as referral fields plus line and csvFields, the raw record.
+ * rows(lines) reads CSV text; readRecords(records) takes records already split
+ * into fields, such as a spreadsheet's.
+ */
+const createCsvReader = (options = {}) => {
+  const info = {
+    hasHeader: false,
+    headers: null,
+    headerKey: null,
+    columnCount: 0,
+    mapping: null,
+    mappingSource: null,
+    sampleRows: [],
+    invalidRows: 0
+  };
+  const rowErrors = [];
+
+  const chooseMapping = async (first) => {
+    info.hasHeader = isHeaderRow(first.fields);
+    info.columnCount = first.fields.length;
+
+    if (info.hasHeader) {
+      info.headers = first.fields;
+      info.headerKey = headerKey(first.fields);
+    }
+
+    if (options.columnMapping) {
+      return { mapping: validateColumnMapping(options.columnMapping), source: 'request' };
+    }
+
+    const saved = info.hasHeader && options.findSavedMapping
+      ? await options.findSavedMapping(info.headerKey)
+      : null;
+
+    if (saved) {
+      return { mapping: saved, source: 'saved' };
+    }
+
+    const detected = info.hasHeader ? detectColumnMapping(first.fields) : {};
+
+    return detected.businessName !== undefined
+      ? { mapping: detected, source: 'detected' }
+      : { mapping: DEFAULT_COLUMN_MAPPING, source: 'default' };
+  };
+
+  async function* readRecords(records) {
+    for await (const record of records) {
+      if (!info.mapping) {
+        const { mapping, source } = await chooseMapping(record);
+
+        info.mapping = mapping;
+        info.mappingSource = source;
+
+        if (info.hasHeader) continue;
+      }
+
+      info.columnCount = Math.max(info.columnCount, record.fields.length);
+      if (info.sampleRows.length < SAMPLE_ROWS) info.sampleRows.push(record.fields);
+
+      const { referral, errors } = readCsvRow(record.fields, info.mapping);
+
+      if (info.mappingSource === 'default' && record.fields.length < MIN_DEFAULT_COLUMNS) {
+        errors.push('Expected at least Business, Profession and City columns');
+      }
+
+      if (errors.length > 0) {
+        info.invalidRows++;
+        if (rowErrors.length < MAX_ROW_ERRORS) rowErrors.push({ line: record.line, errors });
+        continue;
+      }
+
+      yield { ...referral, line: record.line, csvFields: record.fields };
+    }
+  }
+
+  const rows = (lines) => readRecords(parseCsvRecords(lines));
+
+  return { info, rowErrors, rows, readRecords };
+};
+
+module.exports = {
+  CSV_FIELDS,
+  DEFAULT_COLUMN_MAPPING,
+  parseCsvRecords,
+  isHeaderRow,
+  detectColumnMapping,
+  headerKey,
+  validateColumnMapping,
+  readCsvRow,
+  createCsvReader
+};
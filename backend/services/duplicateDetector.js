@@ -0,0 +1,115 @@
+// backend/services/duplicateDetector.js
+const { CHANNEL_TYPES, channelKey } = require('./contactChannels');
+const { editDistance } = require('../utils/editDistance');
+
+// Minimum similarity (0 to 1) for two business names to count as the same business
+const NAME_SIMILARITY_THRESHOLD = 0.85;
+
+// Generic words that don't tell businesses apart ("Raj Plumbing Services" vs "Raj Plumbing")
+const NAME_NOISE_WORDS = new Set([
+  'the', 'and', 'services', 'service', 'co', 'company', 'ltd', 'llc', 'inc', 'pvt', 'enterprises'
+]);
+
+/**
+ * Normalize a business name for comparison
+ */
+const normalizeBusinessName = (name) => {
+  if (typeof name !== 'string') return '';
+
+  return name
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/[^a-z0-9\s]/g, ' ')
+    .split(/\s+/)
+    .filter(word => word && !NAME_NOISE_WORDS.has(word))
+    .join(' ');
+};
+
+/**
+ * Reduce a contact string to its digits so formatting differences don't matter
+ */
+const normalizeContact = (contact) => {
+  if (typeof contact !== 'string') return '';
+
+  const digits = contact.replace(/\D/g, '');
+  return digits.length >= 7 ? digits : '';
+};
+
+/**
+ * Similarity between two normalized names (1 means identical)
+ */
+const nameSimilarity = (a, b) => {
+  if (!a || !b) return 0;
+  if (a === b) return 1;
+
+  return 1 - editDistance(a, b) / Math.max(a.length, b.length);
+};
+
+/**
+ * Check whether two contacts are the same number, allowing for a missing country code
+ */
+const isSameContact = (a, b) => {
+  if (!a || !b) return false;
+  if (a === b) return true;
+
+  const shorter = a.length < b.length ? a : b;
+  const longer = a.length < b.length ? b : a;
+
+  return shorter.length >= 7 && longer.endsWith(shorter);
+};
+
+/**
+ * Keys of a referral's emails, websites and handles; numbers are compared on their own
+ */
+const onlineChannelKeys = (referral) => {
+  return (referral.contactChannels || [])
+    .filter(channel => channel.type !== CHANNEL_TYPES.PHONE)
+    .map(channelKey);
+};
+
+/**
+ * Find the existing referral that a new referral duplicates, or null
+ *
+ * A referral matches on the same phone number (E.164 when known), on a shared email,
+ * website or social handle, or on a near-identical business name when at least one
+ * side has no number to compare.
+ */
+const findDuplicate = (referral, existingReferrals) => {
+  const name = normalizeBusinessName(referral.businessName);
+  const contact = normalizeContact(referral.contactE164 || referral.contact);
+  const channels = new Set(onlineChannelKeys(referral));
+
+  let bestMatch = null;
+  let bestScore = 0;
+
+  for (const existing of existingReferrals) {
+    const existingContact = normalizeContact(existing.contactE164 || existing.contact);
+
+    if (isSameContact(contact, existingContact)) {
+      return existing;
+    }
+
+    if (onlineChannelKeys(existing).some(key => channels.has(key))) {
+      return existing;
+    }
+
+    // Different numbers mean different businesses, however similar the names
+    if (contact && existingContact) continue;
+
+    const score = nameSimilarity(name, normalizeBusinessName(existing.businessName));
+
+    if (score >= NAME_SIMILARITY_THRESHOLD && score > bestScore) {
+      bestMatch = existing;
+      bestScore = score;
+    }
+  }
+
+  return bestMatch;
+};
+
+module.exports = {
+  normalizeBusinessName,
+  normalizeContact,
+  nameSimilarity,
+  findDuplicate
+};
@@ -2,6 +2,14 @@
 require('dotenv').config();
 const AWS = require('aws-sdk');
 const crypto = require('crypto');
+const { findDuplicate } = require('./duplicateDetector');
+const { normalizePhoneNumber, toCountryCode } = require('./phoneNormalizer');
+const { classifyProfession, categorizeReferral } = require('./professionTaxonomy');
+const { SENTIMENT, scoreSentiment } = require('./sentimentScorer');
+const { isSupportedLanguage, detectLanguage } = require('./languagePacks');
+const { CHANNEL_TYPES, normalizeChannel, channelKey, mergeChannels } = require('./contactChannels');
+const { INVALID_CURSOR, encodeCursor, decodeCursor } = require('./pageCursor');
+const referralStats = require('./referralStats');
 
 // Initialize DynamoDB with IAM role (no hardcoded credentials)
 const dynamodb = new AWS.DynamoDB.DocumentClient({
@@ -10,6 +18,39 @@ const dynamodb = new AWS.DynamoDB.DocumentClient({
 
 const TABLE_NAME = process.env.DYNAMO_TABLE_NAME;
 
+// Source messages kept per referral; mentionCount keeps counting past this
+const MAX_STORED_MENTIONS = 50;
+
+// Contact cards and photos kept with each referral or mention
+const MAX_ATTACHMENTS_PER_REFERRAL = 10;
+
+// Surrounding messages kept with each mention's provenance
+const MAX_CONTEXT_MESSAGES = 5;
+
+// Numbers, emails, websites and handles kept per referral
+const MAX_CONTACT_CHANNELS = 10;
+
+// Most referrals returned in one page
+const MAX_PAGE_SIZE = 100;
+
+// Tries at merging a mention into a referral whose status keeps changing under it
+const MAX_MERGE_ATTEMPTS = 3;
+
+// Referrals written per transaction, leaving room for the stats counter update
+const MAX_TRANSACTION_ITEMS = 25;
+
+const CHANGED_CONCURRENTLY = 'Referral was changed by another request; try again';
+
+// Tries at a transaction DynamoDB cancels because another was writing the same items,
+// as every write of a user's referrals also writes their stats item, and the base
+// delay before trying again, doubled on each try
+const MAX_TRANSACTION_ATTEMPTS = 4;
+const TRANSACTION_RETRY_DELAY_MS = 50;
+
+// Statuses a referral can be given
+const REFERRAL_STATUSES = ['active', 'inactive', 'warning'];
+const INVALID_STATUS = 'Invalid referral status';
+
 /**
  * Sanitize input to prevent injection attacks
  */
@@ -22,6 +63,16 @@ const sanitizeInput = (input) => {
     .substring(0, 500); // Limit length
 };
 
+/**
+ * Lowercase an email address, or return null if it isn't one
+ */
+const sanitizeEmail = (email) => {
+  if (typeof email !== 'string') return null;
+
+  const value = sanitizeInput(email).toLowerCase();
+  return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value) ? value : null;
+};
+
 /**
  * Validate UUID format
  */
@@ -38,9 +89,391 @@ const generateId = () => {
 };
 
 /**
- * Insert referral with security checks
+ * Canonical E.164 number and country for a raw contact string
+ */
+const normalizeContactFields = (contact, country) => {
+  const phone = normalizePhoneNumber(contact, toCountryCode(country));
+
+  return {
+    contactE164: phone ? phone.e164 : null,
+    contactCountry: phone ? phone.country : toCountryCode(country)
+  };
+};
+
+/**
+ * Sentiment of a mention, as scored at extraction or else from its message
+ */
+const buildEndorsement = (referralData) => {
+  if (Object.values(SENTIMENT).includes(referralData.sentiment) && Number.isFinite(referralData.sentimentScore)) {
+    return {
+      sentiment: referralData.sentiment,
+      sentimentScore: Math.max(-1, Math.min(1, referralData.sentimentScore))
+    };
+  }
+
+  const scored = scoreSentiment(referralData.message || '');
+  return { sentiment: scored.sentiment, sentimentScore: scored.score };
+};
+
+/**
+ * Sanitize a referral's contact channels, listing its number and email first
+ *
+ * Channels from the client are re-validated and their links rebuilt rather than trusted.
+ * A preview candidate's `extracted` holds the contact and email its channels were built
+ * from; the channels for those are dropped, so a number or address the user edited in
+ * review isn't kept next to the corrected one.
+ */
+const buildContactChannels = (referralData, defaultCountry) => {
+  const contact = sanitizeInput(referralData.contact || '');
+  const email = sanitizeEmail(referralData.email);
+  const contactCountry = referralData.contactCountry || defaultCountry;
+  const { contactE164 } = normalizeContactFields(contact, contactCountry);
+  const channels = Array.isArray(referralData.contactChannels) ? referralData.contactChannels : [];
+  const extracted = referralData.extracted;
+  const provided = extracted && typeof extracted === 'object'
+    ? withoutFieldChannels(channels, { contact: extracted.contact, contactCountry, email: extracted.email })
+    : channels;
+
+  return mergeChannels(
+    contact ? normalizeChannel({ type: CHANNEL_TYPES.PHONE, value: contactE164 || contact }) : null,
+    email ? normalizeChannel({ type: CHANNEL_TYPES.EMAIL, value: email }) : null,
+    provided
+      .slice(0, MAX_CONTACT_CHANNELS)
+      .filter(channel => channel && typeof channel.value === 'string')
+      .map(channel => normalizeChannel({ type: channel.type, value: sanitizeInput(channel.value) }))
+  ).slice(0, MAX_CONTACT_CHANNELS);
+};
+
+/**
+ * Drop the channels that were built from a referral's previous contact and email fields
+ */
+const withoutFieldChannels = (channels, { contact, contactCountry, email }) => {
+  const stale = new Set(buildContactChannels({ contact, contactCountry, email }).map(channelKey));
+
+  return channels
+    .filter(channel => channel && typeof channel.value === 'string')
+    .filter(channel => !stale.has(channelKey(channel)));
+};
+
+/**
+ * Language of a mention, as detected at extraction or else from its message
+ */
+const buildLanguage = (referralData) => {
+  if (isSupportedLanguage(referralData.language)) {
+    return referralData.language;
+  }
+
+  return detectLanguage(referralData.message || '');
+};
+
+/**
+ * Per-sentiment mention counters for a referral's first mention
+ */
+const initialEndorsementCounts = (sanitizedData) => {
+  return {
+    endorsementTotal: sanitizedData.sentimentScore,
+    positiveMentions: sanitizedData.sentiment === SENTIMENT.POSITIVE ? 1 : 0,
+    neutralMentions: sanitizedData.sentiment === SENTIMENT.NEUTRAL ? 1 : 0,
+    negativeMentions: sanitizedData.sentiment === SENTIMENT.NEGATIVE ? 1 : 0
+  };
+};
+
+/**
+ * Add the aggregate recommendation score (-1 to 1) across a referral's scored mentions
+ */
+const withRecommendationScore = (item) => {
+  if (!item) return item;
+
+  const scored = (item.positiveMentions || 0) + (item.neutralMentions || 0) + (item.negativeMentions || 0);
+
+  return {
+    ...item,
+    recommendationScore: scored > 0 ? Math.round((item.endorsementTotal || 0) / scored * 100) / 100 : null
+  };
+};
+
+/**
+ * Build the mention record stored for each time a referral is seen
+ */
+const buildMention = (sanitizedData) => {
+  return {
+    sourceFile: sanitizedData.sourceFile || null,
+    message: sanitizedData.message || '',
+    answeredQuestion: sanitizedData.answeredQuestion || null,
+    attachments: sanitizedData.attachments || [],
+    provenance: sanitizedData.provenance || null,
+    sentiment: sanitizedData.sentiment,
+    sentimentScore: sanitizedData.sentimentScore,
+    language: sanitizedData.language,
+    createdAt: sanitizedData.createdAt
+  };
+};
+
+/**
+ * Sanitize the "looking for" question a referral was given in reply to
+ */
+const buildAnsweredQuestion = (question) => {
+  if (!question || typeof question.message !== 'string') return null;
+
+  return {
+    message: sanitizeInput(question.message),
+    sender: sanitizeInput(question.sender || ''),
+    timestamp: sanitizeInput(question.timestamp || ''),
+    line: Number.isInteger(question.line) ? question.line : null
+  };
+};
+
+/**
+ * Sanitize the contact cards and photos linked to a referral from a zip export.
+ * Only files stored under the user's own upload prefix are kept.
+ */
+const buildAttachments = (attachments, userId) => {
+  if (!Array.isArray(attachments)) return [];
+
+  return attachments
+    .filter(attachment => attachment && typeof attachment.fileKey === 'string')
+    .filter(attachment => attachment.fileKey.startsWith(`uploads/${userId}/`))
+    .slice(0, MAX_ATTACHMENTS_PER_REFERRAL)
+    .map(attachment => ({
+      name: sanitizeInput(attachment.name || ''),
+      type: attachment.type === 'contact' ? 'contact' : 'image',
+      fileKey: attachment.fileKey
+    }));
+};
+
+/**
+ * Record why a referral exists: the file, message time, sender, lines and the
+ * messages around it. Returns null for referrals entered by hand.
+ */
+const buildProvenance = (referralData, sourceFile) => {
+  const lineStart = Number.isInteger(referralData.line) ? referralData.line : null;
+  const lineEnd = Number.isInteger(referralData.endLine) ? referralData.endLine : lineStart;
+  const messageTimestamp = sanitizeInput(referralData.timestamp || '') || null;
+
+  if (!sourceFile && lineStart === null && !messageTimestamp) {
+    return null;
+  }
+
+  const context = Array.isArray(referralData.context) ? referralData.context : [];
+
+  return {
+    sourceFile: sourceFile || null,
+    messageTimestamp,
+    sender: sanitizeInput(referralData.sender || '') || null,
+    lineStart,
+    lineEnd,
+    context: context
+      .filter(entry => entry && typeof entry.message === 'string')
+      .slice(0, MAX_CONTEXT_MESSAGES)
+      .map(entry => ({
+        sender: sanitizeInput(entry.sender || '') || null,
+        timestamp: sanitizeInput(entry.timestamp || '') || null,
+        message: sanitizeInput(entry.message),
+        line: Number.isInteger(entry.line) ? entry.line : null
+      }))
+  };
+};
+
+/**
+ * Load the fields used for duplicate detection across all of a user's referrals
+ */
+const getUserReferralKeys = async (userId) => {
+  const items = [];
+  let lastEvaluatedKey;
+
+  do {
+    const result = await dynamodb.query({
+      TableName: TABLE_NAME,
+      IndexName: 'UserIdIndex',
+      KeyConditionExpression: 'userId = :userId',
+      ExpressionAttributeValues: {
+        ':userId': userId
+      },
+      ProjectionExpression: 'referralId, businessName, contact, contactE164, email, contactChannels, mentionCount, sourceFiles, #status',
+      ExpressionAttributeNames: {
+        '#status': 'status'
+      },
+      ExclusiveStartKey: lastEvaluatedKey
+    }).promise();
+
+    items.push(...(result.Items || []));
+    lastEvaluatedKey = result.LastEvaluatedKey;
+  } while (lastEvaluatedKey);
+
+  return items;
+};
+
+/**
+ * Write referrals together with the stats counters the writes move, all or nothing
+ *
+ * items are TransactWriteItems on the referrals table and changes the { before, after }
+ * pairs they make (see referralStats.counterUpdate). A failed condition is rethrown as
+ * a ConditionalCheckFailedException, as a single write would fail. A transaction that
+ * conflicted with another is tried again, with a fresh counter update, after a
+ * randomised delay.
+ */
+const writeWithCounters = async (items, userId, changes) => {
+  for (let attempt = 1; ; attempt++) {
+    const counters = await referralStats.counterUpdate(userId, changes);
+
+    try {
+      await dynamodb.transactWrite({
+        TransactItems: counters ? [...items, counters] : items
+      }).promise();
+      return;
+    } catch (error) {
+      if (error.code !== 'TransactionCanceledException') throw error;
+
+      if (error.message.includes('ConditionalCheckFailed')) {
+        error.code = 'ConditionalCheckFailedException';
+        throw error;
+      }
+
+      if (!error.message.includes('TransactionConflict') || attempt === MAX_TRANSACTION_ATTEMPTS) {
+        throw error;
+      }
+    }
+
+    const delay = Math.random() * TRANSACTION_RETRY_DELAY_MS * 2 ** attempt;
+    await new Promise(resolve => setTimeout(resolve, delay));
+  }
+};
+
+/**
+ * Condition that a referral hasn't been written since it was read as item, adding the
+ * value it needs to expressionAttributeValues
+ */
+const unchangedSince = (item, expressionAttributeValues) => {
+  if (item.updatedAt === undefined) return 'attribute_not_exists(updatedAt)';
+
+  expressionAttributeValues[':seenUpdatedAt'] = item.updatedAt;
+  return 'updatedAt = :seenUpdatedAt';
+};
+
+/**
+ * Merge a new mention into the referral as read in existing
+ *
+ * The write only goes through if the referral's status is still the one read, since
+ * that decides how the stats counters move. Resolves the merged referral.
+ */
+const applyMerge = async (existing, sanitizedData, userId) => {
+  const setExpressions = [
+    'mentionCount = if_not_exists(mentionCount, :one) + :one',
+    'endorsementTotal = if_not_exists(endorsementTotal, :zero) + :sentimentScore',
+    '#sentimentCount = if_not_exists(#sentimentCount, :zero) + :one',
+    'updatedAt = :updatedAt'
+  ];
+  const expressionAttributeNames = {
+    '#sentimentCount': `${sanitizedData.sentiment}Mentions`,
+    '#status': 'status'
+  };
+  const expressionAttributeValues = {
+    ':one': 1,
+    ':zero': 0,
+    ':sentimentScore': sanitizedData.sentimentScore,
+    ':updatedAt': new Date().toISOString(),
+    ':userId': userId,
+    ':empty': []
+  };
+  const becomesActive = existing.status === 'warning' && sanitizedData.sentiment === SENTIMENT.POSITIVE;
+
+  if (becomesActive) {
+    setExpressions.push('#status = :active');
+    expressionAttributeValues[':active'] = 'active';
+  }
+
+  if (existing.status !== undefined) {
+    expressionAttributeValues[':seenStatus'] = existing.status;
+  }
+
+  if ((existing.mentionCount || 1) < MAX_STORED_MENTIONS) {
+    setExpressions.push('mentions = list_append(if_not_exists(mentions, :empty), :mention)');
+    expressionAttributeValues[':mention'] = [buildMention(sanitizedData)];
+  }
+
+  // A shared contact card can add the email a typed-out number didn't have
+  if (sanitizedData.email && !existing.email) {
+    setExpressions.push('email = :email');
+    expressionAttributeValues[':email'] = sanitizedData.email;
+  }
+
+  // A later mention can add a website or handle the first one didn't give
+  const knownChannels = existing.contactChannels || [];
+  const knownKeys = new Set(knownChannels.map(channelKey));
+  const addedChannels = mergeChannels(sanitizedData.contactChannels || [])
+    .filter(channel => !knownKeys.has(channelKey(channel)))
+    .slice(0, Math.max(MAX_CONTACT_CHANNELS - knownChannels.length, 0));
+
+  if (addedChannels.length > 0) {
+    setExpressions.push('contactChannels = list_append(if_not_exists(contactChannels, :empty), :contactChannels)');
+    expressionAttributeValues[':contactChannels'] = addedChannels;
+  }
+
+  const sourceFiles = existing.sourceFiles || [];
+  if (sanitizedData.sourceFile && !sourceFiles.includes(sanitizedData.sourceFile)) {
+    setExpressions.push('sourceFiles = list_append(if_not_exists(sourceFiles, :empty), :sourceFile)');
+    expressionAttributeValues[':sourceFile'] = [sanitizedData.sourceFile];
+  }
+
+  const update = {
+    TableName: TABLE_NAME,
+    Key: {
+      referralId: existing.referralId
+    },
+    UpdateExpression: `SET ${setExpressions.join(', ')}`,
+    ExpressionAttributeNames: expressionAttributeNames,
+    ExpressionAttributeValues: expressionAttributeValues,
+    // Ensure the matched referral belongs to this user and its status hasn't moved
+    ConditionExpression: existing.status === undefined
+      ? 'userId = :userId AND attribute_not_exists(#status)'
+      : 'userId = :userId AND #status = :seenStatus'
+  };
+
+  // A merge can only change the status of what the stats count
+  await writeWithCounters([{ Update: update }], userId, becomesActive
+    ? [{ before: existing, after: { ...existing, status: 'active' } }]
+    : []);
+
+  const result = await dynamodb.get({
+    TableName: TABLE_NAME,
+    Key: {
+      referralId: existing.referralId
+    },
+    ConsistentRead: true
+  }).promise();
+
+  return withRecommendationScore(result.Item);
+};
+
+/**
+ * Merge a new mention into an existing referral instead of creating a duplicate
+ *
+ * Negative mentions count against the recommendation score; a positive one turns a
+ * warning back into an active referral. existing may be out of date, such as an index
+ * read; if its status has changed, the referral is read again and the merge retried.
  */
-const insertReferral = async (referralData, userId) => {
+const mergeReferral = async (existing, sanitizedData, userId) => {
+  let current = existing;
+
+  for (let attempt = 1; attempt <= MAX_MERGE_ATTEMPTS; attempt++) {
+    try {
+      return await applyMerge(current, sanitizedData, userId);
+    } catch (error) {
+      if (error.code !== 'ConditionalCheckFailedException' || attempt === MAX_MERGE_ATTEMPTS) {
+        throw error;
+      }
+
+      current = (await getReferralById(existing.referralId, userId)).data;
+    }
+  }
+};
+
+/**
+ * Insert referral with security checks, merging it into an existing duplicate
+ *
+ * options.defaultCountry is used for numbers written without a country code.
+ */
+const insertReferral = async (referralData, userId, options = {}) => {
   try {
     // Validate user ID
     if (!userId || typeof userId !== 'string') {
@@ -54,11 +487,21 @@ const insertReferral = async (referralData, userId) => {
       name: sanitizeInput(referralData.name),
       businessName: sanitizeInput(referralData.businessName),
       profession: sanitizeInput(referralData.profession),
+      professionCategory: categorizeReferral(referralData.profession, referralData.message),
       city: sanitizeInput(referralData.city),
       state: sanitizeInput(referralData.state),
       country: sanitizeInput(referralData.country),
+      neighborhood: sanitizeInput(referralData.neighborhood),
       contact: sanitizeInput(referralData.contact),
+      email: sanitizeEmail(referralData.email),
+      ...normalizeContactFields(referralData.contact, referralData.contactCountry || options.defaultCountry),
+      contactChannels: buildContactChannels(referralData, options.defaultCountry),
       message: sanitizeInput(referralData.message),
+      answeredQuestion: buildAnsweredQuestion(referralData.answeredQuestion),
+      attachments: buildAttachments(referralData.attachments, userId),
+      provenance: buildProvenance(referralData, referralData.sourceFile),
+      ...buildEndorsement(referralData),
+      language: buildLanguage(referralData),
       createdAt: new Date().toISOString(),
       updatedAt: new Date().toISOString(),
       status: 'active',
@@ -72,6 +515,29 @@ const insertReferral = async (referralData, userId) => {
       throw new Error('Missing required fields: businessName and profession');
     }
 
+    const duplicate = findDuplicate(sanitizedData, await getUserReferralKeys(userId));
+
+    if (duplicate) {
+      const merged = await mergeReferral(duplicate, sanitizedData, userId);
+
+      return {
+        success: true,
+        referralId: duplicate.referralId,
+        merged: true,
+        data: merged
+      };
+    }
+
+    // A business first heard of through a complaint is kept as a warning, not a referral
+    if (sanitizedData.sentiment === SENTIMENT.NEGATIVE) {
+      sanitizedData.status = 'warning';
+    }
+
+    sanitizedData.mentionCount = 1;
+    sanitizedData.mentions = [buildMention(sanitizedData)];
+    sanitizedData.sourceFiles = sanitizedData.sourceFile ? [sanitizedData.sourceFile] : [];
+    Object.assign(sanitizedData, initialEndorsementCounts(sanitizedData));
+
     const params = {
       TableName: TABLE_NAME,
       Item: sanitizedData,
@@ -79,12 +545,13 @@ const insertReferral = async (referralData, userId) => {
       ConditionExpression: 'attribute_not_exists(referralId)'
     };
 
-    await dynamodb.put(params).promise();
+    await writeWithCounters([{ Put: params }], userId, [{ before: null, after: sanitizedData }]);
 
     return {
       success: true,
       referralId: sanitizedData.referralId,
-      data: sanitizedData
+      merged: false,
+      data: withRecommendationScore(sanitizedData)
     };
   } catch (error) {
     console.error('Insert referral error:', error);
@@ -110,7 +577,9 @@ const getReferralById = async (referralId, userId) => {
       TableName: TABLE_NAME,
       Key: {
         referralId: referralId
-      }
+      },
+      // Updates and deletes are conditioned on the referral as read here
+      ConsistentRead: true
     };
 
     const result = await dynamodb.get(params).promise();
@@ -126,7 +595,7 @@ const getReferralById = async (referralId, userId) => {
 
     return {
       success: true,
-      data: result.Item
+      data: withRecommendationScore(result.Item)
     };
   } catch (error) {
     console.error('Get referral error:', error);
@@ -135,69 +604,135 @@ const getReferralById = async (referralId, userId) => {
 };
 
 /**
- * Query referrals with filters (using GSI)
+ * Build the GSI query for a user's referrals matching the given filters
  */
-const queryReferrals = async (filters, userId, limit = 50) => {
-  try {
-    // Always filter by userId to ensure users only see their own data
-    let params = {
-      TableName: TABLE_NAME,
-      IndexName: 'UserIdIndex', // GSI with userId as partition key
-      KeyConditionExpression: 'userId = :userId',
-      ExpressionAttributeValues: {
-        ':userId': userId
-      },
-      Limit: Math.min(limit, 100) // Cap at 100 items
-    };
+const buildReferralQuery = (filters, userId) => {
+  // Always filter by userId to ensure users only see their own data
+  const params = {
+    TableName: TABLE_NAME,
+    IndexName: 'UserIdIndex', // GSI with userId as partition key
+    KeyConditionExpression: 'userId = :userId',
+    ExpressionAttributeValues: {
+      ':userId': userId
+    }
+  };
 
-    // Add filter expressions for additional filters
-    const filterExpressions = [];
-    const expressionAttributeNames = {};
+  // Add filter expressions for additional filters
+  const filterExpressions = [];
+  const expressionAttributeNames = {};
 
-    if (filters.city) {
-      filterExpressions.push('contains(#city, :city)');
-      expressionAttributeNames['#city'] = 'city';
-      params.ExpressionAttributeValues[':city'] = sanitizeInput(filters.city);
-    }
+  if (filters.city) {
+    filterExpressions.push('contains(#city, :city)');
+    expressionAttributeNames['#city'] = 'city';
+    params.ExpressionAttributeValues[':city'] = sanitizeInput(filters.city);
+  }
 
-    if (filters.profession) {
+  if (filters.profession) {
+    // Match the canonical category, falling back to the raw text for older items
+    const category = classifyProfession(filters.profession);
+
+    if (category) {
+      filterExpressions.push('(#professionCategory = :professionCategory OR contains(#profession, :profession))');
+      expressionAttributeNames['#professionCategory'] = 'professionCategory';
+      params.ExpressionAttributeValues[':professionCategory'] = category.id;
+    } else {
       filterExpressions.push('contains(#profession, :profession)');
-      expressionAttributeNames['#profession'] = 'profession';
-      params.ExpressionAttributeValues[':profession'] = sanitizeInput(filters.profession);
     }
 
-    if (filters.businessName) {
-      filterExpressions.push('contains(#businessName, :businessName)');
-      expressionAttributeNames['#businessName'] = 'businessName';
-      params.ExpressionAttributeValues[':businessName'] = sanitizeInput(filters.businessName);
-    }
+    expressionAttributeNames['#profession'] = 'profession';
+    params.ExpressionAttributeValues[':profession'] = sanitizeInput(filters.profession);
+  }
 
-    if (filters.status) {
-      filterExpressions.push('#status = :status');
-      expressionAttributeNames['#status'] = 'status';
-      params.ExpressionAttributeValues[':status'] = sanitizeInput(filters.status);
-    }
+  if (filters.businessName) {
+    filterExpressions.push('contains(#businessName, :businessName)');
+    expressionAttributeNames['#businessName'] = 'businessName';
+    params.ExpressionAttributeValues[':businessName'] = sanitizeInput(filters.businessName);
+  }
 
-    if (filterExpressions.length > 0) {
-      params.FilterExpression = filterExpressions.join(' AND ');
-      params.ExpressionAttributeNames = expressionAttributeNames;
-    }
+  if (filters.status) {
+    filterExpressions.push('#status = :status');
+    expressionAttributeNames['#status'] = 'status';
+    params.ExpressionAttributeValues[':status'] = sanitizeInput(filters.status);
+  }
+
+  if (filterExpressions.length > 0) {
+    params.FilterExpression = filterExpressions.join(' AND ');
+    params.ExpressionAttributeNames = expressionAttributeNames;
+  }
+
+  return params;
+};
+
+/**
+ * Query one page of referrals with filters (using GSI)
+ *
+ * Pass the cursor from the previous page to get the next one; the response's
+ * cursor is null once there are no more referrals. DynamoDB counts items the
+ * filters then drop against each read's Limit, so a filtered page can take
+ * several reads; it keeps reading until the page is full or the referrals run
+ * out, so only the last page comes back short or empty.
+ */
+const queryReferrals = async (filters, userId, limit = 50, cursor = null) => {
+  try {
+    const params = buildReferralQuery(filters, userId);
+    const pageSize = Math.min(Math.max(limit, 1), MAX_PAGE_SIZE);
+    const items = [];
+    let startKey = cursor ? decodeCursor(cursor, userId) : undefined;
+    let scannedCount = 0;
+
+    do {
+      const result = await dynamodb.query({
+        ...params,
+        Limit: pageSize - items.length,
+        ExclusiveStartKey: startKey
+      }).promise();
 
-    const result = await dynamodb.query(params).promise();
+      items.push(...(result.Items || []));
+      scannedCount += result.ScannedCount || 0;
+      startKey = result.LastEvaluatedKey;
+    } while (startKey && items.length < pageSize);
 
     return {
       success: true,
-      items: result.Items || [],
-      count: result.Count,
-      scannedCount: result.ScannedCount,
-      lastEvaluatedKey: result.LastEvaluatedKey
+      items: items.map(withRecommendationScore),
+      count: items.length,
+      scannedCount,
+      cursor: encodeCursor(startKey, userId)
     };
   } catch (error) {
     console.error('Query referrals error:', error);
+
+    if (error.message === INVALID_CURSOR) {
+      throw error;
+    }
+
     throw new Error('Failed to query referrals');
   }
 };
 
+/**
+ * Page through every referral of a user's matching the filters, for exports
+ */
+async function* listAllReferrals(filters, userId) {
+  const params = buildReferralQuery(filters, userId);
+  let lastEvaluatedKey;
+
+  try {
+    do {
+      const result = await dynamodb.query({ ...params, ExclusiveStartKey: lastEvaluatedKey }).promise();
+
+      for (const item of result.Items || []) {
+        yield withRecommendationScore(item);
+      }
+
+      lastEvaluatedKey = result.LastEvaluatedKey;
+    } while (lastEvaluatedKey);
+  } catch (error) {
+    console.error('List referrals error:', error);
+    throw new Error('Failed to list referrals');
+  }
+}
+
 /**
  * Update referral with ownership check
  */
@@ -215,7 +750,7 @@ const updateReferral = async (referralId, updates, userId) => {
 
     // Sanitize updates
     const sanitizedUpdates = {};
-    const allowedFields = ['businessName', 'profession', 'city', 'state', 'country', 'contact', 'message', 'status', 'verified'];
+    const allowedFields = ['businessName', 'profession', 'city', 'state', 'country', 'neighborhood', 'contact', 'email', 'message', 'status', 'verified'];
     
     for (const [key, value] of Object.entries(updates)) {
       if (allowedFields.includes(key)) {
@@ -223,6 +758,47 @@ const updateReferral = async (referralId, updates, userId) => {
       }
     }
 
+    if (sanitizedUpdates.email !== undefined) {
+      sanitizedUpdates.email = sanitizeEmail(updates.email);
+    }
+
+    if (sanitizedUpdates.status !== undefined && !REFERRAL_STATUSES.includes(sanitizedUpdates.status)) {
+      throw new Error(INVALID_STATUS);
+    }
+
+    // Stored as a boolean, since a stored "false" would read as verified
+    if (sanitizedUpdates.verified !== undefined) {
+      sanitizedUpdates.verified = updates.verified === true || updates.verified === 'true';
+    }
+
+    // Keep the canonical category in step with the raw profession text
+    if (sanitizedUpdates.profession !== undefined) {
+      sanitizedUpdates.professionCategory = categorizeReferral(
+        sanitizedUpdates.profession,
+        sanitizedUpdates.message !== undefined ? sanitizedUpdates.message : existing.data.message
+      );
+    }
+
+    // Keep the canonical number in step with the raw contact text
+    if (sanitizedUpdates.contact !== undefined) {
+      Object.assign(
+        sanitizedUpdates,
+        normalizeContactFields(sanitizedUpdates.contact, updates.contactCountry || existing.data.contactCountry)
+      );
+    }
+
+    // Keep the channel list in step with the contact and email fields, replacing the old ones
+    if (Array.isArray(updates.contactChannels) || sanitizedUpdates.contact !== undefined || sanitizedUpdates.email !== undefined) {
+      const channels = Array.isArray(updates.contactChannels) ? updates.contactChannels : (existing.data.contactChannels || []);
+
+      sanitizedUpdates.contactChannels = buildContactChannels({
+        contact: sanitizedUpdates.contact !== undefined ? sanitizedUpdates.contact : existing.data.contact,
+        contactCountry: updates.contactCountry || existing.data.contactCountry,
+        email: sanitizedUpdates.email !== undefined ? sanitizedUpdates.email : existing.data.email,
+        contactChannels: withoutFieldChannels(channels, existing.data)
+      });
+    }
+
     // Build update expression
     const updateExpressions = [];
     const expressionAttributeNames = {};
@@ -235,9 +811,10 @@ const updateReferral = async (referralId, updates, userId) => {
     });
 
     // Always update the updatedAt timestamp
+    const updatedAt = new Date().toISOString();
     updateExpressions.push('#updatedAt = :updatedAt');
     expressionAttributeNames['#updatedAt'] = 'updatedAt';
-    expressionAttributeValues[':updatedAt'] = new Date().toISOString();
+    expressionAttributeValues[':updatedAt'] = updatedAt;
 
     const params = {
       TableName: TABLE_NAME,
@@ -247,24 +824,28 @@ const updateReferral = async (referralId, updates, userId) => {
       UpdateExpression: `SET ${updateExpressions.join(', ')}`,
       ExpressionAttributeNames: expressionAttributeNames,
       ExpressionAttributeValues: expressionAttributeValues,
-      // Ensure userId hasn't changed (additional security)
-      ConditionExpression: 'userId = :userId',
-      ReturnValues: 'ALL_NEW'
+      // Ensure userId hasn't changed (additional security), nor the referral since it was read
+      ConditionExpression: `userId = :userId AND ${unchangedSince(existing.data, expressionAttributeValues)}`
     };
 
     expressionAttributeValues[':userId'] = userId;
 
-    const result = await dynamodb.update(params).promise();
+    const updated = { ...existing.data, ...sanitizedUpdates, updatedAt };
+    await writeWithCounters([{ Update: params }], userId, [{ before: existing.data, after: updated }]);
 
     return {
       success: true,
-      data: result.Attributes
+      data: withRecommendationScore(updated)
     };
   } catch (error) {
     console.error('Update referral error:', error);
     
     if (error.code === 'ConditionalCheckFailedException') {
-      throw new Error('Unauthorized to update this referral');
+      throw new Error(CHANGED_CONCURRENTLY);
+    }
+
+    if (error.message === INVALID_STATUS) {
+      throw error;
     }
     
     throw new Error('Failed to update referral');
@@ -281,21 +862,23 @@ const deleteReferral = async (referralId, userId) => {
     }
 
     // Verify ownership before deletion
-    await getReferralById(referralId, userId);
+    const existing = await getReferralById(referralId, userId);
+
+    const expressionAttributeValues = {
+      ':userId': userId
+    };
 
     const params = {
       TableName: TABLE_NAME,
       Key: {
         referralId: referralId
       },
-      // Ensure userId matches (additional security)
-      ConditionExpression: 'userId = :userId',
-      ExpressionAttributeValues: {
-        ':userId': userId
-      }
+      // Ensure userId matches (additional security), and the referral hasn't changed since it was read
+      ConditionExpression: `userId = :userId AND ${unchangedSince(existing.data, expressionAttributeValues)}`,
+      ExpressionAttributeValues: expressionAttributeValues
     };
 
-    await dynamodb.delete(params).promise();
+    await writeWithCounters([{ Delete: params }], userId, [{ before: existing.data, after: null }]);
 
     return {
       success: true,
@@ -305,7 +888,7 @@ const deleteReferral = async (referralId, userId) => {
     console.error('Delete referral error:', error);
     
     if (error.code === 'ConditionalCheckFailedException') {
-      throw new Error('Unauthorized to delete this referral');
+      throw new Error(CHANGED_CONCURRENTLY);
     }
     
     throw new Error('Failed to delete referral');
@@ -315,69 +898,92 @@ const deleteReferral = async (referralId, userId) => {
 /**
  * Batch insert referrals (for WhatsApp import)
  */
-const batchInsertReferrals = async (referrals, userId, sourceFile) => {
+const batchInsertReferrals = async (referrals, userId, sourceFile, options = {}) => {
   try {
     if (!Array.isArray(referrals) || referrals.length === 0) {
       throw new Error('Invalid referrals array');
     }
 
+    // Existing referrals, plus new ones from this import, to detect duplicates against
+    const knownReferrals = await getUserReferralKeys(userId);
+    const merges = [];
+    const newItems = [];
+
+    referrals.forEach(referral => {
+      const sanitizedData = {
+        referralId: generateId(),
+        userId: userId,
+        name: sanitizeInput(referral.name || ''),
+        businessName: sanitizeInput(referral.businessName || referral.business_name || ''),
+        profession: sanitizeInput(referral.profession || 'Unknown'),
+        professionCategory: categorizeReferral(referral.profession, referral.message),
+        city: sanitizeInput(referral.city || ''),
+        state: sanitizeInput(referral.state || ''),
+        country: sanitizeInput(referral.country || ''),
+        neighborhood: sanitizeInput(referral.neighborhood || ''),
+        contact: sanitizeInput(referral.contact || ''),
+        email: sanitizeEmail(referral.email),
+        ...normalizeContactFields(referral.contact, referral.contactCountry || options.defaultCountry),
+        contactChannels: buildContactChannels(referral, options.defaultCountry),
+        message: sanitizeInput(referral.message || ''),
+        answeredQuestion: buildAnsweredQuestion(referral.answeredQuestion),
+        attachments: buildAttachments(referral.attachments, userId),
+        provenance: buildProvenance(referral, sourceFile),
+        ...buildEndorsement(referral),
+        language: buildLanguage(referral),
+        createdAt: new Date().toISOString(),
+        updatedAt: new Date().toISOString(),
+        status: 'active',
+        sourceFile: sourceFile,
+        verified: false
+      };
+
+      const duplicate = findDuplicate(sanitizedData, knownReferrals);
+
+      if (duplicate) {
+        merges.push({ existing: duplicate, sanitizedData });
+        return;
+      }
+
+      if (sanitizedData.sentiment === SENTIMENT.NEGATIVE) {
+        sanitizedData.status = 'warning';
+      }
+
+      sanitizedData.mentionCount = 1;
+      sanitizedData.mentions = [buildMention(sanitizedData)];
+      sanitizedData.sourceFiles = sourceFile ? [sourceFile] : [];
+      Object.assign(sanitizedData, initialEndorsementCounts(sanitizedData));
+
+      knownReferrals.push(sanitizedData);
+      newItems.push(sanitizedData);
+    });
+
     // Limit batch size
-    const maxBatchSize = 25; // DynamoDB limit
     const batches = [];
     
-    for (let i = 0; i < referrals.length; i += maxBatchSize) {
-      batches.push(referrals.slice(i, i + maxBatchSize));
+    for (let i = 0; i < newItems.length; i += MAX_TRANSACTION_ITEMS) {
+      batches.push(newItems.slice(i, i + MAX_TRANSACTION_ITEMS));
     }
 
     const results = [];
     const errors = [];
 
     for (const batch of batches) {
-      const putRequests = batch.map(referral => {
-        const sanitizedData = {
-          referralId: generateId(),
-          userId: userId,
-          name: sanitizeInput(referral.name || ''),
-          businessName: sanitizeInput(referral.businessName || referral.business_name || ''),
-          profession: sanitizeInput(referral.profession || 'Unknown'),
-          city: sanitizeInput(referral.city || ''),
-          state: sanitizeInput(referral.state || ''),
-          country: sanitizeInput(referral.country || ''),
-          contact: sanitizeInput(referral.contact || ''),
-          message: sanitizeInput(referral.message || ''),
-          createdAt: new Date().toISOString(),
-          updatedAt: new Date().toISOString(),
-          status: 'active',
-          sourceFile: sourceFile,
-          verified: false
-        };
-
+      const puts = batch.map(item => {
         return {
-          PutRequest: {
-            Item: sanitizedData
+          Put: {
+            TableName: TABLE_NAME,
+            Item: item,
+            ConditionExpression: 'attribute_not_exists(referralId)'
           }
         };
       });
 
-      const params = {
-        RequestItems: {
-          [TABLE_NAME]: putRequests
-        }
-      };
-
       try {
-        const result = await dynamodb.batchWrite(params).promise();
-        
-        // Handle unprocessed items
-        if (result.UnprocessedItems && Object.keys(result.UnprocessedItems).length > 0) {
-          errors.push({
-            message: 'Some items were not processed',
-            unprocessedCount: result.UnprocessedItems[TABLE_NAME].length
-          });
-        }
+        await writeWithCounters(puts, userId, batch.map(item => ({ before: null, after: item })));
         
         results.push({
-          processed: putRequests.length,
+          processed: puts.length,
           batch: batch
         });
       } catch (error) {
@@ -389,9 +995,27 @@ const batchInsertReferrals = async (referrals, userId, sourceFile) => {
       }
     }
 
+    // Merge after the writes so duplicates within this import find their item
+    let totalMerged = 0;
+
+    for (const { existing, sanitizedData } of merges) {
+      try {
+        // Later duplicates in this import merge against the referral as it is now
+        Object.assign(existing, await mergeReferral(existing, sanitizedData, userId));
+        totalMerged++;
+      } catch (error) {
+        console.error('Merge referral error:', error);
+        errors.push({
+          message: 'Failed to merge duplicate referral',
+          referralId: existing.referralId
+        });
+      }
+    }
+
     return {
       success: errors.length === 0,
       totalProcessed: results.reduce((sum, r) => sum + r.processed, 0),
+      totalMerged,
       totalBatches: batches.length,
       errors: errors
     };
@@ -403,45 +1027,13 @@ const batchInsertReferrals = async (referrals, userId, sourceFile) => {
 
 /**
  * Get referral statistics for user
+ *
+ * Counts come from counters kept up to date as referrals are written, with
+ * breakdowns by status, profession category and city.
  */
 const getReferralStats = async (userId) => {
   try {
-    const params = {
-      TableName: TABLE_NAME,
-      IndexName: 'UserIdIndex',
-      KeyConditionExpression: 'userId = :userId',
-      ExpressionAttributeValues: {
-        ':userId': userId
-      },
-      Select: 'COUNT'
-    };
-
-    const result = await dynamodb.query(params).promise();
-
-    // Get counts by status
-    const statusParams = {
-      TableName: TABLE_NAME,
-      IndexName: 'UserIdIndex',
-      KeyConditionExpression: 'userId = :userId',
-      ExpressionAttributeValues: {
-        ':userId': userId
-      }
-    };
-
-    const allItems = await dynamodb.query(statusParams).promise();
-    
-    const stats = {
-      total: result.Count,
-      active: 0,
-      inactive: 0,
-      verified: 0
-    };
-
-    allItems.Items.forEach(item => {
-      if (item.status === 'active') stats.active++;
-      if (item.status === 'inactive') stats.inactive++;
-      if (item.verified) stats.verified++;
-    });
+    const stats = await referralStats.getReferralStats(userId, () => listAllReferrals({}, userId));
 
     return {
       success: true,
@@ -457,6 +1049,7 @@ module.exports = {
   insertReferral,
   getReferralById,
   queryReferrals,
+  listAllReferrals,
   updateReferral,
   deleteReferral,
   batchInsertReferrals,
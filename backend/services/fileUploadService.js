@@ -3,7 +3,12 @@ require('dotenv').config();
 const AWS = require('aws-sdk');
 const multer = require('multer');
 const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
 const path = require('path');
+const { openChatArchive } = require('./zipArchive');
+const { isSpreadsheetFile, openSpreadsheet } = require('./spreadsheetReader');
+const { hashStream } = require('./importLedger');
 
 // Initialize S3 with IAM role (no hardcoded credentials)
 const s3 = new AWS.S3({
@@ -12,18 +17,36 @@ const s3 = new AWS.S3({
 });
 
 const BUCKET_NAME = process.env.S3_BUCKET_NAME;
-const MAX_FILE_SIZE = 10 * 1024 * 1024; // 10MB
-const ALLOWED_MIME_TYPES = ['text/plain', 'text/csv'];
-const ALLOWED_EXTENSIONS = ['.txt', '.csv'];
+// Upload size limit; uploads are spooled to disk, so large chat exports don't sit in memory
+const MAX_FILE_SIZE = (parseInt(process.env.MAX_UPLOAD_SIZE_MB, 10) || 10) * 1024 * 1024;
+const ALLOWED_MIME_TYPES = [
+  'text/plain',
+  'text/csv',
+  'text/markdown',
+  'application/json',
+  'application/zip',
+  'application/x-zip-compressed',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  'application/vnd.oasis.opendocument.spreadsheet'
+];
+const ALLOWED_EXTENSIONS = ['.txt', '.csv', '.md', '.json', '.zip', '.xlsx', '.ods'];
+// Types browsers send for files they don't recognize (often .md); the extension decides then
+const GENERIC_MIME_TYPES = ['', 'application/octet-stream'];
+
+const ATTACHMENT_CONTENT_TYPES = {
+  contact: 'text/vcard',
+  image: 'application/octet-stream'
+};
 
 /**
  * Validate file type
  */
 const isValidFileType = (file) => {
   const ext = path.extname(file.originalname).toLowerCase();
-  const mimeType = file.mimetype;
+  const mimeType = file.mimetype || '';
   
-  return ALLOWED_EXTENSIONS.includes(ext) && ALLOWED_MIME_TYPES.includes(mimeType);
+  return ALLOWED_EXTENSIONS.includes(ext)
+    && (ALLOWED_MIME_TYPES.includes(mimeType) || GENERIC_MIME_TYPES.includes(mimeType));
 };
 
 /**
@@ -47,22 +70,25 @@ const generateSecureFilename = (userId, originalFilename) => {
   return `uploads/${userId}/${timestamp}_${randomString}${ext}`;
 };
 
+// Common script injection patterns
+const DANGEROUS_PATTERNS = [
+  /<script/i,
+  /javascript:/i,
+  /on\w+\s*=/i, // Event handlers
+  /<iframe/i,
+  /eval\(/i,
+  /document\./i,
+  /window\./i
+];
+
+// Text carried over between chunks so a pattern split across them is still caught
+const SCAN_OVERLAP = 64;
+
 /**
  * Scan file content for malicious patterns
  */
 const scanFileContent = (content) => {
-  // Check for common script injection patterns
-  const dangerousPatterns = [
-    /<script/i,
-    /javascript:/i,
-    /on\w+\s*=/i, // Event handlers
-    /<iframe/i,
-    /eval\(/i,
-    /document\./i,
-    /window\./i
-  ];
-
-  for (const pattern of dangerousPatterns) {
+  for (const pattern of DANGEROUS_PATTERNS) {
     if (pattern.test(content)) {
       return false;
     }
@@ -72,22 +98,174 @@ const scanFileContent = (content) => {
 };
 
 /**
- * Configure multer for memory storage
+ * Scan a stream of text for malicious patterns, one chunk at a time
+ */
+const scanStream = async (stream) => {
+  let tail = '';
+
+  for await (const chunk of stream) {
+    const text = tail + chunk.toString('utf-8');
+
+    if (!scanFileContent(text)) {
+      return false;
+    }
+
+    tail = text.slice(-SCAN_OVERLAP);
+  }
+
+  return true;
+};
+
+/**
+ * Open a spreadsheet to check it is a valid workbook, then scan every sheet's cells
+ */
+const scanSpreadsheet = async (source, fileName) => {
+  const spreadsheet = await openSpreadsheet(source, fileName);
+
+  try {
+    for (const sheet of spreadsheet.sheets) {
+      for await (const row of spreadsheet.readRows(sheet.name)) {
+        if (!scanFileContent(row.fields.join(' '))) {
+          return false;
+        }
+      }
+    }
+
+    return true;
+  } finally {
+    spreadsheet.close();
+  }
+};
+
+/**
+ * Remove an upload's temporary file once it has been processed
+ */
+const removeTempFile = async (file) => {
+  if (!file || !file.path) return;
+
+  try {
+    await fs.promises.unlink(file.path);
+  } catch (error) {
+    console.error('Temp file cleanup error:', error);
+  }
+};
+
+/**
+ * Configure multer to spool uploads to temporary files
  */
 const upload = multer({
-  storage: multer.memoryStorage(),
+  storage: multer.diskStorage({
+    destination: os.tmpdir(),
+    filename: (req, file, cb) => {
+      cb(null, `upload_${crypto.randomBytes(16).toString('hex')}`);
+    }
+  }),
   limits: {
     fileSize: MAX_FILE_SIZE,
     files: 1 // Only one file at a time
   },
   fileFilter: (req, file, cb) => {
     if (!isValidFileType(file)) {
-      return cb(new Error('Invalid file type. Only .txt and .csv files are allowed.'));
+      return cb(new Error('Invalid file type. Only .txt, .md, .json, .csv, .zip, .xlsx and .ods files are allowed.'));
     }
     cb(null, true);
   }
 });
 
+/**
+ * Build S3 upload parameters with the security settings every stored file gets
+ */
+const buildUploadParams = (key, body, contentType, userId, originalName, extraMetadata = {}) => {
+  return {
+    Bucket: BUCKET_NAME,
+    Key: key,
+    Body: body,
+    ContentType: contentType,
+    ServerSideEncryption: 'AES256', // Enable server-side encryption
+    Metadata: {
+      'user-id': userId,
+      'original-filename': sanitizeFilename(originalName),
+      'upload-timestamp': new Date().toISOString(),
+      ...extraMetadata
+    },
+    // Prevent public access
+    ACL: 'private',
+    // Add content disposition for safer downloads
+    ContentDisposition: `attachment; filename="${sanitizeFilename(originalName)}"`
+  };
+};
+
+/**
+ * Store a chat export archive: the chat text, plus contact cards and photos under
+ * <chat key>/attachments/ with a manifest so imports can link them. A WhatsApp
+ * "Include media" export keeps its chat text; a Slack export is stored as the
+ * combined JSON of its channels, with no attachments.
+ */
+const uploadZipExport = async (file, userId) => {
+  const archive = await openChatArchive(file.path, { maxChatBytes: MAX_FILE_SIZE });
+
+  try {
+    if (!(await scanStream(await archive.openChatStream()))) {
+      throw new Error('File contains potentially malicious content');
+    }
+
+    // The chat text is what gets imported, so it's what is fingerprinted
+    const contentHash = await hashStream(await archive.openChatStream());
+    const chatKey = generateSecureFilename(userId, archive.chatName);
+    const attachmentPrefix = chatKey.replace(/\.\w+$/, '/attachments/');
+    const manifestKey = `${attachmentPrefix}manifest.json`;
+    const attachments = [];
+    const storedNames = new Set();
+
+    for (const attachment of archive.attachments) {
+      const storedName = sanitizeFilename(attachment.name);
+
+      // Two files can sanitize to the same name; keep the first
+      if (storedNames.has(storedName)) continue;
+      storedNames.add(storedName);
+
+      const key = `${attachmentPrefix}${storedName}`;
+      const body = await archive.openEntryStream(attachment.entry);
+
+      await s3.upload(buildUploadParams(key, body, ATTACHMENT_CONTENT_TYPES[attachment.type], userId, attachment.name)).promise();
+
+      attachments.push({
+        name: attachment.name,
+        type: attachment.type,
+        size: attachment.size,
+        fileKey: key
+      });
+    }
+
+    await s3.upload(buildUploadParams(
+      manifestKey,
+      JSON.stringify(attachments),
+      'application/json',
+      userId,
+      'manifest.json'
+    )).promise();
+
+    const chatBody = await archive.openChatStream();
+    const result = await s3.upload(buildUploadParams(chatKey, chatBody, archive.chatContentType, userId, file.originalname, {
+      'attachment-manifest': manifestKey,
+      'content-hash': contentHash
+    })).promise();
+
+    return {
+      success: true,
+      fileKey: result.Key,
+      fileUrl: result.Location,
+      fileSize: archive.chatSize,
+      originalName: sanitizeFilename(file.originalname),
+      contentHash,
+      attachmentCount: attachments.length,
+      uploadedAt: new Date().toISOString()
+    };
+  } finally {
+    archive.close();
+  }
+};
+
 /**
  * Upload file to S3 with security measures
  */
@@ -98,32 +276,38 @@ const uploadToS3 = async (file, userId) => {
       throw new Error('Invalid user ID');
     }
 
+    if (file.path && path.extname(file.originalname).toLowerCase() === '.zip') {
+      return await uploadZipExport(file, userId);
+    }
+
     // Generate secure filename
     const secureFilename = generateSecureFilename(userId, file.originalname);
     
-    // Scan file content for malicious patterns
-    const content = file.buffer.toString('utf-8');
-    if (!scanFileContent(content)) {
+    // Scan file content for malicious patterns; spreadsheets are scanned cell by cell
+    let isSafe;
+
+    if (isSpreadsheetFile(file.originalname)) {
+      isSafe = await scanSpreadsheet(file.path || file.buffer, file.originalname);
+    } else {
+      isSafe = file.path
+        ? await scanStream(fs.createReadStream(file.path))
+        : scanFileContent(file.buffer.toString('utf-8'));
+    }
+
+    if (!isSafe) {
       throw new Error('File contains potentially malicious content');
     }
 
-    // Prepare S3 upload parameters
-    const params = {
-      Bucket: BUCKET_NAME,
-      Key: secureFilename,
-      Body: file.buffer,
-      ContentType: file.mimetype,
-      ServerSideEncryption: 'AES256', // Enable server-side encryption
-      Metadata: {
-        'user-id': userId,
-        'original-filename': sanitizeFilename(file.originalname),
-        'upload-timestamp': new Date().toISOString()
-      },
-      // Prevent public access
-      ACL: 'private',
-      // Add content disposition for safer downloads
-      ContentDisposition: `attachment; filename="${sanitizeFilename(file.originalname)}"`
-    };
+    // Fingerprint the content so re-uploads of the same export can be recognized on import
+    const contentHash = file.path
+      ? await hashStream(fs.createReadStream(file.path))
+      : crypto.createHash('sha256').update(file.buffer).digest('hex');
+
+    // Files on disk are streamed as a multipart upload
+    const body = file.path ? fs.createReadStream(file.path) : file.buffer;
+    const params = buildUploadParams(secureFilename, body, file.mimetype, userId, file.originalname, {
+      'content-hash': contentHash
+    });
 
     // Upload to S3
     const result = await s3.upload(params).promise();
@@ -134,11 +318,20 @@ const uploadToS3 = async (file, userId) => {
       fileUrl: result.Location,
       fileSize: file.size,
       originalName: sanitizeFilename(file.originalname),
+      contentHash,
       uploadedAt: new Date().toISOString()
     };
   } catch (error) {
     console.error('S3 upload error:', error);
+
+    // Archive and spreadsheet problems are the user's to fix, so say what they were
+    if (error.message.startsWith('Archive') || error.message.startsWith('Spreadsheet')) {
+      throw error;
+    }
+
     throw new Error('File upload failed');
+  } finally {
+    await removeTempFile(file);
   }
 };
 
@@ -213,8 +406,95 @@ const downloadFromS3 = async (fileKey, userId) => {
   }
 };
 
+/**
+ * Get an uploaded file's metadata, such as its content hash, without downloading it
+ */
+const getFileMetadata = async (fileKey, userId) => {
+  try {
+    const metadata = await s3.headObject({
+      Bucket: BUCKET_NAME,
+      Key: fileKey
+    }).promise();
+
+    // Verify ownership
+    if (metadata.Metadata['user-id'] !== userId) {
+      throw new Error('Unauthorized access to file');
+    }
+
+    return metadata.Metadata;
+  } catch (error) {
+    console.error('S3 metadata error:', error);
+    throw new Error('Failed to read file');
+  }
+};
+
+/**
+ * Open a stream over a file in S3 for processing without loading it into memory
+ */
+const openS3Stream = async (fileKey, userId) => {
+  try {
+    const params = {
+      Bucket: BUCKET_NAME,
+      Key: fileKey
+    };
+
+    const metadata = await s3.headObject(params).promise();
+
+    // Verify ownership
+    if (metadata.Metadata['user-id'] !== userId) {
+      throw new Error('Unauthorized access to file');
+    }
+
+    return {
+      success: true,
+      stream: s3.getObject(params).createReadStream(),
+      size: metadata.ContentLength,
+      contentType: metadata.ContentType,
+      metadata: metadata.Metadata
+    };
+  } catch (error) {
+    console.error('S3 stream error:', error);
+    throw new Error('Failed to open file');
+  }
+};
+
+/**
+ * Delete every object under a prefix, a page of keys at a time
+ */
+const deletePrefix = async (prefix) => {
+  let continuationToken;
+
+  do {
+    const data = await s3.listObjectsV2({
+      Bucket: BUCKET_NAME,
+      Prefix: prefix,
+      ContinuationToken: continuationToken
+    }).promise();
+
+    // A listing page holds at most 1000 keys, which is also deleteObjects' limit
+    if (data.Contents.length > 0) {
+      const result = await s3.deleteObjects({
+        Bucket: BUCKET_NAME,
+        Delete: {
+          Objects: data.Contents.map(item => ({ Key: item.Key })),
+          Quiet: true
+        }
+      }).promise();
+
+      if (result.Errors && result.Errors.length > 0) {
+        throw new Error(`Failed to delete ${result.Errors.length} objects under ${prefix}`);
+      }
+    }
+
+    continuationToken = data.IsTruncated ? data.NextContinuationToken : undefined;
+  } while (continuationToken);
+};
+
 /**
  * Delete file from S3
+ *
+ * A chat stored from a zip export is deleted with its attachments and their manifest,
+ * everything under <chat key>/.
  */
 const deleteFromS3 = async (fileKey, userId) => {
   try {
@@ -230,6 +510,15 @@ const deleteFromS3 = async (fileKey, userId) => {
       throw new Error('Unauthorized file deletion');
     }
 
+    // Attachments go first, so a failed delete leaves the chat to delete them again with
+    if (metadata.Metadata['attachment-manifest']) {
+      const chatPrefix = fileKey.replace(/\.\w+$/, '/');
+
+      if (chatPrefix.startsWith(`uploads/${userId}/`) && chatPrefix.endsWith('/')) {
+        await deletePrefix(chatPrefix);
+      }
+    }
+
     // Delete file
     await s3.deleteObject(params).promise();
 
@@ -256,8 +545,11 @@ const listUserFiles = async (userId, maxKeys = 100) => {
 
     const data = await s3.listObjectsV2(params).promise();
 
+    // Attachments extracted from zip exports belong to their chat, not the file list
+    const uploads = data.Contents.filter(item => !item.Key.includes('/attachments/'));
+
     const files = await Promise.all(
-      data.Contents.map(async (item) => {
+      uploads.map(async (item) => {
         try {
           const metadata = await s3.headObject({
             Bucket: BUCKET_NAME,
@@ -346,10 +638,15 @@ const configureBucketLifecycle = async () => {
 };
 
 module.exports = {
+  MAX_FILE_SIZE,
+  isValidFileType,
   upload,
   uploadToS3,
+  removeTempFile,
   getPresignedDownloadUrl,
   downloadFromS3,
+  getFileMetadata,
+  openS3Stream,
   deleteFromS3,
   listUserFiles,
   configureBucketCORS,
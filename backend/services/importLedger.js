@@ -0,0 +1,280 @@
+// backend/services/importLedger.js
+require('dotenv').config();
+const AWS = require('aws-sdk');
+const crypto = require('crypto');
+
+// Initialize DynamoDB with IAM role (no hardcoded credentials)
+const dynamodb = new AWS.DynamoDB.DocumentClient({
+  region: process.env.AWS_REGION
+});
+
+const LEDGER_TABLE_NAME = process.env.IMPORT_LEDGER_TABLE_NAME;
+
+// DynamoDB limits for BatchGetItem and BatchWriteItem
+const LOOKUP_BATCH_SIZE = 100;
+const WRITE_BATCH_SIZE = 25;
+
+// New fingerprints an import holds before writing them to the ledger
+const FLUSH_SIZE = 1000;
+
+// Retries for keys DynamoDB hands back unprocessed under load
+const MAX_BATCH_RETRIES = 5;
+
+// Ledger keys are namespaced so file and message fingerprints share the table
+const FILE_PREFIX = 'file#';
+const MESSAGE_PREFIX = 'msg#';
+
+const SHA256_HEX_PATTERN = /^[0-9a-f]{64}$/;
+
+/**
+ * SHA-256 of a message's timestamp, sender and body
+ *
+ * Timestamps are compared as instants and bodies with their line endings and outer
+ * whitespace normalized, so the same message from two exports of a chat matches.
+ */
+const fingerprintMessage = ({ timestamp = null, sender = null, message = '' }) => {
+  const instant = timestamp ? new Date(timestamp).toISOString() : '';
+  const body = String(message || '').replace(/\r\n?/g, '\n').trim();
+
+  return crypto
+    .createHash('sha256')
+    .update(`${instant}\u0000${(sender || '').trim()}\u0000${body}`)
+    .digest('hex');
+};
+
+/**
+ * SHA-256 of a stream's bytes, for fingerprinting a whole file
+ */
+const hashStream = async (stream) => {
+  const hash = crypto.createHash('sha256');
+
+  for await (const chunk of stream) {
+    hash.update(chunk);
+  }
+
+  return hash.digest('hex');
+};
+
+/**
+ * Check that a value is a fingerprint this module produced
+ */
+const isFingerprint = (value) => {
+  return typeof value === 'string' && SHA256_HEX_PATTERN.test(value);
+};
+
+/**
+ * Get ledger items by key, retrying the keys DynamoDB leaves unprocessed
+ */
+const getItems = async (keys) => {
+  const items = [];
+  let remaining = keys;
+
+  for (let attempt = 0; remaining.length > 0; attempt++) {
+    if (attempt > MAX_BATCH_RETRIES) {
+      throw new Error('Import ledger lookup did not complete');
+    }
+
+    const result = await dynamodb.batchGet({
+      RequestItems: {
+        [LEDGER_TABLE_NAME]: { Keys: remaining, ProjectionExpression: 'fingerprint' }
+      }
+    }).promise();
+
+    items.push(...(result.Responses[LEDGER_TABLE_NAME] || []));
+
+    const unprocessed = result.UnprocessedKeys && result.UnprocessedKeys[LEDGER_TABLE_NAME];
+    remaining = unprocessed ? unprocessed.Keys : [];
+  }
+
+  return items;
+};
+
+/**
+ * Write ledger items, retrying the ones DynamoDB leaves unprocessed
+ */
+const putItems = async (items) => {
+  let requests = items.map(item => ({ PutRequest: { Item: item } }));
+
+  for (let attempt = 0; requests.length > 0; attempt++) {
+    if (attempt > MAX_BATCH_RETRIES) {
+      throw new Error('Import ledger update did not complete');
+    }
+
+    const result = await dynamodb.batchWrite({
+      RequestItems: { [LEDGER_TABLE_NAME]: requests }
+    }).promise();
+
+    requests = (result.UnprocessedItems && result.UnprocessedItems[LEDGER_TABLE_NAME]) || [];
+  }
+};
+
+/**
+ * Find which of a user's message fingerprints are already in the ledger
+ */
+const findImportedMessages = async (userId, fingerprints) => {
+  const imported = new Set();
+  const unique = [...new Set(fingerprints)];
+
+  for (let i = 0; i < unique.length; i += LOOKUP_BATCH_SIZE) {
+    const keys = unique
+      .slice(i, i + LOOKUP_BATCH_SIZE)
+      .map(fingerprint => ({ userId, fingerprint: `${MESSAGE_PREFIX}${fingerprint}` }));
+
+    const items = await getItems(keys);
+    items.forEach(item => imported.add(item.fingerprint.substring(MESSAGE_PREFIX.length)));
+  }
+
+  return imported;
+};
+
+/**
+ * Record message fingerprints as imported for a user
+ */
+const recordImportedMessages = async (userId, fingerprints, sourceFile) => {
+  const importedAt = new Date().toISOString();
+  const unique = [...new Set(fingerprints)];
+
+  for (let i = 0; i < unique.length; i += WRITE_BATCH_SIZE) {
+    await putItems(unique.slice(i, i + WRITE_BATCH_SIZE).map(fingerprint => ({
+      userId,
+      fingerprint: `${MESSAGE_PREFIX}${fingerprint}`,
+      sourceFile: sourceFile || null,
+      importedAt
+    })));
+  }
+};
+
+/**
+ * Get the ledger entry of a file the user has imported before, or null
+ */
+const findImportedFile = async (userId, contentHash) => {
+  if (!isFingerprint(contentHash)) return null;
+
+  const result = await dynamodb.get({
+    TableName: LEDGER_TABLE_NAME,
+    Key: { userId, fingerprint: `${FILE_PREFIX}${contentHash}` }
+  }).promise();
+
+  return result.Item || null;
+};
+
+/**
+ * Record a whole file as imported, with how many messages it held
+ */
+const recordImportedFile = async (userId, contentHash, sourceFile, messageCount) => {
+  if (!isFingerprint(contentHash)) return;
+
+  await dynamodb.put({
+    TableName: LEDGER_TABLE_NAME,
+    Item: {
+      userId,
+      fingerprint: `${FILE_PREFIX}${contentHash}`,
+      sourceFile: sourceFile || null,
+      messageCount,
+      importedAt: new Date().toISOString()
+    }
+  }).promise();
+};
+
+/**
+ * Track one import's messages against the user's ledger
+ *
+ * mark() passes messages through in order, fingerprinting each (with fingerprintMessage
+ * unless another function is given) and flagging `alreadyImported` on the ones a past
+ * import recorded. Lookups go to DynamoDB in batches, so messages are held back until
+ * their batch is checked. counts tallies new and already imported messages.
+ *
+ * With options.sourceFile the new fingerprints are recorded as the import goes, a
+ * thousand or so at a time, and flush() records the rest once it is done. Only messages
+ * before the latest text message passed on are written: the extractor may still be
+ * holding a referral from that one. options.beforeFlush() is awaited before each
+ * write, so the import can save the referrals it was given first. Without a
+ * sourceFile nothing is recorded, as for a preview.
+ */
+const createLedger = (userId, options = {}) => {
+  const counts = { new: 0, alreadyImported: 0 };
+  const isRecording = options.sourceFile !== undefined;
+
+  // New fingerprints not written yet; those before `settled` are safe to write
+  let unrecorded = [];
+  let settled = 0;
+
+  const check = async (batch) => {
+    const imported = await findImportedMessages(userId, batch.map(entry => entry.fingerprint));
+
+    return batch.map(entry => {
+      const alreadyImported = imported.has(entry.fingerprint);
+
+      if (alreadyImported) {
+        counts.alreadyImported++;
+      } else {
+        counts.new++;
+      }
+
+      return { ...entry, alreadyImported };
+    });
+  };
+
+  const write = async (fingerprints) => {
+    await recordImportedMessages(userId, fingerprints, options.sourceFile);
+  };
+
+  async function* pass(entries) {
+    for (const entry of entries) {
+      if (isRecording && settled >= FLUSH_SIZE) {
+        if (options.beforeFlush) await options.beforeFlush();
+        await write(unrecorded.slice(0, settled));
+        unrecorded = unrecorded.slice(settled);
+        settled = 0;
+      }
+
+      // The consumer has finished with everything before a text message (or CSV row) it is handed
+      if (!entry.type || entry.type === 'text') settled = unrecorded.length;
+      if (isRecording && !entry.alreadyImported) unrecorded.push(entry.fingerprint);
+
+      yield entry;
+    }
+  }
+
+  async function* mark(messages, fingerprint = fingerprintMessage) {
+    let batch = [];
+
+    for await (const message of messages) {
+      batch.push({ ...message, fingerprint: fingerprint(message) });
+
+      if (batch.length >= LOOKUP_BATCH_SIZE) {
+        yield* pass(await check(batch));
+        batch = [];
+      }
+    }
+
+    if (batch.length > 0) {
+      yield* pass(await check(batch));
+    }
+  }
+
+  const flush = async () => {
+    if (!isRecording) return;
+
+    await write(unrecorded);
+    unrecorded = [];
+    settled = 0;
+  };
+
+  return {
+    counts,
+    mark,
+    flush
+  };
+};
+
+module.exports = {
+  fingerprintMessage,
+  hashStream,
+  isFingerprint,
+  findImportedMessages,
+  recordImportedMessages,
+  findImportedFile,
+  recordImportedFile,
+  createLedger
+};
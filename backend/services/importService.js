@@ -0,0 +1,942 @@
+// backend/services/importService.js
+require('dotenv').config();
+const AWS = require('aws-sdk');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const fileUploadService = require('./fileUploadService');
+const dynamodbService = require('./dynamodbService');
+const { extractReferralsFromMessages } = require('./referralExtractor');
+const { readLines, writeToFile } = require('./streamReader');
+const { openChatArchive } = require('./zipArchive');
+const { parseVCards } = require('./vcardParser');
+const { getChatFormat, parseChatLines } = require('./chatFormats');
+const importLedger = require('./importLedger');
+const { resolveSenderMode, applySenderMode, blockedCandidateCheck } = require('./senderPrivacy');
+const senderBlocklist = require('./senderBlocklist');
+const { createCsvReader, validateColumnMapping } = require('./csvParser');
+const { isSpreadsheetFile, spreadsheetFormat, openSpreadsheet, openXlsxStream } = require('./spreadsheetReader');
+const csvMappings = require('./csvMappings');
+const { resolveDefaultCountry } = require('./phoneNormalizer');
+const { resolveLocation } = require('./locationGazetteer');
+
+// Initialize DynamoDB with IAM role (no hardcoded credentials)
+const dynamodb = new AWS.DynamoDB.DocumentClient({
+  region: process.env.AWS_REGION
+});
+
+const IMPORTS_TABLE_NAME = process.env.IMPORTS_TABLE_NAME;
+
+// Upper bound on candidates committed in one request
+const MAX_COMMIT_CANDIDATES = 500;
+
+// Candidates saved per batch while an import streams through a file
+const INSERT_CHUNK_SIZE = 200;
+
+// Percentage points of progress between job status updates
+const PROGRESS_STEP = 5;
+
+// A job not updated for this long is taken to have stopped, e.g. when the server restarted mid-import
+const STALE_JOB_TIMEOUT_MS = 15 * 60 * 1000;
+
+// Largest .vcf read for contact cards; real business cards are a few KB
+const MAX_CONTACT_CARD_SIZE = 64 * 1024;
+
+// Longest spreadsheet sheet name accepted; Excel allows 31 characters
+const MAX_SHEET_NAME_LENGTH = 100;
+
+const IMPORT_STATUS = {
+  PENDING: 'pending',
+  PROCESSING: 'processing',
+  COMPLETED: 'completed',
+  FAILED: 'failed'
+};
+
+/**
+ * Validate UUID format
+ */
+const isValidUUID = (uuid) => {
+  const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+  return uuidRegex.test(uuid);
+};
+
+/**
+ * Check that a file key points into the user's own upload prefix
+ */
+const isOwnFileKey = (fileKey, userId) => {
+  return typeof fileKey === 'string' && fileKey.startsWith(`uploads/${userId}/`);
+};
+
+/**
+ * Fingerprint a CSV row by its raw fields, since rows carry no timestamp or sender
+ *
+ * The fields are read before any column mapping, so re-mapping a file's columns
+ * doesn't make its rows look new.
+ */
+const fingerprintRow = (row) => {
+  return importLedger.fingerprintMessage({ message: row.csvFields.join(',') });
+};
+
+const isCsvFile = (fileName) => path.extname(fileName).toLowerCase() === '.csv';
+
+/**
+ * Whether a file is read as rows with a column mapping: a CSV file or a spreadsheet
+ */
+const isTableFile = (fileName) => isCsvFile(fileName) || isSpreadsheetFile(fileName);
+
+/**
+ * Check the sheet an import asked for is a plausible sheet name
+ */
+const validateSheetName = (sheet) => {
+  if (sheet !== undefined && sheet !== null && (typeof sheet !== 'string' || sheet.length > MAX_SHEET_NAME_LENGTH)) {
+    throw new Error('Spreadsheet sheet name is invalid');
+  }
+};
+
+/**
+ * Mapped rows of a CSV file's lines, or of a sheet when options.spreadsheet is an open workbook
+ *
+ * options.sheet names the sheet; the workbook's first visible sheet is read otherwise.
+ */
+const readTableRows = (lines, options = {}) => {
+  const reader = options.csvReader || createCsvReader(options);
+
+  return options.spreadsheet
+    ? reader.readRecords(options.spreadsheet.readRows(options.sheet))
+    : reader.rows(lines);
+};
+
+/**
+ * CSV reader for one of a user's imports, falling back to the mapping they saved for the file's header
+ */
+const csvReaderFor = (userId, options = {}) => {
+  return createCsvReader({
+    columnMapping: options.columnMapping,
+    findSavedMapping: (key) => csvMappings.getCsvMapping(userId, key)
+  });
+};
+
+/**
+ * Complete a referral's city, state and country from the gazetteer, or the import's default location
+ */
+const fillLocation = (referral, defaultLocation) => {
+  const location = resolveLocation(referral.city) || resolveLocation(defaultLocation);
+
+  if (!location) return referral;
+
+  return {
+    ...referral,
+    city: referral.city || location.city,
+    state: referral.state || location.state,
+    country: referral.country || location.country,
+    neighborhood: referral.neighborhood || location.neighborhood
+  };
+};
+
+/**
+ * Turn a file's lines into referral candidates based on the file type, yielding as they are found
+ *
+ * Chat exports in any supported format (WhatsApp, Telegram, Signal, Slack) go through
+ * the extractor; options.format skips format detection.
+ * options.defaultCountry / options.profileCountry resolve numbers without a country code;
+ * options.defaultLocation fills in referrals that name no place.
+ * options.ledger (from importLedger.createLedger) skips messages and rows a past import recorded;
+ * options.blockedSenders drops the messages of senders the user blocked before anything reads them.
+ * options.csvReader (from csvParser.createCsvReader) reads CSV and spreadsheet rows, reporting their
+ * header and errors; options.spreadsheet is the open workbook for .xlsx and .ods files.
+ */
+async function* streamCandidates(lines, fileName, options = {}) {
+  const { ledger } = options;
+
+  if (!isTableFile(fileName)) {
+    const messages = parseChatLines(lines, { ...options, fileName });
+    yield* extractReferralsFromMessages(ledger ? ledger.mark(messages) : messages, options);
+    return;
+  }
+
+  const rows = readTableRows(lines, options);
+
+  for await (const { alreadyImported, csvFields, line, ...row } of (ledger ? ledger.mark(rows, fingerprintRow) : rows)) {
+    if (!alreadyImported) yield fillLocation(row, options.defaultLocation);
+  }
+}
+
+/**
+ * Parse a file's lines into the messages, or CSV and spreadsheet rows, an import fingerprints
+ */
+const streamMessages = (lines, fileName, options = {}) => {
+  return isTableFile(fileName)
+    ? readTableRows(lines, options)
+    : parseChatLines(lines, { ...options, fileName });
+};
+
+/**
+ * Apply the import's sender mode: keep names, replace them with per-user aliases, or drop them
+ */
+const protectSenders = (candidate, userId, options = {}) => {
+  return applySenderMode(candidate, userId, options.senderMode);
+};
+
+/**
+ * Load the attachments stored alongside a chat uploaded as a zip export
+ */
+const loadAttachments = async (metadata, userId) => {
+  const manifestKey = metadata && metadata['attachment-manifest'];
+
+  if (!manifestKey || !isOwnFileKey(manifestKey, userId)) {
+    return [];
+  }
+
+  const manifest = await fileUploadService.downloadFromS3(manifestKey, userId);
+  const attachments = JSON.parse(manifest.content);
+
+  if (!Array.isArray(attachments)) return [];
+
+  return withContactCards(attachments, async (attachment) => {
+    if (!isOwnFileKey(attachment.fileKey, userId)) return '';
+
+    const card = await fileUploadService.downloadFromS3(attachment.fileKey, userId);
+    return card.content;
+  });
+};
+
+/**
+ * Parse the vCards in each contact attachment so shared cards become referrals
+ *
+ * readText(attachment) returns the .vcf text. A card that can't be read is kept
+ * as a plain attachment rather than failing the import.
+ */
+const withContactCards = async (attachments, readText) => {
+  const loaded = [];
+
+  for (const attachment of attachments) {
+    if (attachment.type !== 'contact' || attachment.size > MAX_CONTACT_CARD_SIZE) {
+      loaded.push(attachment);
+      continue;
+    }
+
+    try {
+      loaded.push({ ...attachment, cards: parseVCards(await readText(attachment)) });
+    } catch (error) {
+      console.error('Contact card read error:', error);
+      loaded.push(attachment);
+    }
+  }
+
+  return loaded;
+};
+
+/**
+ * Read a small archive entry, such as a contact card, as text
+ */
+const readEntryText = async (archive, entry) => {
+  const chunks = [];
+
+  for await (const chunk of await archive.openEntryStream(entry)) {
+    chunks.push(chunk);
+  }
+
+  return Buffer.concat(chunks).toString('utf-8');
+};
+
+/**
+ * Open a spreadsheet uploaded to S3 without holding the file in memory
+ *
+ * An .xlsx is read straight from S3, opening the object again for each pass over it.
+ * An .ods needs random access to its archive, so it is copied to a temporary file
+ * that close() removes.
+ */
+const openStoredSpreadsheet = async (file, fileKey, userId) => {
+  if (spreadsheetFormat(fileKey) === 'xlsx') {
+    let opened = file.stream;
+
+    return openXlsxStream(async () => {
+      const stream = opened || (await fileUploadService.openS3Stream(fileKey, userId)).stream;
+      opened = null;
+      return stream;
+    });
+  }
+
+  const tempPath = path.join(os.tmpdir(), `import-${crypto.randomUUID()}.ods`);
+  const removeTempFile = () => fs.promises.unlink(tempPath).catch(error => console.error('Temp file cleanup error:', error));
+
+  try {
+    await writeToFile(file.stream, tempPath, fileUploadService.MAX_FILE_SIZE);
+    const spreadsheet = await openSpreadsheet(tempPath, fileKey);
+
+    return {
+      ...spreadsheet,
+      close: () => {
+        spreadsheet.close();
+        removeTempFile();
+      }
+    };
+  } catch (error) {
+    file.stream.destroy();
+    await removeTempFile();
+    throw error;
+  }
+};
+
+/**
+ * Open an uploaded file in S3, or a temporary file from an inline upload, as a stream
+ *
+ * Returns { stream, size, attachments, close }; call close() once the stream is read.
+ * Spreadsheets can't be read as a stream of lines, so they come back opened as
+ * { spreadsheet } (see spreadsheetReader.openSpreadsheet) with no stream.
+ */
+const openSource = async ({ fileKey, filePath, fileName }, userId) => {
+  if (fileKey) {
+    if (!isOwnFileKey(fileKey, userId)) {
+      throw new Error('Invalid file key');
+    }
+
+    const file = await fileUploadService.openS3Stream(fileKey, userId);
+
+    if (isSpreadsheetFile(fileKey)) {
+      const spreadsheet = await openStoredSpreadsheet(file, fileKey, userId);
+
+      return {
+        stream: null,
+        spreadsheet,
+        size: file.size,
+        contentHash: file.metadata['content-hash'] || null,
+        attachments: [],
+        close: spreadsheet.close
+      };
+    }
+
+    return {
+      stream: file.stream,
+      size: file.size,
+      contentHash: file.metadata['content-hash'] || null,
+      attachments: await loadAttachments(file.metadata, userId),
+      close: () => {}
+    };
+  }
+
+  if (filePath && path.extname(fileName || '').toLowerCase() === '.zip') {
+    // Inline previews read contact cards from the archive; other files are kept only when the zip is uploaded
+    const archive = await openChatArchive(filePath, { maxChatBytes: fileUploadService.MAX_FILE_SIZE });
+
+    try {
+      const attachments = await withContactCards(
+        archive.attachments.map(attachment => ({ ...attachment, fileKey: null })),
+        (attachment) => readEntryText(archive, attachment.entry)
+      );
+
+      return {
+        stream: await archive.openChatStream(),
+        size: archive.chatSize,
+        contentHash: null,
+        attachments: attachments.map(({ entry, ...attachment }) => attachment),
+        close: archive.close
+      };
+    } catch (error) {
+      archive.close();
+      throw error;
+    }
+  }
+
+  if (filePath && isSpreadsheetFile(fileName)) {
+    const spreadsheet = await openSpreadsheet(filePath, fileName);
+    const stats = await fs.promises.stat(filePath);
+
+    return { stream: null, spreadsheet, size: stats.size, contentHash: null, attachments: [], close: spreadsheet.close };
+  }
+
+  if (filePath) {
+    const stats = await fs.promises.stat(filePath);
+    return { stream: fs.createReadStream(filePath), size: stats.size, contentHash: null, attachments: [], close: () => {} };
+  }
+
+  throw new Error('A file key or file is required');
+};
+
+/**
+ * Ledger entry of an uploaded file whose exact content was imported before, or null
+ */
+const findPreviousImport = async (fileKey, userId) => {
+  const metadata = await fileUploadService.getFileMetadata(fileKey, userId);
+  return importLedger.findImportedFile(userId, metadata['content-hash']);
+};
+
+/**
+ * Lines of an opened source's text; spreadsheets are read by sheet instead
+ */
+const sourceLines = (file, options = {}) => {
+  return file.spreadsheet ? null : readLines(file.stream, { maxBytes: fileUploadService.MAX_FILE_SIZE, ...options });
+};
+
+/**
+ * Record a whole file as imported, so an upload of the same content isn't read again
+ *
+ * Spreadsheets are left out, since importing one sheet doesn't import the others;
+ * their rows are still recorded one by one.
+ */
+const recordWholeFile = async (file, fileKey, userId, counts) => {
+  if (file.spreadsheet) return;
+
+  await importLedger.recordImportedFile(userId, file.contentHash, fileKey, counts.new + counts.alreadyImported);
+};
+
+/**
+ * Record every message in an uploaded file, and the file itself, as imported
+ *
+ * Used after a reviewed import is saved, so messages the user passed over
+ * aren't offered again. Returns the file's new and already imported message counts.
+ */
+const recordFileImported = async (fileKey, userId, options = {}) => {
+  const file = await openSource({ fileKey }, userId);
+  const ledger = importLedger.createLedger(userId, { sourceFile: fileKey });
+  const fingerprint = isTableFile(fileKey) ? fingerprintRow : undefined;
+
+  try {
+    const lines = sourceLines(file);
+
+    const csvReader = isTableFile(fileKey) ? csvReaderFor(userId, options) : null;
+    const marked = ledger.mark(
+      streamMessages(lines, fileKey, { ...options, csvReader, spreadsheet: file.spreadsheet }),
+      fingerprint
+    );
+
+    // Marking tallies the messages and collects their fingerprints; nothing else is needed
+    while (!(await marked.next()).done);
+  } finally {
+    file.close();
+  }
+
+  await ledger.flush();
+  await recordWholeFile(file, fileKey, userId, ledger.counts);
+
+  return ledger.counts;
+};
+
+/**
+ * Country used when saving numbers that carry no country of their own, or null to keep them as written
+ */
+const insertOptions = (options = {}) => {
+  return {
+    defaultCountry: resolveDefaultCountry({
+      requested: options.defaultCountry,
+      profileCountry: options.profileCountry
+    })
+  };
+};
+
+/**
+ * Update status, counts or errors on an import job
+ */
+const updateImportJob = async (importId, fields) => {
+  const updateExpressions = [];
+  const expressionAttributeNames = {};
+  const expressionAttributeValues = {};
+
+  Object.keys(fields).forEach((key, index) => {
+    updateExpressions.push(`#field${index} = :value${index}`);
+    expressionAttributeNames[`#field${index}`] = key;
+    expressionAttributeValues[`:value${index}`] = fields[key];
+  });
+
+  updateExpressions.push('#updatedAt = :updatedAt');
+  expressionAttributeNames['#updatedAt'] = 'updatedAt';
+  expressionAttributeValues[':updatedAt'] = new Date().toISOString();
+
+  await dynamodb.update({
+    TableName: IMPORTS_TABLE_NAME,
+    Key: { importId },
+    UpdateExpression: `SET ${updateExpressions.join(', ')}`,
+    ExpressionAttributeNames: expressionAttributeNames,
+    ExpressionAttributeValues: expressionAttributeValues
+  }).promise();
+};
+
+/**
+ * Stream, parse and store referrals for an import job
+ *
+ * Candidates are saved in chunks as the file is read, and the job's progress
+ * is updated every few percent so clients polling it can show how far along it is.
+ * Messages a past import recorded are skipped, and a file imported before in full
+ * isn't read at all. Each chunk's source messages are recorded in the ledger once the
+ * chunk is saved, and chunks never split a message's candidates, so a retry of a
+ * failed job skips what it already saved instead of merging it a second time.
+ * The ledger records the other messages' fingerprints as the file is read.
+ */
+const runImportJob = async (job) => {
+  try {
+    await updateImportJob(job.importId, { status: IMPORT_STATUS.PROCESSING });
+
+    const previous = await findPreviousImport(job.fileKey, job.userId);
+
+    if (previous) {
+      await updateImportJob(job.importId, {
+        status: IMPORT_STATUS.COMPLETED,
+        messages: { new: 0, alreadyImported: previous.messageCount || 0 },
+        progress: { bytesRead: 0, totalBytes: 0, percent: 100 },
+        completedAt: new Date().toISOString()
+      });
+      return;
+    }
+
+    const file = await openSource({ fileKey: job.fileKey }, job.userId);
+    const blockedSenders = await senderBlocklist.getBlockedSenderKeys(job.userId);
+    let reportedPercent = 0;
+
+    // Spreadsheets are read by sheet, so their progress only moves once the job completes
+    const lines = sourceLines(file, {
+      totalBytes: file.size,
+      onProgress: async (progress) => {
+        if (progress.percent === null || progress.percent - reportedPercent < PROGRESS_STEP) return;
+
+        reportedPercent = progress.percent;
+        await updateImportJob(job.importId, { progress });
+      }
+    });
+
+    const counts = {
+      candidates: 0,
+      inserted: 0,
+      merged: 0,
+      failed: 0
+    };
+    const errors = [];
+    const csvReader = isTableFile(job.fileKey) ? csvReaderFor(job.userId, job.options) : null;
+    let chunk = [];
+
+    const saveChunk = async () => {
+      if (chunk.length === 0) return;
+
+      const result = await dynamodbService.batchInsertReferrals(
+        chunk,
+        job.userId,
+        job.fileKey,
+        insertOptions(job.options)
+      );
+
+      await importLedger.recordImportedMessages(
+        job.userId,
+        chunk.map(candidate => candidate.fingerprint).filter(importLedger.isFingerprint),
+        job.fileKey
+      );
+
+      counts.candidates += chunk.length;
+      counts.inserted += result.totalProcessed;
+      counts.merged += result.totalMerged;
+      counts.failed += chunk.length - result.totalProcessed - result.totalMerged;
+      result.errors.forEach(error => errors.push({
+        message: error.message,
+        unprocessedCount: error.unprocessedCount || (error.batch ? error.batch.length : 0)
+      }));
+      chunk = [];
+
+      // Also keeps the job from being taken for stale while it finds candidates
+      await updateImportJob(job.importId, { counts });
+    };
+
+    // Messages are recorded as the file is read, each after the referrals found before it are saved
+    const ledger = importLedger.createLedger(job.userId, { sourceFile: job.fileKey, beforeFlush: saveChunk });
+
+    const extractOptions = {
+      ...job.options,
+      attachments: file.attachments,
+      ledger,
+      blockedSenders,
+      csvReader,
+      spreadsheet: file.spreadsheet
+    };
+
+    try {
+      for await (const candidate of streamCandidates(lines, job.fileKey, extractOptions)) {
+        // Cut chunks between messages, since a saved chunk records its messages as imported
+        if (chunk.length >= INSERT_CHUNK_SIZE && candidate.fingerprint !== chunk[chunk.length - 1].fingerprint) {
+          await saveChunk();
+        }
+
+        chunk.push(protectSenders(candidate, job.userId, job.options));
+      }
+    } finally {
+      file.close();
+    }
+
+    await saveChunk();
+
+    await ledger.flush();
+    await recordWholeFile(file, job.fileKey, job.userId, ledger.counts);
+
+    await updateImportJob(job.importId, {
+      status: IMPORT_STATUS.COMPLETED,
+      counts,
+      messages: ledger.counts,
+      errors,
+      rowErrors: csvReader ? csvReader.rowErrors : [],
+      progress: { bytesRead: file.size, totalBytes: file.size, percent: 100 },
+      completedAt: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Import job error:', error);
+
+    try {
+      await updateImportJob(job.importId, {
+        status: IMPORT_STATUS.FAILED,
+        errors: [{ message: error.message }],
+        completedAt: new Date().toISOString()
+      });
+    } catch (updateError) {
+      console.error('Import job status update error:', updateError);
+    }
+  }
+};
+
+/**
+ * Create an import job for an uploaded file and start processing it
+ */
+const createImportJob = async (fileKey, userId, options = {}) => {
+  try {
+    if (!userId || typeof userId !== 'string') {
+      throw new Error('Invalid user ID');
+    }
+
+    // Only files under the user's own upload prefix can be imported
+    if (!isOwnFileKey(fileKey, userId)) {
+      throw new Error('Invalid file key');
+    }
+
+    if (options.format && !getChatFormat(options.format)) {
+      throw new Error('Unsupported chat format');
+    }
+
+    validateSheetName(options.sheet);
+
+    const job = {
+      importId: crypto.randomUUID(),
+      userId: userId,
+      fileKey: fileKey,
+      status: IMPORT_STATUS.PENDING,
+      options: {
+        defaultCountry: options.defaultCountry || null,
+        profileCountry: options.profileCountry || null,
+        defaultLocation: resolveLocation(options.defaultLocation),
+        format: options.format || null,
+        senderMode: resolveSenderMode(options.senderMode),
+        columnMapping: options.columnMapping ? validateColumnMapping(options.columnMapping) : null,
+        sheet: options.sheet || null
+      },
+      counts: { candidates: 0, inserted: 0, merged: 0, failed: 0 },
+      messages: { new: 0, alreadyImported: 0 },
+      progress: { bytesRead: 0, totalBytes: null, percent: 0 },
+      errors: [],
+      rowErrors: [],
+      createdAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString()
+    };
+
+    await dynamodb.put({
+      TableName: IMPORTS_TABLE_NAME,
+      Item: job,
+      ConditionExpression: 'attribute_not_exists(importId)'
+    }).promise();
+
+    // Process in the background; progress is reported through getImportJob
+    setImmediate(() => runImportJob(job));
+
+    return {
+      success: true,
+      importId: job.importId,
+      status: job.status
+    };
+  } catch (error) {
+    console.error('Create import error:', error);
+
+    if (['Invalid user ID', 'Invalid file key', 'Unsupported chat format'].includes(error.message)
+      || ['Sender mode', 'CSV', 'Spreadsheet'].some(prefix => error.message.startsWith(prefix))) {
+      throw error;
+    }
+
+    throw new Error('Failed to create import');
+  }
+};
+
+/**
+ * Mark a pending or processing job that stopped updating as failed
+ *
+ * Jobs run in the server process, so one that was running when the server stopped
+ * is never finished. The update only applies if the job hasn't moved since it was
+ * read; otherwise the job as it is now is returned.
+ */
+const failStaleJob = async (job) => {
+  const isActive = [IMPORT_STATUS.PENDING, IMPORT_STATUS.PROCESSING].includes(job.status);
+
+  if (!isActive || Date.now() - new Date(job.updatedAt).getTime() < STALE_JOB_TIMEOUT_MS) {
+    return job;
+  }
+
+  try {
+    const result = await dynamodb.update({
+      TableName: IMPORTS_TABLE_NAME,
+      Key: { importId: job.importId },
+      UpdateExpression: 'SET #status = :failed, #errors = :errors, completedAt = :now, updatedAt = :now',
+      ConditionExpression: '#status = :status AND updatedAt = :seen',
+      ExpressionAttributeNames: {
+        '#status': 'status',
+        '#errors': 'errors'
+      },
+      ExpressionAttributeValues: {
+        ':failed': IMPORT_STATUS.FAILED,
+        ':errors': [{ message: 'Import stopped before it finished; start it again to continue' }],
+        ':now': new Date().toISOString(),
+        ':status': job.status,
+        ':seen': job.updatedAt
+      },
+      ReturnValues: 'ALL_NEW'
+    }).promise();
+
+    return result.Attributes;
+  } catch (error) {
+    if (error.code !== 'ConditionalCheckFailedException') {
+      throw error;
+    }
+
+    const current = await dynamodb.get({
+      TableName: IMPORTS_TABLE_NAME,
+      Key: { importId: job.importId }
+    }).promise();
+
+    return current.Item;
+  }
+};
+
+/**
+ * Get import job status with ownership check
+ *
+ * A job that stopped updating while pending or processing is reported as failed.
+ */
+const getImportJob = async (importId, userId) => {
+  try {
+    if (!isValidUUID(importId)) {
+      throw new Error('Invalid import ID format');
+    }
+
+    const result = await dynamodb.get({
+      TableName: IMPORTS_TABLE_NAME,
+      Key: { importId }
+    }).promise();
+
+    if (!result.Item) {
+      throw new Error('Import not found');
+    }
+
+    // Verify ownership
+    if (result.Item.userId !== userId) {
+      throw new Error('Unauthorized access to import');
+    }
+
+    return {
+      success: true,
+      data: await failStaleJob(result.Item)
+    };
+  } catch (error) {
+    console.error('Get import error:', error);
+    throw error;
+  }
+};
+
+/**
+ * Run extraction on an uploaded file, or a temporary file from an inline upload, without saving anything
+ *
+ * Messages already imported are counted but not offered again; `messages` reports
+ * how many of the file's messages are new and how many were imported before.
+ * For CSV files `csv` describes the header and column mapping used (options.columnMapping,
+ * else the user's saved mapping, else the header's names), and `rowErrors` lists rows
+ * that couldn't be read. Spreadsheets are read the same way, one sheet at a time
+ * (options.sheet, else the first visible one); `spreadsheet` lists their sheets.
+ * Each candidate's `extracted` keeps the contact and email it was read with, so a
+ * commit can tell which of its channels the user's edits replaced.
+ */
+const previewImport = async ({ fileKey, filePath, fileName }, userId, options = {}) => {
+  try {
+    if (!userId || typeof userId !== 'string') {
+      throw new Error('Invalid user ID');
+    }
+
+    if (fileKey && !isOwnFileKey(fileKey, userId)) {
+      throw new Error('Invalid file key');
+    }
+
+    resolveSenderMode(options.senderMode);
+
+    if (options.columnMapping) validateColumnMapping(options.columnMapping);
+    validateSheetName(options.sheet);
+
+    const previous = fileKey ? await findPreviousImport(fileKey, userId) : null;
+
+    if (previous) {
+      return {
+        success: true,
+        fileKey,
+        count: 0,
+        candidates: [],
+        messages: { new: 0, alreadyImported: previous.messageCount || 0 },
+        csv: null,
+        spreadsheet: null,
+        rowErrors: []
+      };
+    }
+
+    const file = await openSource({ fileKey, filePath, fileName }, userId);
+    const csvReader = isTableFile(fileKey || fileName || '') ? csvReaderFor(userId, options) : null;
+    const lines = sourceLines(file);
+    let spreadsheet = null;
+    const ledger = importLedger.createLedger(userId);
+    const candidates = [];
+
+    try {
+      const blockedSenders = await senderBlocklist.getBlockedSenderKeys(userId);
+      const extractOptions = {
+        ...options,
+        attachments: file.attachments,
+        ledger,
+        blockedSenders,
+        csvReader,
+        spreadsheet: file.spreadsheet
+      };
+
+      if (file.spreadsheet) {
+        spreadsheet = {
+          format: file.spreadsheet.format,
+          sheets: file.spreadsheet.sheets,
+          sheet: file.spreadsheet.findSheet(options.sheet)
+        };
+      }
+
+      for await (const candidate of streamCandidates(lines, fileKey || fileName || '', extractOptions)) {
+        candidates.push(protectSenders(candidate, userId, options));
+      }
+    } finally {
+      file.close();
+    }
+
+    return {
+      success: true,
+      fileKey: fileKey || null,
+      count: candidates.length,
+      candidates: candidates.map((candidate, index) => ({
+        candidateId: index,
+        ...candidate,
+        extracted: { contact: candidate.contact || null, email: candidate.email || null }
+      })),
+      messages: ledger.counts,
+      csv: csvReader ? csvReader.info : null,
+      spreadsheet,
+      rowErrors: csvReader ? csvReader.rowErrors : []
+    };
+  } catch (error) {
+    console.error('Preview import error:', error);
+
+    if (['Invalid user ID', 'Invalid file key', 'A file key or file is required'].includes(error.message)
+      || ['File is larger than', 'Archive', 'Chat export', 'Sender', 'CSV', 'Spreadsheet'].some(prefix => error.message.startsWith(prefix))) {
+      throw error;
+    }
+
+    throw new Error('Failed to preview import');
+  }
+};
+
+/**
+ * Save the candidates the user selected from a preview
+ *
+ * Afterwards every message in the uploaded file is recorded as imported, so a later
+ * export of the same chat only offers what's new. Inline uploads have no stored
+ * file to re-read, so only the saved candidates' own messages are recorded.
+ * A CSV's column mapping (options.columnMapping) is saved for its header
+ * (options.csvHeaderKey), so the next file with the same columns reads the same way.
+ */
+const commitImport = async (fileKey, candidates, userId, options = {}) => {
+  if (!userId || typeof userId !== 'string') {
+    throw new Error('Invalid user ID');
+  }
+
+  if (fileKey && !isOwnFileKey(fileKey, userId)) {
+    throw new Error('Invalid file key');
+  }
+
+  if (!Array.isArray(candidates) || candidates.length === 0) {
+    throw new Error('At least one candidate is required');
+  }
+
+  if (candidates.length > MAX_COMMIT_CANDIDATES) {
+    throw new Error(`Cannot commit more than ${MAX_COMMIT_CANDIDATES} candidates at once`);
+  }
+
+  resolveSenderMode(options.senderMode);
+  validateSheetName(options.sheet);
+
+  const columnMapping = options.columnMapping ? validateColumnMapping(options.columnMapping) : null;
+  const blockedSenders = await senderBlocklist.getBlockedSenderKeys(userId);
+  const isBlockedCandidate = blockedCandidateCheck(blockedSenders, userId);
+  const errors = [];
+  const valid = candidates.filter((candidate, index) => {
+    if (!candidate || typeof candidate.businessName !== 'string' || !candidate.businessName.trim()) {
+      errors.push({ index, message: 'Missing businessName' });
+      return false;
+    }
+    if (isBlockedCandidate(candidate)) {
+      errors.push({ index, message: 'Sender is blocked' });
+      return false;
+    }
+    return true;
+  });
+
+  let inserted = 0;
+  let merged = 0;
+
+  if (valid.length > 0) {
+    const located = valid.map(candidate => fillLocation(protectSenders(candidate, userId, options), options.defaultLocation));
+    const result = await dynamodbService.batchInsertReferrals(located, userId, fileKey || null, insertOptions(options));
+
+    inserted = result.totalProcessed;
+    merged = result.totalMerged;
+    result.errors.forEach(error => errors.push({ message: error.message }));
+  }
+
+  let messages = null;
+
+  try {
+    if (fileKey) {
+      messages = await recordFileImported(fileKey, userId, { ...options, columnMapping, blockedSenders });
+    } else {
+      const fingerprints = valid.map(candidate => candidate.fingerprint).filter(importLedger.isFingerprint);
+      await importLedger.recordImportedMessages(userId, fingerprints, null);
+    }
+  } catch (error) {
+    // The referrals are saved either way; a re-import would merge into them
+    console.error('Import ledger error:', error);
+    errors.push({ message: 'Failed to record imported messages' });
+  }
+
+  if (columnMapping && options.csvHeaderKey) {
+    try {
+      await csvMappings.saveCsvMapping(userId, options.csvHeaderKey, columnMapping, options.csvHeaders);
+    } catch (error) {
+      console.error('CSV mapping save error:', error);
+      errors.push({ message: 'Failed to save column mapping' });
+    }
+  }
+
+  return {
+    success: errors.length === 0,
+    inserted,
+    merged,
+    rejected: candidates.length - valid.length,
+    messages,
+    errors
+  };
+};
+
+module.exports = {
+  IMPORT_STATUS,
+  createImportJob,
+  getImportJob,
+  previewImport,
+  commitImport
+};
@@ -0,0 +1,473 @@
+// backend/services/languagePacks.js
+
+// Language used when a message gives no clue, and merged into every other pack
+// because group chats switch to English for trade words and phone talk
+const DEFAULT_LANGUAGE = 'en';
+
+// Letters and combining marks, so word boundaries hold next to accents and Devanagari vowel signs
+const LETTER = '[\\p{L}\\p{M}\\d_]';
+const UNICODE_BOUNDARY = `(?:(?<!${LETTER})(?=${LETTER})|(?<=${LETTER})(?!${LETTER}))`;
+
+/**
+ * Compile a pattern whose \b boundaries also work around accented and non-Latin letters
+ */
+const compilePattern = (source, flags = '') => {
+  const text = source instanceof RegExp ? source.source : source;
+  const baseFlags = source instanceof RegExp ? source.flags : '';
+
+  return new RegExp(text.replace(/\\b/g, UNICODE_BOUNDARY), [...new Set(`${baseFlags}${flags}u`)].join(''));
+};
+
+/**
+ * Signal pattern with its weight, compiled to be accent-safe
+ */
+const signal = (pattern, weight) => ({ pattern: compilePattern(pattern), weight });
+
+/**
+ * Keywords, patterns and vocabulary for each language a chat may be written in
+ *
+ * - markers: common words that give a message's language away
+ * - hints: characters only that language uses, each worth two marker words
+ * - recommendationSignals / requestPatterns: how people vouch for a business or ask for one
+ * - leadVerbs / trailingVerbs: words before or after a recommended name ("call X", "X fixed")
+ * - nameJoiners: words that join two names into one business ("Sharma & Sons")
+ * - nameStopwords: capitalized words that start a sentence but are never names
+ * - locationPrepositions / locationPostpositions: words before or after a place name
+ * - professions: trade words by taxonomy category id, for professionTaxonomy
+ * - sentimentTerms / negators / postNegators / intensifiers: for sentimentScorer
+ *
+ * Keywords are lowercase; lead verbs may use regex character classes for optional accents.
+ */
+const LANGUAGE_PACKS = [
+  {
+    id: 'en',
+    label: 'English',
+    markers: [
+      'the', 'and', 'is', 'for', 'you', 'anyone', 'know', 'good', 'very', 'recommend', 'call', 'great',
+      'he', 'she', 'his', 'her', 'my', 'with', 'need', 'looking', 'thanks', 'please', 'this', 'that', 'who', 'can'
+    ],
+    recommendationSignals: [
+      { pattern: /\brecommend(s|ed|ation)?\b/i, weight: 0.35 },
+      { pattern: /\b(avoid|stay away from|don'?t (use|hire|call))\b/i, weight: 0.35 },
+      { pattern: /\b(fixed|repaired|did|built|painted|cleaned) (my|our)\b/i, weight: 0.25 },
+      { pattern: /\b(call|contact|whatsapp|message|reach out to)\b/i, weight: 0.2 },
+      { pattern: /\b(try|go to|use|used|hire|hired)\b/i, weight: 0.15 },
+      { pattern: /\b(super |very |really )?(reliable|trustworthy|professional|honest)\b/i, weight: 0.15 },
+      { pattern: /\b(great|excellent|amazing|fantastic|best|awesome)\b/i, weight: 0.1 },
+      { pattern: /\b(his|her|their) (number|no\.?|contact)\b/i, weight: 0.15 },
+      { pattern: /\b(check out|check) (his|her|their)\b|\bfollow (him|her|them)\b/i, weight: 0.15 }
+    ],
+    requestPatterns: [
+      /\b(anyone|anybody|does any ?one|can someone|could someone)\b.*\b(know|recommend|suggest|have)\b/i,
+      /\bknow (a|any) (good|reliable|decent)\b/i,
+      /\blooking for (a|an|some)\b/i
+    ],
+    leadVerbs: ['recommend', 'call', 'contact', 'try', 'use', 'hire', 'whatsapp', 'message', 'go to', 'reach out to', 'ask for', 'avoid', 'stay away from'],
+    trailingVerbs: ['fixed', 'repaired', 'did', 'built', 'painted', 'cleaned', 'is', 'was', 'are', 'were'],
+    nameJoiners: ['&', 'and'],
+    nameStopwords: [
+      'I', 'He', 'She', 'They', 'We', 'You', 'It', 'This', 'That', 'The', 'A', 'An',
+      'His', 'Her', 'Their', 'My', 'Our', 'Your', 'Hi', 'Hey', 'Thanks', 'Yes', 'No', 'Ok', 'Okay'
+    ],
+    locationPrepositions: ['in', 'near', 'around'],
+    locationPostpositions: [],
+    // English trades and sentiment live in professionTaxonomy and sentimentScorer
+    professions: {},
+    sentimentTerms: [],
+    negators: [],
+    postNegators: [],
+    intensifiers: []
+  },
+  {
+    id: 'es',
+    label: 'Español',
+    markers: [
+      'el', 'los', 'las', 'que', 'muy', 'para', 'es', 'una', 'alguien', 'conoce', 'recomiendo', 'bueno', 'buena',
+      'gracias', 'por', 'con', 'tiene', 'necesito', 'busco', 'llama', 'llamen', 'pero', 'también', 'aquí',
+      'él', 'ella', 'su', 'hola', 'está', 'mi', 'del', 'al', 'lo', 'le', 'y', 'favor', 'número'
+    ],
+    hints: /[ñ¿¡]/,
+    recommendationSignals: [
+      signal(/\b(recomiend[oa]n?|recomendad[oa]s?|recomendable|lo recomiendo|la recomiendo)\b/i, 0.35),
+      signal(/\b(eviten|evita|al[eé]jense de|no (lo|la|los|las) (llamen|contraten|usen))\b/i, 0.35),
+      signal(/\b(arregl[oó]|repar[oó]|hizo|construy[oó]|pint[oó]|limpi[oó]) (mi|mis|nuestr[oa]s?)\b/i, 0.25),
+      signal(/\b(ll[aá]m(a|en|ale|enle)|contact(a|en|alo|ala)|escr[ií]b(e|ele|anle)|habl(a|en) con|whatsapp)\b/i, 0.2),
+      signal(/\b(prueb(a|en) con|us(a|en)|contrat(a|en|é))\b/i, 0.15),
+      signal(/\b((muy|s[uú]per|bien) )?(confiable|de confianza|profesional|honest[oa]|cumplid[oa]|puntual)\b/i, 0.15),
+      signal(/\b(excelente|buen[ií]sim[oa]|genial|incre[ií]ble|el mejor|la mejor)\b/i, 0.1),
+      signal(/\bsu (n[uú]mero|tel[eé]fono|contacto|cel|celular|whatsapp)\b/i, 0.15)
+    ],
+    requestPatterns: [
+      compilePattern(/\b(alguien|alguno|alguna)\b.*\b(conoce|conozca|recomienda|recomiende|sabe|tiene)\b/i),
+      compilePattern(/\b(busco|buscando|necesito)\s+(un|una|alg[uú]n|alguna)\b/i),
+      compilePattern(/\b(me recomiendan|recomi[eé]ndenme|alguna recomendaci[oó]n)\b/i)
+    ],
+    leadVerbs: [
+      'recomiendo a', 'recomiendo', 'llamen a', 'llama a', 'll[aá]male a', 'contacta a', 'contacten a',
+      'prueba con', 'prueben con', 'hablen con', 'habla con', 'escr[ií]bele a', 'contrata a', 'contraten a',
+      'vayan con', 'eviten a', 'eviten'
+    ],
+    trailingVerbs: ['me arregl[oó]', 'arregl[oó]', 'repar[oó]', 'hizo', 'pint[oó]', 'limpi[oó]', 'es', 'fue', 'son'],
+    nameJoiners: ['y'],
+    nameStopwords: ['El', 'La', 'Los', 'Las', 'Un', 'Una', 'Yo', 'Él', 'Ella', 'Ellos', 'Mi', 'Tu', 'Su', 'Hola', 'Gracias', 'Sí', 'Si', 'Buenas', 'Buenos', 'Ustedes', 'Nosotros'],
+    locationPrepositions: ['en', 'cerca de'],
+    locationPostpositions: [],
+    professions: {
+      plumber: ['fontanero', 'plomero', 'fontanería', 'plomería', 'fuga de agua'],
+      electrician: ['electricista', 'instalación eléctrica'],
+      carpenter: ['carpintero', 'carpintería', 'ebanista'],
+      painter: ['pintor', 'pintora'],
+      mechanic: ['mecánico', 'taller mecánico', 'taller de autos'],
+      handyman: ['manitas', 'todero', 'arreglos del hogar'],
+      locksmith: ['cerrajero', 'cerrajería'],
+      cleaner: ['limpieza', 'señora de la limpieza', 'empleada doméstica', 'asistenta'],
+      gardener: ['jardinero', 'jardinería'],
+      pest_control: ['fumigador', 'fumigación', 'control de plagas'],
+      ac_repair: ['aire acondicionado', 'climatización'],
+      appliance_repair: ['reparación de electrodomésticos', 'técnico de lavadoras'],
+      contractor: ['albañil', 'maestro de obras', 'constructor', 'constructora', 'reformas', 'remodelación'],
+      architect: ['arquitecto', 'arquitecta'],
+      interior_designer: ['diseñador de interiores', 'diseñadora de interiores', 'interiorista'],
+      mover: ['mudanza', 'mudanzas'],
+      cook: ['cocinero', 'cocinera'],
+      caterer: ['banquetes', 'servicio de catering'],
+      baker: ['panadero', 'panadería', 'pastelero', 'pastelera', 'pastelería', 'repostera'],
+      tailor: ['sastre', 'costurera', 'modista', 'arreglos de ropa'],
+      photographer: ['fotógrafo', 'fotógrafa'],
+      beautician: ['esteticista', 'salón de belleza', 'maquilladora', 'manicurista'],
+      barber: ['barbero', 'barbería', 'peluquero', 'peluquera', 'peluquería'],
+      doctor: ['médico', 'médica', 'doctora', 'médico de cabecera'],
+      dentist: ['dentista', 'odontólogo', 'odontóloga', 'ortodoncista'],
+      pediatrician: ['pediatra'],
+      physiotherapist: ['fisioterapeuta', 'kinesiólogo'],
+      veterinarian: ['veterinario', 'veterinaria'],
+      lawyer: ['abogado', 'abogada'],
+      accountant: ['contador', 'contadora', 'gestoría', 'asesor fiscal'],
+      tutor: ['profesor particular', 'profesora particular', 'clases particulares'],
+      driver: ['chofer', 'chófer', 'taxista'],
+      it_support: ['técnico informático', 'técnico de computadoras', 'reparación de celulares'],
+      real_estate: ['agente inmobiliario', 'inmobiliaria', 'corredor de propiedades']
+    },
+    sentimentTerms: [
+      { phrase: 'recomiendo', weight: 0.5 },
+      { phrase: 'recomendado', weight: 0.5 },
+      { phrase: 'recomendada', weight: 0.5 },
+      { phrase: 'recomendable', weight: 0.4 },
+      { phrase: 'confiable', weight: 0.4 },
+      { phrase: 'de confianza', weight: 0.4 },
+      { phrase: 'honesto', weight: 0.3 },
+      { phrase: 'honesta', weight: 0.3 },
+      { phrase: 'profesional', weight: 0.3 },
+      { phrase: 'puntual', weight: 0.3 },
+      { phrase: 'cumplido', weight: 0.3 },
+      { phrase: 'excelente', weight: 0.4 },
+      { phrase: 'increíble', weight: 0.4 },
+      { phrase: 'buenísimo', weight: 0.4 },
+      { phrase: 'genial', weight: 0.3 },
+      { phrase: 'el mejor', weight: 0.3 },
+      { phrase: 'la mejor', weight: 0.3 },
+      { phrase: 'bueno', weight: 0.2 },
+      { phrase: 'buena', weight: 0.2 },
+      { phrase: 'buen', weight: 0.2 },
+      { phrase: 'económico', weight: 0.2 },
+      { phrase: 'precio justo', weight: 0.2 },
+
+      { phrase: 'no lo recomiendo', weight: -1.0 },
+      { phrase: 'no la recomiendo', weight: -1.0 },
+      { phrase: 'eviten', weight: -0.7 },
+      { phrase: 'estafa', weight: -0.8 },
+      { phrase: 'estafador', weight: -0.8 },
+      { phrase: 'me estafó', weight: -0.8 },
+      { phrase: 'fraude', weight: -0.8 },
+      { phrase: 'pésimo', weight: -0.6 },
+      { phrase: 'terrible', weight: -0.6 },
+      { phrase: 'malo', weight: -0.4 },
+      { phrase: 'mala', weight: -0.4 },
+      { phrase: 'mal servicio', weight: -0.5 },
+      { phrase: 'grosero', weight: -0.4 },
+      { phrase: 'impuntual', weight: -0.4 },
+      { phrase: 'caro', weight: -0.3 },
+      { phrase: 'nunca llegó', weight: -0.5 },
+      { phrase: 'no vino', weight: -0.5 }
+    ],
+    negators: ['no', 'nunca', 'jamás', 'tampoco', 'nada'],
+    postNegators: [],
+    intensifiers: ['muy', 'súper', 'super', 'realmente', 'totalmente', 'sumamente', 'bien']
+  },
+  {
+    id: 'pt',
+    label: 'Português',
+    markers: [
+      'o', 'os', 'que', 'muito', 'para', 'é', 'um', 'uma', 'alguém', 'conhece', 'recomendo', 'indico', 'bom', 'boa',
+      'obrigado', 'obrigada', 'com', 'não', 'você', 'vocês', 'tem', 'preciso', 'liga', 'pra', 'pro', 'ele', 'ela',
+      'dele', 'dela', 'ótimo', 'oi', 'olá', 'meu', 'minha', 'do', 'da', 'no', 'na', 'e', 'também', 'aqui', 'gente'
+    ],
+    hints: /[ãõç]/,
+    recommendationSignals: [
+      signal(/\b(recomendo|recomendad[oa]s?|indico|super indico)\b/i, 0.35),
+      signal(/\b(evitem|evite|fujam d[eoa]|n[aã]o (contratem|chamem|usem))\b/i, 0.35),
+      signal(/\b(consertou|arrumou|fez|construiu|pintou|limpou|reformou) (o meu|a minha|meu|minha|nosso|nossa)\b/i, 0.25),
+      signal(/\b(liga|ligue|liguem|chama|chame|fala com|falem com|manda mensagem|contata|contate|whats|zap)\b/i, 0.2),
+      signal(/\b(tenta|tente|usa|use|usei|contrata|contrate|contratei)\b/i, 0.15),
+      signal(/\b((muito|super|bem) )?(confi[aá]vel|de confian[cç]a|profissional|honest[oa]|pontual|caprichos[oa])\b/i, 0.15),
+      signal(/\b([oó]tim[oa]|excelente|maravilhos[oa]|incr[ií]vel|o melhor|a melhor)\b/i, 0.1),
+      signal(/\b(n[uú]mero|contato|telefone|whats|zap) (dele|dela)\b/i, 0.15)
+    ],
+    requestPatterns: [
+      compilePattern(/\balgu[eé]m\b.*\b(conhece|indica|recomenda|sabe|tem)\b/i),
+      compilePattern(/\b(procuro|procurando|preciso de|precisando de)\s+(um|uma|algum|alguma)\b/i),
+      compilePattern(/\b(indica[cç][aã]o|indica[cç][oõ]es|me indiquem)\b/i)
+    ],
+    leadVerbs: [
+      'recomendo o', 'recomendo a', 'recomendo', 'indico o', 'indico a', 'indico', 'liga para o', 'liga para a',
+      'liga pro', 'liga pra', 'liga para', 'ligue para', 'chama o', 'chama a', 'fala com o', 'fala com a',
+      'fala com', 'falem com', 'tenta o', 'tenta a', 'contrata o', 'contrata a', 'procura o', 'procura a',
+      'evitem o', 'evitem a', 'evitem'
+    ],
+    trailingVerbs: ['consertou', 'arrumou', 'fez', 'pintou', 'limpou', 'reformou', 'é', 'foi', 'são'],
+    nameJoiners: ['e'],
+    nameStopwords: ['O', 'Os', 'As', 'Um', 'Uma', 'Eu', 'Ele', 'Ela', 'Eles', 'Meu', 'Minha', 'Oi', 'Olá', 'Obrigado', 'Obrigada', 'Você', 'Vocês', 'Gente', 'Pessoal', 'Sim', 'Não'],
+    locationPrepositions: ['em', 'no', 'na', 'perto de'],
+    locationPostpositions: [],
+    professions: {
+      plumber: ['encanador', 'bombeiro hidráulico', 'vazamento'],
+      electrician: ['eletricista'],
+      carpenter: ['marceneiro', 'carpinteiro', 'marcenaria'],
+      painter: ['pintor', 'pintora'],
+      mechanic: ['mecânico', 'oficina mecânica'],
+      handyman: ['faz tudo', 'marido de aluguel'],
+      locksmith: ['chaveiro'],
+      cleaner: ['diarista', 'faxineira', 'faxina', 'empregada doméstica'],
+      gardener: ['jardineiro', 'jardinagem'],
+      pest_control: ['dedetização', 'dedetizadora'],
+      ac_repair: ['ar condicionado'],
+      appliance_repair: ['conserto de geladeira', 'conserto de máquina de lavar', 'assistência técnica'],
+      contractor: ['pedreiro', 'empreiteiro', 'mestre de obras', 'construtora', 'reforma'],
+      architect: ['arquiteto', 'arquiteta'],
+      interior_designer: ['designer de interiores'],
+      mover: ['mudança', 'carreto'],
+      cook: ['cozinheiro', 'cozinheira'],
+      caterer: ['buffet', 'bufê'],
+      baker: ['padaria', 'confeiteira', 'confeitaria'],
+      tailor: ['costureira', 'alfaiate'],
+      photographer: ['fotógrafo', 'fotógrafa'],
+      beautician: ['manicure', 'salão de beleza', 'maquiadora'],
+      barber: ['barbeiro', 'cabeleireiro', 'cabeleireira'],
+      doctor: ['médico', 'médica', 'clínico geral'],
+      dentist: ['dentista'],
+      pediatrician: ['pediatra'],
+      physiotherapist: ['fisioterapeuta'],
+      veterinarian: ['veterinário', 'veterinária'],
+      lawyer: ['advogado', 'advogada'],
+      accountant: ['contador', 'contadora', 'contabilidade'],
+      tutor: ['professor particular', 'professora particular', 'aulas particulares', 'reforço escolar'],
+      driver: ['motorista'],
+      it_support: ['técnico de informática', 'conserto de celular'],
+      real_estate: ['corretor de imóveis', 'imobiliária']
+    },
+    sentimentTerms: [
+      { phrase: 'recomendo', weight: 0.5 },
+      { phrase: 'recomendado', weight: 0.5 },
+      { phrase: 'indico', weight: 0.5 },
+      { phrase: 'confiável', weight: 0.4 },
+      { phrase: 'de confiança', weight: 0.4 },
+      { phrase: 'honesto', weight: 0.3 },
+      { phrase: 'profissional', weight: 0.3 },
+      { phrase: 'pontual', weight: 0.3 },
+      { phrase: 'caprichoso', weight: 0.3 },
+      { phrase: 'caprichosa', weight: 0.3 },
+      { phrase: 'excelente', weight: 0.4 },
+      { phrase: 'ótimo', weight: 0.4 },
+      { phrase: 'ótima', weight: 0.4 },
+      { phrase: 'maravilhoso', weight: 0.4 },
+      { phrase: 'incrível', weight: 0.4 },
+      { phrase: 'o melhor', weight: 0.3 },
+      { phrase: 'a melhor', weight: 0.3 },
+      { phrase: 'bom', weight: 0.2 },
+      { phrase: 'boa', weight: 0.2 },
+      { phrase: 'preço justo', weight: 0.2 },
+
+      { phrase: 'evitem', weight: -0.7 },
+      { phrase: 'golpe', weight: -0.8 },
+      { phrase: 'golpista', weight: -0.8 },
+      { phrase: 'fraude', weight: -0.8 },
+      { phrase: 'enganou', weight: -0.8 },
+      { phrase: 'péssimo', weight: -0.6 },
+      { phrase: 'horrível', weight: -0.6 },
+      { phrase: 'ruim', weight: -0.4 },
+      { phrase: 'grosso', weight: -0.4 },
+      { phrase: 'caro', weight: -0.3 },
+      { phrase: 'nunca apareceu', weight: -0.5 },
+      { phrase: 'não apareceu', weight: -0.5 }
+    ],
+    negators: ['não', 'nunca', 'nem', 'jamais'],
+    postNegators: [],
+    intensifiers: ['muito', 'super', 'bem', 'bastante', 'realmente', 'totalmente']
+  },
+  {
+    id: 'hi',
+    label: 'हिन्दी',
+    markers: [
+      'hai', 'hain', 'ka', 'ki', 'ke', 'ko', 'bahut', 'bohot', 'accha', 'achha', 'acha', 'koi', 'kya', 'aur',
+      'mein', 'nahi', 'nahin', 'bhai', 'ji', 'karo', 'chahiye', 'wala', 'wali', 'wale', 'unka', 'inka', 'tha',
+      'thi', 'kar', 'raha', 'rahe', 'bhi', 'toh', 'haan', 'yeh', 'woh', 'mera', 'meri', 'kaun', 'kahan', 'sabse',
+      'ekdum', 'badhiya'
+    ],
+    // Devanagari text is Hindi outright; romanized Hindi is scored by markers
+    script: /[\u0900-\u097f]/,
+    recommendationSignals: [
+      signal(/\b(mat (lena|bulana|karwana|jaana)|door raho|bach ke rehna)\b/i, 0.35),
+      signal(/\bne (mera|meri|hamara|hamari|humara|humari)\b/i, 0.25),
+      signal(/\b(ko|se) (call|phone|contact|baat) kar(o|ein|en|iye|lo|na)\b/i, 0.2),
+      signal(/\b(try kar(o|ein|en|lo)|bula lo|bulao)\b/i, 0.15),
+      signal(/\b((bahut|bohot|kaafi|ekdum) )?(bharosemand|imandar|imaandaar)\b/i, 0.15),
+      signal(/\b(badhiya|badiya|zabardast|mast kaam)\b/i, 0.1),
+      signal(/\b(unka|inka|uska|iska) (number|nambar|contact)\b/i, 0.15),
+      signal(/(कॉल कर|फोन कर|संपर्क कर)/, 0.2),
+      signal(/(भरोसेमंद|ईमानदार|बढ़िया)/, 0.15),
+      signal(/(उनका|इनका|उसका) (नंबर|नम्बर)/, 0.15)
+    ],
+    requestPatterns: [
+      compilePattern(/\bkoi\b.*\b(jaanta|janta|jaante|jante|pata|batao|bataiye|suggest|recommend)\b/i),
+      compilePattern(/\b(chahiye|chaiye|chahie)\b/i),
+      compilePattern(/(कोई|किसी).*(जानता|पता|बताओ|बताइए)|चाहिए/)
+    ],
+    leadVerbs: [],
+    trailingVerbs: ['ji', 'ko', 'se', 'ne', 'ka kaam', 'bahut', 'bohot', 'ekdum', 'badhiya'],
+    nameJoiners: ['aur'],
+    nameStopwords: ['Bhai', 'Bhaiya', 'Ji', 'Haan', 'Nahi', 'Main', 'Mera', 'Meri', 'Unka', 'Inka', 'Yeh', 'Woh', 'Aap', 'Koi', 'Namaste', 'Shukriya', 'Dhanyavaad'],
+    locationPrepositions: [],
+    locationPostpositions: ['mein', 'me'],
+    professions: {
+      plumber: ['nal wala', 'प्लंबर', 'नलसाज'],
+      electrician: ['bijli wala', 'bijliwala', 'bijli mistri', 'बिजली मिस्त्री', 'इलेक्ट्रीशियन'],
+      carpenter: ['badhai', 'बढ़ई'],
+      painter: ['पेंटर'],
+      mechanic: ['मैकेनिक'],
+      cleaner: ['kaamwali', 'kaamwali bai', 'safai wala', 'safai wali'],
+      gardener: ['maali', 'माली'],
+      cook: ['khana banane wali', 'maharaj', 'रसोइया'],
+      tailor: ['darzi', 'darji', 'दर्जी'],
+      barber: ['naai', 'नाई'],
+      doctor: ['डॉक्टर'],
+      lawyer: ['vakil', 'vakeel', 'वकील'],
+      tutor: ['masterji', 'tuition wale sir'],
+      driver: ['ड्राइवर'],
+      real_estate: ['dalal', 'property wala', 'प्रॉपर्टी डीलर']
+    },
+    sentimentTerms: [
+      { phrase: 'accha', weight: 0.3 },
+      { phrase: 'achha', weight: 0.3 },
+      { phrase: 'acha', weight: 0.2 },
+      { phrase: 'acche', weight: 0.3 },
+      { phrase: 'achhe', weight: 0.3 },
+      { phrase: 'badhiya', weight: 0.4 },
+      { phrase: 'badiya', weight: 0.4 },
+      { phrase: 'zabardast', weight: 0.4 },
+      { phrase: 'mast', weight: 0.3 },
+      { phrase: 'bharosemand', weight: 0.4 },
+      { phrase: 'imandar', weight: 0.3 },
+      { phrase: 'imaandaar', weight: 0.3 },
+      { phrase: 'sahi rate', weight: 0.2 },
+      { phrase: 'time pe', weight: 0.2 },
+      { phrase: 'अच्छा', weight: 0.3 },
+      { phrase: 'अच्छे', weight: 0.3 },
+      { phrase: 'बढ़िया', weight: 0.4 },
+      { phrase: 'भरोसेमंद', weight: 0.4 },
+      { phrase: 'ईमानदार', weight: 0.3 },
+
+      { phrase: 'dhokha', weight: -0.8 },
+      { phrase: 'dhokhebaaz', weight: -0.8 },
+      { phrase: 'paise kha gaya', weight: -0.8 },
+      { phrase: 'door raho', weight: -0.8 },
+      { phrase: 'mat lena', weight: -0.7 },
+      { phrase: 'mat bulana', weight: -0.7 },
+      { phrase: 'bekar', weight: -0.6 },
+      { phrase: 'bekaar', weight: -0.6 },
+      { phrase: 'ghatiya', weight: -0.6 },
+      { phrase: 'bakwas', weight: -0.6 },
+      { phrase: 'bakwaas', weight: -0.6 },
+      { phrase: 'mehenga', weight: -0.3 },
+      { phrase: 'mehnga', weight: -0.3 },
+      { phrase: 'nahi aaya', weight: -0.5 },
+      { phrase: 'धोखा', weight: -0.8 },
+      { phrase: 'बेकार', weight: -0.6 },
+      { phrase: 'घटिया', weight: -0.6 }
+    ],
+    negators: [],
+    // Hindi negates after the word ("accha nahi")
+    postNegators: ['nahi', 'nahin', 'nai', 'नहीं'],
+    intensifiers: ['bahut', 'bohot', 'ekdum', 'kaafi', 'bilkul', 'बहुत']
+  }
+];
+
+const PACKS_BY_ID = new Map(LANGUAGE_PACKS.map(pack => [pack.id, pack]));
+
+const MARKER_SETS = new Map(LANGUAGE_PACKS.map(pack => [pack.id, new Set(pack.markers)]));
+
+// Weight of a character only one language uses, against single marker words
+const HINT_WEIGHT = 2;
+
+/**
+ * Look up a language pack by its id
+ */
+const getLanguagePack = (id) => {
+  return PACKS_BY_ID.get(id) || null;
+};
+
+/**
+ * Check that a value is the id of a supported language
+ */
+const isSupportedLanguage = (id) => {
+  return typeof id === 'string' && PACKS_BY_ID.has(id);
+};
+
+/**
+ * Guess the language a message is written in
+ *
+ * Non-Latin scripts decide outright; otherwise each language scores its marker words
+ * plus any characters only it uses, and ties go to the language listed first.
+ * Returns the language id, English when nothing stands out, or null for empty text.
+ */
+const detectLanguage = (text) => {
+  if (typeof text !== 'string' || !text.trim()) return null;
+
+  const byScript = LANGUAGE_PACKS.find(pack => pack.script && pack.script.test(text));
+  if (byScript) return byScript.id;
+
+  const words = text.toLowerCase().match(/[\p{L}\p{M}]+/gu) || [];
+  let best = { id: DEFAULT_LANGUAGE, score: 0 };
+
+  LANGUAGE_PACKS.forEach(pack => {
+    const markers = MARKER_SETS.get(pack.id);
+    let score = words.filter(word => markers.has(word)).length;
+
+    if (pack.hints && pack.hints.test(text)) score += HINT_WEIGHT;
+    if (score > best.score) best = { id: pack.id, score };
+  });
+
+  return best.id;
+};
+
+/**
+ * Packs whose patterns apply to a message in a language: its own, then English
+ */
+const packsFor = (language) => {
+  const pack = getLanguagePack(language);
+
+  if (!pack || pack.id === DEFAULT_LANGUAGE) {
+    return [getLanguagePack(DEFAULT_LANGUAGE)];
+  }
+
+  return [pack, getLanguagePack(DEFAULT_LANGUAGE)];
+};
+
+module.exports = {
+  DEFAULT_LANGUAGE,
+  LANGUAGE_PACKS,
+  compilePattern,
+  getLanguagePack,
+  isSupportedLanguage,
+  detectLanguage,
+  packsFor
+};
@@ -0,0 +1,139 @@
+// backend/services/locationGazetteer.js
+
+/**
+ * Offline gazetteer of the cities our groups talk about, with common aliases
+ * and well-known neighborhoods. Short all-caps aliases ("NYC", "LA") only
+ * match in capitals so they aren't confused with ordinary words.
+ */
+const PLACES = [
+  // India
+  { city: 'Mumbai', state: 'Maharashtra', country: 'India', aliases: ['Bombay'], neighborhoods: ['Andheri', 'Bandra', 'Powai', 'Juhu', 'Colaba', 'Dadar', 'Goregaon', 'Malad', 'Borivali', 'Chembur', 'Worli'] },
+  { city: 'Navi Mumbai', state: 'Maharashtra', country: 'India', aliases: [], neighborhoods: ['Vashi', 'Nerul', 'Kharghar', 'Belapur'] },
+  { city: 'Thane', state: 'Maharashtra', country: 'India', aliases: [], neighborhoods: [] },
+  { city: 'Pune', state: 'Maharashtra', country: 'India', aliases: ['Poona'], neighborhoods: ['Kothrud', 'Baner', 'Aundh', 'Hinjewadi', 'Viman Nagar', 'Koregaon Park', 'Wakad', 'Kharadi', 'Hadapsar', 'Magarpatta'] },
+  { city: 'Delhi', state: 'Delhi', country: 'India', aliases: ['New Delhi'], neighborhoods: ['Dwarka', 'Vasant Kunj', 'Lajpat Nagar', 'Hauz Khas', 'Karol Bagh'] },
+  { city: 'Gurugram', state: 'Haryana', country: 'India', aliases: ['Gurgaon'], neighborhoods: ['DLF Phase', 'Sohna Road', 'Golf Course Road'] },
+  { city: 'Noida', state: 'Uttar Pradesh', country: 'India', aliases: [], neighborhoods: [] },
+  { city: 'Bengaluru', state: 'Karnataka', country: 'India', aliases: ['Bangalore', 'Blr'], neighborhoods: ['Koramangala', 'Indiranagar', 'Whitefield', 'HSR Layout', 'Jayanagar', 'Electronic City', 'Marathahalli', 'Hebbal'] },
+  { city: 'Hyderabad', state: 'Telangana', country: 'India', aliases: [], neighborhoods: ['Gachibowli', 'Hitech City', 'Banjara Hills', 'Jubilee Hills', 'Kondapur', 'Madhapur'] },
+  { city: 'Chennai', state: 'Tamil Nadu', country: 'India', aliases: ['Madras'], neighborhoods: ['Adyar', 'T Nagar', 'Velachery', 'Anna Nagar', 'OMR'] },
+  { city: 'Kolkata', state: 'West Bengal', country: 'India', aliases: ['Calcutta'], neighborhoods: ['Salt Lake', 'Ballygunge'] },
+  { city: 'Ahmedabad', state: 'Gujarat', country: 'India', aliases: ['Amdavad'], neighborhoods: [] },
+  { city: 'Jaipur', state: 'Rajasthan', country: 'India', aliases: [], neighborhoods: [] },
+  { city: 'Goa', state: 'Goa', country: 'India', aliases: ['Panaji', 'Panjim'], neighborhoods: [] },
+
+  // United States
+  { city: 'New York', state: 'New York', country: 'United States', aliases: ['NYC', 'New York City'], neighborhoods: ['Manhattan', 'Brooklyn', 'Queens', 'Bronx', 'Staten Island', 'Harlem', 'Astoria', 'Williamsburg'] },
+  { city: 'Los Angeles', state: 'California', country: 'United States', aliases: ['LA'], neighborhoods: ['Hollywood', 'Silver Lake', 'Echo Park', 'Koreatown', 'Venice Beach'] },
+  { city: 'San Francisco', state: 'California', country: 'United States', aliases: ['SF', 'San Fran'], neighborhoods: ['Mission District', 'SoMa', 'Noe Valley', 'Pacific Heights'] },
+  { city: 'San Jose', state: 'California', country: 'United States', aliases: [], neighborhoods: [] },
+  { city: 'Seattle', state: 'Washington', country: 'United States', aliases: [], neighborhoods: ['Capitol Hill', 'Ballard'] },
+  { city: 'Chicago', state: 'Illinois', country: 'United States', aliases: [], neighborhoods: ['Wicker Park', 'Lincoln Park', 'Hyde Park'] },
+  { city: 'Boston', state: 'Massachusetts', country: 'United States', aliases: [], neighborhoods: ['Back Bay'] },
+  { city: 'Houston', state: 'Texas', country: 'United States', aliases: [], neighborhoods: [] },
+  { city: 'Austin', state: 'Texas', country: 'United States', aliases: ['ATX'], neighborhoods: [] },
+  { city: 'Dallas', state: 'Texas', country: 'United States', aliases: [], neighborhoods: [] },
+  { city: 'Miami', state: 'Florida', country: 'United States', aliases: [], neighborhoods: ['Little Havana', 'Wynwood', 'Brickell'] },
+  { city: 'New Jersey', state: 'New Jersey', country: 'United States', aliases: ['NJ'], neighborhoods: ['Jersey City', 'Hoboken'] },
+
+  // Elsewhere
+  { city: 'London', state: 'England', country: 'United Kingdom', aliases: [], neighborhoods: ['Camden', 'Shoreditch', 'Hackney', 'Islington', 'Brixton', 'Wembley'] },
+  { city: 'Toronto', state: 'Ontario', country: 'Canada', aliases: [], neighborhoods: ['Scarborough', 'Etobicoke', 'North York'] },
+  { city: 'Dubai', state: 'Dubai', country: 'United Arab Emirates', aliases: [], neighborhoods: ['Jumeirah', 'Deira', 'Bur Dubai', 'Dubai Marina'] },
+  { city: 'Singapore', state: 'Singapore', country: 'Singapore', aliases: [], neighborhoods: [] },
+  { city: 'Sydney', state: 'New South Wales', country: 'Australia', aliases: [], neighborhoods: ['Parramatta', 'Bondi'] },
+  { city: 'Melbourne', state: 'Victoria', country: 'Australia', aliases: [], neighborhoods: [] },
+  { city: 'Madrid', state: 'Comunidad de Madrid', country: 'Spain', aliases: [], neighborhoods: ['Chamberi', 'Malasana', 'Salamanca'] },
+  { city: 'Barcelona', state: 'Catalonia', country: 'Spain', aliases: ['BCN'], neighborhoods: ['Gracia', 'Eixample', 'El Born'] },
+  { city: 'Mexico City', state: 'Mexico City', country: 'Mexico', aliases: ['CDMX', 'Ciudad de Mexico'], neighborhoods: ['Condesa', 'Roma Norte', 'Polanco', 'Coyoacan'] },
+  { city: 'Sao Paulo', state: 'Sao Paulo', country: 'Brazil', aliases: ['Sampa'], neighborhoods: ['Pinheiros', 'Vila Madalena', 'Moema', 'Jardins'] },
+  { city: 'Rio de Janeiro', state: 'Rio de Janeiro', country: 'Brazil', aliases: [], neighborhoods: ['Copacabana', 'Ipanema', 'Leblon', 'Botafogo', 'Barra da Tijuca'] },
+  { city: 'Lisbon', state: 'Lisbon', country: 'Portugal', aliases: ['Lisboa'], neighborhoods: ['Alfama', 'Belem', 'Chiado'] },
+  { city: 'Porto', state: 'Porto', country: 'Portugal', aliases: ['Oporto'], neighborhoods: [] }
+];
+
+/**
+ * Strip accents so "São Paulo" and "Belém" match their plain spellings
+ */
+const stripAccents = (text) => text.normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+
+/**
+ * Escape a place name for use in a regular expression
+ */
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Build the matcher for one name; all-caps aliases of up to four letters match case-sensitively
+ */
+const buildMatcher = (name) => {
+  const caseSensitive = /^[A-Z]{2,4}$/.test(name);
+  const pattern = `(^|[^\\p{L}\\p{N}])${escapeRegExp(name)}(?=$|[^\\p{L}\\p{N}])`;
+
+  return new RegExp(pattern, caseSensitive ? 'u' : 'iu');
+};
+
+// Every name with the place it points to, longest first so "New York City" beats "New York"
+const NAME_INDEX = PLACES
+  .flatMap(place => [
+    { name: place.city, place, neighborhood: null },
+    ...place.aliases.map(alias => ({ name: alias, place, neighborhood: null })),
+    ...place.neighborhoods.map(neighborhood => ({ name: neighborhood, place, neighborhood }))
+  ])
+  .map(entry => ({ ...entry, matcher: buildMatcher(stripAccents(entry.name)) }))
+  .sort((a, b) => b.name.length - a.name.length);
+
+/**
+ * Shape a gazetteer hit as referral location fields
+ */
+const toLocation = (entry) => {
+  return {
+    city: entry.place.city,
+    state: entry.place.state,
+    country: entry.place.country,
+    neighborhood: entry.neighborhood,
+    matched: entry.name
+  };
+};
+
+/**
+ * Find the first known place mentioned in free text
+ *
+ * Returns { city, state, country, neighborhood, matched } or null.
+ */
+const findLocation = (text) => {
+  if (typeof text !== 'string' || !text.trim()) return null;
+
+  const plain = stripAccents(text);
+  const entry = NAME_INDEX.find(candidate => candidate.matcher.test(plain));
+
+  return entry ? toLocation(entry) : null;
+};
+
+/**
+ * Resolve a user-chosen location (a name or { city, state, country }) into full fields
+ *
+ * Unknown places are kept as given rather than dropped.
+ */
+const resolveLocation = (input) => {
+  if (!input) return null;
+
+  const fields = typeof input === 'string' ? { city: input } : input;
+  const city = typeof fields.city === 'string' ? fields.city.trim().substring(0, 100) : '';
+
+  if (!city) return null;
+
+  const known = findLocation(city);
+
+  return {
+    city: known ? known.city : city,
+    state: (typeof fields.state === 'string' && fields.state.trim()) || (known ? known.state : ''),
+    country: (typeof fields.country === 'string' && fields.country.trim()) || (known ? known.country : ''),
+    neighborhood: known ? known.neighborhood : null
+  };
+};
+
+module.exports = {
+  PLACES,
+  findLocation,
+  resolveLocation
+};
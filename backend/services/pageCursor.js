@@ -0,0 +1,72 @@
+// backend/services/pageCursor.js
+const crypto = require('crypto');
+
+// Longest cursor accepted; a referral key encodes to well under this
+const MAX_CURSOR_LENGTH = 1024;
+
+// base64url payload, a dot, then its base64url signature
+const CURSOR_PATTERN = /^[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+$/;
+
+const INVALID_CURSOR = 'Invalid pagination cursor';
+
+const sign = (payload, userId) => {
+  const secret = process.env.PAGE_CURSOR_SECRET;
+  if (!secret) {
+    throw new Error('Pagination is not configured');
+  }
+
+  return crypto
+    .createHmac('sha256', `${secret}:${userId}`)
+    .update(payload)
+    .digest('base64url');
+};
+
+/**
+ * Opaque cursor for the page after a query's LastEvaluatedKey, or null after the last page
+ *
+ * The key is signed with an HMAC keyed per user, so a cursor can't be edited to start
+ * somewhere else and only works for the user it was issued to.
+ */
+const encodeCursor = (lastEvaluatedKey, userId) => {
+  if (!lastEvaluatedKey) return null;
+
+  const payload = Buffer.from(JSON.stringify(lastEvaluatedKey)).toString('base64url');
+  return `${payload}.${sign(payload, userId)}`;
+};
+
+/**
+ * The ExclusiveStartKey a cursor from encodeCursor stands for
+ */
+const decodeCursor = (cursor, userId) => {
+  if (typeof cursor !== 'string' || cursor.length > MAX_CURSOR_LENGTH || !CURSOR_PATTERN.test(cursor)) {
+    throw new Error(INVALID_CURSOR);
+  }
+
+  const [payload, signature] = cursor.split('.');
+  const expected = Buffer.from(sign(payload, userId));
+  const actual = Buffer.from(signature);
+
+  if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+    throw new Error(INVALID_CURSOR);
+  }
+
+  let key;
+
+  try {
+    key = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+  } catch (error) {
+    throw new Error(INVALID_CURSOR);
+  }
+
+  if (!key || typeof key !== 'object' || Array.isArray(key)) {
+    throw new Error(INVALID_CURSOR);
+  }
+
+  return key;
+};
+
+module.exports = {
+  INVALID_CURSOR,
+  encodeCursor,
+  decodeCursor
+};
@@ -0,0 +1,80 @@
+// backend/services/phoneNormalizer.js
+const { parsePhoneNumberFromString, isSupportedCountry } = require('libphonenumber-js');
+
+// International numbers written with a leading "+" ("+91 98765 43210")
+const INTERNATIONAL_NUMBER_PATTERN = /\+\d[\d\s().-]{6,}\d/g;
+
+/**
+ * Validate and uppercase an ISO 3166-1 alpha-2 country code
+ */
+const toCountryCode = (country) => {
+  if (typeof country !== 'string') return null;
+
+  const code = country.trim().toUpperCase();
+  return /^[A-Z]{2}$/.test(code) && isSupportedCountry(code) ? code : null;
+};
+
+/**
+ * Parse a free-text phone number into E.164, keeping the raw text
+ *
+ * Returns null when the text isn't a valid number for the default country.
+ */
+const normalizePhoneNumber = (raw, defaultCountry) => {
+  if (typeof raw !== 'string' || !raw.trim()) return null;
+
+  const phoneNumber = parsePhoneNumberFromString(raw.trim(), toCountryCode(defaultCountry) || undefined);
+
+  if (!phoneNumber || !phoneNumber.isValid()) {
+    return null;
+  }
+
+  return {
+    raw: raw.trim(),
+    e164: phoneNumber.number,
+    country: phoneNumber.country || null
+  };
+};
+
+/**
+ * Guess a chat's home country from the international numbers it contains
+ *
+ * Unsaved contacts appear as "+91 98765 43210" senders, so senders count too.
+ */
+const detectChatCountry = (messages) => {
+  const counts = {};
+
+  messages.forEach((entry) => {
+    const text = `${entry.sender || ''} ${entry.message || ''}`;
+
+    (text.match(INTERNATIONAL_NUMBER_PATTERN) || []).forEach((match) => {
+      const phoneNumber = parsePhoneNumberFromString(match);
+
+      if (phoneNumber && phoneNumber.isValid() && phoneNumber.country) {
+        counts[phoneNumber.country] = (counts[phoneNumber.country] || 0) + 1;
+      }
+    });
+  });
+
+  const ranked = Object.entries(counts).sort((a, b) => b[1] - a[1]);
+  return ranked.length > 0 ? ranked[0][0] : null;
+};
+
+/**
+ * Pick the default country for numbers written without a country code
+ *
+ * Order: explicit request, user profile, then the chat's own numbers. Returns null
+ * when none of them gives a country, and such numbers are kept as written rather
+ * than normalized against a guess.
+ */
+const resolveDefaultCountry = ({ requested, profileCountry, messages } = {}) => {
+  return toCountryCode(requested)
+    || toCountryCode(profileCountry)
+    || (messages ? detectChatCountry(messages) : null);
+};
+
+module.exports = {
+  toCountryCode,
+  normalizePhoneNumber,
+  detectChatCountry,
+  resolveDefaultCountry
+};
@@ -0,0 +1,143 @@
+// backend/services/professionTaxonomy.js
+const { editDistance } = require('../utils/editDistance');
+const { LANGUAGE_PACKS } = require('./languagePacks');
+
+// Catch-all category for professions the taxonomy doesn't cover
+const OTHER_CATEGORY = { id: 'other', label: 'Other' };
+
+// Shortest word that is fuzzy-matched, so typos like "plumbr" still classify
+const MIN_FUZZY_LENGTH = 5;
+
+/**
+ * Built-in trades and services with the words people use for them in English.
+ * Synonyms are lowercase; plurals are matched automatically. Other languages'
+ * words for each category come from their language pack.
+ */
+const PROFESSION_TAXONOMY = [
+  { id: 'plumber', label: 'Plumber', synonyms: ['plumber', 'plumbing', 'pipe fitter', 'drain cleaning', 'leaking pipe', 'water heater', 'geyser repair'] },
+  { id: 'electrician', label: 'Electrician', synonyms: ['electrician', 'electrical work', 'electrical', 'wiring', 'rewiring', 'inverter repair'] },
+  { id: 'carpenter', label: 'Carpenter', synonyms: ['carpenter', 'carpentry', 'woodwork', 'furniture repair', 'joiner'] },
+  { id: 'painter', label: 'Painter', synonyms: ['painter', 'painting', 'house painting', 'wall painting', 'whitewash'] },
+  { id: 'mechanic', label: 'Mechanic', synonyms: ['mechanic', 'car repair', 'auto repair', 'bike repair', 'car service'] },
+  { id: 'handyman', label: 'Handyman', synonyms: ['handyman', 'odd jobs', 'home repairs'] },
+  { id: 'locksmith', label: 'Locksmith', synonyms: ['locksmith', 'lock repair', 'key cutting'] },
+  { id: 'cleaner', label: 'Cleaner', synonyms: ['cleaner', 'cleaning', 'deep cleaning', 'maid', 'housekeeping', 'housekeeper', 'domestic help'] },
+  { id: 'gardener', label: 'Gardener', synonyms: ['gardener', 'gardening', 'landscaper', 'landscaping', 'lawn care', 'mali'] },
+  { id: 'pest_control', label: 'Pest Control', synonyms: ['pest control', 'exterminator', 'termite treatment', 'fumigation'] },
+  { id: 'ac_repair', label: 'AC Repair', synonyms: ['ac repair', 'ac service', 'ac technician', 'air conditioning', 'hvac'] },
+  { id: 'appliance_repair', label: 'Appliance Repair', synonyms: ['appliance repair', 'washing machine repair', 'fridge repair', 'refrigerator repair', 'microwave repair'] },
+  { id: 'contractor', label: 'Contractor', synonyms: ['contractor', 'builder', 'construction', 'renovation', 'remodeling', 'remodelling', 'mason'] },
+  { id: 'architect', label: 'Architect', synonyms: ['architect'] },
+  { id: 'interior_designer', label: 'Interior Designer', synonyms: ['interior designer', 'interior design', 'interior decorator', 'interiors'] },
+  { id: 'mover', label: 'Movers & Packers', synonyms: ['mover', 'movers', 'packers and movers', 'packers', 'relocation', 'removalist'] },
+  { id: 'cook', label: 'Cook', synonyms: ['cook', 'chef', 'home cook', 'tiffin service', 'meal service'] },
+  { id: 'caterer', label: 'Caterer', synonyms: ['caterer', 'catering'] },
+  { id: 'baker', label: 'Baker', synonyms: ['baker', 'bakery', 'cake maker', 'custom cakes', 'home baker'] },
+  { id: 'tailor', label: 'Tailor', synonyms: ['tailor', 'tailoring', 'alterations', 'seamstress', 'stitching', 'dressmaker'] },
+  { id: 'photographer', label: 'Photographer', synonyms: ['photographer', 'photography', 'videographer', 'videography'] },
+  { id: 'beautician', label: 'Beautician', synonyms: ['beautician', 'beauty parlour', 'beauty parlor', 'salon', 'makeup artist', 'nail technician'] },
+  { id: 'barber', label: 'Barber', synonyms: ['barber', 'hairdresser', 'hair stylist', 'haircut'] },
+  { id: 'doctor', label: 'Doctor', synonyms: ['doctor', 'physician', 'general practitioner', 'family doctor'] },
+  { id: 'dentist', label: 'Dentist', synonyms: ['dentist', 'dental', 'orthodontist'] },
+  { id: 'pediatrician', label: 'Pediatrician', synonyms: ['pediatrician', 'paediatrician', 'child specialist'] },
+  { id: 'physiotherapist', label: 'Physiotherapist', synonyms: ['physiotherapist', 'physio', 'physical therapist', 'physiotherapy'] },
+  { id: 'veterinarian', label: 'Veterinarian', synonyms: ['veterinarian', 'vet', 'veterinary', 'pet doctor'] },
+  { id: 'lawyer', label: 'Lawyer', synonyms: ['lawyer', 'advocate', 'attorney', 'solicitor', 'legal advice'] },
+  { id: 'accountant', label: 'Accountant', synonyms: ['accountant', 'chartered accountant', 'tax consultant', 'bookkeeper', 'bookkeeping', 'cpa'] },
+  { id: 'tutor', label: 'Tutor', synonyms: ['tutor', 'tuition', 'tuitions', 'teacher', 'coaching classes', 'music teacher'] },
+  { id: 'driver', label: 'Driver', synonyms: ['driver', 'chauffeur', 'cab driver'] },
+  { id: 'it_support', label: 'IT Support', synonyms: ['computer repair', 'laptop repair', 'it support', 'phone repair', 'mobile repair'] },
+  { id: 'real_estate', label: 'Real Estate Agent', synonyms: ['real estate agent', 'realtor', 'property broker', 'property dealer'] }
+];
+
+/**
+ * Lowercase text, drop accents and reduce it to space-separated words.
+ * Devanagari is kept as is; its vowel signs are part of the word.
+ */
+const normalizeText = (text) => {
+  return text
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/&/g, ' and ')
+    .replace(/[^a-z0-9\u0900-\u097f\s]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+};
+
+/**
+ * A category's synonyms plus the words each language pack uses for it
+ */
+const synonymsFor = (category) => {
+  const translated = LANGUAGE_PACKS.flatMap(pack => pack.professions[category.id] || []);
+  return [...new Set(category.synonyms.concat(translated).map(normalizeText))];
+};
+
+// Every synonym with its category, longest first so "pest control" beats "control"
+const SYNONYM_INDEX = PROFESSION_TAXONOMY
+  .flatMap(category => synonymsFor(category).map(phrase => ({ phrase, category })))
+  .sort((a, b) => b.phrase.length - a.phrase.length);
+
+/**
+ * Look up a category by its id
+ */
+const getCategory = (id) => {
+  return PROFESSION_TAXONOMY.find(category => category.id === id) || null;
+};
+
+/**
+ * Map free text (a message or a user-entered profession) to a canonical category
+ *
+ * Typo matching is meant for short profession fields; pass { fuzzy: false } for
+ * whole messages, where words like "drive" would otherwise read as "driver".
+ * Returns { id, label, matched } or null when nothing matches.
+ */
+const classifyProfession = (text, options = {}) => {
+  if (typeof text !== 'string' || !text.trim()) return null;
+
+  const normalized = ` ${normalizeText(text)} `;
+
+  // Exact phrase, singular or plural
+  for (const { phrase, category } of SYNONYM_INDEX) {
+    if (normalized.includes(` ${phrase} `) || normalized.includes(` ${phrase}s `) || normalized.includes(` ${phrase}es `)) {
+      return { id: category.id, label: category.label, matched: phrase };
+    }
+  }
+
+  if (options.fuzzy === false) return null;
+
+  // Single-word typos ("plumbr", "electrision")
+  const words = normalized.trim().split(' ').filter(word => word.length >= MIN_FUZZY_LENGTH);
+  let best = null;
+
+  for (const word of words) {
+    for (const { phrase, category } of SYNONYM_INDEX) {
+      if (phrase.includes(' ') || phrase.length < MIN_FUZZY_LENGTH) continue;
+
+      const distance = editDistance(word, phrase);
+      const allowed = phrase.length >= 9 ? 2 : 1;
+
+      if (distance <= allowed && (!best || distance < best.distance)) {
+        best = { id: category.id, label: category.label, matched: phrase, distance };
+      }
+    }
+  }
+
+  return best ? { id: best.id, label: best.label, matched: best.matched } : null;
+};
+
+/**
+ * Category id for a referral, from its profession field or else its message
+ */
+const categorizeReferral = (profession, message) => {
+  const match = classifyProfession(profession) || classifyProfession(message, { fuzzy: false });
+  return match ? match.id : OTHER_CATEGORY.id;
+};
+
+module.exports = {
+  PROFESSION_TAXONOMY,
+  OTHER_CATEGORY,
+  getCategory,
+  classifyProfession,
+  categorizeReferral
+};
@@ -0,0 +1,839 @@
+// backend/services/referralExtractor.js
+const { parseChatText, parseChatLines } = require('./chatFormats');
+const { normalizePhoneNumber, resolveDefaultCountry } = require('./phoneNormalizer');
+const { classifyProfession } = require('./professionTaxonomy');
+const { findLocation, resolveLocation } = require('./locationGazetteer');
+const { scoreSentiment } = require('./sentimentScorer');
+const {
+  CHANNEL_TYPES,
+  normalizeChannel,
+  mergeChannels,
+  extractContactChannels,
+  nameFromChannels
+} = require('./contactChannels');
+const {
+  DEFAULT_LANGUAGE,
+  LANGUAGE_PACKS,
+  compilePattern,
+  isSupportedLanguage,
+  detectLanguage,
+  packsFor
+} = require('./languagePacks');
+
+const DEFAULT_MIN_CONFIDENCE = 0.4;
+
+// How long after a "looking for" question replies are still treated as answers to it
+const DEFAULT_THREAD_WINDOW_MINUTES = 180;
+
+// Messages read before a streamed chat's home country is guessed
+const COUNTRY_SAMPLE_MESSAGES = 500;
+
+// Questions kept for quote matching; older ones are long past answering
+const MAX_OPEN_QUESTIONS = 50;
+
+// How close in time a shared contact card or photo must be to a referral to belong to it
+const ATTACHMENT_WINDOW_MS = 5 * 60 * 1000;
+
+// Added to a shared contact card's score; sharing a card is itself a recommendation
+const CONTACT_CARD_WEIGHT = 0.3;
+
+// Trailing digits compared when matching a card to a number typed in the chat
+const SAME_NUMBER_DIGITS = 9;
+
+// Phone types listed first when a card has several numbers
+const PREFERRED_PHONE_TYPES = ['cell', 'mobile', 'work'];
+
+// Messages kept around each referral to show why it was picked up
+const CONTEXT_MESSAGES_BEFORE = 2;
+const CONTEXT_SNIPPET_LENGTH = 200;
+
+// Shortest quoted snippet that is trusted to identify the question being replied to
+const MIN_QUOTE_LENGTH = 10;
+
+// Capitalized words (any script with capitals), optionally joined by "&", "and" or the
+// language's own joiner ("Sharma & Sons", "Bob's Plumbing", "Pérez y Hijos")
+const NAME_WORD = "\\p{Lu}[\\p{L}\\p{M}\\d_'&.-]*";
+
+/**
+ * Match a lowercase keyword whether or not it starts a sentence
+ */
+const anyCase = (word) => word.replace(/^[a-z]/, letter => `[${letter}${letter.toUpperCase()}]`);
+
+// Words that start a capitalized run but are never business names, in any language
+const NAME_STOPWORDS = new Set(LANGUAGE_PACKS.flatMap(pack => pack.nameStopwords));
+
+// Capitalized place names, as in "São Paulo" or "Navi Mumbai"
+const PLACE = '(\\p{Lu}\\p{Ll}+(?:\\s+\\p{Lu}\\p{Ll}+){0,2})';
+
+// Compiled patterns per language, built the first time a message in it is seen
+const languagePatterns = new Map();
+
+/**
+ * Build the patterns that read a message in a language, from its pack and English
+ */
+const buildLanguagePatterns = (language) => {
+  const packs = packsFor(language);
+  const collect = (field) => [...new Set(packs.flatMap(pack => pack[field]))];
+
+  const joiners = collect('nameJoiners').join('|');
+  const name = `(${NAME_WORD}(?:\\s+(?:${joiners})?\\s*${NAME_WORD}){0,4})`;
+  const leadVerbs = collect('leadVerbs');
+  const prepositions = collect('locationPrepositions');
+  const postpositions = collect('locationPostpositions');
+
+  return {
+    recommendationSignals: packs.flatMap(pack => pack.recommendationSignals),
+    requestPatterns: packs.flatMap(pack => pack.requestPatterns),
+    businessNamePatterns: [
+      leadVerbs.length > 0 && compilePattern(`\\b(?:${leadVerbs.map(anyCase).join('|')})\\s+${name}`),
+      compilePattern(`${name}\\s+(?:${collect('trailingVerbs').join('|')})\\b`),
+      // Bare "Name - number" replies
+      compilePattern(`^${name}[\\s,:-]*(?=\\+?\\d)`)
+    ].filter(Boolean),
+    cityPatterns: [
+      prepositions.length > 0 && compilePattern(`\\b(?:${prepositions.join('|')})\\s+${PLACE}`),
+      postpositions.length > 0 && compilePattern(`${PLACE}\\s+(?:${postpositions.join('|')})\\b`)
+    ].filter(Boolean)
+  };
+};
+
+/**
+ * Patterns for a message's language, English when it is unknown
+ */
+const getLanguagePatterns = (language) => {
+  const id = isSupportedLanguage(language) ? language : DEFAULT_LANGUAGE;
+
+  if (!languagePatterns.has(id)) {
+    languagePatterns.set(id, buildLanguagePatterns(id));
+  }
+
+  return languagePatterns.get(id);
+};
+
+const PHONE_PATTERN = /(?:\+|\b)\d[\d\s().-]{6,}\d\b/g;
+
+const NO_LOCATION = { city: null, state: null, country: null, neighborhood: null };
+
+// Lines quoted from an earlier message ("> Anyone know a good electrician?")
+const QUOTE_LINE_PATTERN = /^>\s?(.*)$/gm;
+
+/**
+ * Find the first phone number with at least 7 digits in a message
+ */
+const extractContact = (text) => {
+  const matches = text.match(PHONE_PATTERN) || [];
+  const phone = matches.find(match => match.replace(/\D/g, '').length >= 7);
+
+  return phone ? phone.trim() : null;
+};
+
+/**
+ * Drop leading stopwords from a captured name
+ */
+const cleanName = (name) => {
+  const words = name.trim().replace(/[.,!]+$/, '').split(/\s+/);
+
+  while (words.length > 0 && NAME_STOPWORDS.has(words[0])) {
+    words.shift();
+  }
+
+  return words.join(' ');
+};
+
+/**
+ * Find the business or person being recommended in a message
+ */
+const extractBusinessName = (text, language = DEFAULT_LANGUAGE) => {
+  for (const pattern of getLanguagePatterns(language).businessNamePatterns) {
+    const match = pattern.exec(text);
+    const name = match ? cleanName(match[1]) : '';
+
+    if (name) return name;
+  }
+
+  return null;
+};
+
+/**
+ * Find a place named in a message, from the gazetteer or else a place after "in", "near"
+ * or "around" (or the words the message's language uses for them)
+ */
+const findMessageLocation = (text, language = DEFAULT_LANGUAGE) => {
+  const known = findLocation(text);
+
+  if (known) {
+    const { matched, ...fields } = known;
+    return { ...fields, locationSource: 'message' };
+  }
+
+  for (const pattern of getLanguagePatterns(language).cityPatterns) {
+    const match = pattern.exec(text);
+    const city = match ? cleanName(match[1]) : '';
+
+    if (city) return { ...NO_LOCATION, city, locationSource: 'message' };
+  }
+
+  return null;
+};
+
+/**
+ * Find where a business is: the message itself, then the question it answers, then the import default
+ */
+const extractLocation = (text, question, defaultLocation, language) => {
+  const found = findMessageLocation(text, language);
+
+  if (found) return found;
+
+  if (question && question.location) {
+    return { ...question.location, locationSource: 'question' };
+  }
+
+  if (defaultLocation) {
+    return { ...NO_LOCATION, ...defaultLocation, locationSource: 'default' };
+  }
+
+  return { ...NO_LOCATION, locationSource: null };
+};
+
+/**
+ * Check whether a message asks for a referral in so many words, question mark or not
+ */
+const isExplicitRequest = (text, language = DEFAULT_LANGUAGE) => {
+  return getLanguagePatterns(language).requestPatterns.some(pattern => pattern.test(text));
+};
+
+/**
+ * Check whether a message is asking for a referral
+ *
+ * A question that doesn't ask in so many words only counts when it names a trade
+ * ("Plumber in Bandra?"), so "Did you see the game?" isn't taken for a request.
+ */
+const isRequestMessage = (text, language = DEFAULT_LANGUAGE) => {
+  if (isExplicitRequest(text, language)) return true;
+
+  return text.trim().endsWith('?') && Boolean(classifyProfession(text, { fuzzy: false }));
+};
+
+/**
+ * Score how likely a message is to be a referral (0 to 1)
+ */
+const scoreMessage = (text, fields, language = DEFAULT_LANGUAGE) => {
+  let score = getLanguagePatterns(language).recommendationSignals.reduce((sum, signal) => {
+    return signal.pattern.test(text) ? sum + signal.weight : sum;
+  }, 0);
+
+  const reachable = Boolean(fields.contact) || (fields.contactChannels || []).length > 0;
+
+  if (reachable) score += 0.3;
+  if (fields.profession) score += 0.15;
+  if (fields.businessName) score += 0.1;
+
+  // Questions only count when they also hand out a number, email, site or handle
+  if (isRequestMessage(text, language) && !reachable) score -= 0.5;
+
+  return Math.max(0, Math.min(1, Math.round(score * 100) / 100));
+};
+
+/**
+ * Phone channel for a contact number, in E.164 when it parsed
+ */
+const toPhoneChannel = (contact, phone) => {
+  if (!contact) return null;
+  return normalizeChannel({ type: CHANNEL_TYPES.PHONE, value: phone ? phone.e164 : contact });
+};
+
+/**
+ * First email among a candidate's channels, for its email field
+ */
+const firstEmail = (channels) => {
+  const email = channels.find(channel => channel.type === CHANNEL_TYPES.EMAIL);
+  return email ? email.value : null;
+};
+
+/**
+ * Split a message into its own text and any lines it quotes from an earlier message
+ */
+const splitQuote = (text) => {
+  const quoted = [...text.matchAll(QUOTE_LINE_PATTERN)].map(match => match[1].trim()).join(' ');
+  const own = text.replace(QUOTE_LINE_PATTERN, '').trim();
+
+  return { own, quoted };
+};
+
+/**
+ * Lowercase and collapse whitespace so quoted text compares with the original
+ */
+const normalizeForQuote = (text) => text.toLowerCase().replace(/\s+/g, ' ').trim();
+
+/**
+ * Record a "looking for" question so later replies can inherit what it asked for
+ */
+const toQuestion = (entry, text, language) => {
+  const profession = classifyProfession(text, { fuzzy: false });
+
+  return {
+    message: text,
+    sender: entry.sender || null,
+    timestamp: entry.timestamp ? new Date(entry.timestamp) : null,
+    line: entry.line || null,
+    profession,
+    location: findMessageLocation(text, language)
+  };
+};
+
+/**
+ * Pick the open question a message answers: the one it quotes, else the latest
+ * question from someone else still inside the time window
+ */
+const findAnsweredQuestion = (entry, quoted, questions, windowMs) => {
+  if (quoted.length >= MIN_QUOTE_LENGTH) {
+    const snippet = normalizeForQuote(quoted);
+    const match = questions.find(question => normalizeForQuote(question.message).includes(snippet)
+      || snippet.includes(normalizeForQuote(question.message)));
+
+    if (match) return match;
+  }
+
+  const time = entry.timestamp ? new Date(entry.timestamp).getTime() : null;
+
+  for (let i = questions.length - 1; i >= 0; i--) {
+    const question = questions[i];
+
+    if (question.sender && question.sender === entry.sender) continue;
+    if (time === null || !question.timestamp) continue;
+
+    const elapsed = time - question.timestamp.getTime();
+
+    if (elapsed >= 0 && elapsed <= windowMs) return question;
+  }
+
+  return null;
+};
+
+/**
+ * Describe the question a referral answers for the candidate record
+ */
+const describeQuestion = (question) => {
+  if (!question) return null;
+
+  return {
+    message: question.message,
+    sender: question.sender,
+    timestamp: question.timestamp ? question.timestamp.toISOString() : null,
+    line: question.line
+  };
+};
+
+/**
+ * Extract a referral candidate from a single message, or null
+ *
+ * context.question is the "looking for" message this one replies to, whose profession
+ * and location are used when the reply doesn't state its own. The message's language
+ * is detected unless context.language gives it, and kept on the candidate.
+ */
+const extractFromMessage = (entry, context = {}) => {
+  const { defaultCountry = null, defaultLocation = null, question = null } = context;
+  const text = splitQuote(entry.message || '').own;
+  const language = context.language || detectLanguage(text) || DEFAULT_LANGUAGE;
+
+  const profession = classifyProfession(text, { fuzzy: false }) || (question ? question.profession : null);
+  const location = extractLocation(text, question, defaultLocation, language);
+  const channels = extractContactChannels(text);
+
+  const fields = {
+    // A business known only by its Instagram or site goes by that name
+    businessName: extractBusinessName(text, language) || nameFromChannels(channels),
+    profession: profession ? profession.label : null,
+    contact: extractContact(text),
+    city: location.city
+  };
+
+  if (!fields.businessName && !fields.contact) {
+    return null;
+  }
+
+  const phone = normalizePhoneNumber(fields.contact, defaultCountry);
+  const contactChannels = mergeChannels(toPhoneChannel(fields.contact, phone), channels);
+  const endorsement = scoreSentiment(text);
+
+  return {
+    ...fields,
+    email: firstEmail(contactChannels),
+    contactChannels,
+    state: location.state,
+    country: location.country,
+    neighborhood: location.neighborhood,
+    locationSource: location.locationSource,
+    professionCategory: profession ? profession.id : null,
+    contactE164: phone ? phone.e164 : null,
+    contactCountry: phone ? phone.country : defaultCountry,
+    confidence: scoreMessage(text, { ...fields, contactChannels }, language),
+    sentiment: endorsement.sentiment,
+    sentimentStrength: endorsement.strength,
+    sentimentScore: endorsement.score,
+    language,
+    message: text,
+    sender: entry.sender || null,
+    timestamp: entry.timestamp ? new Date(entry.timestamp).toISOString() : null,
+    line: entry.line || null,
+    endLine: entry.endLine || entry.line || null,
+    answeredQuestion: describeQuestion(question)
+  };
+};
+
+/**
+ * Pick the number to list for a card, preferring mobile and work numbers
+ */
+const pickCardPhone = (card) => {
+  const preferred = card.phones.find(phone => phone.types.some(type => PREFERRED_PHONE_TYPES.includes(type)));
+  const phone = preferred || card.phones[0];
+
+  return phone ? phone.value : null;
+};
+
+/**
+ * Every number, email and link on a card as contact channels
+ */
+const cardChannels = (card, defaultCountry) => {
+  const phones = card.phones.map(({ value }) => toPhoneChannel(value, normalizePhoneNumber(value, defaultCountry)));
+  const emails = card.emails.map(({ value }) => normalizeChannel({ type: CHANNEL_TYPES.EMAIL, value }));
+
+  return mergeChannels(phones, emails, card.urls.flatMap(extractContactChannels));
+};
+
+/**
+ * Join the card fields that can name a trade; contacts are often saved as "Raj Plumber"
+ */
+const describeCard = (card) => {
+  return [card.title, card.role, ...card.categories, card.organization, card.note, card.name].filter(Boolean).join(' ');
+};
+
+/**
+ * Score a contact card candidate from the message shared alongside it
+ */
+const scoreContactCard = (text, candidate, language) => {
+  const score = scoreMessage(text, candidate, language) + CONTACT_CARD_WEIGHT;
+  return Math.min(1, Math.round(score * 100) / 100);
+};
+
+/**
+ * Build a referral candidate from a shared vCard
+ *
+ * The card supplies the name, number, email and address. The profession comes from
+ * its title, organization or note, else context.nearbyMessage (what the sender wrote
+ * just before sharing it), else the question it answers.
+ */
+const extractFromContactCard = (card, entry, context = {}) => {
+  const { defaultCountry = null, defaultLocation = null, question = null, nearbyMessage = null, attachment = null } = context;
+  const nearbyText = nearbyMessage || '';
+  const language = detectLanguage(nearbyText) || DEFAULT_LANGUAGE;
+  const profession = classifyProfession(describeCard(card), { fuzzy: false })
+    || classifyProfession(nearbyText, { fuzzy: false })
+    || (question ? question.profession : null);
+
+  const address = card.addresses.map(resolveLocation).find(Boolean);
+  const location = address
+    ? { ...address, locationSource: 'card' }
+    : extractLocation(nearbyText, question, defaultLocation, language);
+
+  const fields = {
+    businessName: card.organization || card.name,
+    profession: profession ? profession.label : null,
+    contact: pickCardPhone(card),
+    city: location.city
+  };
+
+  const phone = normalizePhoneNumber(fields.contact, defaultCountry);
+  const endorsement = scoreSentiment(nearbyText);
+
+  return {
+    ...fields,
+    name: card.name,
+    email: card.emails.length ? card.emails[0].value : null,
+    contactChannels: mergeChannels(cardChannels(card, defaultCountry), extractContactChannels(nearbyText)),
+    state: location.state,
+    country: location.country,
+    neighborhood: location.neighborhood,
+    locationSource: location.locationSource,
+    professionCategory: profession ? profession.id : null,
+    contactE164: phone ? phone.e164 : null,
+    contactCountry: phone ? phone.country : defaultCountry,
+    confidence: scoreContactCard(nearbyText, fields, language),
+    sentiment: endorsement.sentiment,
+    sentimentStrength: endorsement.strength,
+    sentimentScore: endorsement.score,
+    language,
+    message: nearbyText || `Contact card: ${fields.businessName}`,
+    sender: entry.sender || null,
+    timestamp: entry.timestamp ? new Date(entry.timestamp).toISOString() : null,
+    line: entry.line || null,
+    endLine: entry.endLine || entry.line || null,
+    answeredQuestion: describeQuestion(question),
+    attachments: attachment ? [attachment] : []
+  };
+};
+
+/**
+ * Fill a card candidate from the message its sender wrote right after sharing it.
+ * What the sender says about the card outranks the question it answers.
+ */
+const applyNearbyMessage = (candidate, card, text) => {
+  const language = detectLanguage(text) || candidate.language;
+  const profession = classifyProfession(describeCard(card), { fuzzy: false })
+    || classifyProfession(text, { fuzzy: false });
+
+  if (profession) {
+    candidate.profession = profession.label;
+    candidate.professionCategory = profession.id;
+  }
+
+  if (candidate.locationSource !== 'card') {
+    const found = findMessageLocation(text, language);
+    if (found) Object.assign(candidate, found);
+  }
+
+  const endorsement = scoreSentiment(text);
+
+  Object.assign(candidate, {
+    contactChannels: mergeChannels(candidate.contactChannels, extractContactChannels(text)),
+    message: text,
+    confidence: scoreContactCard(text, candidate, language),
+    sentiment: endorsement.sentiment,
+    sentimentStrength: endorsement.strength,
+    sentimentScore: endorsement.score,
+    language
+  });
+};
+
+/**
+ * Check whether two candidates list the same number, with or without its country code
+ */
+const isSameContact = (a, b) => {
+  const digits = (candidate) => (candidate.contactE164 || candidate.contact || '').replace(/\D/g, '').slice(-SAME_NUMBER_DIGITS);
+  const number = digits(a);
+
+  return number.length === SAME_NUMBER_DIGITS && number === digits(b);
+};
+
+/**
+ * Add what a contact card knows to a referral already found for the same number
+ */
+const mergeContactCard = (candidate, fromCard) => {
+  candidate.name = candidate.name || fromCard.name;
+  candidate.email = candidate.email || fromCard.email;
+
+  // A card's organization is more reliable than a name picked out of the message
+  if (fromCard.businessName !== fromCard.name || !candidate.businessName) {
+    candidate.businessName = fromCard.businessName;
+  }
+
+  if (!candidate.contactE164 && fromCard.contactE164) {
+    candidate.contactE164 = fromCard.contactE164;
+    candidate.contactCountry = fromCard.contactCountry;
+  }
+
+  if (!candidate.profession && fromCard.profession) {
+    candidate.profession = fromCard.profession;
+    candidate.professionCategory = fromCard.professionCategory;
+  }
+
+  if (candidate.locationSource !== 'message' && fromCard.locationSource === 'card') {
+    ['city', 'state', 'country', 'neighborhood', 'locationSource'].forEach(field => {
+      candidate[field] = fromCard[field];
+    });
+  }
+
+  candidate.contactChannels = mergeChannels(candidate.contactChannels, fromCard.contactChannels);
+  candidate.attachments = candidate.attachments.concat(fromCard.attachments);
+};
+
+/**
+ * Shorten a message to the snippet kept as context around a referral
+ */
+const toContextEntry = (entry, text) => {
+  return {
+    sender: entry.sender || null,
+    timestamp: entry.timestamp ? new Date(entry.timestamp).toISOString() : null,
+    message: text.length > CONTEXT_SNIPPET_LENGTH ? `${text.substring(0, CONTEXT_SNIPPET_LENGTH)}…` : text,
+    line: entry.line || null
+  };
+};
+
+/**
+ * Check whether two timestamps are close enough for an attachment to go with a referral
+ */
+const isNearInTime = (a, b) => {
+  if (!a || !b) return false;
+  return Math.abs(new Date(a).getTime() - new Date(b).getTime()) <= ATTACHMENT_WINDOW_MS;
+};
+
+/**
+ * Build a stateful extractor that takes parsed messages one at a time, in chat order
+ *
+ * accept() returns the candidates that are complete after each message and flush()
+ * the rest at the end. Open questions are remembered so later replies can be linked
+ * to them, and the latest candidates are held back briefly so a contact card or photo
+ * their sender shares right after can be attached. options.attachments lists the
+ * files stored with a zip export ({ name, type, fileKey, cards }), where cards are
+ * the parsed vCards of a .vcf attachment; each card becomes a candidate of its own,
+ * as do cards a message carries itself (entry.cards).
+ *
+ * Every candidate keeps `context`: the messages just before it and the one after.
+ * Messages flagged `alreadyImported` still count as context and questions but yield
+ * no candidates; a message's `fingerprint`, when set, is copied to its candidates.
+ */
+const createExtractor = (options, defaultCountry) => {
+  const minConfidence = options.minConfidence ?? DEFAULT_MIN_CONFIDENCE;
+  const defaultLocation = resolveLocation(options.defaultLocation);
+  const windowMs = (options.threadWindowMinutes ?? DEFAULT_THREAD_WINDOW_MINUTES) * 60 * 1000;
+  const storedAttachments = new Map((options.attachments || []).map(attachment => [attachment.name, attachment]));
+  const questions = [];
+
+  // Each sender's latest message, for cards shared right after it
+  const lastMessages = new Map();
+
+  // Cards shared without a describing message before them, mapped to the vCard;
+  // the sender's next message fills them in
+  const awaitingContext = new Map();
+
+  // Latest messages, copied into each new candidate's context
+  const recentMessages = [];
+
+  let pending = [];
+  let recentAttachments = [];
+
+  // Hand back the held candidates, adding the message that followed them to their context
+  const release = (following = null) => {
+    const released = pending;
+    pending = [];
+    awaitingContext.clear();
+
+    if (following) {
+      released
+        .filter(candidate => following.line > candidate.endLine)
+        .forEach(candidate => candidate.context.push(following));
+    }
+
+    return released;
+  };
+
+  const remember = (contextEntry) => {
+    recentMessages.push(contextEntry);
+    if (recentMessages.length > CONTEXT_MESSAGES_BEFORE) recentMessages.shift();
+  };
+
+  const isSameBurst = (candidate, entry) => {
+    return candidate.sender === (entry.sender || null) && isNearInTime(candidate.timestamp, entry.timestamp);
+  };
+
+  const addContactCards = (entry, cards, attachment) => {
+    const burst = pending.filter(candidate => isSameBurst(candidate, entry));
+    const last = lastMessages.get(entry.sender || null);
+
+    // A message that was a referral of its own doesn't describe the card that follows it
+    const nearbyMessage = burst.length === 0 && last && isNearInTime(last.timestamp, entry.timestamp) ? last.text : null;
+    const question = findAnsweredQuestion(entry, '', questions, windowMs);
+
+    cards.forEach(card => {
+      const candidate = extractFromContactCard(card, entry, {
+        defaultCountry, defaultLocation, question, nearbyMessage, attachment
+      });
+      const existing = burst.find(other => isSameContact(other, candidate));
+
+      if (existing) {
+        mergeContactCard(existing, candidate);
+        return;
+      }
+
+      if (candidate.confidence < minConfidence) return;
+
+      if (!nearbyMessage || !candidate.profession) awaitingContext.set(candidate, card);
+      if (entry.fingerprint) candidate.fingerprint = entry.fingerprint;
+      candidate.context = recentMessages.slice();
+      pending.push(candidate);
+    });
+  };
+
+  const linkAttachment = (entry, attachment) => {
+    const owner = pending.filter(candidate => isSameBurst(candidate, entry)).pop();
+
+    if (owner) {
+      owner.attachments.push(attachment);
+      return;
+    }
+
+    // Sent before the message it goes with
+    recentAttachments.push({ sender: entry.sender || null, timestamp: entry.timestamp, attachment });
+  };
+
+  const accept = (entry) => {
+    if (!entry || typeof entry.message !== 'string') return [];
+
+    const stored = entry.attachment ? storedAttachments.get(entry.attachment) : null;
+    const attachment = stored ? { name: stored.name, type: stored.type, fileKey: stored.fileKey } : null;
+
+    // Cards come from a stored .vcf, or inline from platforms that embed shared contacts
+    const cards = (stored && stored.cards) || entry.cards || [];
+
+    // A message seen in a past import had its cards and files handled then
+    const isNew = !entry.alreadyImported;
+
+    if (isNew && cards.length > 0) {
+      addContactCards(entry, cards, attachment);
+    } else if (isNew && attachment) {
+      linkAttachment(entry, attachment);
+    }
+
+    if (entry.type && entry.type !== 'text') return [];
+
+    const { own, quoted: quotedLines } = splitQuote(entry.message);
+
+    // Telegram and Slack record the replied-to message instead of quoting it inline
+    const quoted = entry.quoted || quotedLines;
+    const contextEntry = toContextEntry(entry, own);
+    const language = detectLanguage(own) || DEFAULT_LANGUAGE;
+
+    // Questions that don't hand out a number are remembered for the replies that follow
+    if (isRequestMessage(own, language) && !extractContact(own)) {
+      const question = toQuestion(entry, own, language);
+
+      if (question.profession || isExplicitRequest(own, language)) {
+        questions.push(question);
+        if (questions.length > MAX_OPEN_QUESTIONS) questions.shift();
+      }
+
+      const released = release(contextEntry);
+      remember(contextEntry);
+      return released;
+    }
+
+    const sender = entry.sender || null;
+    const question = findAnsweredQuestion(entry, quoted, questions, windowMs);
+    const candidate = isNew ? extractFromMessage(entry, { defaultCountry, defaultLocation, question, language }) : null;
+    const burst = pending.filter(other => isSameBurst(other, entry));
+
+    burst.filter(other => awaitingContext.has(other)).forEach(other => {
+      applyNearbyMessage(other, awaitingContext.get(other), own);
+      other.endLine = entry.endLine || entry.line || other.endLine;
+    });
+
+    // "That's Raj, 98765 43210" after his card repeats the same referral
+    const repeated = candidate && burst.some(other => isSameContact(other, candidate));
+
+    const released = release(contextEntry);
+
+    lastMessages.set(sender, { text: own, timestamp: entry.timestamp });
+    recentAttachments = recentAttachments.filter(recent => isNearInTime(recent.timestamp, entry.timestamp));
+
+    if (candidate && !repeated && candidate.confidence >= minConfidence) {
+      candidate.attachments = recentAttachments
+        .filter(recent => recent.sender === sender)
+        .map(recent => recent.attachment);
+      recentAttachments = recentAttachments.filter(recent => recent.sender !== sender);
+      if (entry.fingerprint) candidate.fingerprint = entry.fingerprint;
+      candidate.context = recentMessages.slice();
+      pending.push(candidate);
+    }
+
+    remember(contextEntry);
+    return released;
+  };
+
+  return { accept, flush: () => release() };
+};
+
+/**
+ * Extract referral candidates from parsed chat messages
+ *
+ * Options:
+ * - minConfidence: drop candidates scoring below this (default 0.4)
+ * - defaultCountry / profileCountry: country for numbers without a country code;
+ *   falls back to the chat's own international numbers
+ * - defaultLocation: place name or { city, state, country } for messages that name no place
+ * - threadWindowMinutes: how long replies count as answers to a question (default 180)
+ */
+const extractReferrals = (messages, options = {}) => {
+  if (!Array.isArray(messages)) {
+    throw new Error('Messages must be an array');
+  }
+
+  const defaultCountry = resolveDefaultCountry({
+    requested: options.defaultCountry,
+    profileCountry: options.profileCountry,
+    messages
+  });
+  const extractor = createExtractor(options, defaultCountry);
+  const candidates = messages.flatMap(extractor.accept);
+
+  return candidates.concat(extractor.flush());
+};
+
+/**
+ * Parse chat export text (WhatsApp, Telegram, Signal or Slack) and extract referral candidates
+ *
+ * Also takes parseChatText's format and fileName options.
+ */
+const extractReferralsFromText = (content, options = {}) => {
+  const messages = parseChatText(content, options);
+  return extractReferrals(messages, options);
+};
+
+/**
+ * Extract referral candidates from parsed messages read one at a time
+ *
+ * Candidates are yielded as they are found. The chat's home country is guessed
+ * from its first messages, since the whole export is never held in memory.
+ * Takes the same options as extractReferrals.
+ */
+async function* extractReferralsFromMessages(messages, options = {}) {
+  const sample = [];
+  let extractor = null;
+
+  const start = () => {
+    extractor = createExtractor(options, resolveDefaultCountry({
+      requested: options.defaultCountry,
+      profileCountry: options.profileCountry,
+      messages: sample
+    }));
+
+    return sample.splice(0).flatMap(extractor.accept);
+  };
+
+  for await (const entry of messages) {
+    if (extractor) {
+      yield* extractor.accept(entry);
+      continue;
+    }
+
+    sample.push(entry);
+
+    if (sample.length >= COUNTRY_SAMPLE_MESSAGES) {
+      yield* start();
+    }
+  }
+
+  // Chats shorter than the sample
+  if (!extractor) {
+    yield* start();
+  }
+
+  yield* extractor.flush();
+}
+
+/**
+ * Extract referral candidates from a chat export read line by line
+ *
+ * Takes the same options as extractReferralsFromText.
+ */
+async function* extractReferralsFromLines(lines, options = {}) {
+  yield* extractReferralsFromMessages(parseChatLines(lines, options), options);
+}
+
+module.exports = {
+  extractReferrals,
+  extractReferralsFromText,
+  extractReferralsFromLines,
+  extractReferralsFromMessages,
+  extractFromMessage,
+  isRequestMessage
+};
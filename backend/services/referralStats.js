@@ -0,0 +1,285 @@
+// backend/services/referralStats.js
+require('dotenv').config();
+const AWS = require('aws-sdk');
+const { categorizeReferral } = require('./professionTaxonomy');
+
+// Initialize DynamoDB with IAM role (no hardcoded credentials)
+const dynamodb = new AWS.DynamoDB.DocumentClient({
+  region: process.env.AWS_REGION
+});
+
+const REFERRAL_STATS_TABLE_NAME = process.env.REFERRAL_STATS_TABLE_NAME;
+
+// Counters are top-level attributes of the user's stats item, named by what they count:
+// "count:total", "count:verified", "status:active", "profession:plumber", "city:Pune"
+const TOTAL_COUNTER = 'count:total';
+const VERIFIED_COUNTER = 'count:verified';
+const COUNTER_PREFIXES = {
+  status: 'status:',
+  profession: 'profession:',
+  city: 'city:'
+};
+
+// Referrals in cities past the ones with their own counter
+const OTHER_CITIES_COUNTER = 'count:otherCities';
+
+// Most cities given their own counter, keeping the stats item far from DynamoDB's
+// 400KB item limit, and the longest city name kept
+const MAX_CITY_COUNTERS = 500;
+const MAX_CITY_LENGTH = 60;
+
+// Bumped by every counter update, so counting can tell whether a write landed meanwhile
+const VERSION_ATTRIBUTE = 'version';
+
+// How far UserIdIndex, which counting reads, may lag the writes; a first count is
+// redone once the last write it could have missed is older than this
+const INDEX_SETTLE_MS = 60 * 1000;
+
+/**
+ * City as counted: single-spaced and capitalised, so "  new   delhi" and "New Delhi"
+ * share a counter; '' when there is none
+ */
+const cityName = (city) => {
+  if (typeof city !== 'string') return '';
+
+  return city
+    .replace(/\s+/g, ' ')
+    .trim()
+    .substring(0, MAX_CITY_LENGTH)
+    .trim()
+    .toLowerCase()
+    .replace(/(^|[\s-])(\p{L})/gu, (match, separator, letter) => separator + letter.toUpperCase());
+};
+
+/**
+ * Whether a referral is verified; edits used to be able to store the string "false"
+ */
+const isVerified = (referral) => referral.verified === true || referral.verified === 'true';
+
+/**
+ * Counters a stored referral adds to, one entry per counter
+ */
+const referralCounters = (referral) => {
+  if (!referral) return [];
+
+  const category = referral.professionCategory || categorizeReferral(referral.profession, referral.message);
+  const city = cityName(referral.city);
+  const counters = [TOTAL_COUNTER, `${COUNTER_PREFIXES.profession}${category}`];
+
+  if (referral.status) counters.push(`${COUNTER_PREFIXES.status}${referral.status}`);
+  if (isVerified(referral)) counters.push(VERIFIED_COUNTER);
+  if (city) counters.push(`${COUNTER_PREFIXES.city}${city}`);
+
+  return counters;
+};
+
+/**
+ * Net change to each counter from a set of writes, leaving out counters that didn't move
+ *
+ * Each change is { before, after }: before is null for a new referral and after is
+ * null for a deleted one.
+ */
+const countChanges = (changes) => {
+  const deltas = new Map();
+  const add = (counter, amount) => deltas.set(counter, (deltas.get(counter) || 0) + amount);
+
+  changes.forEach(({ before, after }) => {
+    referralCounters(before).forEach(counter => add(counter, -1));
+    referralCounters(after).forEach(counter => add(counter, 1));
+  });
+
+  return [...deltas].filter(([, amount]) => amount !== 0);
+};
+
+/**
+ * Move changes to cities without a counter of their own onto the other-cities counter
+ *
+ * item is the stats item as stored. A city keeps its counter once it has one, and a
+ * new city only gets one while fewer than MAX_CITY_COUNTERS cities have.
+ */
+const capCityCounters = (deltas, item = {}) => {
+  const capped = new Map();
+  let cities = Object.keys(item).filter(key => key.startsWith(COUNTER_PREFIXES.city)).length;
+
+  deltas.forEach(([counter, amount]) => {
+    let target = counter;
+
+    if (counter.startsWith(COUNTER_PREFIXES.city) && item[counter] === undefined) {
+      if (amount > 0 && cities < MAX_CITY_COUNTERS) {
+        cities++;
+      } else {
+        target = OTHER_CITIES_COUNTER;
+      }
+    }
+
+    capped.set(target, (capped.get(target) || 0) + amount);
+  });
+
+  return [...capped].filter(([, amount]) => amount !== 0);
+};
+
+/**
+ * Transaction item applying the counter changes from referral writes to the user's
+ * stats, or null when no counter moves
+ *
+ * Written in the same transaction as the referrals, so the counters can't drift from
+ * them. Until the user's stats have been counted once (see getReferralStats) the
+ * changes only build a partial item that counting replaces. Changes to cities read
+ * the stats item first, to know which cities have a counter of their own.
+ */
+const counterUpdate = async (userId, changes) => {
+  let deltas = countChanges(changes);
+
+  if (deltas.some(([counter]) => counter.startsWith(COUNTER_PREFIXES.city))) {
+    const result = await dynamodb.get({
+      TableName: REFERRAL_STATS_TABLE_NAME,
+      Key: { userId },
+      ConsistentRead: true
+    }).promise();
+
+    deltas = capCityCounters(deltas, result.Item);
+  }
+
+  if (deltas.length === 0) return null;
+
+  const expressionAttributeNames = { '#version': VERSION_ATTRIBUTE };
+  const expressionAttributeValues = { ':one': 1, ':updatedAt': new Date().toISOString() };
+
+  deltas.forEach(([counter, amount], index) => {
+    expressionAttributeNames[`#counter${index}`] = counter;
+    expressionAttributeValues[`:amount${index}`] = amount;
+  });
+
+  return {
+    Update: {
+      TableName: REFERRAL_STATS_TABLE_NAME,
+      Key: { userId },
+      UpdateExpression: `ADD ${deltas.map((_, index) => `#counter${index} :amount${index}`).join(', ')}, #version :one SET updatedAt = :updatedAt`,
+      ExpressionAttributeNames: expressionAttributeNames,
+      ExpressionAttributeValues: expressionAttributeValues
+    }
+  };
+};
+
+/**
+ * Count a user's referrals from scratch and store the result as their stats
+ *
+ * Used the first time a user's stats are read. version is the stats item's version
+ * read before listing the referrals; the count is only stored if it is unchanged, so
+ * a write that landed while counting isn't lost or counted twice. Otherwise the count
+ * is returned without being stored and the next read counts again.
+ *
+ * The referrals are listed from UserIdIndex, which can lag the latest writes, so a
+ * first count is only settled once it has been redone after INDEX_SETTLE_MS. Cities
+ * past the MAX_CITY_COUNTERS most common are counted as other cities.
+ */
+const countReferrals = async (userId, version, referrals, settled) => {
+  const counters = {};
+
+  for await (const referral of referrals) {
+    referralCounters(referral).forEach(counter => {
+      counters[counter] = (counters[counter] || 0) + 1;
+    });
+  }
+
+  Object.keys(counters)
+    .filter(counter => counter.startsWith(COUNTER_PREFIXES.city))
+    .sort((a, b) => counters[b] - counters[a])
+    .slice(MAX_CITY_COUNTERS)
+    .forEach(counter => {
+      counters[OTHER_CITIES_COUNTER] = (counters[OTHER_CITIES_COUNTER] || 0) + counters[counter];
+      delete counters[counter];
+    });
+
+  const item = {
+    ...counters,
+    userId,
+    [VERSION_ATTRIBUTE]: (version || 0) + 1,
+    countedAt: new Date().toISOString(),
+    updatedAt: new Date().toISOString(),
+    settled
+  };
+
+  try {
+    await dynamodb.put({
+      TableName: REFERRAL_STATS_TABLE_NAME,
+      Item: item,
+      ConditionExpression: 'attribute_not_exists(#version) OR #version = :version',
+      ExpressionAttributeNames: { '#version': VERSION_ATTRIBUTE },
+      ExpressionAttributeValues: { ':version': version || 0 }
+    }).promise();
+  } catch (error) {
+    if (error.code !== 'ConditionalCheckFailedException') {
+      throw error;
+    }
+  }
+
+  return item;
+};
+
+/**
+ * Breakdown of the counters in a stats item, e.g. { plumber: 4 } for "profession:"
+ */
+const breakdown = (item, prefix) => {
+  const counts = {};
+
+  Object.keys(item)
+    .filter(key => key.startsWith(prefix) && item[key] !== 0)
+    .forEach(key => {
+      counts[key.substring(prefix.length)] = item[key];
+    });
+
+  return counts;
+};
+
+/**
+ * Shape a stats item for the API
+ */
+const formatStats = (item) => {
+  const byStatus = breakdown(item, COUNTER_PREFIXES.status);
+
+  return {
+    total: item[TOTAL_COUNTER] || 0,
+    active: byStatus.active || 0,
+    inactive: byStatus.inactive || 0,
+    warnings: byStatus.warning || 0,
+    verified: item[VERIFIED_COUNTER] || 0,
+    byStatus,
+    byProfession: breakdown(item, COUNTER_PREFIXES.profession),
+    byCity: breakdown(item, COUNTER_PREFIXES.city),
+    otherCities: item[OTHER_CITIES_COUNTER] || 0
+  };
+};
+
+/**
+ * A user's referral statistics, read from their counters in a single get
+ *
+ * listReferrals() returns every referral of the user's; it is only paged through
+ * when the user's stats haven't been counted yet, such as for referrals saved
+ * before counters were kept, and once more to settle that first count.
+ */
+const getReferralStats = async (userId, listReferrals) => {
+  const result = await dynamodb.get({
+    TableName: REFERRAL_STATS_TABLE_NAME,
+    Key: { userId },
+    ConsistentRead: true
+  }).promise();
+
+  const stored = result.Item;
+  const version = stored && stored[VERSION_ATTRIBUTE];
+
+  if (!stored || !stored.countedAt) {
+    return formatStats(await countReferrals(userId, version, listReferrals(), false));
+  }
+
+  if (!stored.settled && Date.now() - Date.parse(stored.updatedAt) > INDEX_SETTLE_MS) {
+    return formatStats(await countReferrals(userId, version, listReferrals(), true));
+  }
+
+  return formatStats(stored);
+};
+
+module.exports = {
+  counterUpdate,
+  getReferralStats
+};
@@ -0,0 +1,161 @@
+// backend/services/senderBlocklist.js
+require('dotenv').config();
+const AWS = require('aws-sdk');
+const { toSenderKey } = require('./senderPrivacy');
+
+// Initialize DynamoDB with IAM role (no hardcoded credentials)
+const dynamodb = new AWS.DynamoDB.DocumentClient({
+  region: process.env.AWS_REGION
+});
+
+const BLOCKLIST_TABLE_NAME = process.env.SENDER_BLOCKLIST_TABLE_NAME;
+
+// Upper bound on senders one user can block
+const MAX_BLOCKED_SENDERS = 500;
+
+// Longest sender name or number accepted
+const MAX_SENDER_LENGTH = 100;
+
+/**
+ * Read every blocklist entry for a user
+ */
+const queryBlocklist = async (userId) => {
+  const items = [];
+  let lastKey;
+
+  do {
+    const result = await dynamodb.query({
+      TableName: BLOCKLIST_TABLE_NAME,
+      KeyConditionExpression: 'userId = :userId',
+      ExpressionAttributeValues: { ':userId': userId },
+      ExclusiveStartKey: lastKey
+    }).promise();
+
+    items.push(...result.Items);
+    lastKey = result.LastEvaluatedKey;
+  } while (lastKey);
+
+  return items;
+};
+
+/**
+ * List the senders a user has blocked, oldest first
+ */
+const listBlockedSenders = async (userId) => {
+  try {
+    const items = await queryBlocklist(userId);
+
+    return {
+      success: true,
+      blockedSenders: items
+        .map(item => ({ senderKey: item.senderKey, sender: item.sender, createdAt: item.createdAt }))
+        .sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+    };
+  } catch (error) {
+    console.error('List blocked senders error:', error);
+    throw new Error('Failed to list blocked senders');
+  }
+};
+
+/**
+ * Blocklist keys for a user, for the chat parser to drop their messages
+ */
+const getBlockedSenderKeys = async (userId) => {
+  try {
+    const items = await queryBlocklist(userId);
+    return new Set(items.map(item => item.senderKey));
+  } catch (error) {
+    console.error('Get blocked senders error:', error);
+    throw new Error('Failed to load blocked senders');
+  }
+};
+
+/**
+ * Block a sender's messages from every future import of the user's
+ *
+ * The sender is stored as entered so the user can recognise it in their list;
+ * blocking the same person again is a no-op.
+ */
+const blockSender = async (userId, sender) => {
+  try {
+    if (typeof sender !== 'string' || sender.length > MAX_SENDER_LENGTH) {
+      throw new Error('Invalid sender');
+    }
+
+    // Null for a bare "~" or direction marks, which name no one
+    const senderKey = toSenderKey(sender);
+
+    if (!senderKey) {
+      throw new Error('Invalid sender');
+    }
+
+    const items = await queryBlocklist(userId);
+    const existing = items.find(item => item.senderKey === senderKey);
+
+    if (existing) {
+      return { success: true, senderKey, sender: existing.sender, createdAt: existing.createdAt };
+    }
+
+    if (items.length >= MAX_BLOCKED_SENDERS) {
+      throw new Error(`Cannot block more than ${MAX_BLOCKED_SENDERS} senders`);
+    }
+
+    const item = {
+      userId,
+      senderKey,
+      sender: sender.trim(),
+      createdAt: new Date().toISOString()
+    };
+
+    await dynamodb.put({
+      TableName: BLOCKLIST_TABLE_NAME,
+      Item: item
+    }).promise();
+
+    return { success: true, senderKey, sender: item.sender, createdAt: item.createdAt };
+  } catch (error) {
+    console.error('Block sender error:', error);
+
+    if (error.message === 'Invalid sender' || error.message.startsWith('Cannot block')) {
+      throw error;
+    }
+
+    throw new Error('Failed to block sender');
+  }
+};
+
+/**
+ * Remove a sender from the user's blocklist
+ */
+const unblockSender = async (userId, senderKey) => {
+  try {
+    if (typeof senderKey !== 'string' || !/^(name|tel):/.test(senderKey)) {
+      throw new Error('Invalid sender key');
+    }
+
+    await dynamodb.delete({
+      TableName: BLOCKLIST_TABLE_NAME,
+      Key: { userId, senderKey }
+    }).promise();
+
+    return {
+      success: true,
+      message: 'Sender unblocked successfully'
+    };
+  } catch (error) {
+    console.error('Unblock sender error:', error);
+
+    if (error.message === 'Invalid sender key') {
+      throw error;
+    }
+
+    throw new Error('Failed to unblock sender');
+  }
+};
+
+module.exports = {
+  listBlockedSenders,
+  getBlockedSenderKeys,
+  blockSender,
+  unblockSender
+};
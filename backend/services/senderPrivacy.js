@@ -0,0 +1,190 @@
+// backend/services/senderPrivacy.js
+const crypto = require('crypto');
+
+// Aliases look like "Member 3f2a9c1b"
+const ALIAS_PATTERN = /^Member [0-9a-f]{8}$/;
+
+// What an import does with the names of the people who sent each message
+const SENDER_MODES = {
+  KEEP: 'keep',
+  PSEUDONYMIZE: 'pseudonymize',
+  DROP: 'drop'
+};
+
+// Direction marks WhatsApp wraps around numbers of senders who aren't in the phone's contacts
+const INVISIBLE_CHARACTERS = /[\u200e\u200f\u202a-\u202e\u2066-\u2069\ufeff]/g;
+
+// A sender shown as a phone number rather than a name
+const PHONE_SENDER_PATTERN = /^\+?[\d\s().-]{7,}$/;
+
+// Trailing digits compared, so a number matches with or without its country code
+const SAME_NUMBER_DIGITS = 9;
+
+// Sender keys hashed because the import hides names look like "hidden:<hex>"
+const HIDDEN_KEY_PREFIX = 'hidden:';
+
+/**
+ * HMAC of a sender's name or key, keyed per user
+ */
+const hashSender = (value, userId) => {
+  const secret = process.env.SENDER_HASH_SECRET;
+  if (!secret) {
+    throw new Error('Sender pseudonymization is not configured');
+  }
+
+  return crypto
+    .createHmac('sha256', `${secret}:${userId}`)
+    .update(value)
+    .digest('hex');
+};
+
+/**
+ * Replace a sender's name with a stable alias
+ *
+ * The alias is an HMAC of the name keyed per user, so a member keeps the same alias
+ * across one user's imports but can't be matched across users or reversed without
+ * the server secret. Names that are already aliases are returned unchanged.
+ */
+const pseudonymizeSender = (sender, userId) => {
+  if (!sender || ALIAS_PATTERN.test(sender)) return sender;
+
+  return `Member ${hashSender(sender.trim().toLowerCase(), userId).substring(0, 8)}`;
+};
+
+/**
+ * Replace every sender a referral candidate records: its own, the question's and the context's
+ */
+const mapCandidateSenders = (candidate, replace) => {
+  return {
+    ...candidate,
+    sender: replace(candidate.sender),
+    answeredQuestion: candidate.answeredQuestion
+      ? { ...candidate.answeredQuestion, sender: replace(candidate.answeredQuestion.sender) }
+      : null,
+    context: (candidate.context || []).map(entry => ({
+      ...entry,
+      sender: replace(entry.sender)
+    }))
+  };
+};
+
+/**
+ * Pseudonymize every sender a referral candidate records
+ */
+const pseudonymizeCandidate = (candidate, userId) => {
+  return mapCandidateSenders(candidate, sender => pseudonymizeSender(sender, userId));
+};
+
+/**
+ * Remove every sender a referral candidate records
+ */
+const dropCandidateSenders = (candidate) => {
+  return mapCandidateSenders(candidate, () => null);
+};
+
+/**
+ * Check a requested sender mode, defaulting to keeping names
+ */
+const resolveSenderMode = (mode) => {
+  if (!mode) return SENDER_MODES.KEEP;
+
+  if (!Object.values(SENDER_MODES).includes(mode)) {
+    throw new Error(`Sender mode "${mode}" is not supported`);
+  }
+
+  return mode;
+};
+
+/**
+ * Apply an import's sender mode to a referral candidate
+ *
+ * The candidate keeps its sender's blocklist key as senderKey, since the sender it
+ * shows may be an alias or removed; where names are hidden the key is hashed too.
+ */
+const applySenderMode = (candidate, userId, mode) => {
+  const key = toSenderKey(candidate.sender);
+
+  switch (mode) {
+    case SENDER_MODES.PSEUDONYMIZE:
+      return { ...pseudonymizeCandidate(candidate, userId), senderKey: hideSenderKey(key, userId) };
+    case SENDER_MODES.DROP:
+      return { ...dropCandidateSenders(candidate), senderKey: hideSenderKey(key, userId) };
+    default:
+      return { ...candidate, senderKey: key };
+  }
+};
+
+/**
+ * Key a sender is matched on in the blocklist, or null for no sender
+ *
+ * Names match case- and spacing-insensitively. Senders shown as phone numbers
+ * match on their last digits, so the number matches with or without its country code.
+ */
+const toSenderKey = (sender) => {
+  if (typeof sender !== 'string') return null;
+
+  const cleaned = sender
+    .normalize('NFKC')
+    .replace(INVISIBLE_CHARACTERS, '')
+    .trim()
+    .replace(/^~\s*/, '') // WhatsApp marks names a sender chose for themselves with "~"
+    .trim();
+
+  if (!cleaned) return null;
+
+  if (PHONE_SENDER_PATTERN.test(cleaned)) {
+    return `tel:${cleaned.replace(/\D/g, '').slice(-SAME_NUMBER_DIGITS)}`;
+  }
+
+  return `name:${cleaned.toLowerCase().replace(/\s+/g, ' ')}`;
+};
+
+/**
+ * Hash a blocklist key for a candidate whose sender's name is hidden
+ */
+const hideSenderKey = (key, userId) => {
+  return key ? `${HIDDEN_KEY_PREFIX}${hashSender(key, userId)}` : null;
+};
+
+/**
+ * Check a message's sender against a set of blocklist keys
+ */
+const isBlockedSender = (sender, blockedKeys) => {
+  if (!blockedKeys || blockedKeys.size === 0) return false;
+  return blockedKeys.has(toSenderKey(sender));
+};
+
+/**
+ * Check function for candidates coming back from a preview, against a set of blocklist keys
+ *
+ * Candidates are matched on the senderKey applySenderMode gave them, hashed or not,
+ * and on the sender they show, for ones the user edited.
+ */
+const blockedCandidateCheck = (blockedKeys, userId) => {
+  let hiddenKeys = null;
+
+  return (candidate) => {
+    if (!blockedKeys || blockedKeys.size === 0) return false;
+    if (isBlockedSender(candidate.sender, blockedKeys)) return true;
+
+    const key = candidate.senderKey;
+    if (typeof key !== 'string') return false;
+
+    if (!key.startsWith(HIDDEN_KEY_PREFIX)) return blockedKeys.has(key);
+
+    hiddenKeys = hiddenKeys || new Set([...blockedKeys].map(blocked => hideSenderKey(blocked, userId)));
+    return hiddenKeys.has(key);
+  };
+};
+
+module.exports = {
+  SENDER_MODES,
+  pseudonymizeSender,
+  pseudonymizeCandidate,
+  dropCandidateSenders,
+  resolveSenderMode,
+  applySenderMode,
+  toSenderKey,
+  isBlockedSender,
+  blockedCandidateCheck
+};
@@ -0,0 +1,146 @@
+// backend/services/sentimentScorer.js
+const { LANGUAGE_PACKS } = require('./languagePacks');
+
+// Net score (-1 to 1) beyond which a mention counts as positive or negative
+const SENTIMENT_THRESHOLD = 0.2;
+
+const SENTIMENT = {
+  POSITIVE: 'positive',
+  NEUTRAL: 'neutral',
+  NEGATIVE: 'negative'
+};
+
+/**
+ * Phrases people use to vouch for or warn about a business in English, with their weight.
+ * Phrases are lowercase; a preceding negation ("not reliable") flips the sign.
+ * Other languages' phrases, negations and intensifiers come from their language pack.
+ */
+const SENTIMENT_TERMS = [
+  { phrase: 'recommend', weight: 0.5 },
+  { phrase: 'recommended', weight: 0.5 },
+  { phrase: 'reliable', weight: 0.4 },
+  { phrase: 'trustworthy', weight: 0.4 },
+  { phrase: 'honest', weight: 0.3 },
+  { phrase: 'professional', weight: 0.3 },
+  { phrase: 'punctual', weight: 0.3 },
+  { phrase: 'on time', weight: 0.2 },
+  { phrase: 'excellent', weight: 0.4 },
+  { phrase: 'amazing', weight: 0.4 },
+  { phrase: 'fantastic', weight: 0.4 },
+  { phrase: 'awesome', weight: 0.3 },
+  { phrase: 'great', weight: 0.3 },
+  { phrase: 'best', weight: 0.3 },
+  { phrase: 'good', weight: 0.2 },
+  { phrase: 'happy with', weight: 0.3 },
+  { phrase: 'reasonable', weight: 0.2 },
+  { phrase: 'affordable', weight: 0.2 },
+  { phrase: 'go-to', weight: 0.3 },
+
+  { phrase: 'avoid', weight: -0.7 },
+  { phrase: 'stay away', weight: -0.8 },
+  { phrase: 'scam', weight: -0.8 },
+  { phrase: 'fraud', weight: -0.8 },
+  { phrase: 'cheated', weight: -0.8 },
+  { phrase: 'ripped off', weight: -0.8 },
+  { phrase: 'waste of money', weight: -0.6 },
+  { phrase: 'terrible', weight: -0.6 },
+  { phrase: 'horrible', weight: -0.6 },
+  { phrase: 'awful', weight: -0.6 },
+  { phrase: 'worst', weight: -0.6 },
+  { phrase: 'bad', weight: -0.4 },
+  { phrase: 'unreliable', weight: -0.5 },
+  { phrase: 'unprofessional', weight: -0.5 },
+  { phrase: 'rude', weight: -0.4 },
+  { phrase: 'overcharged', weight: -0.4 },
+  { phrase: 'overpriced', weight: -0.3 },
+  { phrase: 'disappointed', weight: -0.4 },
+  { phrase: 'never showed up', weight: -0.5 },
+  { phrase: 'no show', weight: -0.5 },
+  { phrase: 'don\'t use', weight: -0.5 },
+  { phrase: 'don\'t hire', weight: -0.5 }
+];
+
+const NEGATORS = ['not', 'never', 'no', 'don\'t', 'didn\'t', 'wouldn\'t', 'won\'t', 'isn\'t', 'wasn\'t', 'hardly'];
+
+// Words that strengthen the phrase that follows ("highly recommend", "super reliable")
+const INTENSIFIERS = ['very', 'really', 'super', 'highly', 'extremely', 'so', 'totally', 'absolutely'];
+
+const INTENSIFIER_BOOST = 1.5;
+
+/**
+ * Lowercase text, drop accents and straighten apostrophes, restoring the one in "dont"-style typing
+ */
+const normalizeText = (text) => {
+  return text
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[\u2018\u2019]/g, '\'')
+    .replace(/\b(don|didn|wouldn|won|isn|wasn)t\b/g, '$1\'t')
+    .replace(/\s+/g, ' ');
+};
+
+/**
+ * Normalize words from every language pack the way messages are, dropping repeats
+ */
+const collectWords = (words) => [...new Set(words.map(normalizeText))];
+
+const ALL_TERMS = SENTIMENT_TERMS.concat(LANGUAGE_PACKS.flatMap(pack => pack.sentimentTerms))
+  .map(term => ({ ...term, phrase: normalizeText(term.phrase) }))
+  .filter((term, index, terms) => terms.findIndex(other => other.phrase === term.phrase) === index);
+
+const ALL_NEGATORS = collectWords(NEGATORS.concat(LANGUAGE_PACKS.flatMap(pack => pack.negators)));
+const ALL_INTENSIFIERS = collectWords(INTENSIFIERS.concat(LANGUAGE_PACKS.flatMap(pack => pack.intensifiers)));
+
+// Negations that follow the phrase, as in Hindi "accha nahi"
+const POST_NEGATORS = collectWords(LANGUAGE_PACKS.flatMap(pack => pack.postNegators));
+
+// Anything but a letter, vowel sign, apostrophe or hyphen ends a phrase
+const WORD_EDGE = '[^\\p{L}\\p{M}\'-]';
+
+const TERM_MATCHERS = ALL_TERMS.map(term => ({
+  ...term,
+  pattern: new RegExp(
+    `(?:^|${WORD_EDGE})(?:(${ALL_NEGATORS.join('|')})\\s+)?(?:(${ALL_INTENSIFIERS.join('|')})\\s+)?${term.phrase}`
+      + `(?:\\s+(${POST_NEGATORS.join('|')}))?(?=$|${WORD_EDGE})`,
+    'gu'
+  )
+}));
+
+/**
+ * Score how strongly a message endorses or warns against a business
+ *
+ * Returns { sentiment, strength, score } where score runs from -1 (strong warning)
+ * to 1 (strong endorsement) and strength is its magnitude.
+ */
+const scoreSentiment = (text) => {
+  if (typeof text !== 'string' || !text.trim()) {
+    return { sentiment: SENTIMENT.NEUTRAL, strength: 0, score: 0 };
+  }
+
+  const normalized = normalizeText(text);
+  let total = 0;
+
+  TERM_MATCHERS.forEach(({ pattern, weight }) => {
+    for (const match of normalized.matchAll(pattern)) {
+      // A negation on both sides ("no ... nahi") cancels out
+      const negated = Boolean(match[1]) !== Boolean(match[3]);
+      const intensified = Boolean(match[2]);
+
+      total += weight * (negated ? -1 : 1) * (intensified ? INTENSIFIER_BOOST : 1);
+    }
+  });
+
+  const score = Math.round(Math.max(-1, Math.min(1, total)) * 100) / 100;
+
+  let sentiment = SENTIMENT.NEUTRAL;
+  if (score >= SENTIMENT_THRESHOLD) sentiment = SENTIMENT.POSITIVE;
+  if (score <= -SENTIMENT_THRESHOLD) sentiment = SENTIMENT.NEGATIVE;
+
+  return { sentiment, strength: Math.abs(score), score };
+};
+
+module.exports = {
+  SENTIMENT,
+  scoreSentiment
+};
@@ -0,0 +1,127 @@
+// backend/services/signalParser.js
+
+// [2024-03-12 10:00] Sender: message (seconds optional), as written by signal-export;
+// a line with a blank sender is still a message, from an unknown sender
+const SIGNAL_HEADER = /^\[(\d{4})-(\d{2})-(\d{2})[ T](\d{2}):(\d{2})(?::(\d{2}))?\]\s+([^:\]]*?):\s?(.*)$/;
+
+// Attachments are Markdown links into the export's media folder: ![photo.jpg](./media/photo.jpg)
+const ATTACHMENT_LINK = /!?\[[^\]]*\]\(([^)]+)\)/g;
+
+// Markers only WhatsApp writes; a chat with any of them is left to the WhatsApp parser
+const WHATSAPP_MARKERS = /<attached: |<media omitted>|\(file attached\)|end-to-end encrypted/i;
+
+/**
+ * Build a Date from a matched header, or null if the values are out of range
+ */
+const buildTimestamp = (match) => {
+  const [year, month, day, hours, minutes] = match.slice(1, 6).map(part => parseInt(part, 10));
+  const seconds = match[6] ? parseInt(match[6], 10) : 0;
+  const timestamp = new Date(year, month - 1, day, hours, minutes, seconds);
+
+  if (timestamp.getMonth() !== month - 1 || timestamp.getDate() !== day) {
+    return null;
+  }
+
+  return timestamp;
+};
+
+/**
+ * Tag a reassembled message with its type and pull out the first attached file
+ */
+const finalizeMessage = (entry) => {
+  const links = [...entry.message.matchAll(ATTACHMENT_LINK)];
+  const message = entry.message.replace(ATTACHMENT_LINK, '').trim();
+
+  return {
+    ...entry,
+    message,
+    type: !message && links.length > 0 ? 'media' : 'text',
+    attachment: links.length > 0 ? links[0][1].split('/').pop() : null,
+    edited: false
+  };
+};
+
+/**
+ * Check whether sample lines look like a Signal chat exported as text
+ */
+const isSignalExport = (lines) => {
+  if (lines.some(line => WHATSAPP_MARKERS.test(line))) return false;
+
+  const stamped = lines.filter(line => /^\[\d/.test(line));
+  return stamped.length > 0 && stamped.every(line => SIGNAL_HEADER.test(line));
+};
+
+/**
+ * Build a parser that takes Signal export lines one at a time, like the WhatsApp line parser
+ */
+const createLineParser = () => {
+  let current = null;
+  let lineNumber = 0;
+
+  const push = (rawLine) => {
+    lineNumber++;
+
+    const line = rawLine.replace(/\r$/, '');
+    const match = SIGNAL_HEADER.exec(line);
+    const timestamp = match ? buildTimestamp(match) : null;
+
+    if (!timestamp) {
+      if (current) {
+        current.message += `\n${line}`;
+        current.endLine = lineNumber;
+      }
+      return null;
+    }
+
+    const previous = current;
+    current = {
+      timestamp,
+      sender: match[7].trim() || null,
+      message: match[8],
+      line: lineNumber,
+      endLine: lineNumber
+    };
+
+    return previous ? finalizeMessage(previous) : null;
+  };
+
+  const flush = () => {
+    const last = current;
+    current = null;
+    return last ? finalizeMessage(last) : null;
+  };
+
+  return { push, flush };
+};
+
+/**
+ * Parse a Signal export line by line from an async iterable of lines
+ */
+async function* parseSignalLines(lines) {
+  const parser = createLineParser();
+
+  for await (const line of lines) {
+    const message = parser.push(line);
+    if (message) yield message;
+  }
+
+  const last = parser.flush();
+  if (last) yield last;
+}
+
+/**
+ * Parse Signal export text into the same message shape as WhatsApp exports
+ */
+const parseSignalText = (content) => {
+  const parser = createLineParser();
+  const messages = content.split('\n').map(parser.push);
+  messages.push(parser.flush());
+
+  return messages.filter(Boolean);
+};
+
+module.exports = {
+  isSignalExport,
+  parseSignalLines,
+  parseSignalText
+};
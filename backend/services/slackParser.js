@@ -0,0 +1,140 @@
+// backend/services/slackParser.js
+
+// Subtypes that are channel housekeeping rather than something a member said
+const SYSTEM_SUBTYPES = new Set([
+  'channel_join', 'channel_leave', 'channel_topic', 'channel_purpose', 'channel_name',
+  'channel_archive', 'channel_unarchive', 'group_join', 'group_leave', 'pinned_item', 'unpinned_item'
+]);
+
+/**
+ * Convert Slack's message markup to plain text
+ *
+ * <tel:+15555550100|+1 555 555 0100> and <https://x.com|label> become their label,
+ * <@U123> and <#C123|general> become readable mentions, and HTML escapes are undone.
+ */
+const unformatText = (text) => {
+  if (typeof text !== 'string') return '';
+
+  return text
+    .replace(/<(?:tel|mailto):([^|>]+)(?:\|([^>]+))?>/g, (match, value, label) => label || value)
+    .replace(/<#\w+\|([^>]+)>/g, '#$1')
+    .replace(/<@(\w+)(?:\|([^>]+))?>/g, (match, id, label) => `@${label || id}`)
+    .replace(/<!(\w+)(?:\|[^>]*)?>/g, '@$1')
+    .replace(/<([^|>]+)\|([^>]+)>/g, '$2')
+    .replace(/<([^>]+)>/g, '$1')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&amp;/g, '&');
+};
+
+/**
+ * Name the author of a message from its embedded profile, falling back to the user ID
+ */
+const senderName = (message) => {
+  const profile = message.user_profile || {};
+
+  return profile.real_name || profile.display_name || message.user_name || message.username || message.user || null;
+};
+
+/**
+ * Check whether text looks like a Slack channel export (one day's JSON file from the export zip)
+ */
+const isSlackExport = (text) => {
+  return /^\s*\[/.test(text) && /"ts"\s*:\s*"\d+\.\d+"/.test(text);
+};
+
+/**
+ * Names by user ID from an export's users.json, preferring the name people see
+ */
+const slackUserNames = (users) => {
+  const names = new Map();
+
+  (Array.isArray(users) ? users : []).forEach(user => {
+    if (!user || typeof user.id !== 'string') return;
+
+    const profile = user.profile || {};
+    const name = profile.real_name || profile.display_name || user.real_name || user.name;
+
+    if (name) names.set(user.id, name);
+  });
+
+  return names;
+};
+
+/**
+ * Merge the per-day files of a Slack export zip into one channel export
+ *
+ * days is [{ channel, messages }], each the parsed contents of a <channel>/YYYY-MM-DD.json
+ * file. Those files name people only by user ID, so authors and <@U123> mentions are
+ * named from users.json here. Each message keeps its channel, so parseSlackExport
+ * reads channels one after another instead of interleaving them.
+ */
+const combineSlackExport = (days, users) => {
+  const names = slackUserNames(users);
+  const nameMentions = (text) => text.replace(/<@(\w+)>/g, (match, id) => (names.has(id) ? `<@${id}|${names.get(id)}>` : match));
+
+  return days.flatMap(({ channel, messages }) => {
+    if (!Array.isArray(messages)) {
+      throw new Error('Chat export is not a Slack channel export');
+    }
+
+    return messages
+      .filter(raw => raw && typeof raw === 'object')
+      .map(raw => ({
+        ...raw,
+        channel,
+        user_name: raw.user_name || names.get(raw.user) || undefined,
+        text: typeof raw.text === 'string' ? nameMentions(raw.text) : raw.text
+      }));
+  });
+};
+
+/**
+ * Convert a parsed Slack channel export (an array of messages) into chat messages
+ *
+ * Thread replies carry their parent's text as `quoted`. `line` is the message's
+ * position in the export. Messages from combineSlackExport are grouped by channel.
+ */
+const parseSlackExport = (data) => {
+  if (!Array.isArray(data)) {
+    throw new Error('Chat export is not a Slack channel export');
+  }
+
+  const byTs = new Map();
+  const channelOf = (raw) => (typeof raw.channel === 'string' ? raw.channel : '');
+
+  return data
+    .filter(raw => raw && raw.type === 'message' && raw.ts)
+    .sort((a, b) => channelOf(a).localeCompare(channelOf(b)) || parseFloat(a.ts) - parseFloat(b.ts))
+    .map((raw, index) => {
+      const text = unformatText(raw.text).trim();
+      const files = Array.isArray(raw.files) ? raw.files : [];
+      const parent = raw.thread_ts && raw.thread_ts !== raw.ts ? byTs.get(`${channelOf(raw)}:${raw.thread_ts}`) : null;
+
+      let type = 'text';
+      if (SYSTEM_SUBTYPES.has(raw.subtype)) type = 'system';
+      else if (raw.subtype === 'tombstone') type = 'deleted';
+      else if (!text && files.length > 0) type = 'media';
+
+      const message = {
+        timestamp: new Date(parseFloat(raw.ts) * 1000),
+        sender: type === 'system' ? null : senderName(raw),
+        message: text,
+        type,
+        attachment: files.length > 0 && files[0].name ? files[0].name : null,
+        edited: Boolean(raw.edited),
+        line: index + 1,
+        endLine: index + 1,
+        quoted: parent ? parent.message : null
+      };
+
+      byTs.set(`${channelOf(raw)}:${raw.ts}`, message);
+      return message;
+    });
+};
+
+module.exports = {
+  isSlackExport,
+  combineSlackExport,
+  parseSlackExport
+};
@@ -0,0 +1,118 @@
+// backend/services/spreadsheetExport.js
+const ExcelJS = require('exceljs');
+const { getCategory, OTHER_CATEGORY } = require('./professionTaxonomy');
+const { CHANNEL_TYPES } = require('./contactChannels');
+
+const XLSX_CONTENT_TYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
+// Most referrals written to one export
+const MAX_EXPORT_ROWS = 50000;
+
+/**
+ * Value of the first contact channel of a type, such as a referral's website
+ */
+const channelValue = (referral, type) => {
+  const channel = (referral.contactChannels || []).find(candidate => candidate.type === type);
+  return channel ? channel.value : '';
+};
+
+/**
+ * Label of a referral's profession category ("Plumbing"), or '' when it has none
+ */
+const categoryLabel = (referral) => {
+  if (!referral.professionCategory) return '';
+
+  const category = getCategory(referral.professionCategory) || OTHER_CATEGORY;
+  return category.label;
+};
+
+/**
+ * Link cell for a channel, or plain text when the referral has none
+ */
+const channelLink = (referral, type) => {
+  const channel = (referral.contactChannels || []).find(candidate => candidate.type === type);
+  return channel && channel.url ? { text: channel.value, hyperlink: channel.url } : '';
+};
+
+// Export columns; the headers are ones CSV and spreadsheet imports recognise,
+// so an exported file can be imported again as it is
+const EXPORT_COLUMNS = [
+  { header: 'Business', width: 28, value: referral => referral.businessName || '' },
+  { header: 'Profession', width: 20, value: referral => referral.profession || '' },
+  { header: 'Category', width: 18, value: categoryLabel },
+  { header: 'Phone', width: 18, value: referral => referral.contactE164 || referral.contact || '' },
+  { header: 'Email', width: 26, value: referral => (referral.email ? { text: referral.email, hyperlink: `mailto:${referral.email}` } : '') },
+  { header: 'Website', width: 24, value: referral => channelLink(referral, CHANNEL_TYPES.WEBSITE) },
+  { header: 'Instagram', width: 18, value: referral => channelValue(referral, CHANNEL_TYPES.INSTAGRAM) },
+  { header: 'Facebook', width: 18, value: referral => channelValue(referral, CHANNEL_TYPES.FACEBOOK) },
+  { header: 'Area', width: 16, value: referral => referral.neighborhood || '' },
+  { header: 'City', width: 16, value: referral => referral.city || '' },
+  { header: 'State', width: 14, value: referral => referral.state || '' },
+  { header: 'Country', width: 10, value: referral => referral.country || '' },
+  { header: 'Status', width: 10, value: referral => referral.status || '' },
+  { header: 'Score', width: 8, numFmt: '0.00', value: referral => referral.recommendationScore ?? null },
+  { header: 'Mentions', width: 10, value: referral => referral.mentionCount || 1 },
+  { header: 'Added', width: 12, numFmt: 'yyyy-mm-dd', value: referral => (referral.createdAt ? new Date(referral.createdAt) : null) },
+  { header: 'Notes', width: 48, value: referral => referral.message || '' }
+];
+
+const NOTES_COLUMN = EXPORT_COLUMNS.findIndex(column => column.header === 'Notes') + 1;
+
+// Status colours, matching the app's: warnings red, inactive grey
+const STATUS_FONTS = {
+  warning: { color: { argb: 'FFFF3B30' } },
+  inactive: { color: { argb: 'FF999999' } }
+};
+
+/**
+ * Write referrals to an output stream as a formatted .xlsx workbook
+ *
+ * The workbook is streamed row by row, so large exports don't sit in memory.
+ * The header row is bold and frozen with filters on every column; emails and
+ * websites are links. Resolves with the number of referrals written.
+ */
+const writeReferralWorkbook = async (referrals, output) => {
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: output, useStyles: true });
+  const sheet = workbook.addWorksheet('Referrals', {
+    views: [{ state: 'frozen', ySplit: 1 }]
+  });
+
+  sheet.columns = EXPORT_COLUMNS.map((column, index) => ({
+    key: String(index),
+    header: column.header,
+    width: column.width,
+    style: column.numFmt ? { numFmt: column.numFmt } : {}
+  }));
+  sheet.autoFilter = { from: { row: 1, column: 1 }, to: { row: 1, column: EXPORT_COLUMNS.length } };
+
+  const header = sheet.getRow(1);
+  header.font = { bold: true, color: { argb: 'FFFFFFFF' } };
+  header.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FF007AFF' } };
+  header.commit();
+
+  let count = 0;
+
+  for await (const referral of referrals) {
+    if (count >= MAX_EXPORT_ROWS) break;
+
+    const row = sheet.addRow(EXPORT_COLUMNS.map(column => column.value(referral)));
+
+    if (STATUS_FONTS[referral.status]) {
+      row.font = STATUS_FONTS[referral.status];
+    }
+
+    row.getCell(NOTES_COLUMN).alignment = { wrapText: true, vertical: 'top' };
+    row.commit();
+    count++;
+  }
+
+  sheet.commit();
+  await workbook.commit();
+
+  return count;
+};
+
+module.exports = {
+  XLSX_CONTENT_TYPE,
+  writeReferralWorkbook
+};
@@ -0,0 +1,493 @@
+// backend/services/spreadsheetReader.js
+const path = require('path');
+const { Readable } = require('stream');
+const ExcelJS = require('exceljs');
+const sax = require('sax');
+const { StringDecoder } = require('string_decoder');
+const { openArchive } = require('./zipArchive');
+
+const SPREADSHEET_FORMATS = {
+  '.xlsx': 'xlsx',
+  '.ods': 'ods'
+};
+
+const ODS_MIME_TYPE = 'application/vnd.oasis.opendocument.spreadsheet';
+
+// Widest row read; cells past this are ignored, as a column mapping can't point there
+const MAX_COLUMNS = 100;
+
+// Most rows read from one sheet
+const MAX_ROWS = 100000;
+
+// Largest shared string table held in memory while a workbook's cells are read
+const MAX_SHARED_STRINGS_SIZE = 32 * 1024 * 1024; // 32MB
+
+/**
+ * Spreadsheet format for a file name ('xlsx' or 'ods'), or null
+ */
+const spreadsheetFormat = (fileName) => SPREADSHEET_FORMATS[path.extname(fileName || '').toLowerCase()] || null;
+
+const isSpreadsheetFile = (fileName) => Boolean(spreadsheetFormat(fileName));
+
+/**
+ * Element or attribute name without its namespace prefix ("table:table-cell" -> "table-cell")
+ */
+const localName = (name) => name.slice(name.indexOf(':') + 1);
+
+/**
+ * Read an attribute by its name, with or without a namespace prefix
+ */
+const attribute = (node, name) => {
+  if (node.attributes[name] !== undefined) return node.attributes[name];
+
+  const key = Object.keys(node.attributes).find(candidate => localName(candidate) === name);
+  return key === undefined ? undefined : node.attributes[key];
+};
+
+/**
+ * Stream an archive entry through a SAX parser, yielding what the handler emits
+ *
+ * createHandler(emit) returns { open(node), close(name), text(value) }, called with
+ * element names stripped of their prefixes.
+ */
+async function* readXml(archive, entry, createHandler) {
+  const stream = await archive.openEntryStream(entry);
+  const parser = sax.parser(true);
+  const decoder = new StringDecoder('utf8');
+  const output = [];
+  const handler = createHandler(item => output.push(item));
+
+  parser.onopentag = (node) => handler.open && handler.open({ ...node, name: localName(node.name) });
+  parser.onclosetag = (name) => handler.close && handler.close(localName(name));
+  parser.ontext = (value) => handler.text && handler.text(value);
+  parser.oncdata = parser.ontext;
+
+  const write = (text) => {
+    try {
+      parser.write(text);
+    } catch (error) {
+      // The handler's own errors, such as the row limit, say more than a parse error
+      if (error.message.startsWith('Spreadsheet')) throw error;
+      throw new Error(`Spreadsheet part ${entry.fileName} is not valid XML`);
+    }
+  };
+
+  try {
+    for await (const chunk of stream) {
+      write(decoder.write(chunk));
+      yield* output.splice(0);
+    }
+
+    write(decoder.end());
+    parser.close();
+    yield* output.splice(0);
+  } finally {
+    stream.destroy();
+  }
+}
+
+/**
+ * Everything an archive entry's XML emits, for the small parts of a workbook
+ */
+const collectXml = async (archive, entry, createHandler) => {
+  const items = [];
+
+  for await (const item of readXml(archive, entry, createHandler)) {
+    items.push(item);
+  }
+
+  return items;
+};
+
+/**
+ * Read a whole small entry, such as an .ods mimetype, as text
+ */
+const readEntryText = async (archive, entry) => {
+  const chunks = [];
+
+  for await (const chunk of await archive.openEntryStream(entry)) {
+    chunks.push(chunk);
+  }
+
+  return Buffer.concat(chunks).toString('utf-8');
+};
+
+/**
+ * Whether a row holds anything besides blank cells
+ */
+const hasContent = (fields) => fields.some(field => field.trim());
+
+/**
+ * Open an .xlsx workbook with exceljs's streaming reader, which reads the archive front to back
+ *
+ * source is a file path, a Buffer, or a function resolving a new stream of the file.
+ */
+const openXlsxReader = async (source) => {
+  let input = source;
+
+  if (typeof source === 'function') input = await source();
+  else if (Buffer.isBuffer(source)) input = Readable.from([source]);
+
+  return new ExcelJS.stream.xlsx.WorkbookReader(
+    input,
+    // Styles are what mark a number as a date
+    { worksheets: 'emit', sharedStrings: 'cache', hyperlinks: 'ignore', styles: 'cache', entries: 'ignore' }
+  );
+};
+
+/**
+ * Read through the worksheets an exceljs reader has left
+ *
+ * exceljs writes worksheets that come before the shared strings in the archive to
+ * temporary files, and only closes each file once its worksheet is read.
+ */
+const finishWorksheets = async (worksheets) => {
+  for (let next = await worksheets.next(); !next.done; next = await worksheets.next()) {
+    await next.value.read();
+  }
+};
+
+/**
+ * Check an .xlsx archive holds a workbook whose shared strings fit in memory
+ */
+const checkXlsxArchive = (archive) => {
+  const hasPart = (name) => archive.entries.some(entry => entry.fileName === name);
+
+  if (!hasPart('xl/workbook.xml') || !hasPart('xl/_rels/workbook.xml.rels')) {
+    throw new Error('Spreadsheet is not a valid .xlsx workbook');
+  }
+
+  const sharedStrings = archive.entries.find(entry => entry.fileName === 'xl/sharedStrings.xml');
+
+  if (sharedStrings && sharedStrings.uncompressedSize > MAX_SHARED_STRINGS_SIZE) {
+    throw new Error('Spreadsheet has too much text to import');
+  }
+};
+
+/**
+ * List an .xlsx workbook's sheets in workbook order
+ */
+const readXlsxSheets = async (source) => {
+  const reader = await openXlsxReader(source);
+  const worksheets = reader[Symbol.asyncIterator]();
+  const names = new Set();
+
+  try {
+    for (let next = await worksheets.next(); !next.done; next = await worksheets.next()) {
+      names.add(next.value.name);
+      await next.value.read();
+    }
+  } finally {
+    await finishWorksheets(worksheets).catch(() => {});
+  }
+
+  return ((reader.model && reader.model.sheets) || [])
+    .filter(sheet => names.has(sheet.name))
+    .map(sheet => ({ name: sheet.name, hidden: ['hidden', 'veryHidden'].includes(sheet.state) }));
+};
+
+/**
+ * Text of an exceljs cell value; error values read as blank
+ *
+ * Dates read as "2024-03-25", or "2024-03-25 14:30" when they have a time of day.
+ */
+const cellText = (value) => {
+  if (value === null || value === undefined) return '';
+  if (typeof value === 'string') return value;
+  if (value instanceof Date) {
+    if (Number.isNaN(value.getTime())) return '';
+
+    const [date, time] = value.toISOString().split('T');
+    return time.startsWith('00:00:00') ? date : `${date} ${time.substring(0, 5)}`;
+  }
+  if (typeof value === 'number') return Number.isNaN(value) ? '' : String(value);
+  if (typeof value === 'boolean') return value ? 'TRUE' : 'FALSE';
+  if (Array.isArray(value.richText)) return value.richText.map(run => run.text || '').join('');
+  if ('formula' in value) return cellText(value.result);
+
+  return '';
+};
+
+/**
+ * Stream an .xlsx sheet's rows as { fields, line }, line being the sheet's row number
+ */
+async function* readXlsxRows(source, sheet) {
+  const worksheets = (await openXlsxReader(source))[Symbol.asyncIterator]();
+
+  try {
+    for (let next = await worksheets.next(); !next.done; next = await worksheets.next()) {
+      if (next.value.name !== sheet.name) {
+        await next.value.read();
+        continue;
+      }
+
+      for await (const row of next.value) {
+        if (row.number > MAX_ROWS) {
+          throw new Error(`Spreadsheet sheet has more than ${MAX_ROWS} rows`);
+        }
+
+        const fields = [];
+
+        row.eachCell((cell, column) => {
+          if (column > MAX_COLUMNS) return;
+
+          while (fields.length < column - 1) fields.push('');
+          fields[column - 1] = cellText(cell.value);
+        });
+
+        if (hasContent(fields)) yield { fields: fields.map(field => field.trim()), line: row.number };
+      }
+      break;
+    }
+  } catch (error) {
+    throw error.message.startsWith('Spreadsheet') ? error : new Error('Spreadsheet is not a valid .xlsx file');
+  } finally {
+    await finishWorksheets(worksheets).catch(() => {});
+  }
+}
+
+/**
+ * List an .ods spreadsheet's sheet names
+ */
+const readOdsSheets = async (archive, contentEntry) => {
+  return collectXml(archive, contentEntry, emit => ({
+    open: (node) => {
+      if (node.name === 'table' && attribute(node, 'name')) {
+        emit({ name: attribute(node, 'name'), hidden: false, entry: contentEntry });
+      }
+    }
+  }));
+};
+
+/**
+ * Repeat count an .ods row or cell carries, at least 1
+ */
+const repeatCount = (node, name) => Math.max(1, parseInt(attribute(node, name), 10) || 1);
+
+/**
+ * Stream an .ods sheet's rows as { fields, line }, line being the sheet's row number
+ *
+ * Repeated rows and cells are expanded, except blank ones, which only move the count
+ * on; files often end in a blank row repeated a million times. Cell comments are skipped.
+ */
+async function* readOdsRows(archive, sheet) {
+  yield* readXml(archive, sheet.entry, emit => {
+    let inSheet = false;
+    let rowNumber = 0;
+    let row = null;
+    let cell = null;
+    let inParagraph = false;
+    let annotationDepth = 0;
+
+    const appendText = (value) => {
+      if (!cell || !inParagraph || annotationDepth) return;
+      cell.paragraphs[cell.paragraphs.length - 1] += value;
+    };
+
+    const closeCell = () => {
+      const value = (cell.paragraphs.length > 0 ? cell.paragraphs.join('\n') : cell.value).trim();
+
+      if (!value) {
+        row.pendingBlanks += cell.repeat;
+        return;
+      }
+
+      for (let i = 0; i < row.pendingBlanks && row.fields.length < MAX_COLUMNS; i++) row.fields.push('');
+      for (let i = 0; i < cell.repeat && row.fields.length < MAX_COLUMNS; i++) row.fields.push(value);
+      row.pendingBlanks = 0;
+    };
+
+    const closeRow = () => {
+      if (!hasContent(row.fields)) {
+        rowNumber += row.repeat;
+        return;
+      }
+
+      for (let i = 0; i < row.repeat; i++) {
+        rowNumber++;
+        if (rowNumber > MAX_ROWS) {
+          throw new Error(`Spreadsheet sheet has more than ${MAX_ROWS} rows`);
+        }
+        emit({ fields: row.fields, line: rowNumber });
+      }
+    };
+
+    return {
+      open: (node) => {
+        if (node.name === 'table') {
+          inSheet = attribute(node, 'name') === sheet.name;
+          return;
+        }
+        if (!inSheet) return;
+
+        switch (node.name) {
+          case 'table-row':
+            row = { fields: [], repeat: repeatCount(node, 'number-rows-repeated'), pendingBlanks: 0 };
+            break;
+          case 'table-cell':
+          case 'covered-table-cell':
+            if (row) {
+              cell = {
+                repeat: repeatCount(node, 'number-columns-repeated'),
+                value: attribute(node, 'value') || attribute(node, 'boolean-value') || '',
+                paragraphs: []
+              };
+            }
+            break;
+          case 'annotation':
+            annotationDepth++;
+            break;
+          case 'p':
+            if (cell && !annotationDepth) {
+              cell.paragraphs.push('');
+              inParagraph = true;
+            }
+            break;
+          case 's':
+            appendText(' '.repeat(Math.min(parseInt(attribute(node, 'c'), 10) || 1, 100)));
+            break;
+          case 'tab':
+            appendText('\t');
+            break;
+          case 'line-break':
+            appendText('\n');
+            break;
+          default:
+            break;
+        }
+      },
+      close: (name) => {
+        if (!inSheet) return;
+
+        switch (name) {
+          case 'table':
+            inSheet = false;
+            break;
+          case 'annotation':
+            annotationDepth--;
+            break;
+          case 'p':
+            if (!annotationDepth) inParagraph = false;
+            break;
+          case 'table-cell':
+          case 'covered-table-cell':
+            if (cell) closeCell();
+            cell = null;
+            break;
+          case 'table-row':
+            if (row) closeRow();
+            row = null;
+            break;
+          default:
+            break;
+        }
+      },
+      text: appendText
+    };
+  });
+}
+
+/**
+ * The opened workbook openSpreadsheet and openXlsxStream resolve
+ */
+const describeWorkbook = (format, sheets, readSheet, close) => {
+  if (sheets.length === 0) {
+    throw new Error('Spreadsheet has no sheets');
+  }
+
+  const findSheet = (name) => {
+    if (!name) return sheets.find(sheet => !sheet.hidden) || sheets[0];
+
+    const sheet = sheets.find(candidate => candidate.name === name);
+
+    if (!sheet) {
+      throw new Error(`Spreadsheet has no sheet named "${name}"`);
+    }
+
+    return sheet;
+  };
+
+  return {
+    format,
+    sheets: sheets.map(sheet => ({ name: sheet.name, hidden: sheet.hidden })),
+    defaultSheet: findSheet(null).name,
+    findSheet: (name) => findSheet(name).name,
+    readRows: (name) => readSheet(findSheet(name)),
+    close
+  };
+};
+
+/**
+ * Open an .xlsx or .ods workbook from a file path or Buffer
+ *
+ * Resolves { format, sheets, readRows(sheetName), close() }. sheets lists every
+ * sheet's name and whether it is hidden; readRows streams a sheet's non-blank rows
+ * as { fields, line }, like csvParser.parseCsvRecords, defaulting to the first
+ * visible sheet. Call close() once done.
+ */
+const openSpreadsheet = async (source, fileName) => {
+  const format = spreadsheetFormat(fileName);
+
+  if (!format) {
+    throw new Error('Spreadsheet must be an .xlsx or .ods file');
+  }
+
+  let archive;
+
+  try {
+    archive = await openArchive(source);
+  } catch (error) {
+    throw error.message === 'Archive is not a valid zip file'
+      ? new Error(`Spreadsheet is not a valid .${format} file`)
+      : error;
+  }
+
+  try {
+    if (format === 'xlsx') {
+      checkXlsxArchive(archive);
+      archive.close();
+
+      return describeWorkbook(format, await readXlsxSheets(source), sheet => readXlsxRows(source, sheet), () => {});
+    }
+
+    const mimetypeEntry = archive.entries.find(entry => entry.fileName === 'mimetype');
+    const contentEntry = archive.entries.find(entry => entry.fileName === 'content.xml');
+
+    if (!mimetypeEntry || !contentEntry || (await readEntryText(archive, mimetypeEntry)).trim() !== ODS_MIME_TYPE) {
+      throw new Error('Spreadsheet is not a valid .ods document');
+    }
+
+    return describeWorkbook(format, await readOdsSheets(archive, contentEntry), sheet => readOdsRows(archive, sheet), archive.close);
+  } catch (error) {
+    archive.close();
+    throw error.message.startsWith('Spreadsheet') || error.message.startsWith('Archive')
+      ? error
+      : new Error(`Spreadsheet is not a valid .${format} file`);
+  }
+};
+
+/**
+ * Open an .xlsx workbook read front to back from a stream, such as an S3 object's
+ *
+ * openStream() resolves a new stream of the file for each pass: one to list the
+ * sheets and one per readRows(). The zip checks openSpreadsheet makes need random
+ * access, so only open files this way that passed them when they were uploaded.
+ */
+const openXlsxStream = async (openStream) => {
+  let sheets;
+
+  try {
+    sheets = await readXlsxSheets(openStream);
+  } catch (error) {
+    throw error.message.startsWith('Spreadsheet') ? error : new Error('Spreadsheet is not a valid .xlsx file');
+  }
+
+  return describeWorkbook('xlsx', sheets, sheet => readXlsxRows(openStream, sheet), () => {});
+};
+
+module.exports = {
+  isSpreadsheetFile,
+  spreadsheetFormat,
+  openSpreadsheet,
+  openXlsxStream
+};
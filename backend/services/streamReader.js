@@ -0,0 +1,103 @@
+// backend/services/streamReader.js
+const fs = require('fs');
+const { StringDecoder } = require('string_decoder');
+
+// Longest line kept in memory; a file with no line breaks isn't a chat export
+const MAX_LINE_LENGTH = 1024 * 1024; // 1MB
+
+// Bytes read between progress reports
+const PROGRESS_INTERVAL_BYTES = 1024 * 1024; // 1MB
+
+/**
+ * Describe a byte count for error messages
+ */
+const formatSize = (bytes) => `${Math.round(bytes / (1024 * 1024))}MB`;
+
+/**
+ * Read a stream of UTF-8 text (S3 object or local file) as lines, with bounded memory
+ *
+ * Options:
+ * - maxBytes: fail once more than this many bytes have been read
+ * - totalBytes: the stream's size when known, used for progress percentages
+ * - onProgress: awaited with { bytesRead, totalBytes, percent } every 1MB and at the end
+ */
+async function* readLines(input, options = {}) {
+  const { maxBytes, totalBytes = null, onProgress } = options;
+  const decoder = new StringDecoder('utf8');
+  let buffered = '';
+  let bytesRead = 0;
+  let nextReport = PROGRESS_INTERVAL_BYTES;
+
+  const report = async () => {
+    if (!onProgress) return;
+
+    await onProgress({
+      bytesRead,
+      totalBytes,
+      percent: totalBytes ? Math.min(100, Math.round(bytesRead / totalBytes * 100)) : null
+    });
+  };
+
+  for await (const chunk of input) {
+    bytesRead += chunk.length;
+
+    if (maxBytes && bytesRead > maxBytes) {
+      throw new Error(`File is larger than the ${formatSize(maxBytes)} limit`);
+    }
+
+    buffered += typeof chunk === 'string' ? chunk : decoder.write(chunk);
+
+    const lines = buffered.split('\n');
+    buffered = lines.pop();
+
+    if (buffered.length > MAX_LINE_LENGTH) {
+      throw new Error('File contains a line that is too long to process');
+    }
+
+    for (const line of lines) {
+      yield line;
+    }
+
+    if (bytesRead >= nextReport) {
+      nextReport = bytesRead + PROGRESS_INTERVAL_BYTES;
+      await report();
+    }
+  }
+
+  buffered += decoder.end();
+
+  if (buffered) {
+    yield buffered;
+  }
+
+  await report();
+}
+
+/**
+ * Copy a stream to a file, for formats such as .ods spreadsheets that need random access to read
+ *
+ * Fails once more than maxBytes have been read.
+ */
+const writeToFile = async (input, filePath, maxBytes) => {
+  const file = await fs.promises.open(filePath, 'w');
+  let bytesRead = 0;
+
+  try {
+    for await (const chunk of input) {
+      bytesRead += chunk.length;
+
+      if (maxBytes && bytesRead > maxBytes) {
+        throw new Error(`File is larger than the ${formatSize(maxBytes)} limit`);
+      }
+
+      await file.write(Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk));
+    }
+  } finally {
+    await file.close();
+  }
+};
+
+module.exports = {
+  readLines,
+  writeToFile
+};
@@ -0,0 +1,114 @@
+// backend/services/telegramParser.js
+
+// Fields where Telegram Desktop records the path of a message's file
+const MEDIA_FIELDS = ['photo', 'file'];
+
+/**
+ * Flatten Telegram's rich text (a string, or an array of strings and { type, text } entities)
+ */
+const flattenText = (text) => {
+  if (typeof text === 'string') return text;
+  if (!Array.isArray(text)) return '';
+
+  return text.map(part => (typeof part === 'string' ? part : (part && part.text) || '')).join('');
+};
+
+/**
+ * Read a message's time, preferring the unambiguous Unix timestamp
+ */
+const parseDate = (message) => {
+  const unix = parseInt(message.date_unixtime, 10);
+  const timestamp = Number.isFinite(unix) ? new Date(unix * 1000) : new Date(message.date);
+
+  return Number.isNaN(timestamp.getTime()) ? null : timestamp;
+};
+
+/**
+ * Turn a shared contact into the same card shape the vCard parser produces
+ */
+const toContactCard = (contact) => {
+  if (!contact || !contact.phone_number) return null;
+
+  const name = [contact.first_name, contact.last_name].filter(Boolean).join(' ').trim();
+
+  return {
+    version: null,
+    name: name || null,
+    organization: null,
+    title: null,
+    role: null,
+    note: null,
+    categories: [],
+    phones: [{ value: contact.phone_number, types: [] }],
+    emails: [],
+    addresses: [],
+    urls: []
+  };
+};
+
+/**
+ * Pick the file a message carries, as its base name
+ */
+const findAttachment = (message) => {
+  const field = MEDIA_FIELDS.find(name => typeof message[name] === 'string');
+  const file = field ? message[field] : message.contact_vcard;
+
+  // "(File not included. Change data exporting settings to download.)"
+  if (typeof file !== 'string' || file.startsWith('(')) return null;
+
+  return file.split('/').pop();
+};
+
+/**
+ * Check whether text looks like a Telegram Desktop JSON export ("Export chat history" → JSON)
+ */
+const isTelegramExport = (text) => {
+  return /^\s*\{/.test(text) && /"messages"\s*:\s*\[/.test(text) && /"(date_unixtime|from_id)"\s*:/.test(text);
+};
+
+/**
+ * Convert a parsed Telegram export (result.json) into chat messages
+ *
+ * Replies carry the text they reply to as `quoted`, and shared contacts carry a
+ * card so they are extracted like a WhatsApp .vcf. `line` is the message's
+ * position in the export.
+ */
+const parseTelegramExport = (data) => {
+  if (!data || !Array.isArray(data.messages)) {
+    throw new Error('Chat export is not a Telegram JSON export');
+  }
+
+  const byId = new Map();
+
+  return data.messages.map((raw, index) => {
+    const text = flattenText(raw.text).trim();
+    const card = toContactCard(raw.contact_information);
+    const attachment = findAttachment(raw);
+    const replyTo = raw.reply_to_message_id ? byId.get(raw.reply_to_message_id) : null;
+
+    let type = 'text';
+    if (raw.type === 'service') type = 'system';
+    else if (!text && (attachment || card || raw.media_type)) type = 'media';
+
+    const message = {
+      timestamp: parseDate(raw),
+      sender: raw.type === 'service' ? null : (raw.from || null),
+      message: text,
+      type,
+      attachment,
+      edited: Boolean(raw.edited),
+      line: index + 1,
+      endLine: index + 1,
+      quoted: replyTo ? replyTo.message : null,
+      cards: card ? [card] : []
+    };
+
+    byId.set(raw.id, message);
+    return message;
+  }).filter(message => message.timestamp);
+};
+
+module.exports = {
+  isTelegramExport,
+  parseTelegramExport
+};
@@ -0,0 +1,224 @@
+// backend/services/vcardParser.js
+
+// Cards read from one file; a shared address book is not a referral
+const MAX_CARDS = 50;
+
+// Values kept per repeated property (TEL, EMAIL, ADR)
+const MAX_VALUES = 5;
+
+/**
+ * Undo vCard text escaping ("\n", "\,", "\;", "\\")
+ */
+const unescapeValue = (value) => {
+  return value.replace(/\\([nN,;\\])/g, (match, character) => (character.toLowerCase() === 'n' ? '\n' : character));
+};
+
+/**
+ * Split a structured value (N, ADR, ORG) on unescaped semicolons
+ */
+const splitStructured = (value) => {
+  const parts = [];
+  let current = '';
+
+  for (let i = 0; i < value.length; i++) {
+    if (value[i] === '\\' && i + 1 < value.length) {
+      current += value[i] + value[i + 1];
+      i++;
+    } else if (value[i] === ';') {
+      parts.push(current);
+      current = '';
+    } else {
+      current += value[i];
+    }
+  }
+
+  parts.push(current);
+  return parts.map(part => unescapeValue(part).trim());
+};
+
+/**
+ * Join folded lines back together: a line starting with a space or tab continues the previous one
+ */
+const unfoldLines = (text) => {
+  return text
+    .replace(/^\uFEFF/, '')
+    .replace(/\r\n?/g, '\n')
+    .replace(/\n[ \t]/g, '')
+    .split('\n');
+};
+
+/**
+ * Parse a content line ("item1.TEL;TYPE=CELL,VOICE:+91 98765 43210") into name, params and value
+ */
+const parseContentLine = (line) => {
+  let separator = -1;
+  let quoted = false;
+
+  for (let i = 0; i < line.length; i++) {
+    if (line[i] === '"') quoted = !quoted;
+    if (line[i] === ':' && !quoted) {
+      separator = i;
+      break;
+    }
+  }
+
+  if (separator <= 0) return null;
+
+  const [rawName, ...rawParams] = line.slice(0, separator).split(';');
+  const name = rawName.replace(/^[\w-]+\./, '').toUpperCase();
+  const params = {};
+
+  rawParams.forEach(param => {
+    const [key, value] = param.split('=');
+
+    // vCard 2.1 style bare types ("TEL;CELL:…")
+    if (value === undefined) {
+      params.TYPE = (params.TYPE || []).concat(key.toLowerCase());
+      return;
+    }
+
+    params[key.toUpperCase()] = (params[key.toUpperCase()] || [])
+      .concat(value.replace(/"/g, '').toLowerCase().split(','));
+  });
+
+  return { name, params, value: line.slice(separator + 1) };
+};
+
+/**
+ * Turn a TEL value into a dialable number; vCard 4 writes them as "tel:" URIs
+ */
+const cleanPhone = (value, params) => {
+  const phone = unescapeValue(value).replace(/^tel:/i, '').split(';')[0].trim();
+
+  // WhatsApp adds the number's international form as waid=919876543210
+  if (!/^\+/.test(phone) && params.WAID && params.WAID[0]) {
+    return `+${params.WAID[0]}`;
+  }
+
+  return phone;
+};
+
+/**
+ * Build an empty card record
+ */
+const createCard = () => ({
+  version: null,
+  name: null,
+  organization: null,
+  title: null,
+  role: null,
+  note: null,
+  categories: [],
+  phones: [],
+  emails: [],
+  addresses: [],
+  urls: []
+});
+
+/**
+ * Copy one property into the card being read
+ */
+const applyProperty = (card, { name, params, value }) => {
+  const types = params.TYPE || [];
+
+  switch (name) {
+    case 'VERSION':
+      card.version = value.trim();
+      break;
+    case 'FN':
+      card.name = unescapeValue(value).trim() || card.name;
+      break;
+    case 'N':
+      if (!card.name) {
+        const [family, given, additional, prefix, suffix] = splitStructured(value);
+        card.name = [prefix, given, additional, family, suffix].filter(Boolean).join(' ') || null;
+      }
+      break;
+    case 'ORG':
+      card.organization = splitStructured(value).filter(Boolean).join(', ') || null;
+      break;
+    case 'TITLE':
+      card.title = unescapeValue(value).trim() || null;
+      break;
+    case 'ROLE':
+      card.role = unescapeValue(value).trim() || null;
+      break;
+    case 'NOTE':
+      card.note = unescapeValue(value).trim() || null;
+      break;
+    case 'CATEGORIES':
+      card.categories = splitStructured(value.replace(/(^|[^\\]),/g, '$1;')).filter(Boolean);
+      break;
+    case 'TEL':
+      if (card.phones.length < MAX_VALUES) {
+        const phone = cleanPhone(value, params);
+        if (phone) card.phones.push({ value: phone, types });
+      }
+      break;
+    case 'EMAIL':
+      if (card.emails.length < MAX_VALUES) {
+        const email = unescapeValue(value).replace(/^mailto:/i, '').trim();
+        if (email) card.emails.push({ value: email, types });
+      }
+      break;
+    case 'ADR':
+      if (card.addresses.length < MAX_VALUES) {
+        const [, extended, street, city, state, postalCode, country] = splitStructured(value);
+        card.addresses.push({
+          street: [street, extended].filter(Boolean).join(', ') || null,
+          city: city || null,
+          state: state || null,
+          postalCode: postalCode || null,
+          country: country || null,
+          types
+        });
+      }
+      break;
+    case 'URL':
+      if (card.urls.length < MAX_VALUES) {
+        const url = unescapeValue(value).trim();
+        if (url) card.urls.push(url);
+      }
+      break;
+    default:
+      break;
+  }
+};
+
+/**
+ * Parse the cards in a .vcf file (vCard 3.0 or 4.0)
+ *
+ * Returns [{ version, name, organization, title, role, note, categories, phones,
+ * emails, addresses, urls }]. Phones and emails are { value, types }. Cards
+ * without a name, or without a phone number or email, are dropped.
+ */
+const parseVCards = (text) => {
+  if (typeof text !== 'string') return [];
+
+  const cards = [];
+  let card = null;
+
+  for (const line of unfoldLines(text)) {
+    const property = parseContentLine(line.trim());
+    if (!property) continue;
+
+    if (property.name === 'BEGIN' && /^vcard$/i.test(property.value.trim())) {
+      card = createCard();
+    } else if (property.name === 'END' && card) {
+      if ((card.name || card.organization) && (card.phones.length || card.emails.length)) {
+        cards.push(card);
+      }
+      card = null;
+
+      if (cards.length >= MAX_CARDS) break;
+    } else if (card) {
+      applyProperty(card, property);
+    }
+  }
+
+  return cards;
+};
+
+module.exports = {
+  parseVCards
+};
@@ -0,0 +1,308 @@
+// backend/services/zipArchive.js
+const path = require('path');
+const { PassThrough, Readable, pipeline } = require('stream');
+const yauzl = require('yauzl');
+const { combineSlackExport } = require('./slackParser');
+
+// Zip bomb limits: file count, total extracted size and how far any one file may expand
+const MAX_ENTRIES = 5000;
+const MAX_TOTAL_UNCOMPRESSED = 1024 * 1024 * 1024; // 1GB
+const MAX_COMPRESSION_RATIO = 100;
+
+// Attachments worth keeping next to referrals: shared contacts and business-card photos
+const ATTACHMENT_TYPES = {
+  '.vcf': 'contact',
+  '.jpg': 'image',
+  '.jpeg': 'image',
+  '.png': 'image',
+  '.webp': 'image'
+};
+const MAX_ATTACHMENT_SIZE = 5 * 1024 * 1024; // 5MB
+const MAX_ATTACHMENTS = 500;
+
+// A Slack export holds users.json and one <channel>/YYYY-MM-DD.json file per channel and day
+const SLACK_USERS_FILE = 'users.json';
+const SLACK_DAY_FILE_PATTERN = /^([^/]+)\/\d{4}-\d{2}-\d{2}\.json$/;
+
+/**
+ * Reject entry names that could escape the extraction directory
+ */
+const isSafeEntryName = (name) => {
+  if (!name || name.includes('\0') || name.includes('\\')) return false;
+  if (path.posix.isAbsolute(name) || /^[a-zA-Z]:/.test(name)) return false;
+
+  return !name.split('/').includes('..');
+};
+
+/**
+ * Pick the chat text out of the archive: iOS names it _chat.txt, Android "WhatsApp Chat with ….txt"
+ */
+const findChatEntry = (entries) => {
+  const textEntries = entries.filter(entry => path.posix.extname(entry.fileName).toLowerCase() === '.txt');
+
+  return textEntries.find(entry => path.posix.basename(entry.fileName) === '_chat.txt')
+    || textEntries.find(entry => /^whatsapp chat/i.test(path.posix.basename(entry.fileName)))
+    || (textEntries.length === 1 ? textEntries[0] : null);
+};
+
+/**
+ * Check one entry against the zip bomb and path traversal limits
+ */
+const validateEntry = (entry, totals) => {
+  if (!isSafeEntryName(entry.fileName)) {
+    throw new Error('Archive contains an unsafe file path');
+  }
+
+  if (entry.isEncrypted()) {
+    throw new Error('Archive contains encrypted files');
+  }
+
+  totals.entries++;
+  totals.uncompressed += entry.uncompressedSize;
+
+  if (totals.entries > MAX_ENTRIES) {
+    throw new Error('Archive contains too many files');
+  }
+
+  if (totals.uncompressed > MAX_TOTAL_UNCOMPRESSED) {
+    throw new Error('Archive is too large when extracted');
+  }
+
+  if (entry.compressedSize > 0 && entry.uncompressedSize / entry.compressedSize > MAX_COMPRESSION_RATIO) {
+    throw new Error('Archive compression ratio is too high');
+  }
+};
+
+/**
+ * Open a zip archive from a file path or a Buffer and validate every entry
+ *
+ * Nothing is extracted until every entry has passed the zip bomb and path checks.
+ * Resolves { entries, openEntryStream(entry), close() }; directories aren't listed.
+ * Entry sizes are verified while streaming, so an archive can't lie about them.
+ */
+const openArchive = (source) => {
+  return new Promise((resolve, reject) => {
+    const options = { lazyEntries: true, autoClose: false, strictFileNames: true, validateEntrySizes: true };
+
+    const onOpen = (openError, zipfile) => {
+      if (openError) {
+        return reject(new Error('Archive is not a valid zip file'));
+      }
+
+      const entries = [];
+      const totals = { entries: 0, uncompressed: 0 };
+
+      let settled = false;
+
+      const fail = (error) => {
+        if (settled) return;
+        settled = true;
+        zipfile.close();
+
+        // yauzl rejects absolute and "../" names itself when reading the central directory
+        if (/(absolute path|invalid relative path|invalid characters in fileName)/.test(error.message)) {
+          return reject(new Error('Archive contains an unsafe file path'));
+        }
+
+        reject(error.message.startsWith('Archive') ? error : new Error('Archive is not a valid zip file'));
+      };
+
+      zipfile.on('error', fail);
+
+      zipfile.on('entry', (entry) => {
+        try {
+          // Directories carry no content
+          if (!entry.fileName.endsWith('/')) {
+            validateEntry(entry, totals);
+            entries.push(entry);
+          }
+          zipfile.readEntry();
+        } catch (error) {
+          fail(error);
+        }
+      });
+
+      zipfile.on('end', () => {
+        settled = true;
+        resolve({
+          entries,
+          openEntryStream: (entry) => new Promise((resolveStream, rejectStream) => {
+            zipfile.openReadStream(entry, (streamError, stream) => {
+              if (streamError) return rejectStream(streamError);
+
+              // Stored (uncompressed) entries stream straight from the file, and that stream
+              // never ends under for await; a PassThrough does, and carries its errors
+              const output = new PassThrough();
+              pipeline(stream, output, () => {});
+              resolveStream(output);
+            });
+          }),
+          close: () => zipfile.close()
+        });
+      });
+
+      zipfile.readEntry();
+    };
+
+    if (Buffer.isBuffer(source)) {
+      yauzl.fromBuffer(source, options, onOpen);
+    } else {
+      yauzl.open(source, options, onOpen);
+    }
+  });
+};
+
+/**
+ * The chat and attachments of an opened WhatsApp "Export chat → Include media" archive
+ */
+const whatsAppArchive = (archive, options) => {
+  const chatEntry = findChatEntry(archive.entries);
+
+  try {
+    if (!chatEntry) {
+      throw new Error('Archive does not contain a WhatsApp chat export');
+    }
+
+    if (options.maxChatBytes && chatEntry.uncompressedSize > options.maxChatBytes) {
+      throw new Error('Archive chat export is larger than the upload limit');
+    }
+  } catch (error) {
+    archive.close();
+    throw error;
+  }
+
+  const attachments = archive.entries
+    .filter(entry => entry !== chatEntry)
+    .filter(entry => ATTACHMENT_TYPES[path.posix.extname(entry.fileName).toLowerCase()])
+    .filter(entry => entry.uncompressedSize <= MAX_ATTACHMENT_SIZE)
+    .slice(0, MAX_ATTACHMENTS)
+    .map(entry => ({
+      entry,
+      name: path.posix.basename(entry.fileName),
+      type: ATTACHMENT_TYPES[path.posix.extname(entry.fileName).toLowerCase()],
+      size: entry.uncompressedSize
+    }));
+
+  return {
+    chatEntry,
+    chatName: '_chat.txt',
+    chatContentType: 'text/plain',
+    chatSize: chatEntry.uncompressedSize,
+    openChatStream: () => archive.openEntryStream(chatEntry),
+    attachments,
+    openEntryStream: archive.openEntryStream,
+    close: archive.close
+  };
+};
+
+/**
+ * Read an archive entry into a Buffer
+ */
+const readEntry = async (archive, entry) => {
+  const chunks = [];
+
+  for await (const chunk of await archive.openEntryStream(entry)) {
+    chunks.push(chunk);
+  }
+
+  return Buffer.concat(chunks);
+};
+
+/**
+ * Parse a JSON entry of a Slack export, with an error the user can act on
+ */
+const readSlackJson = async (archive, entry) => {
+  try {
+    return JSON.parse((await readEntry(archive, entry)).toString('utf-8'));
+  } catch (error) {
+    throw new Error(`Archive file ${entry.fileName} is not valid JSON`);
+  }
+};
+
+/**
+ * Find a Slack workspace export's users.json and per-day channel files, or null
+ */
+const findSlackEntries = (entries) => {
+  const usersEntry = entries.find(entry => entry.fileName === SLACK_USERS_FILE);
+  const dayEntries = entries.filter(entry => SLACK_DAY_FILE_PATTERN.test(entry.fileName));
+
+  return usersEntry && dayEntries.length > 0 ? { usersEntry, dayEntries } : null;
+};
+
+/**
+ * Combine an opened Slack export archive's per-day channel files into one chat
+ *
+ * The days are walked in channel and date order and merged with combineSlackExport,
+ * which names users from users.json. The result is the JSON of one channel export,
+ * so it is stored and parsed like an uploaded day file.
+ */
+const slackArchive = async (archive, { usersEntry, dayEntries }, options) => {
+  const totalBytes = dayEntries.reduce((sum, entry) => sum + entry.uncompressedSize, usersEntry.uncompressedSize);
+
+  if (options.maxChatBytes && totalBytes > options.maxChatBytes) {
+    throw new Error('Archive chat export is larger than the upload limit');
+  }
+
+  const users = await readSlackJson(archive, usersEntry);
+  const days = [];
+  const ordered = dayEntries.slice().sort((a, b) => a.fileName.localeCompare(b.fileName));
+
+  for (const entry of ordered) {
+    days.push({
+      channel: entry.fileName.match(SLACK_DAY_FILE_PATTERN)[1],
+      messages: await readSlackJson(archive, entry)
+    });
+  }
+
+  let chat;
+
+  try {
+    chat = Buffer.from(JSON.stringify(combineSlackExport(days, users)));
+  } catch (error) {
+    throw new Error('Archive does not contain a Slack channel export');
+  }
+
+  if (options.maxChatBytes && chat.length > options.maxChatBytes) {
+    throw new Error('Archive chat export is larger than the upload limit');
+  }
+
+  return {
+    chatName: 'slack.json',
+    chatContentType: 'application/json',
+    chatSize: chat.length,
+    openChatStream: async () => Readable.from([chat]),
+    attachments: [],
+    openEntryStream: archive.openEntryStream,
+    close: archive.close
+  };
+};
+
+/**
+ * Open and validate a chat export archive: a WhatsApp "Include media" export or a
+ * Slack workspace export
+ *
+ * Either way the result has chatName and chatContentType (to store the chat text
+ * under), chatSize, openChatStream(), the attachments worth keeping, a way to
+ * stream any entry, and close().
+ */
+const openChatArchive = async (filePath, options = {}) => {
+  const archive = await openArchive(filePath);
+  const slackEntries = findSlackEntries(archive.entries);
+
+  if (!slackEntries) {
+    return whatsAppArchive(archive, options);
+  }
+
+  try {
+    return await slackArchive(archive, slackEntries, options);
+  } catch (error) {
+    archive.close();
+    throw error;
+  }
+};
+
+module.exports = {
+  isSafeEntryName,
+  openArchive,
+  openChatArchive
+};
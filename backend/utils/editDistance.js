@@ -0,0 +1,25 @@
+// backend/utils/editDistance.js
+
+/**
+ * Levenshtein edit distance between two strings
+ */
+const editDistance = (a, b) => {
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+
+    for (let j = 1; j <= b.length; j++) {
+      const substitution = previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1);
+      current.push(Math.min(previous[j] + 1, current[j - 1] + 1, substitution));
+    }
+
+    previous = current;
+  }
+
+  return previous[b.length];
+};
+
+module.exports = {
+  editDistance
+};
@@ -1,13 +1,423 @@
+// backend/whatsapp_processing.js
 const fs = require('fs');
 
-const parseWhatsAppChat = (filePath) => {
-  const chatData = fs.readFileSync(filePath, 'utf-8');
-  const messages = chatData.split('\n').filter(line => line.includes(':'));
-  
-  return messages.map(line => {
-    const parts = line.split(': ');
-    return { timestamp: parts[0], sender: parts[1], message: parts.slice(2).join(': ') };
+// Invisible marks WhatsApp sprinkles into exports (LRM, RLM, BOM)
+const INVISIBLE_CHARS = /[\u200e\u200f\ufeff]/g;
+
+const DATE = '(\\d{1,4})[./-](\\d{1,2})[./-](\\d{1,4})';
+const TIME = '(\\d{1,2})[:.](\\d{2})(?:[:.](\\d{2}))?';
+const MERIDIEM = `(?:\\s?([AaPp]\\.?\\s?[Mm]\\.?|vorm\\.|nachm\\.|午前|午後|ص|م|पूर्वाह्न|अपराह्न))?`;
+
+// [12/03/24, 9:41:05 PM] Sender: message
+const IOS_HEADER = new RegExp(`^\\[${DATE},?\\s+${TIME}${MERIDIEM}\\]\\s+(.*)$`);
+
+// 12/03/2024, 21:41 - Sender: message
+const ANDROID_HEADER = new RegExp(`^${DATE},?\\s+${TIME}${MERIDIEM}\\s+[-–]\\s+(.*)$`);
+
+// Localized AM/PM markers, compared after lowercasing and stripping dots/spaces
+const AM_MARKERS = ['am', 'vorm', '午前', 'ص', 'पूर्वाह्न'];
+const PM_MARKERS = ['pm', 'nachm', '午後', 'م', 'अपराह्न'];
+
+// Group events WhatsApp writes into the chat log. Joins, leaves and adds
+// normally have no sender, so only notices iOS attributes to a sender are listed.
+const SYSTEM_PATTERNS = [
+  /messages and calls are end-to-end encrypted/i,
+  /joined using this group's invite link/i,
+  /created (group|this group)/i,
+  /changed (the subject|this group's icon|the group description|their phone number|the group settings)/i,
+  /deleted this group's icon/i,
+  /your security code with .+ changed/i,
+  /^missed (voice|video) call/i,
+  /turned (on|off) disappearing messages/i
+];
+
+// Attachments left out of the export or listed by filename only
+const MEDIA_PATTERNS = [
+  /^<media omitted>$/i,
+  /^<attached: .+>$/i,
+  /^(image|video|audio|sticker|gif|document|contact card) omitted$/i,
+  /\(file attached\)$/i
+];
+
+// Where exports name an attached file: iOS "<attached: 00000012-Contact.vcf>", Android "IMG-….jpg (file attached)"
+const ATTACHMENT_NAME_PATTERNS = [
+  /<attached: ([^>]+)>/i,
+  /^(.+?) \(file attached\)/im
+];
+
+const DELETED_PATTERNS = [
+  /^this message was deleted\.?$/i,
+  /^you deleted this message\.?$/i
+];
+
+const EDITED_SUFFIX = /\s*<this message was edited>$/i;
+
+// Lines read before the dialect of a streamed export is decided
+const DIALECT_SAMPLE_LINES = 1000;
+
+/**
+ * Strip invisible direction marks and trailing carriage returns from a line
+ */
+const cleanLine = (line) => {
+  return line.replace(INVISIBLE_CHARS, '').replace(/\r$/, '');
+};
+
+/**
+ * Match a line against the header pattern of a platform
+ */
+const matchHeader = (line, platform) => {
+  const pattern = platform === 'ios' ? IOS_HEADER : ANDROID_HEADER;
+  const match = pattern.exec(line);
+
+  if (!match) return null;
+
+  return {
+    dateParts: [match[1], match[2], match[3]],
+    hours: parseInt(match[4], 10),
+    minutes: parseInt(match[5], 10),
+    seconds: match[6] ? parseInt(match[6], 10) : 0,
+    meridiem: match[7] || null,
+    rest: match[8]
+  };
+};
+
+/**
+ * Normalize a localized AM/PM marker to 'am' or 'pm'
+ */
+const normalizeMeridiem = (marker) => {
+  if (!marker) return null;
+
+  const normalized = marker.toLowerCase().replace(/[.\s]/g, '');
+
+  if (AM_MARKERS.includes(normalized)) return 'am';
+  if (PM_MARKERS.includes(normalized)) return 'pm';
+  return null;
+};
+
+/**
+ * Order date parts into [year, month, day] for a given date order
+ */
+const orderDateParts = (dateParts, dateOrder) => {
+  const [a, b, c] = dateParts.map(part => parseInt(part, 10));
+
+  if (dateOrder === 'YMD') return [a, b, c];
+  if (dateOrder === 'MDY') return [c, a, b];
+  return [c, b, a];
+};
+
+/**
+ * Build a Date from a matched header, or null if the values are out of range
+ */
+const buildTimestamp = (header, dateOrder) => {
+  let [year, month, day] = orderDateParts(header.dateParts, dateOrder);
+  let hours = header.hours;
+
+  if (year < 100) year += 2000;
+
+  const meridiem = normalizeMeridiem(header.meridiem);
+  if (meridiem) {
+    if (hours < 1 || hours > 12) return null;
+    if (meridiem === 'am' && hours === 12) hours = 0;
+    if (meridiem === 'pm' && hours !== 12) hours += 12;
+  }
+
+  if (month < 1 || month > 12 || day < 1 || day > 31 || hours > 23 || header.minutes > 59 || header.seconds > 59) {
+    return null;
+  }
+
+  const timestamp = new Date(year, month - 1, day, hours, header.minutes, header.seconds);
+
+  // Reject dates that rolled over (e.g. 31/02)
+  if (timestamp.getMonth() !== month - 1 || timestamp.getDate() !== day) {
+    return null;
+  }
+
+  return timestamp;
+};
+
+/**
+ * Count how often consecutive timestamps go backwards under a date order
+ */
+const countInversions = (headers, dateOrder) => {
+  let inversions = 0;
+  let previous = null;
+
+  for (const header of headers) {
+    const timestamp = buildTimestamp(header, dateOrder);
+
+    if (!timestamp) {
+      inversions++;
+      continue;
+    }
+
+    if (previous && timestamp < previous) inversions++;
+    previous = timestamp;
+  }
+
+  return inversions;
+};
+
+/**
+ * Work out the date order from the header date parts
+ */
+const detectDateOrder = (headers) => {
+  if (headers.some(header => header.dateParts[0].length === 4)) {
+    return 'YMD';
+  }
+
+  const firstParts = headers.map(header => parseInt(header.dateParts[0], 10));
+  const secondParts = headers.map(header => parseInt(header.dateParts[1], 10));
+
+  if (firstParts.some(part => part > 12)) return 'DMY';
+  if (secondParts.some(part => part > 12)) return 'MDY';
+
+  // Ambiguous: chats are chronological, so pick the order that keeps them that way
+  return countInversions(headers, 'MDY') < countInversions(headers, 'DMY') ? 'MDY' : 'DMY';
+};
+
+/**
+ * Detect the export dialect (platform, clock and date order) of a chat
+ */
+const detectDialect = (lines) => {
+  const iosHeaders = [];
+  const androidHeaders = [];
+
+  lines.forEach((rawLine) => {
+    const line = cleanLine(rawLine);
+    const iosHeader = matchHeader(line, 'ios');
+    const androidHeader = iosHeader ? null : matchHeader(line, 'android');
+
+    if (iosHeader) iosHeaders.push(iosHeader);
+    if (androidHeader) androidHeaders.push(androidHeader);
   });
+
+  if (iosHeaders.length === 0 && androidHeaders.length === 0) {
+    return null;
+  }
+
+  const platform = iosHeaders.length >= androidHeaders.length ? 'ios' : 'android';
+  const headers = platform === 'ios' ? iosHeaders : androidHeaders;
+
+  return {
+    platform,
+    clock: headers.some(header => normalizeMeridiem(header.meridiem)) ? '12h' : '24h',
+    dateOrder: detectDateOrder(headers)
+  };
+};
+
+/**
+ * Split the text after the timestamp into sender and message
+ */
+const splitSender = (rest) => {
+  const separatorIndex = rest.indexOf(': ');
+
+  if (separatorIndex === -1) {
+    // System notices ("Messages and calls are end-to-end encrypted") have no sender
+    return { sender: null, message: rest.trim() };
+  }
+
+  return {
+    sender: rest.substring(0, separatorIndex).trim(),
+    message: rest.substring(separatorIndex + 2).trim()
+  };
+};
+
+/**
+ * Classify a message as 'text', 'system', 'media' or 'deleted'
+ */
+const classifyMessage = (sender, message) => {
+  if (DELETED_PATTERNS.some(pattern => pattern.test(message))) return 'deleted';
+  if (MEDIA_PATTERNS.some(pattern => pattern.test(message))) return 'media';
+
+  // Android writes group events without a sender; iOS attributes some of them to the group
+  if (!sender || SYSTEM_PATTERNS.some(pattern => pattern.test(message))) {
+    return 'system';
+  }
+
+  return 'text';
+};
+
+/**
+ * Find the file name of an attachment included with a "with media" export, or null
+ */
+const extractAttachmentName = (message) => {
+  for (const pattern of ATTACHMENT_NAME_PATTERNS) {
+    const match = pattern.exec(message);
+    if (match) return match[1].trim();
+  }
+
+  return null;
+};
+
+/**
+ * Tag a reassembled message with its type, edit marker and attachment
+ */
+const finalizeMessage = (entry) => {
+  const edited = EDITED_SUFFIX.test(entry.message);
+  const message = entry.message.replace(EDITED_SUFFIX, '').trim();
+
+  return {
+    ...entry,
+    message,
+    type: classifyMessage(entry.sender, message),
+    attachment: extractAttachmentName(message),
+    edited
+  };
+};
+
+/**
+ * Resolve the dialect to parse with from the options or a sample of lines
+ */
+const resolveDialect = (lines, options) => {
+  const detected = options.dialect || detectDialect(lines);
+
+  if (!detected) return null;
+
+  return {
+    ...detected,
+    dateOrder: options.dateOrder || detected.dateOrder
+  };
+};
+
+/**
+ * Build an incremental parser that takes one line at a time
+ *
+ * push() returns the previous message once a new header shows it is complete;
+ * flush() returns the last message at the end of the export.
+ */
+const createLineParser = (dialect, options = {}) => {
+  let current = null;
+  let lineNumber = 0;
+
+  const complete = (entry) => {
+    if (!entry) return null;
+
+    const message = finalizeMessage(entry);
+    return options.skipSystem && message.type !== 'text' ? null : message;
+  };
+
+  const push = (rawLine) => {
+    lineNumber++;
+
+    const line = cleanLine(rawLine);
+    const header = matchHeader(line, dialect.platform);
+    const timestamp = header ? buildTimestamp(header, dialect.dateOrder) : null;
+
+    if (!timestamp) {
+      // Continuation of a multi-line message; text before the first header is dropped
+      if (current) {
+        current.message += `\n${line}`;
+        current.endLine = lineNumber;
+      }
+      return null;
+    }
+
+    const previous = current;
+    const { sender, message } = splitSender(header.rest);
+
+    current = {
+      timestamp,
+      sender,
+      message,
+      line: lineNumber,
+      endLine: lineNumber
+    };
+
+    return complete(previous);
+  };
+
+  const flush = () => {
+    const last = current;
+    current = null;
+    return complete(last);
+  };
+
+  return { push, flush };
+};
+
+/**
+ * Parse WhatsApp chat export text into structured messages
+ *
+ * Lines without a timestamp are continuations of the previous message.
+ * Every message is tagged with a type; only 'text' messages carry referrals.
+ *
+ * Options:
+ * - dialect: skip detection and use the given { platform, dateOrder }
+ * - dateOrder: force 'DMY', 'MDY' or 'YMD' when the export is ambiguous
+ * - skipSystem: drop system, media and deleted messages instead of tagging them
+ */
+const parseWhatsAppText = (content, options = {}) => {
+  if (typeof content !== 'string') {
+    throw new Error('Chat content must be a string');
+  }
+
+  const lines = content.split('\n');
+  const dialect = resolveDialect(lines, options);
+
+  if (!dialect) {
+    return [];
+  }
+
+  const parser = createLineParser(dialect, options);
+  const messages = lines.map(parser.push);
+  messages.push(parser.flush());
+
+  return messages.filter(Boolean);
+};
+
+/**
+ * Parse a WhatsApp export line by line from an async iterable of lines
+ *
+ * Memory stays bounded for exports of any size: the dialect is detected from the
+ * first lines, then each message is yielded as soon as it is complete.
+ * Takes the same options as parseWhatsAppText.
+ */
+async function* parseWhatsAppLines(lines, options = {}) {
+  const sample = [];
+  let parser = null;
+
+  for await (const line of lines) {
+    if (!parser) {
+      sample.push(line);
+      if (sample.length < DIALECT_SAMPLE_LINES) continue;
+
+      const dialect = resolveDialect(sample, options);
+      if (!dialect) return;
+
+      parser = createLineParser(dialect, options);
+      for (const sampled of sample.splice(0)) {
+        const message = parser.push(sampled);
+        if (message) yield message;
+      }
+      continue;
+    }
+
+    const message = parser.push(line);
+    if (message) yield message;
+  }
+
+  // Exports shorter than the sample
+  if (!parser) {
+    yield* parseWhatsAppText(sample.join('\n'), options);
+    return;
+  }
+
+  const last = parser.flush();
+  if (last) yield last;
+}
+
+/**
+ * Parse a WhatsApp chat export file from disk
+ */
+const parseWhatsAppChat = (filePath, options = {}) => {
+  const chatData = fs.readFileSync(filePath, 'utf-8');
+  return parseWhatsAppText(chatData, options);
 };
 
-module.exports = { parseWhatsAppChat };
\ No newline at end of file
+module.exports = {
+  parseWhatsAppChat,
+  parseWhatsAppText,
+  parseWhatsAppLines,
+  detectDialect,
+  classifyMessage
+};
@@ -16,6 +16,9 @@ import HomeScreen from './screens/HomeScreen';
 import UploadScreen from './screens/UploadScreen';
 import ReferralsScreen from './screens/ReferralsScreen';
 import ProfileScreen from './screens/ProfileScreen';
+import ImportReviewScreen from './screens/ImportReviewScreen';
+import ReferralDetailScreen from './screens/ReferralDetailScreen';
+import BlockedSendersScreen from './screens/BlockedSendersScreen';
 
 // Icons (you can replace with your preferred icon library)
 import Icon from 'react-native-vector-icons/Ionicons';
@@ -113,6 +116,40 @@ const MainTabs = () => {
   );
 };
 
+// Main Stack Navigator (tabs plus screens pushed on top of them)
+const MainStack = () => {
+  return (
+    <Stack.Navigator
+      screenOptions={{
+        headerStyle: { backgroundColor: '#007AFF' },
+        headerTintColor: '#FFFFFF',
+        headerTitleStyle: { fontWeight: 'bold' },
+      }}
+    >
+      <Stack.Screen
+        name="MainTabs"
+        component={MainTabs}
+        options={{ headerShown: false }}
+      />
+      <Stack.Screen
+        name="ImportReview"
+        component={ImportReviewScreen}
+        options={{ title: 'Review Import' }}
+      />
+      <Stack.Screen
+        name="ReferralDetail"
+        component={ReferralDetailScreen}
+        options={{ title: 'Referral Details' }}
+      />
+      <Stack.Screen
+        name="BlockedSenders"
+        component={BlockedSendersScreen}
+        options={{ title: 'Blocked Senders' }}
+      />
+    </Stack.Navigator>
+  );
+};
+
 // Root Navigator
 const RootNavigator = () => {
   const { isAuthenticated, loading } = useAuth();
@@ -127,7 +164,7 @@ const RootNavigator = () => {
 
   return (
     <NavigationContainer>
-      {isAuthenticated ? <MainTabs /> : <AuthStack />}
+      {isAuthenticated ? <MainStack /> : <AuthStack />}
     </NavigationContainer>
   );
 };
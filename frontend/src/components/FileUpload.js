@@ -2,6 +2,11 @@
 import React, { useState } from 'react';
 import { fileAPI } from '../services/auth';
 
+// Must match the backend's MAX_UPLOAD_SIZE_MB
+const MAX_UPLOAD_MB = Number(process.env.REACT_APP_MAX_UPLOAD_MB) || 10;
+
+const ALLOWED_EXTENSIONS = ['.txt', '.md', '.json', '.csv', '.zip', '.xlsx', '.ods'];
+
 const FileUpload = ({ onUploadSuccess }) => {
   const [file, setFile] = useState(null);
   const [uploading, setUploading] = useState(false);
@@ -19,16 +24,32 @@ const FileUpload = ({ onUploadSuccess }) => {
     }
 
     // Validate file type
-    const allowedTypes = ['text/plain', 'text/csv'];
-    if (!allowedTypes.includes(selectedFile.type)) {
-      setError('Only .txt and .csv files are allowed');
+    const allowedTypes = [
+      'text/plain',
+      'text/csv',
+      'text/markdown',
+      'application/json',
+      'application/zip',
+      'application/x-zip-compressed',
+      'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+      'application/vnd.oasis.opendocument.spreadsheet',
+    ];
+    // Browsers often give .md and .txt files no type or a generic one, so go by the extension then
+    const extension = selectedFile.name.toLowerCase().substring(selectedFile.name.lastIndexOf('.'));
+    const hasGenericType = !selectedFile.type || selectedFile.type === 'application/octet-stream';
+    const isAllowed = hasGenericType
+      ? ALLOWED_EXTENSIONS.includes(extension)
+      : allowedTypes.includes(selectedFile.type);
+
+    if (!isAllowed) {
+      setError('Only .txt, .md, .json, .csv, .zip, .xlsx and .ods files are allowed');
       return;
     }
 
-    // Validate file size (10MB)
-    const maxSize = 10 * 1024 * 1024;
+    // Validate file size
+    const maxSize = MAX_UPLOAD_MB * 1024 * 1024;
     if (selectedFile.size > maxSize) {
-      setError('File size must be less than 10MB');
+      setError(`File size must be less than ${MAX_UPLOAD_MB}MB`);
       return;
     }
 
@@ -75,7 +96,7 @@ const FileUpload = ({ onUploadSuccess }) => {
 
   return (
     <div className="file-upload-container">
-      <h3>Upload WhatsApp Chat</h3>
+      <h3>Upload Group Chat</h3>
 
       {error && (
         <div className="error-message">
@@ -94,7 +115,7 @@ const FileUpload = ({ onUploadSuccess }) => {
           type="file"
           id="file-input"
           onChange={handleFileChange}
-          accept=".txt,.csv"
+          accept={ALLOWED_EXTENSIONS.join(',')}
           disabled={uploading}
           className="file-input"
         />
@@ -129,9 +150,9 @@ const FileUpload = ({ onUploadSuccess }) => {
       <div className="info-box">
         <h4>File Requirements:</h4>
         <ul>
-          <li>File formats: .txt or .csv</li>
-          <li>Maximum size: 10MB</li>
-          <li>Must be a WhatsApp chat export</li>
+          <li>File formats: .txt, .md, .json, .csv, .zip, .xlsx or .ods</li>
+          <li>Maximum size: {MAX_UPLOAD_MB}MB</li>
+          <li>Must be a WhatsApp, Telegram, Signal or Slack chat export</li>
         </ul>
       </div>
 
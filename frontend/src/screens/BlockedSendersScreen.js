@@ -0,0 +1,219 @@
+// frontend/screens/BlockedSendersScreen.js
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  FlatList,
+  TextInput,
+  TouchableOpacity,
+  StyleSheet,
+  Alert,
+  ActivityIndicator,
+} from 'react-native';
+import apiService from '../services/api';
+import Icon from 'react-native-vector-icons/Ionicons';
+
+const BlockedSendersScreen = () => {
+  const [blockedSenders, setBlockedSenders] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [newSender, setNewSender] = useState('');
+
+  useEffect(() => {
+    loadBlockedSenders();
+  }, []);
+
+  const loadBlockedSenders = async () => {
+    try {
+      setLoading(true);
+      const response = await apiService.listBlockedSenders();
+
+      if (response.success) {
+        setBlockedSenders(response.blockedSenders || []);
+      }
+    } catch (error) {
+      console.error('Failed to load blocked senders:', error);
+      Alert.alert('Error', 'Failed to load blocked senders');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleBlock = async () => {
+    if (!newSender.trim()) return;
+
+    setSaving(true);
+    try {
+      await apiService.blockSender(newSender.trim());
+      setNewSender('');
+      loadBlockedSenders();
+    } catch (error) {
+      console.error('Failed to block sender:', error);
+      Alert.alert('Error', error.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleUnblock = (item) => {
+    Alert.alert(
+      'Unblock Sender',
+      `Messages from ${item.sender} will be read in future imports.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Unblock',
+          onPress: async () => {
+            try {
+              await apiService.unblockSender(item.senderKey);
+              loadBlockedSenders();
+            } catch (error) {
+              Alert.alert('Error', 'Failed to unblock sender');
+            }
+          },
+        },
+      ]
+    );
+  };
+
+  const renderSender = ({ item }) => (
+    <View style={styles.row}>
+      <Icon name="person-remove-outline" size={18} color="#666" />
+      <View style={styles.rowText}>
+        <Text style={styles.senderName}>{item.sender}</Text>
+        <Text style={styles.blockedDate}>Blocked {new Date(item.createdAt).toLocaleDateString()}</Text>
+      </View>
+      <TouchableOpacity style={styles.unblockButton} onPress={() => handleUnblock(item)}>
+        <Text style={styles.unblockText}>Unblock</Text>
+      </TouchableOpacity>
+    </View>
+  );
+
+  return (
+    <View style={styles.container}>
+      <Text style={styles.intro}>
+        Messages from these people are skipped before anything is read from a chat, so they never end up in your referrals.
+      </Text>
+
+      <View style={styles.addBar}>
+        <TextInput
+          style={styles.addInput}
+          placeholder="Name or number as it appears in the chat"
+          value={newSender}
+          onChangeText={setNewSender}
+          onSubmitEditing={handleBlock}
+          returnKeyType="done"
+        />
+        <TouchableOpacity
+          style={[styles.addButton, (saving || !newSender.trim()) && styles.addButtonDisabled]}
+          onPress={handleBlock}
+          disabled={saving || !newSender.trim()}
+        >
+          {saving ? (
+            <ActivityIndicator color="#FFFFFF" />
+          ) : (
+            <Text style={styles.addButtonText}>Block</Text>
+          )}
+        </TouchableOpacity>
+      </View>
+
+      {loading ? (
+        <ActivityIndicator style={styles.loading} size="large" color="#007AFF" />
+      ) : (
+        <FlatList
+          data={blockedSenders}
+          renderItem={renderSender}
+          keyExtractor={(item) => item.senderKey}
+          contentContainerStyle={styles.listContainer}
+          ListEmptyComponent={
+            <Text style={styles.emptyText}>No one is blocked</Text>
+          }
+        />
+      )}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#F5F5F5',
+  },
+  intro: {
+    fontSize: 14,
+    color: '#666',
+    padding: 16,
+  },
+  addBar: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#FFFFFF',
+    paddingHorizontal: 12,
+    paddingVertical: 8,
+    borderTopWidth: 1,
+    borderBottomWidth: 1,
+    borderColor: '#E0E0E0',
+  },
+  addInput: {
+    flex: 1,
+    fontSize: 14,
+    paddingVertical: 6,
+  },
+  addButton: {
+    backgroundColor: '#FF3B30',
+    borderRadius: 8,
+    paddingHorizontal: 16,
+    paddingVertical: 8,
+    marginLeft: 8,
+  },
+  addButtonDisabled: {
+    backgroundColor: '#CCC',
+  },
+  addButtonText: {
+    color: '#FFFFFF',
+    fontWeight: '600',
+  },
+  loading: {
+    marginTop: 32,
+  },
+  listContainer: {
+    padding: 12,
+  },
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#FFFFFF',
+    borderRadius: 12,
+    padding: 12,
+    marginBottom: 8,
+  },
+  rowText: {
+    flex: 1,
+    marginLeft: 8,
+  },
+  senderName: {
+    fontSize: 16,
+    color: '#333',
+  },
+  blockedDate: {
+    fontSize: 12,
+    color: '#999',
+    marginTop: 2,
+  },
+  unblockButton: {
+    paddingHorizontal: 8,
+    paddingVertical: 6,
+  },
+  unblockText: {
+    fontSize: 14,
+    color: '#007AFF',
+  },
+  emptyText: {
+    fontSize: 16,
+    color: '#999',
+    textAlign: 'center',
+    marginTop: 32,
+  },
+});
+
+export default BlockedSendersScreen;
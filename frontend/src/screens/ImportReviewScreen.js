@@ -0,0 +1,866 @@
+// frontend/screens/ImportReviewScreen.js
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  FlatList,
+  ScrollView,
+  TextInput,
+  TouchableOpacity,
+  StyleSheet,
+  Alert,
+  ActivityIndicator,
+} from 'react-native';
+import apiService from '../services/api';
+import Icon from 'react-native-vector-icons/Ionicons';
+
+const EDITABLE_FIELDS = [
+  { key: 'businessName', placeholder: 'Business name' },
+  { key: 'profession', placeholder: 'Profession' },
+  { key: 'city', placeholder: 'City' },
+  { key: 'contact', placeholder: 'Contact' },
+  { key: 'email', placeholder: 'Email' },
+];
+
+// Icons for websites and social handles found alongside a number
+const ONLINE_CHANNEL_ICONS = {
+  website: 'globe-outline',
+  instagram: 'logo-instagram',
+  facebook: 'logo-facebook',
+};
+
+// What the import does with group members' names
+const SENDER_MODES = [
+  { key: 'keep', label: 'Names' },
+  { key: 'pseudonymize', label: 'Aliases' },
+  { key: 'drop', label: 'Hidden' },
+];
+
+// Referral fields a CSV column can be read as, in the order a column cycles through them
+const COLUMN_FIELDS = [
+  { key: null, label: 'Skip' },
+  { key: 'businessName', label: 'Business' },
+  { key: 'profession', label: 'Profession' },
+  { key: 'city', label: 'City' },
+  { key: 'neighborhood', label: 'Area' },
+  { key: 'state', label: 'State' },
+  { key: 'country', label: 'Country' },
+  { key: 'contact', label: 'Phone' },
+  { key: 'email', label: 'Email' },
+  { key: 'website', label: 'Website' },
+  { key: 'instagram', label: 'Instagram' },
+  { key: 'facebook', label: 'Facebook' },
+  { key: 'message', label: 'Notes' },
+];
+
+// Row errors listed before the rest are summed up
+const SHOWN_ROW_ERRORS = 3;
+
+const ImportReviewScreen = ({ route, navigation }) => {
+  const { fileKey, fileName } = route.params;
+  const [candidates, setCandidates] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [editingId, setEditingId] = useState(null);
+  const [defaultLocation, setDefaultLocation] = useState('');
+  const [senderMode, setSenderMode] = useState('keep');
+  const [messageCounts, setMessageCounts] = useState(null);
+  const [csvInfo, setCsvInfo] = useState(null);
+  const [rowErrors, setRowErrors] = useState([]);
+  const [columnMapping, setColumnMapping] = useState(null);
+  const [draftMapping, setDraftMapping] = useState(null);
+  const [spreadsheet, setSpreadsheet] = useState(null);
+  const [sheet, setSheet] = useState(null);
+
+  useEffect(() => {
+    loadPreview();
+  }, [fileKey, senderMode, columnMapping, sheet]);
+
+  const importOptions = () => ({
+    defaultLocation: defaultLocation.trim() || null,
+    senderMode,
+    columnMapping,
+    sheet,
+  });
+
+  const loadPreview = async () => {
+    try {
+      setLoading(true);
+      const response = await apiService.previewImport(fileKey, importOptions());
+
+      if (response.success) {
+        setMessageCounts(response.messages || null);
+        setCsvInfo(response.csv || null);
+        setDraftMapping(response.csv ? response.csv.mapping : null);
+        setRowErrors(response.rowErrors || []);
+        setSpreadsheet(response.spreadsheet || null);
+        setCandidates(
+          response.candidates.map((candidate) => ({
+            ...candidate,
+            decision: 'pending',
+          }))
+        );
+      }
+    } catch (error) {
+      console.error('Failed to load import preview:', error);
+      Alert.alert(
+        'Error',
+        ['CSV', 'Spreadsheet'].some((prefix) => error.message.startsWith(prefix))
+          ? error.message
+          : 'Failed to read referrals from this file'
+      );
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const updateCandidate = (candidateId, changes) => {
+    setCandidates((current) =>
+      current.map((candidate) =>
+        candidate.candidateId === candidateId ? { ...candidate, ...changes } : candidate
+      )
+    );
+  };
+
+  const setAllDecisions = (decision) => {
+    setCandidates((current) => current.map((candidate) => ({ ...candidate, decision })));
+  };
+
+  const approved = candidates.filter((candidate) => candidate.decision === 'accepted');
+
+  const fieldForColumn = (mapping, index) =>
+    Object.keys(mapping || {}).find((key) => mapping[key] === index) || null;
+
+  // Move a column on to the next field; a field already read from another column moves here
+  const cycleColumn = (index) => {
+    const position = COLUMN_FIELDS.findIndex((field) => field.key === fieldForColumn(draftMapping, index));
+    const next = COLUMN_FIELDS[(position + 1) % COLUMN_FIELDS.length].key;
+    const mapping = {};
+
+    Object.keys(draftMapping || {}).forEach((key) => {
+      if (key !== next && draftMapping[key] !== index) mapping[key] = draftMapping[key];
+    });
+    if (next) mapping[next] = index;
+
+    setDraftMapping(mapping);
+  };
+
+  // Another sheet has its own columns, so its mapping starts over
+  const selectSheet = (name) => {
+    setColumnMapping(null);
+    setSheet(name);
+  };
+
+  const mappingChanged = csvInfo && JSON.stringify(draftMapping) !== JSON.stringify(csvInfo.mapping);
+
+  const handleBlockSender = (sender) => {
+    Alert.alert(
+      'Block Sender',
+      `Messages from ${sender} will be skipped in this and every future import.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Block',
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              await apiService.blockSender(sender);
+              loadPreview();
+            } catch (error) {
+              console.error('Failed to block sender:', error);
+              Alert.alert('Error', error.message);
+            }
+          },
+        },
+      ]
+    );
+  };
+
+  const handleConfirm = async () => {
+    if (approved.length === 0) {
+      Alert.alert('Nothing to Save', 'Accept at least one referral first');
+      return;
+    }
+
+    const missingName = approved.find((candidate) => !candidate.businessName?.trim());
+    if (missingName) {
+      Alert.alert('Missing Name', 'Every accepted referral needs a business name');
+      setEditingId(missingName.candidateId);
+      return;
+    }
+
+    setSaving(true);
+    try {
+      const response = await apiService.commitImport(
+        fileKey,
+        approved.map(({ candidateId, decision, ...fields }) => fields),
+        {
+          ...importOptions(),
+          columnMapping: csvInfo ? csvInfo.mapping : null,
+          csvHeaderKey: csvInfo ? csvInfo.headerKey : null,
+          csvHeaders: csvInfo ? csvInfo.headers : null,
+        }
+      );
+
+      Alert.alert(
+        'Import Complete',
+        `${response.inserted} new referral${response.inserted !== 1 ? 's' : ''} saved` +
+          (response.merged ? `, ${response.merged} merged into existing ones` : ''),
+        [
+          {
+            text: 'View Referrals',
+            onPress: () => navigation.navigate('MainTabs', { screen: 'Referrals' }),
+          },
+        ]
+      );
+    } catch (error) {
+      console.error('Failed to save import:', error);
+      Alert.alert('Error', error.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const renderCandidate = ({ item }) => {
+    const isEditing = editingId === item.candidateId;
+
+    return (
+      <View
+        style={[
+          styles.card,
+          item.decision === 'accepted' && styles.cardAccepted,
+          item.decision === 'rejected' && styles.cardRejected,
+        ]}
+      >
+        <View style={styles.cardHeader}>
+          <View style={styles.cardTitleContainer}>
+            <Text style={styles.businessName}>{item.businessName || 'Unnamed'}</Text>
+            <Text style={styles.profession}>
+              {item.profession || 'Unknown profession'}
+              {item.language && item.language !== 'en' ? ` · ${item.language.toUpperCase()}` : ''}
+            </Text>
+            {item.sentiment === 'negative' && (
+              <Text style={styles.warningText}>Warning · saved as a complaint</Text>
+            )}
+          </View>
+          <Text style={styles.confidence}>{Math.round(item.confidence * 100)}%</Text>
+        </View>
+
+        {isEditing ? (
+          <View style={styles.editContainer}>
+            {EDITABLE_FIELDS.map((field) => (
+              <TextInput
+                key={field.key}
+                style={styles.editInput}
+                placeholder={field.placeholder}
+                value={item[field.key] || ''}
+                onChangeText={(text) => updateCandidate(item.candidateId, { [field.key]: text })}
+              />
+            ))}
+          </View>
+        ) : (
+          <View style={styles.cardBody}>
+            {item.city && (
+              <View style={styles.infoRow}>
+                <Icon name="location" size={16} color="#666" />
+                <Text style={styles.infoText}>
+                  {[item.neighborhood, item.city, item.state, item.country].filter(Boolean).join(', ')}
+                  {item.locationSource === 'default' ? ' (default)' : ''}
+                </Text>
+              </View>
+            )}
+            {item.contact && (
+              <View style={styles.infoRow}>
+                <Icon name="call" size={16} color="#666" />
+                <Text style={styles.infoText}>{item.contact}</Text>
+              </View>
+            )}
+            {item.email && (
+              <View style={styles.infoRow}>
+                <Icon name="mail" size={16} color="#666" />
+                <Text style={styles.infoText}>{item.email}</Text>
+              </View>
+            )}
+            {(item.contactChannels || [])
+              .filter((channel) => ONLINE_CHANNEL_ICONS[channel.type])
+              .map((channel) => (
+                <View key={`${channel.type}:${channel.value}`} style={styles.infoRow}>
+                  <Icon name={ONLINE_CHANNEL_ICONS[channel.type]} size={16} color="#666" />
+                  <Text style={styles.infoText}>
+                    {channel.type === 'instagram' ? `@${channel.value}` : channel.value}
+                  </Text>
+                </View>
+              ))}
+            {item.attachments && item.attachments.length > 0 && (
+              <View style={styles.infoRow}>
+                <Icon name="attach" size={16} color="#666" />
+                <Text style={styles.infoText}>
+                  {item.attachments.map((attachment) => attachment.name).join(', ')}
+                </Text>
+              </View>
+            )}
+          </View>
+        )}
+
+        <View style={styles.messageContainer}>
+          {item.answeredQuestion && (
+            <Text style={styles.questionText} numberOfLines={2}>
+              In reply to {item.answeredQuestion.sender || 'someone'}: {item.answeredQuestion.message}
+            </Text>
+          )}
+          {item.sender && (
+            <View style={styles.senderRow}>
+              <Text style={styles.messageSender}>{item.sender}</Text>
+              {senderMode === 'keep' && (
+                <TouchableOpacity onPress={() => handleBlockSender(item.sender)}>
+                  <Text style={styles.blockText}>Block</Text>
+                </TouchableOpacity>
+              )}
+            </View>
+          )}
+          <Text style={styles.messageText} numberOfLines={4}>
+            {item.message}
+          </Text>
+        </View>
+
+        <View style={styles.cardActions}>
+          <TouchableOpacity
+            style={styles.actionButton}
+            onPress={() => setEditingId(isEditing ? null : item.candidateId)}
+          >
+            <Icon name={isEditing ? 'checkmark-done' : 'pencil'} size={20} color="#007AFF" />
+          </TouchableOpacity>
+          <TouchableOpacity
+            style={styles.actionButton}
+            onPress={() => updateCandidate(item.candidateId, { decision: 'rejected' })}
+          >
+            <Icon
+              name={item.decision === 'rejected' ? 'close-circle' : 'close-circle-outline'}
+              size={24}
+              color="#FF3B30"
+            />
+          </TouchableOpacity>
+          <TouchableOpacity
+            style={styles.actionButton}
+            onPress={() => updateCandidate(item.candidateId, { decision: 'accepted' })}
+          >
+            <Icon
+              name={item.decision === 'accepted' ? 'checkmark-circle' : 'checkmark-circle-outline'}
+              size={24}
+              color="#34C759"
+            />
+          </TouchableOpacity>
+        </View>
+      </View>
+    );
+  };
+
+  if (loading) {
+    return (
+      <View style={styles.centerContainer}>
+        <ActivityIndicator size="large" color="#007AFF" />
+        <Text style={styles.loadingText}>Reading referrals...</Text>
+      </View>
+    );
+  }
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.toolbar}>
+        <Text style={styles.toolbarTitle} numberOfLines={1}>
+          {fileName || 'Uploaded file'}
+        </Text>
+        <TouchableOpacity style={styles.toolbarButton} onPress={() => setAllDecisions('rejected')}>
+          <Text style={styles.toolbarButtonText}>Reject All</Text>
+        </TouchableOpacity>
+        <TouchableOpacity style={styles.toolbarButton} onPress={() => setAllDecisions('accepted')}>
+          <Text style={styles.toolbarButtonText}>Accept All</Text>
+        </TouchableOpacity>
+      </View>
+
+      <View style={styles.locationBar}>
+        <Icon name="location-outline" size={18} color="#666" />
+        <TextInput
+          style={styles.locationInput}
+          placeholder="Default city for referrals without one"
+          value={defaultLocation}
+          onChangeText={setDefaultLocation}
+          onSubmitEditing={loadPreview}
+          returnKeyType="search"
+        />
+      </View>
+
+      <View style={styles.privacyBar}>
+        <Icon name="eye-off-outline" size={18} color="#666" />
+        <Text style={styles.privacyText}>Senders</Text>
+        {SENDER_MODES.map((mode) => (
+          <TouchableOpacity
+            key={mode.key}
+            style={[styles.modeButton, senderMode === mode.key && styles.modeButtonActive]}
+            onPress={() => setSenderMode(mode.key)}
+          >
+            <Text style={[styles.modeButtonText, senderMode === mode.key && styles.modeButtonTextActive]}>
+              {mode.label}
+            </Text>
+          </TouchableOpacity>
+        ))}
+        <TouchableOpacity style={styles.toolbarButton} onPress={() => navigation.navigate('BlockedSenders')}>
+          <Icon name="ban-outline" size={20} color="#007AFF" />
+        </TouchableOpacity>
+      </View>
+
+      {spreadsheet && spreadsheet.sheets.length > 1 && (
+        <View style={styles.columnsBar}>
+          <View style={styles.columnsHeader}>
+            <Icon name="document-text-outline" size={18} color="#666" />
+            <Text style={styles.privacyText}>Sheet</Text>
+          </View>
+          <ScrollView horizontal showsHorizontalScrollIndicator={false}>
+            {spreadsheet.sheets.map((option) => (
+              <TouchableOpacity
+                key={option.name}
+                style={[
+                  styles.modeButton,
+                  styles.columnField,
+                  styles.sheetButton,
+                  option.name === spreadsheet.sheet && styles.modeButtonActive,
+                ]}
+                onPress={() => selectSheet(option.name)}
+              >
+                <Text
+                  style={[
+                    styles.modeButtonText,
+                    option.hidden && styles.disabledText,
+                    option.name === spreadsheet.sheet && styles.modeButtonTextActive,
+                  ]}
+                >
+                  {option.name}
+                </Text>
+              </TouchableOpacity>
+            ))}
+          </ScrollView>
+        </View>
+      )}
+
+      {csvInfo && draftMapping && (
+        <View style={styles.columnsBar}>
+          <View style={styles.columnsHeader}>
+            <Icon name="grid-outline" size={18} color="#666" />
+            <Text style={styles.privacyText}>
+              Columns{csvInfo.mappingSource === 'saved' ? ' (saved mapping)' : ''}
+            </Text>
+            {mappingChanged && (
+              <TouchableOpacity
+                style={styles.toolbarButton}
+                onPress={() => setColumnMapping(draftMapping)}
+                disabled={draftMapping.businessName === undefined}
+              >
+                <Text
+                  style={[
+                    styles.toolbarButtonText,
+                    draftMapping.businessName === undefined && styles.disabledText,
+                  ]}
+                >
+                  Apply
+                </Text>
+              </TouchableOpacity>
+            )}
+          </View>
+          <ScrollView horizontal showsHorizontalScrollIndicator={false}>
+            {Array.from({ length: csvInfo.columnCount }, (_, index) => {
+              const field = COLUMN_FIELDS.find((option) => option.key === fieldForColumn(draftMapping, index));
+
+              return (
+                <TouchableOpacity key={index} style={styles.column} onPress={() => cycleColumn(index)}>
+                  <Text style={styles.columnName} numberOfLines={1}>
+                    {csvInfo.headers ? csvInfo.headers[index] : `Column ${index + 1}`}
+                  </Text>
+                  <Text style={styles.columnSample} numberOfLines={1}>
+                    {(csvInfo.sampleRows[0] || [])[index] || ' '}
+                  </Text>
+                  <View style={[styles.modeButton, styles.columnField, field.key && styles.modeButtonActive]}>
+                    <Text style={[styles.modeButtonText, field.key && styles.modeButtonTextActive]}>
+                      {field.label}
+                    </Text>
+                  </View>
+                </TouchableOpacity>
+              );
+            })}
+          </ScrollView>
+        </View>
+      )}
+
+      {csvInfo && csvInfo.invalidRows > 0 && (
+        <View style={styles.rowErrorsBar}>
+          <View style={styles.columnsHeader}>
+            <Icon name="alert-circle-outline" size={18} color="#FF3B30" />
+            <Text style={styles.privacyText}>
+              {csvInfo.invalidRows} row{csvInfo.invalidRows !== 1 ? 's' : ''} skipped
+            </Text>
+          </View>
+          {rowErrors.slice(0, SHOWN_ROW_ERRORS).map((rowError) => (
+            <Text key={rowError.line} style={styles.rowErrorText} numberOfLines={1}>
+              Line {rowError.line}: {rowError.errors.join(', ')}
+            </Text>
+          ))}
+          {csvInfo.invalidRows > SHOWN_ROW_ERRORS && (
+            <Text style={styles.rowErrorText}>and {csvInfo.invalidRows - SHOWN_ROW_ERRORS} more</Text>
+          )}
+        </View>
+      )}
+
+      {messageCounts && (
+        <View style={styles.summaryBar}>
+          <Icon name="layers-outline" size={18} color="#666" />
+          <Text style={styles.summaryText}>
+            {messageCounts.new} new, {messageCounts.alreadyImported} already imported
+          </Text>
+        </View>
+      )}
+
+      <FlatList
+        data={candidates}
+        renderItem={renderCandidate}
+        keyExtractor={(item) => String(item.candidateId)}
+        contentContainerStyle={styles.listContainer}
+        ListEmptyComponent={
+          <View style={styles.emptyContainer}>
+            <Icon name="search-outline" size={64} color="#CCC" />
+            <Text style={styles.emptyText}>No referrals found</Text>
+            <Text style={styles.emptySubtext}>
+              {messageCounts && messageCounts.new === 0 && messageCounts.alreadyImported > 0
+                ? 'Everything in this file was imported before'
+                : "We couldn't find any recommendations in this file"}
+            </Text>
+          </View>
+        }
+      />
+
+      <View style={styles.footer}>
+        <TouchableOpacity
+          style={[styles.confirmButton, (saving || approved.length === 0) && styles.confirmButtonDisabled]}
+          onPress={handleConfirm}
+          disabled={saving || approved.length === 0}
+        >
+          {saving ? (
+            <ActivityIndicator color="#FFFFFF" />
+          ) : (
+            <Text style={styles.confirmButtonText}>
+              Save {approved.length} Approved
+            </Text>
+          )}
+        </TouchableOpacity>
+      </View>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#F5F5F5',
+  },
+  centerContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  loadingText: {
+    marginTop: 12,
+    fontSize: 16,
+    color: '#666',
+  },
+  toolbar: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#FFFFFF',
+    paddingHorizontal: 12,
+    paddingVertical: 8,
+    borderBottomWidth: 1,
+    borderBottomColor: '#E0E0E0',
+  },
+  toolbarTitle: {
+    flex: 1,
+    fontSize: 14,
+    color: '#666',
+  },
+  toolbarButton: {
+    paddingHorizontal: 8,
+    paddingVertical: 6,
+    marginLeft: 8,
+  },
+  toolbarButtonText: {
+    color: '#007AFF',
+    fontSize: 14,
+    fontWeight: '600',
+  },
+  locationBar: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#FFFFFF',
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderBottomWidth: 1,
+    borderBottomColor: '#E0E0E0',
+  },
+  locationInput: {
+    flex: 1,
+    fontSize: 14,
+    paddingVertical: 6,
+    marginLeft: 8,
+  },
+  privacyBar: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#FFFFFF',
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderBottomWidth: 1,
+    borderBottomColor: '#E0E0E0',
+  },
+  privacyText: {
+    flex: 1,
+    fontSize: 14,
+    color: '#666',
+    marginLeft: 8,
+  },
+  modeButton: {
+    paddingHorizontal: 10,
+    paddingVertical: 4,
+    borderRadius: 12,
+    marginLeft: 6,
+    backgroundColor: '#F0F0F0',
+  },
+  modeButtonActive: {
+    backgroundColor: '#007AFF',
+  },
+  modeButtonText: {
+    fontSize: 13,
+    color: '#666',
+  },
+  modeButtonTextActive: {
+    color: '#FFFFFF',
+    fontWeight: '600',
+  },
+  columnsBar: {
+    backgroundColor: '#FFFFFF',
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderBottomWidth: 1,
+    borderBottomColor: '#E0E0E0',
+  },
+  columnsHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 4,
+  },
+  column: {
+    width: 96,
+    marginRight: 8,
+  },
+  columnName: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: '#333',
+  },
+  columnSample: {
+    fontSize: 12,
+    color: '#999',
+    marginBottom: 4,
+  },
+  columnField: {
+    marginLeft: 0,
+    alignSelf: 'flex-start',
+  },
+  sheetButton: {
+    marginRight: 8,
+  },
+  disabledText: {
+    color: '#CCC',
+  },
+  rowErrorsBar: {
+    backgroundColor: '#FFFFFF',
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderBottomWidth: 1,
+    borderBottomColor: '#E0E0E0',
+  },
+  rowErrorText: {
+    fontSize: 12,
+    color: '#666',
+    marginLeft: 26,
+    marginBottom: 2,
+  },
+  summaryBar: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#FFFFFF',
+    paddingHorizontal: 12,
+    paddingVertical: 8,
+    borderBottomWidth: 1,
+    borderBottomColor: '#E0E0E0',
+  },
+  summaryText: {
+    flex: 1,
+    fontSize: 14,
+    color: '#666',
+    marginLeft: 8,
+  },
+  listContainer: {
+    padding: 12,
+  },
+  card: {
+    backgroundColor: '#FFFFFF',
+    borderRadius: 12,
+    marginBottom: 12,
+    borderLeftWidth: 4,
+    borderLeftColor: '#E0E0E0',
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.1,
+    shadowRadius: 4,
+    elevation: 2,
+  },
+  cardAccepted: {
+    borderLeftColor: '#34C759',
+  },
+  cardRejected: {
+    borderLeftColor: '#FF3B30',
+    opacity: 0.6,
+  },
+  cardHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    padding: 16,
+    paddingBottom: 8,
+  },
+  cardTitleContainer: {
+    flex: 1,
+  },
+  businessName: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#333',
+    marginBottom: 4,
+  },
+  profession: {
+    fontSize: 14,
+    color: '#007AFF',
+    fontWeight: '600',
+  },
+  warningText: {
+    fontSize: 12,
+    color: '#FF3B30',
+    fontWeight: '600',
+    marginTop: 4,
+  },
+  confidence: {
+    fontSize: 12,
+    color: '#999',
+    fontWeight: '600',
+  },
+  cardBody: {
+    paddingHorizontal: 16,
+  },
+  infoRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 8,
+  },
+  infoText: {
+    fontSize: 14,
+    color: '#666',
+    marginLeft: 8,
+  },
+  editContainer: {
+    paddingHorizontal: 16,
+  },
+  editInput: {
+    backgroundColor: '#F8F8F8',
+    borderRadius: 8,
+    padding: 10,
+    marginBottom: 8,
+    fontSize: 16,
+  },
+  messageContainer: {
+    backgroundColor: '#F8F8F8',
+    borderRadius: 8,
+    padding: 12,
+    marginHorizontal: 16,
+    marginTop: 4,
+  },
+  questionText: {
+    fontSize: 12,
+    color: '#999',
+    fontStyle: 'italic',
+    marginBottom: 6,
+  },
+  senderRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+  },
+  messageSender: {
+    fontSize: 12,
+    color: '#999',
+    fontWeight: '600',
+    marginBottom: 4,
+  },
+  blockText: {
+    fontSize: 12,
+    color: '#FF3B30',
+    marginBottom: 4,
+  },
+  messageText: {
+    fontSize: 14,
+    color: '#666',
+    lineHeight: 20,
+  },
+  cardActions: {
+    flexDirection: 'row',
+    justifyContent: 'flex-end',
+    padding: 8,
+  },
+  actionButton: {
+    padding: 8,
+    marginLeft: 8,
+  },
+  emptyContainer: {
+    alignItems: 'center',
+    justifyContent: 'center',
+    paddingVertical: 60,
+  },
+  emptyText: {
+    fontSize: 18,
+    fontWeight: '600',
+    color: '#666',
+    marginTop: 16,
+  },
+  emptySubtext: {
+    fontSize: 14,
+    color: '#999',
+    marginTop: 8,
+  },
+  footer: {
+    backgroundColor: '#FFFFFF',
+    padding: 12,
+    borderTopWidth: 1,
+    borderTopColor: '#E0E0E0',
+  },
+  confirmButton: {
+    backgroundColor: '#007AFF',
+    borderRadius: 8,
+    padding: 16,
+    alignItems: 'center',
+  },
+  confirmButtonDisabled: {
+    opacity: 0.5,
+  },
+  confirmButtonText: {
+    color: '#FFFFFF',
+    fontSize: 16,
+    fontWeight: '600',
+  },
+});
+
+export default ImportReviewScreen;
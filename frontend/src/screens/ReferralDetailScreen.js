@@ -0,0 +1,288 @@
+// frontend/screens/ReferralDetailScreen.js
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  ScrollView,
+  StyleSheet,
+  Alert,
+  ActivityIndicator,
+  Linking,
+  TouchableOpacity,
+} from 'react-native';
+import apiService from '../services/api';
+import Icon from 'react-native-vector-icons/Ionicons';
+
+// Icons for the ways to reach a business other than its number
+const CHANNEL_ICONS = {
+  email: 'mail',
+  website: 'globe-outline',
+  instagram: 'logo-instagram',
+  facebook: 'logo-facebook',
+};
+
+/**
+ * Show a file key as the readable part of its name
+ */
+const describeSourceFile = (fileKey) => {
+  if (!fileKey) return 'Added by hand';
+  return fileKey.split('/').pop();
+};
+
+const formatDateTime = (timestamp) => {
+  return timestamp ? new Date(timestamp).toLocaleString() : 'Unknown time';
+};
+
+const describeLines = (provenance) => {
+  if (!provenance.lineStart) return null;
+  if (!provenance.lineEnd || provenance.lineEnd === provenance.lineStart) {
+    return `Line ${provenance.lineStart}`;
+  }
+  return `Lines ${provenance.lineStart}–${provenance.lineEnd}`;
+};
+
+const ReferralDetailScreen = ({ route }) => {
+  const { referralId } = route.params;
+  const [referral, setReferral] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    loadReferral();
+  }, [referralId]);
+
+  const loadReferral = async () => {
+    try {
+      setLoading(true);
+      const response = await apiService.getReferral(referralId);
+
+      if (response.success) {
+        setReferral(response.data);
+      }
+    } catch (error) {
+      console.error('Failed to load referral:', error);
+      Alert.alert('Error', 'Failed to load referral');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const openChannel = async (channel) => {
+    try {
+      await Linking.openURL(channel.url);
+    } catch (error) {
+      Alert.alert('Error', 'Unable to open this link');
+    }
+  };
+
+  if (loading) {
+    return (
+      <View style={styles.centerContainer}>
+        <ActivityIndicator size="large" color="#007AFF" />
+      </View>
+    );
+  }
+
+  if (!referral) {
+    return (
+      <View style={styles.centerContainer}>
+        <Text style={styles.emptyText}>Referral not found</Text>
+      </View>
+    );
+  }
+
+  // Older referrals have no mention records; fall back to what the referral itself kept
+  const mentions = referral.mentions && referral.mentions.length > 0
+    ? referral.mentions
+    : [{ message: referral.message, provenance: referral.provenance, answeredQuestion: referral.answeredQuestion }];
+
+  const renderMessage = (entry, isSource) => (
+    <View
+      key={`${entry.line}-${entry.timestamp}-${isSource ? 'source' : 'context'}`}
+      style={[styles.contextMessage, isSource && styles.sourceMessage]}
+    >
+      <Text style={styles.contextSender}>
+        {entry.sender || 'Unknown sender'} · {formatDateTime(entry.timestamp)}
+      </Text>
+      <Text style={isSource ? styles.sourceText : styles.contextText}>{entry.message}</Text>
+    </View>
+  );
+
+  const renderMention = (mention, index) => {
+    const provenance = mention.provenance || {};
+    const context = provenance.context || [];
+    const lines = describeLines(provenance);
+    const before = context.filter((entry) => !provenance.lineStart || !entry.line || entry.line < provenance.lineStart);
+    const after = context.filter((entry) => provenance.lineStart && entry.line && entry.line > provenance.lineStart);
+
+    return (
+      <View key={index} style={styles.card}>
+        <View style={styles.infoRow}>
+          <Icon name="document-text-outline" size={16} color="#666" />
+          <Text style={styles.infoText} numberOfLines={1}>
+            {describeSourceFile(provenance.sourceFile || mention.sourceFile)}
+            {lines ? ` · ${lines}` : ''}
+          </Text>
+        </View>
+
+        {mention.answeredQuestion && (
+          <Text style={styles.questionText}>
+            In reply to {mention.answeredQuestion.sender || 'someone'}: {mention.answeredQuestion.message}
+          </Text>
+        )}
+
+        {before.map((entry) => renderMessage(entry, false))}
+        {renderMessage({
+          sender: provenance.sender,
+          timestamp: provenance.messageTimestamp,
+          message: mention.message,
+          line: provenance.lineStart,
+        }, true)}
+        {after.map((entry) => renderMessage(entry, false))}
+      </View>
+    );
+  };
+
+  return (
+    <ScrollView style={styles.container} contentContainerStyle={styles.content}>
+      <View style={styles.header}>
+        <Text style={styles.businessName}>{referral.businessName}</Text>
+        <Text style={styles.profession}>{referral.profession}</Text>
+        {referral.city && (
+          <View style={styles.infoRow}>
+            <Icon name="location" size={16} color="#666" />
+            <Text style={styles.infoText}>
+              {[referral.neighborhood, referral.city, referral.state, referral.country].filter(Boolean).join(', ')}
+            </Text>
+          </View>
+        )}
+        {referral.contact && (
+          <View style={styles.infoRow}>
+            <Icon name="call" size={16} color="#666" />
+            <Text style={styles.infoText}>{referral.contact}</Text>
+          </View>
+        )}
+        {(referral.contactChannels || [])
+          .filter((channel) => CHANNEL_ICONS[channel.type])
+          .map((channel) => (
+            <TouchableOpacity
+              key={`${channel.type}:${channel.value}`}
+              style={styles.infoRow}
+              onPress={() => openChannel(channel)}
+            >
+              <Icon name={CHANNEL_ICONS[channel.type]} size={16} color="#666" />
+              <Text style={styles.infoText}>
+                {channel.type === 'instagram' ? `@${channel.value}` : channel.value}
+              </Text>
+            </TouchableOpacity>
+          ))}
+      </View>
+
+      <Text style={styles.sectionTitle}>Why this referral exists</Text>
+      <Text style={styles.sectionSubtitle}>
+        {mentions.length === 1
+          ? 'Picked up from this message'
+          : `Recommended in ${referral.mentionCount || mentions.length} messages`}
+      </Text>
+
+      {mentions.map(renderMention)}
+    </ScrollView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#F5F5F5',
+  },
+  content: {
+    padding: 12,
+  },
+  centerContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  emptyText: {
+    fontSize: 16,
+    color: '#999',
+  },
+  header: {
+    backgroundColor: '#FFFFFF',
+    borderRadius: 12,
+    padding: 16,
+    marginBottom: 16,
+  },
+  businessName: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: '#333',
+  },
+  profession: {
+    fontSize: 14,
+    color: '#007AFF',
+    fontWeight: '600',
+    marginTop: 4,
+    marginBottom: 8,
+  },
+  infoRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 8,
+  },
+  infoText: {
+    flex: 1,
+    fontSize: 14,
+    color: '#666',
+    marginLeft: 8,
+  },
+  sectionTitle: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: '#333',
+  },
+  sectionSubtitle: {
+    fontSize: 13,
+    color: '#999',
+    marginTop: 2,
+    marginBottom: 12,
+  },
+  card: {
+    backgroundColor: '#FFFFFF',
+    borderRadius: 12,
+    padding: 16,
+    marginBottom: 12,
+  },
+  questionText: {
+    fontSize: 12,
+    color: '#999',
+    fontStyle: 'italic',
+    marginBottom: 8,
+  },
+  contextMessage: {
+    backgroundColor: '#F8F8F8',
+    borderRadius: 8,
+    padding: 10,
+    marginTop: 6,
+  },
+  sourceMessage: {
+    backgroundColor: '#E8F2FF',
+    borderLeftWidth: 3,
+    borderLeftColor: '#007AFF',
+  },
+  contextSender: {
+    fontSize: 12,
+    color: '#999',
+    fontWeight: '600',
+    marginBottom: 4,
+  },
+  contextText: {
+    fontSize: 14,
+    color: '#999',
+  },
+  sourceText: {
+    fontSize: 14,
+    color: '#333',
+  },
+});
+
+export default ReferralDetailScreen;
@@ -10,11 +10,31 @@ import {
   ActivityIndicator,
   RefreshControl,
   TextInput,
+  Linking,
 } from 'react-native';
 import { useFocusEffect } from '@react-navigation/native';
+import * as Sharing from 'expo-sharing';
 import apiService from '../services/api';
 import Icon from 'react-native-vector-icons/Ionicons';
 
+// Icons for the channels shown below the number and email
+const ONLINE_CHANNEL_ICONS = {
+  website: 'globe-outline',
+  instagram: 'logo-instagram',
+  facebook: 'logo-facebook',
+};
+
+/**
+ * Websites and social handles, which have no field of their own
+ */
+const onlineChannels = (referral) => {
+  return (referral.contactChannels || []).filter((channel) => ONLINE_CHANNEL_ICONS[channel.type]);
+};
+
+const describeChannel = (channel) => {
+  return channel.type === 'instagram' ? `@${channel.value}` : channel.value;
+};
+
 const ReferralsScreen = ({ navigation }) => {
   const [referrals, setReferrals] = useState([]);
   const [loading, setLoading] = useState(true);
@@ -26,6 +46,9 @@ const ReferralsScreen = ({ navigation }) => {
     status: 'active',
   });
   const [showFilters, setShowFilters] = useState(false);
+  const [exporting, setExporting] = useState(false);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [loadingMore, setLoadingMore] = useState(false);
 
   useFocusEffect(
     useCallback(() => {
@@ -40,6 +63,7 @@ const ReferralsScreen = ({ navigation }) => {
       
       if (response.success) {
         setReferrals(response.items || []);
+        setNextCursor(response.cursor || null);
       }
     } catch (error) {
       console.error('Failed to load referrals:', error);
@@ -50,6 +74,26 @@ const ReferralsScreen = ({ navigation }) => {
     }
   };
 
+  // Fetch the next page when the list is scrolled near its end
+  const loadMore = async () => {
+    if (!nextCursor || loading || loadingMore) return;
+
+    try {
+      setLoadingMore(true);
+      const response = await apiService.queryReferrals(filters, nextCursor);
+
+      if (response.success) {
+        setReferrals((current) => [...current, ...(response.items || [])]);
+        setNextCursor(response.cursor || null);
+      }
+    } catch (error) {
+      console.error('Failed to load more referrals:', error);
+      Alert.alert('Error', 'Failed to load more referrals');
+    } finally {
+      setLoadingMore(false);
+    }
+  };
+
   const handleRefresh = () => {
     setRefreshing(true);
     loadReferrals();
@@ -82,6 +126,52 @@ const ReferralsScreen = ({ navigation }) => {
     navigation.navigate('EditReferral', { referral });
   };
 
+  const handleShowDetails = (referral) => {
+    navigation.navigate('ReferralDetail', { referralId: referral.referralId });
+  };
+
+  const openLink = async (url) => {
+    try {
+      await Linking.openURL(url);
+    } catch (error) {
+      Alert.alert('Error', 'Unable to open this link');
+    }
+  };
+
+  const handleCall = (referral) => {
+    openLink(`tel:${referral.contactE164 || referral.contact}`);
+  };
+
+  const handleWhatsApp = (referral) => {
+    // wa.me expects the international number without "+"
+    openLink(`https://wa.me/${referral.contactE164.replace('+', '')}`);
+  };
+
+  const handleEmail = (referral) => {
+    openLink(`mailto:${referral.email}`);
+  };
+
+  const handleExport = async () => {
+    try {
+      setExporting(true);
+      const fileUri = await apiService.exportReferrals(filters);
+
+      if (await Sharing.isAvailableAsync()) {
+        await Sharing.shareAsync(fileUri, {
+          mimeType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+          dialogTitle: 'Export referrals',
+          UTI: 'org.openxmlformats.spreadsheetml.sheet',
+        });
+      } else {
+        Alert.alert('Export Ready', 'Referrals saved to a spreadsheet');
+      }
+    } catch (error) {
+      Alert.alert('Export Failed', error.message || 'Failed to export referrals');
+    } finally {
+      setExporting(false);
+    }
+  };
+
   const applyFilters = () => {
     setShowFilters(false);
     loadReferrals();
@@ -105,7 +195,8 @@ const ReferralsScreen = ({ navigation }) => {
       referral.businessName?.toLowerCase().includes(query) ||
       referral.profession?.toLowerCase().includes(query) ||
       referral.city?.toLowerCase().includes(query) ||
-      referral.contact?.toLowerCase().includes(query)
+      referral.contact?.toLowerCase().includes(query) ||
+      onlineChannels(referral).some((channel) => channel.value.includes(query))
     );
   });
 
@@ -117,6 +208,12 @@ const ReferralsScreen = ({ navigation }) => {
           <Text style={styles.profession}>{item.profession}</Text>
         </View>
         <View style={styles.cardActions}>
+          <TouchableOpacity
+            style={styles.actionButton}
+            onPress={() => handleShowDetails(item)}
+          >
+            <Icon name="information-circle-outline" size={20} color="#007AFF" />
+          </TouchableOpacity>
           <TouchableOpacity
             style={styles.actionButton}
             onPress={() => handleEdit(item)}
@@ -137,6 +234,7 @@ const ReferralsScreen = ({ navigation }) => {
           <View style={styles.infoRow}>
             <Icon name="location" size={16} color="#666" />
             <Text style={styles.infoText}>
+              {item.neighborhood && `${item.neighborhood}, `}
               {item.city}
               {item.state && `, ${item.state}`}
             </Text>
@@ -145,11 +243,36 @@ const ReferralsScreen = ({ navigation }) => {
 
         {item.contact && (
           <View style={styles.infoRow}>
-            <Icon name="call" size={16} color="#666" />
-            <Text style={styles.infoText}>{item.contact}</Text>
+            <TouchableOpacity style={styles.contactLink} onPress={() => handleCall(item)}>
+              <Icon name="call" size={16} color="#666" />
+              <Text style={styles.infoText}>{item.contact}</Text>
+            </TouchableOpacity>
+            {item.contactE164 && (
+              <TouchableOpacity style={styles.actionButton} onPress={() => handleWhatsApp(item)}>
+                <Icon name="logo-whatsapp" size={18} color="#25D366" />
+              </TouchableOpacity>
+            )}
+          </View>
+        )}
+
+        {item.email && (
+          <View style={styles.infoRow}>
+            <TouchableOpacity style={styles.contactLink} onPress={() => handleEmail(item)}>
+              <Icon name="mail" size={16} color="#666" />
+              <Text style={styles.infoText}>{item.email}</Text>
+            </TouchableOpacity>
           </View>
         )}
 
+        {onlineChannels(item).map((channel) => (
+          <View key={`${channel.type}:${channel.value}`} style={styles.infoRow}>
+            <TouchableOpacity style={styles.contactLink} onPress={() => openLink(channel.url)}>
+              <Icon name={ONLINE_CHANNEL_ICONS[channel.type]} size={16} color="#666" />
+              <Text style={styles.infoText}>{describeChannel(channel)}</Text>
+            </TouchableOpacity>
+          </View>
+        ))}
+
         {item.message && (
           <View style={styles.messageContainer}>
             <Text style={styles.messageText} numberOfLines={2}>
@@ -161,7 +284,22 @@ const ReferralsScreen = ({ navigation }) => {
         <View style={styles.cardFooter}>
           <Text style={styles.dateText}>
             {new Date(item.createdAt).toLocaleDateString()}
+            {item.mentionCount > 1 && ` · Mentioned ${item.mentionCount} times`}
           </Text>
+          {item.recommendationScore !== null && item.recommendationScore !== undefined && (
+            <View style={[styles.badge, item.recommendationScore < 0 && styles.warningBadge]}>
+              <Icon
+                name={item.recommendationScore < 0 ? 'thumbs-down' : 'thumbs-up'}
+                size={14}
+                color={item.recommendationScore < 0 ? '#FF3B30' : '#34C759'}
+              />
+              <Text style={[styles.badgeText, item.recommendationScore < 0 && styles.warningBadgeText]}>
+                {Math.round((item.recommendationScore + 1) * 50)}%
+                {item.negativeMentions > 0 &&
+                  ` · ${item.negativeMentions} warning${item.negativeMentions !== 1 ? 's' : ''}`}
+              </Text>
+            </View>
+          )}
           {item.verified && (
             <View style={styles.badge}>
               <Icon name="checkmark-circle" size={16} color="#34C759" />
@@ -197,6 +335,17 @@ const ReferralsScreen = ({ navigation }) => {
         >
           <Icon name="filter" size={20} color="#007AFF" />
         </TouchableOpacity>
+        <TouchableOpacity
+          style={styles.filterButton}
+          onPress={handleExport}
+          disabled={exporting}
+        >
+          {exporting ? (
+            <ActivityIndicator size="small" color="#007AFF" />
+          ) : (
+            <Icon name="download-outline" size={20} color="#007AFF" />
+          )}
+        </TouchableOpacity>
       </View>
 
       {showFilters && (
@@ -213,6 +362,19 @@ const ReferralsScreen = ({ navigation }) => {
             value={filters.profession}
             onChangeText={(text) => setFilters({ ...filters, profession: text })}
           />
+          <TouchableOpacity
+            style={styles.warningToggle}
+            onPress={() =>
+              setFilters({ ...filters, status: filters.status === 'warning' ? 'active' : 'warning' })
+            }
+          >
+            <Icon
+              name={filters.status === 'warning' ? 'checkbox' : 'square-outline'}
+              size={20}
+              color="#FF3B30"
+            />
+            <Text style={styles.warningToggleText}>Show warnings only</Text>
+          </TouchableOpacity>
           <View style={styles.filterActions}>
             <TouchableOpacity style={styles.clearButton} onPress={clearFilters}>
               <Text style={styles.clearButtonText}>Clear</Text>
@@ -232,6 +394,11 @@ const ReferralsScreen = ({ navigation }) => {
         refreshControl={
           <RefreshControl refreshing={refreshing} onRefresh={handleRefresh} />
         }
+        onEndReached={loadMore}
+        onEndReachedThreshold={0.5}
+        ListFooterComponent={
+          loadingMore ? <ActivityIndicator style={styles.listFooter} color="#007AFF" /> : null
+        }
         ListEmptyComponent={
           <View style={styles.emptyContainer}>
             <Icon name="folder-open-outline" size={64} color="#CCC" />
@@ -245,7 +412,8 @@ const ReferralsScreen = ({ navigation }) => {
 
       <View style={styles.statsBar}>
         <Text style={styles.statsText}>
-          {filteredReferrals.length} referral{filteredReferrals.length !== 1 ? 's' : ''}
+          {filteredReferrals.length}{nextCursor ? '+' : ''} referral
+          {filteredReferrals.length !== 1 || nextCursor ? 's' : ''}
         </Text>
       </View>
     </View>
@@ -339,6 +507,9 @@ const styles = StyleSheet.create({
   listContainer: {
     padding: 12,
   },
+  listFooter: {
+    paddingVertical: 16,
+  },
   card: {
     backgroundColor: '#FFFFFF',
     borderRadius: 12,
@@ -390,6 +561,10 @@ const styles = StyleSheet.create({
     color: '#666',
     marginLeft: 8,
   },
+  contactLink: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
   messageContainer: {
     backgroundColor: '#F8F8F8',
     borderRadius: 8,
@@ -425,6 +600,22 @@ const styles = StyleSheet.create({
     marginLeft: 4,
     fontWeight: '600',
   },
+  warningBadge: {
+    backgroundColor: '#FFEBEE',
+  },
+  warningBadgeText: {
+    color: '#FF3B30',
+  },
+  warningToggle: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 8,
+  },
+  warningToggleText: {
+    fontSize: 14,
+    color: '#333',
+    marginLeft: 8,
+  },
   emptyContainer: {
     alignItems: 'center',
     justifyContent: 'center',
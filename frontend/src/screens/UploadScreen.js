@@ -12,32 +12,42 @@ import {
 import * as DocumentPicker from 'expo-document-picker';
 import apiService from '../services/api';
 
+// Must match the backend's MAX_UPLOAD_SIZE_MB
+const MAX_UPLOAD_MB = Number(process.env.REACT_APP_MAX_UPLOAD_MB) || 10;
+
 const UploadScreen = ({ navigation }) => {
   const [selectedFile, setSelectedFile] = useState(null);
   const [uploading, setUploading] = useState(false);
-  const [uploadProgress, setUploadProgress] = useState(0);
 
   const pickDocument = async () => {
     try {
       const result = await DocumentPicker.getDocumentAsync({
-        type: ['text/plain', 'text/csv'],
+        type: [
+          'text/plain',
+          'text/csv',
+          'text/markdown',
+          'application/json',
+          'application/zip',
+          'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+          'application/vnd.oasis.opendocument.spreadsheet',
+        ],
         copyToCacheDirectory: true,
       });
 
       if (result.type === 'success') {
-        // Validate file size (10MB max)
-        const maxSize = 10 * 1024 * 1024;
+        // Validate file size
+        const maxSize = MAX_UPLOAD_MB * 1024 * 1024;
         if (result.size > maxSize) {
-          Alert.alert('Error', 'File size must be less than 10MB');
+          Alert.alert('Error', `File size must be less than ${MAX_UPLOAD_MB}MB`);
           return;
         }
 
         // Validate file extension
-        const validExtensions = ['.txt', '.csv'];
+        const validExtensions = ['.txt', '.md', '.json', '.csv', '.zip', '.xlsx', '.ods'];
         const fileExt = result.name.substring(result.name.lastIndexOf('.')).toLowerCase();
         
         if (!validExtensions.includes(fileExt)) {
-          Alert.alert('Error', 'Only .txt and .csv files are allowed');
+          Alert.alert('Error', 'Only .txt, .md, .json, .csv, .zip, .xlsx and .ods files are allowed');
           return;
         }
 
@@ -56,7 +66,6 @@ const UploadScreen = ({ navigation }) => {
     }
 
     setUploading(true);
-    setUploadProgress(0);
 
     try {
       const response = await apiService.uploadFile(
@@ -66,96 +75,33 @@ const UploadScreen = ({ navigation }) => {
       );
 
       if (response.success) {
-        Alert.alert(
-          'Success',
-          'File uploaded successfully! Processing referrals...',
-          [
-            {
-              text: 'View Referrals',
-              onPress: () => navigation.navigate('Referrals'),
-            },
-            { text: 'Upload Another', onPress: () => setSelectedFile(null) },
-          ]
-        );
-
-        // Process the file and create referrals
-        await processUploadedFile(response.fileKey);
+        // Nothing is saved until the user approves candidates on the review screen
+        setSelectedFile(null);
+        navigation.navigate('ImportReview', {
+          fileKey: response.fileKey,
+          fileName: response.originalName,
+        });
       }
     } catch (error) {
       console.error('Upload error:', error);
       Alert.alert('Upload Failed', error.message);
     } finally {
       setUploading(false);
-      setUploadProgress(0);
-    }
-  };
-
-  const processUploadedFile = async (fileKey) => {
-    try {
-      // Get file content
-      const downloadUrl = await apiService.getFileDownloadUrl(fileKey);
-      
-      // Fetch and parse file
-      const response = await fetch(downloadUrl.url);
-      const content = await response.text();
-      
-      // Parse WhatsApp chat or CSV
-      const referrals = parseFileContent(content);
-      
-      // Create referrals
-      for (const referral of referrals) {
-        try {
-          await apiService.createReferral({
-            ...referral,
-            sourceFile: fileKey,
-          });
-        } catch (error) {
-          console.error('Failed to create referral:', error);
-        }
-      }
-    } catch (error) {
-      console.error('File processing error:', error);
     }
   };
 
-  const parseFileContent = (content) => {
-    const referrals = [];
-    const lines = content.split('\n');
-    
-    // Simple parsing logic - customize based on your file format
-    lines.forEach((line) => {
-      // Skip empty lines
-      if (!line.trim()) return;
-      
-      // Parse based on your format
-      // This is a basic example - adjust to your needs
-      const parts = line.split(',').map(p => p.trim());
-      
-      if (parts.length >= 3) {
-        referrals.push({
-          businessName: parts[0],
-          profession: parts[1],
-          city: parts[2],
-          contact: parts[3] || '',
-          message: parts[4] || '',
-        });
-      }
-    });
-    
-    return referrals;
-  };
-
   return (
     <ScrollView style={styles.container}>
       <View style={styles.content}>
         <View style={styles.infoCard}>
-          <Text style={styles.infoTitle}>Upload WhatsApp Chat</Text>
+          <Text style={styles.infoTitle}>Upload Group Chat</Text>
           <Text style={styles.infoText}>
-            Upload your exported WhatsApp group chat (.txt) or a CSV file with referral information.
+            Upload an exported group chat from WhatsApp (.txt, or .zip with media), Telegram (.json),
+            Slack (.zip workspace export, or one .json day file) or Signal (.md, .txt), or a CSV or spreadsheet (.xlsx, .ods) with referral information.
           </Text>
           <Text style={styles.infoSubtext}>
-            • Maximum file size: 10MB{'\n'}
-            • Supported formats: .txt, .csv{'\n'}
+            • Maximum file size: {MAX_UPLOAD_MB}MB{'\n'}
+            • Supported formats: .txt, .md, .json, .csv, .zip, .xlsx, .ods{'\n'}
             • File will be securely encrypted
           </Text>
         </View>
@@ -194,15 +140,17 @@ const UploadScreen = ({ navigation }) => {
           onPress={handleUpload}
           disabled={!selectedFile || uploading}
         >
-          <Text style={styles.uploadButtonText}>Upload & Process</Text>
+          <Text style={styles.uploadButtonText}>Upload & Review</Text>
         </TouchableOpacity>
 
         <View style={styles.tipsCard}>
           <Text style={styles.tipsTitle}>💡 Tips</Text>
           <Text style={styles.tipsText}>
-            • Export your WhatsApp group chat without media{'\n'}
+            • WhatsApp: Export chat, with or without media{'\n'}
+            • Telegram Desktop: Export chat history as JSON{'\n'}
             • Ensure the chat contains business information{'\n'}
-            • For CSV files, use format: Business, Profession, City, Contact
+            • CSV files: name your columns in a header row (Business, Profession, City, Phone...), or use that order without one. You can re-map columns when reviewing{'\n'}
+            • Spreadsheets: the first sheet is read; pick another one when reviewing
           </Text>
         </View>
       </View>
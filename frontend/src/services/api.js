@@ -1,5 +1,6 @@
 // frontend/services/api.js
 import AsyncStorage from '@react-native-async-storage/async-storage';
+import * as FileSystem from 'expo-file-system';
 
 const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000/api';
 
@@ -380,6 +381,100 @@ class ApiService {
     return response;
   }
 
+  // ============================================
+  // IMPORT METHODS
+  // ============================================
+
+  /**
+   * Preview the referrals found in an uploaded file without saving them
+   * options.defaultLocation (a city name) fills in referrals that name no place;
+   * options.senderMode keeps group members' names ('keep'), replaces them with
+   * aliases ('pseudonymize') or leaves them out ('drop');
+   * options.columnMapping ({ field: columnIndex }) overrides how a CSV's columns are read;
+   * options.sheet picks the sheet of an .xlsx or .ods workbook (the first visible one otherwise)
+   */
+  async previewImport(fileKey, {
+    defaultLocation = null,
+    senderMode = 'keep',
+    columnMapping = null,
+    sheet = null,
+  } = {}) {
+    const response = await this.request('/imports/preview', {
+      method: 'POST',
+      body: JSON.stringify({ fileKey, defaultLocation, senderMode, columnMapping, sheet }),
+    });
+
+    return response;
+  }
+
+  /**
+   * Save the candidates selected from an import preview
+   * Takes the same options as previewImport; a CSV's column mapping is saved for
+   * its header (options.csvHeaderKey) and used for the next file with those columns
+   */
+  async commitImport(fileKey, candidates, {
+    defaultLocation = null,
+    senderMode = 'keep',
+    columnMapping = null,
+    csvHeaderKey = null,
+    csvHeaders = null,
+    sheet = null,
+  } = {}) {
+    const response = await this.request('/imports/commit', {
+      method: 'POST',
+      body: JSON.stringify({
+        fileKey,
+        candidates,
+        defaultLocation,
+        senderMode,
+        columnMapping,
+        csvHeaderKey,
+        csvHeaders,
+        sheet,
+      }),
+    });
+
+    return response;
+  }
+
+  // ============================================
+  // SENDER BLOCKLIST METHODS
+  // ============================================
+
+  /**
+   * List the senders whose messages imports skip
+   */
+  async listBlockedSenders() {
+    const response = await this.request('/blocked-senders', {
+      method: 'GET',
+    });
+
+    return response;
+  }
+
+  /**
+   * Block a sender (a name or number as it appears in chats) from future imports
+   */
+  async blockSender(sender) {
+    const response = await this.request('/blocked-senders', {
+      method: 'POST',
+      body: JSON.stringify({ sender }),
+    });
+
+    return response;
+  }
+
+  /**
+   * Unblock a sender
+   */
+  async unblockSender(senderKey) {
+    const response = await this.request(`/blocked-senders/${encodeURIComponent(senderKey)}`, {
+      method: 'DELETE',
+    });
+
+    return response;
+  }
+
   // ============================================
   // REFERRAL METHODS
   // ============================================
@@ -408,9 +503,10 @@ class ApiService {
   }
 
   /**
-   * Query referrals with filters
+   * Query referrals with filters, one page at a time
+   * Pass the cursor from the previous response to get the next page; it is null after the last one
    */
-  async queryReferrals(filters = {}) {
+  async queryReferrals(filters = {}, cursor = null) {
     const queryParams = new URLSearchParams();
     
     Object.keys(filters).forEach(key => {
@@ -419,6 +515,10 @@ class ApiService {
       }
     });
 
+    if (cursor) {
+      queryParams.append('cursor', cursor);
+    }
+
     const response = await this.request(`/referrals?${queryParams.toString()}`, {
       method: 'GET',
     });
@@ -426,6 +526,48 @@ class ApiService {
     return response;
   }
 
+  /**
+   * Download the referrals matching the filters (as for queryReferrals) as an .xlsx workbook
+   * Returns the local URI of the downloaded file
+   */
+  async exportReferrals(filters = {}) {
+    const queryParams = new URLSearchParams();
+
+    Object.keys(filters).forEach(key => {
+      if (filters[key]) {
+        queryParams.append(key, filters[key]);
+      }
+    });
+
+    const url = `${this.baseURL}/referrals/export?${queryParams.toString()}`;
+    const fileUri = `${FileSystem.cacheDirectory}referrals-${Date.now()}.xlsx`;
+    const download = () => FileSystem.downloadAsync(url, fileUri, {
+      headers: { Authorization: `Bearer ${this.accessToken}` },
+    });
+
+    let result = await download();
+
+    if (result.status === 401 && await this.refreshAccessToken()) {
+      result = await download();
+    }
+
+    if (result.status !== 200) {
+      // Errors come back as JSON, saved where the workbook would have been
+      let message = `HTTP ${result.status}`;
+
+      try {
+        message = JSON.parse(await FileSystem.readAsStringAsync(fileUri)).error || message;
+      } catch (error) {
+        // Keep the status code
+      }
+
+      await FileSystem.deleteAsync(fileUri, { idempotent: true });
+      throw new Error(message);
+    }
+
+    return result.uri;
+  }
+
   /**
    * Update referral
    */